@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Quota-farming signals: each counts distinct members seen for one subject within `windowDays`.
+ * `deviceRotation`: deviceIDs per uid, `iCloudFanout`: uids per iCloud account, `ipFanout`: deviceIDs
+ * per client IP. The subject of a tripped signal is put on the abuse list.
+ */
+const ABUSE_SIGNALS = {
+  deviceRotation: { subject: 'uid', member: 'device' },
+  iCloudFanout: { subject: 'icloud', member: 'uid' },
+  ipFanout: { subject: 'ip', member: 'device' },
+};
+const LIST_STATUSES = ['flagged', 'blocked', 'allowed'];
+/** Members kept per subject; enough to exceed any sane threshold while bounding the doc size. */
+const MAX_TRACKED_MEMBERS = 100;
+/** A member already seen is re-written at most this often (its last-seen time only matters per day). */
+const MEMBER_REFRESH_MS = 60 * 60 * 1000;
+
+/**
+ * `flag` / `block` thresholds per signal (`null` = never). IP fan-out only flags by default: carrier-grade
+ * NAT puts many honest devices behind one address. Automatic blocks last `blockDays`.
+ */
+const DEFAULT_ABUSE_POLICY = {
+  windowDays: 30,
+  blockDays: 7,
+  thresholds: {
+    deviceRotation: { flag: 4, block: 8 },
+    iCloudFanout: { flag: 6, block: 15 },
+    ipFanout: { flag: 10, block: null },
+  },
+};
+
+class AbusePolicyError extends Error {
+  constructor(path, message) {
+    super(`abusePolicy.${path}: ${message}`);
+    this.name = 'AbusePolicyError';
+    this.path = path;
+  }
+}
+
+function positiveInteger(value, path) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new AbusePolicyError(path, 'must be a positive integer');
+  }
+  return value;
+}
+
+/**
+ * Validate an appConfig/abusePolicy document and merge it over DEFAULT_ABUSE_POLICY.
+ * @throws {AbusePolicyError} on the first invalid field (the whole document is rejected).
+ */
+function normalizeAbusePolicy(raw) {
+  if (raw == null) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AbusePolicyError('', 'must be an object');
+  }
+  const windowDays = raw.windowDays == null ? DEFAULT_ABUSE_POLICY.windowDays : positiveInteger(raw.windowDays, 'windowDays');
+  const blockDays = raw.blockDays == null ? DEFAULT_ABUSE_POLICY.blockDays : positiveInteger(raw.blockDays, 'blockDays');
+  const thresholds = {};
+  for (const signal of Object.keys(ABUSE_SIGNALS)) {
+    const path = `thresholds.${signal}`;
+    const override = raw.thresholds?.[signal];
+    if (override != null && (typeof override !== 'object' || Array.isArray(override))) {
+      throw new AbusePolicyError(path, 'must be an object');
+    }
+    const threshold = { ...DEFAULT_ABUSE_POLICY.thresholds[signal] };
+    for (const level of ['flag', 'block']) {
+      if (override?.[level] === undefined) continue;
+      threshold[level] = override[level] === null ? null : positiveInteger(override[level], `${path}.${level}`);
+    }
+    if (threshold.flag != null && threshold.block != null && threshold.block < threshold.flag) {
+      throw new AbusePolicyError(`${path}.block`, 'must not be below flag');
+    }
+    thresholds[signal] = threshold;
+  }
+  return { windowDays, blockDays, thresholds };
+}
+
+/**
+ * Record `member` in a subject's `{ [member]: lastSeenMillis }` map: drops members not seen within the
+ * window and keeps the most recent MAX_TRACKED_MEMBERS.
+ * @returns {{ members: Object<string, number>, count: number, changed: boolean }}
+ *   `changed` is false when nothing worth a write happened (member known and seen recently).
+ */
+function observeMember(members, member, nowMs, windowDays) {
+  const cutoff = nowMs - windowDays * 24 * 60 * 60 * 1000;
+  const previous = members?.[member];
+  const entries = Object.entries(members || {}).filter(([key, seenAt]) => key !== member && seenAt >= cutoff);
+  const dropped = Object.keys(members || {}).length - entries.length - (previous != null ? 1 : 0);
+  entries.push([member, nowMs]);
+  entries.sort((a, b) => b[1] - a[1]);
+  const kept = entries.slice(0, MAX_TRACKED_MEMBERS);
+  const changed = previous == null || nowMs - previous >= MEMBER_REFRESH_MS || dropped > 0;
+  return { members: Object.fromEntries(kept), count: kept.length, changed };
+}
+
+/** `blocked`, `flagged` or null for `count` distinct members of `signal`. */
+function abuseVerdict(policy, signal, count) {
+  const { flag, block } = policy.thresholds[signal];
+  if (block != null && count >= block) return 'blocked';
+  if (flag != null && count >= flag) return 'flagged';
+  return null;
+}
+
+/**
+ * Combined status of a caller's abuse list entries (`{ status, expiresAt? }`, expired ones ignored):
+ * `blocked` if any subject is blocked, else `flagged` if any is flagged, else null. An `allowed` entry
+ * only clears its own subject (and stops automatic listing of it).
+ */
+function abuseListStatus(entries, nowMs) {
+  let status = null;
+  for (const entry of entries) {
+    if (!entry || !LIST_STATUSES.includes(entry.status)) continue;
+    const expiresAt = entry.expiresAt?.toMillis?.() ?? entry.expiresAt ?? null;
+    if (expiresAt != null && expiresAt <= nowMs) continue;
+    if (entry.status === 'blocked') return 'blocked';
+    if (entry.status === 'flagged') status = 'flagged';
+  }
+  return status;
+}
+
+module.exports = {
+  ABUSE_SIGNALS,
+  DEFAULT_ABUSE_POLICY,
+  AbusePolicyError,
+  normalizeAbusePolicy,
+  observeMember,
+  abuseVerdict,
+  abuseListStatus,
+};
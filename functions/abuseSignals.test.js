@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_ABUSE_POLICY,
+  AbusePolicyError,
+  normalizeAbusePolicy,
+  observeMember,
+  abuseVerdict,
+  abuseListStatus,
+} = require('./abuseSignals');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 15);
+
+test('policy overrides merge per threshold and null disables a level', () => {
+  assert.deepEqual(normalizeAbusePolicy(null), DEFAULT_ABUSE_POLICY);
+  const policy = normalizeAbusePolicy({ windowDays: 7, thresholds: { ipFanout: { block: 50 }, deviceRotation: { block: null } } });
+  assert.equal(policy.windowDays, 7);
+  assert.deepEqual(policy.thresholds.ipFanout, { flag: 10, block: 50 });
+  assert.deepEqual(policy.thresholds.deviceRotation, { flag: 4, block: null });
+
+  const cases = [
+    [{ windowDays: 0 }, 'windowDays'],
+    [{ thresholds: { iCloudFanout: { flag: 2.5 } } }, 'thresholds.iCloudFanout.flag'],
+    [{ thresholds: { deviceRotation: { flag: 5, block: 3 } } }, 'thresholds.deviceRotation.block'],
+  ];
+  for (const [raw, path] of cases) {
+    assert.throws(() => normalizeAbusePolicy(raw), (err) => err instanceof AbusePolicyError && err.path === path);
+  }
+});
+
+test('observeMember counts distinct recent members and skips redundant writes', () => {
+  const first = observeMember({}, 'd1', NOW, 30);
+  assert.deepEqual(first, { members: { d1: NOW }, count: 1, changed: true });
+
+  const again = observeMember(first.members, 'd1', NOW + 60 * 1000, 30);
+  assert.equal(again.changed, false);
+  assert.equal(again.count, 1);
+
+  const stale = observeMember({ old: NOW - 31 * DAY, d1: NOW - DAY }, 'd2', NOW, 30);
+  assert.deepEqual(Object.keys(stale.members).sort(), ['d1', 'd2']);
+  assert.equal(stale.count, 2);
+
+  const many = Object.fromEntries(Array.from({ length: 120 }, (_, i) => [`d${i}`, NOW - i * 1000]));
+  assert.equal(observeMember(many, 'new', NOW, 30).count, 100);
+});
+
+test('verdicts follow the flag and block thresholds', () => {
+  assert.equal(abuseVerdict(DEFAULT_ABUSE_POLICY, 'deviceRotation', 3), null);
+  assert.equal(abuseVerdict(DEFAULT_ABUSE_POLICY, 'deviceRotation', 4), 'flagged');
+  assert.equal(abuseVerdict(DEFAULT_ABUSE_POLICY, 'deviceRotation', 8), 'blocked');
+  assert.equal(abuseVerdict(DEFAULT_ABUSE_POLICY, 'ipFanout', 500), 'flagged');
+});
+
+test('list status: any live block wins, expired entries and allowed subjects do not block', () => {
+  assert.equal(abuseListStatus([null, { status: 'flagged' }], NOW), 'flagged');
+  assert.equal(abuseListStatus([{ status: 'flagged' }, { status: 'blocked', expiresAt: NOW + DAY }], NOW), 'blocked');
+  assert.equal(abuseListStatus([{ status: 'blocked', expiresAt: NOW - 1 }], NOW), null);
+  assert.equal(abuseListStatus([{ status: 'allowed' }, { status: 'bogus' }], NOW), null);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const fetch = require('node-fetch');
+
+const PRODUCTION_BASE_URL = 'https://api.storekit.itunes.apple.com';
+const SANDBOX_BASE_URL = 'https://api.storekit-sandbox.itunes.apple.com';
+
+/** Apple error codes meaning "not in this environment" — the sandbox is tried next. */
+const NOT_FOUND_ERROR_CODES = new Set([
+  4040010, // TransactionIdNotFoundError
+  4040005, // OriginalTransactionIdNotFoundError
+]);
+
+/** Subscription status values returned by Get All Subscription Statuses. */
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 1,
+  EXPIRED: 2,
+  BILLING_RETRY: 3,
+  BILLING_GRACE_PERIOD: 4,
+  REVOKED: 5,
+};
+
+class AppStoreServerApiError extends Error {
+  constructor(status, apiErrorCode, message) {
+    super(`App Store Server API ${status}${apiErrorCode ? ` (${apiErrorCode})` : ''}: ${message}`);
+    this.name = 'AppStoreServerApiError';
+    this.status = status;
+    this.apiErrorCode = apiErrorCode;
+  }
+}
+
+function isNotFoundInEnvironment(err) {
+  return err instanceof AppStoreServerApiError
+    && (err.status === 404 || NOT_FOUND_ERROR_CODES.has(err.apiErrorCode));
+}
+
+/**
+ * App Store Server API client (https://developer.apple.com/documentation/appstoreserverapi).
+ * Every call tries production first and falls back to the sandbox when Apple reports the
+ * transaction id as unknown, so TestFlight / Xcode purchases resolve without extra config.
+ *
+ * @param {{
+ *   getBearerToken: () => string,
+ *   baseUrls?: { production: string, sandbox: string },
+ *   fetchImpl?: Function,
+ * }} options
+ */
+function createAppStoreServerApiClient({ getBearerToken, baseUrls = {}, fetchImpl = fetch }) {
+  const environments = [
+    { name: 'Production', baseUrl: baseUrls.production || PRODUCTION_BASE_URL },
+    { name: 'Sandbox', baseUrl: baseUrls.sandbox || SANDBOX_BASE_URL },
+  ];
+
+  async function requestJson(baseUrl, path, { method = 'GET', body: requestBody = null } = {}) {
+    const headers = { Authorization: `Bearer ${getBearerToken()}` };
+    if (requestBody != null) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: requestBody != null ? JSON.stringify(requestBody) : undefined,
+    });
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (err) {
+      body = null;
+    }
+    if (!response.ok) {
+      throw new AppStoreServerApiError(
+        response.status,
+        body?.errorCode ?? null,
+        body?.errorMessage || response.statusText || 'request failed'
+      );
+    }
+    return body || {};
+  }
+
+  /** Run `path` against production, then sandbox on not-found; the resolved environment is attached. */
+  async function requestWithEnvironmentFallback(pathForEnvironment) {
+    let lastError = null;
+    for (const environment of environments) {
+      try {
+        const body = await requestJson(environment.baseUrl, pathForEnvironment());
+        return { ...body, environment: body.environment || environment.name };
+      } catch (err) {
+        if (!isNotFoundInEnvironment(err)) {
+          throw err;
+        }
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  function encodeId(transactionId) {
+    if (transactionId == null || String(transactionId) === '') {
+      throw new Error('transactionId is required');
+    }
+    return encodeURIComponent(String(transactionId));
+  }
+
+  /** Get All Subscription Statuses — `data[].lastTransactions[]` with signed transaction/renewal info. */
+  async function getAllSubscriptionStatuses(transactionId) {
+    const id = encodeId(transactionId);
+    return requestWithEnvironmentFallback(() => `/inApps/v1/subscriptions/${id}`);
+  }
+
+  /**
+   * Send Consumption Information in reply to a CONSUMPTION_REQUEST notification. Goes only to the
+   * environment the notification came from (no fallback: a wrong environment is a caller bug).
+   */
+  async function sendConsumptionInformation(transactionId, consumptionRequest, environmentName) {
+    const id = encodeId(transactionId);
+    const environment = environments.find((env) => env.name === environmentName) || environments[0];
+    await requestJson(environment.baseUrl, `/inApps/v1/transactions/consumption/${id}`, {
+      method: 'PUT',
+      body: consumptionRequest,
+    });
+  }
+
+  return {
+    getAllSubscriptionStatuses,
+    sendConsumptionInformation,
+  };
+}
+
+module.exports = {
+  PRODUCTION_BASE_URL,
+  SANDBOX_BASE_URL,
+  SUBSCRIPTION_STATUS,
+  AppStoreServerApiError,
+  createAppStoreServerApiClient,
+};
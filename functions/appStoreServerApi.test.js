@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { AppStoreServerApiError, createAppStoreServerApiClient } = require('./appStoreServerApi');
+
+/**
+ * Local stand-in for api.storekit(-sandbox).itunes.apple.com: `routes[env]` maps a request path
+ * (query included) to `{ status, body }`. Every request is recorded for assertions.
+ */
+async function startStubServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const [, env, ...rest] = req.url.split('/');
+    const path = `/${rest.join('/')}`;
+    requests.push({ env, path, method: req.method, authorization: req.headers.authorization });
+    const route = routes[env]?.[path] || {
+      status: 404,
+      body: { errorCode: 4040010, errorMessage: 'Transaction id not found.' },
+    };
+    res.writeHead(route.status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(route.body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    requests,
+    baseUrls: { production: `${base}/production`, sandbox: `${base}/sandbox` },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function clientFor(stub) {
+  return createAppStoreServerApiClient({ getBearerToken: () => 'test-token', baseUrls: stub.baseUrls });
+}
+
+test('getAllSubscriptionStatuses calls production with a bearer token', async (t) => {
+  const stub = await startStubServer({
+    production: {
+      '/inApps/v1/subscriptions/1000': {
+        status: 200,
+        body: { environment: 'Production', data: [{ lastTransactions: [{ status: 1 }] }] },
+      },
+    },
+  });
+  t.after(stub.close);
+
+  const result = await clientFor(stub).getAllSubscriptionStatuses('1000');
+  assert.equal(result.environment, 'Production');
+  assert.equal(result.data[0].lastTransactions[0].status, 1);
+  assert.equal(stub.requests.length, 1);
+  assert.equal(stub.requests[0].authorization, 'Bearer test-token');
+});
+
+test('getAllSubscriptionStatuses falls back to the sandbox when production does not know the id', async (t) => {
+  const stub = await startStubServer({
+    sandbox: {
+      '/inApps/v1/subscriptions/2000': { status: 200, body: { data: [] } },
+    },
+  });
+  t.after(stub.close);
+
+  const result = await clientFor(stub).getAllSubscriptionStatuses('2000');
+  assert.deepEqual(result.data, []);
+  assert.equal(result.environment, 'Sandbox');
+  assert.deepEqual(stub.requests.map((r) => r.env), ['production', 'sandbox']);
+});
+
+test('non-not-found errors are surfaced without trying the sandbox', async (t) => {
+  const stub = await startStubServer({
+    production: {
+      '/inApps/v1/subscriptions/5000': { status: 401, body: {} },
+    },
+  });
+  t.after(stub.close);
+
+  await assert.rejects(
+    clientFor(stub).getAllSubscriptionStatuses('5000'),
+    (err) => err instanceof AppStoreServerApiError && err.status === 401
+  );
+  assert.equal(stub.requests.length, 1);
+});
+
+test('unknown ids in both environments reject with the Apple error code', async (t) => {
+  const stub = await startStubServer({});
+  t.after(stub.close);
+
+  await assert.rejects(
+    clientFor(stub).getAllSubscriptionStatuses('6000'),
+    (err) => err instanceof AppStoreServerApiError && err.apiErrorCode === 4040010
+  );
+});
+
+test('sendConsumptionInformation PUTs to the requested environment only', async (t) => {
+  const stub = await startStubServer({
+    sandbox: {
+      '/inApps/v1/transactions/consumption/7000': { status: 202, body: {} },
+    },
+  });
+  t.after(stub.close);
+
+  await clientFor(stub).sendConsumptionInformation('7000', { customerConsented: true }, 'Sandbox');
+  assert.deepEqual(stub.requests.map((r) => [r.env, r.method]), [['sandbox', 'PUT']]);
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { X509Certificate } = require('crypto');
+const { decodeJwt, decodeProtectedHeader, jwtVerify } = require('jose');
+
+/**
+ * SHA-256 fingerprint of Apple Root CA - G3 (https://www.apple.com/certificateauthority/).
+ * StoreKit / ASSN JWS headers carry `x5c = [leaf, intermediate, root]`; the root must match byte-for-byte.
+ */
+const APPLE_ROOT_CA_G3_SHA256 =
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
+/** Apple Worldwide Developer Relations intermediate marker extension. */
+const OID_APPLE_WWDR_INTERMEDIATE = '1.2.840.113635.100.6.2.1';
+/** Mac App Store / StoreKit receipt signing leaf marker extension. */
+const OID_APPLE_RECEIPT_SIGNING_LEAF = '1.2.840.113635.100.6.11.1';
+
+class AppleCertificateChainError extends Error {
+  /**
+   * @param {string} reason Stable machine-readable rejection reason (e.g. `untrusted_root`).
+   * @param {string} message Human-readable detail for logs.
+   */
+  constructor(reason, message) {
+    super(`${reason}: ${message}`);
+    this.name = 'AppleCertificateChainError';
+    this.reason = reason;
+  }
+}
+
+/** DER encoding (tag + length + body) of a dotted OID, used to find extensions in the raw certificate. */
+function encodeOidDer(oid) {
+  const arcs = oid.split('.').map(Number);
+  const bytes = [arcs[0] * 40 + arcs[1]];
+  for (const arc of arcs.slice(2)) {
+    const chunk = [arc & 0x7f];
+    let rest = Math.floor(arc / 128);
+    while (rest > 0) {
+      chunk.unshift((rest & 0x7f) | 0x80);
+      rest = Math.floor(rest / 128);
+    }
+    bytes.push(...chunk);
+  }
+  return Buffer.from([0x06, bytes.length, ...bytes]);
+}
+
+/** Node's X509Certificate does not expose arbitrary extensions; Apple's marker OIDs only appear as extension ids. */
+function certificateHasExtensionOid(cert, oid) {
+  return cert.raw.includes(encodeOidDer(oid));
+}
+
+function parseCertificate(base64Der, label) {
+  try {
+    return new X509Certificate(Buffer.from(String(base64Der), 'base64'));
+  } catch (err) {
+    throw new AppleCertificateChainError('malformed_certificate', `${label} could not be parsed (${err.message})`);
+  }
+}
+
+function assertValidAt(cert, label, date) {
+  if (date < new Date(cert.validFrom)) {
+    throw new AppleCertificateChainError(
+      'certificate_not_yet_valid',
+      `${label} valid from ${cert.validFrom}, checked at ${date.toISOString()}`
+    );
+  }
+  if (date > new Date(cert.validTo)) {
+    throw new AppleCertificateChainError(
+      'certificate_expired',
+      `${label} expired ${cert.validTo}, checked at ${date.toISOString()}`
+    );
+  }
+}
+
+function assertIssuedBy(cert, label, issuer, issuerLabel) {
+  if (!cert.checkIssued(issuer) || !cert.verify(issuer.publicKey)) {
+    throw new AppleCertificateChainError(
+      `${label}_not_issued_by_${issuerLabel}`,
+      `${label} (${cert.subject.replace(/\n/g, ', ')}) is not signed by the ${issuerLabel}`
+    );
+  }
+}
+
+/**
+ * Verify a JWS `x5c` chain (leaf, intermediate, root) up to a pinned root.
+ * Validity windows are evaluated at `effectiveDate` (the payload `signedDate`) so old-but-genuine
+ * transactions still verify after Apple rotates leaf certificates.
+ *
+ * @param {string[]} x5c Base64 DER certificates from the JWS header.
+ * @param {{ effectiveDate?: Date, trustedRootFingerprints?: string[] }} [options]
+ * @returns {X509Certificate} The verified leaf certificate.
+ */
+function verifyAppleCertificateChain(x5c, options = {}) {
+  const effectiveDate = options.effectiveDate || new Date();
+  const trustedRoots = (options.trustedRootFingerprints || [APPLE_ROOT_CA_G3_SHA256])
+    .map((fp) => String(fp).toUpperCase());
+
+  if (!Array.isArray(x5c) || x5c.length !== 3) {
+    throw new AppleCertificateChainError(
+      'invalid_chain_length',
+      `expected 3 certificates in x5c, got ${Array.isArray(x5c) ? x5c.length : 0}`
+    );
+  }
+
+  const leaf = parseCertificate(x5c[0], 'leaf');
+  const intermediate = parseCertificate(x5c[1], 'intermediate');
+  const root = parseCertificate(x5c[2], 'root');
+
+  if (!trustedRoots.includes(root.fingerprint256.toUpperCase())) {
+    throw new AppleCertificateChainError('untrusted_root', `root fingerprint ${root.fingerprint256} is not pinned`);
+  }
+  assertIssuedBy(root, 'root', root, 'root');
+  assertIssuedBy(intermediate, 'intermediate', root, 'root');
+  assertIssuedBy(leaf, 'leaf', intermediate, 'intermediate');
+
+  if (!intermediate.ca) {
+    throw new AppleCertificateChainError('intermediate_not_ca', 'intermediate lacks basicConstraints cA=true');
+  }
+  if (leaf.ca) {
+    throw new AppleCertificateChainError('leaf_is_ca', 'leaf must not be a CA certificate');
+  }
+  if (!certificateHasExtensionOid(intermediate, OID_APPLE_WWDR_INTERMEDIATE)) {
+    throw new AppleCertificateChainError(
+      'missing_intermediate_oid',
+      `intermediate lacks ${OID_APPLE_WWDR_INTERMEDIATE}`
+    );
+  }
+  if (!certificateHasExtensionOid(leaf, OID_APPLE_RECEIPT_SIGNING_LEAF)) {
+    throw new AppleCertificateChainError('missing_leaf_oid', `leaf lacks ${OID_APPLE_RECEIPT_SIGNING_LEAF}`);
+  }
+
+  assertValidAt(root, 'root', effectiveDate);
+  assertValidAt(intermediate, 'intermediate', effectiveDate);
+  assertValidAt(leaf, 'leaf', effectiveDate);
+
+  return leaf;
+}
+
+/**
+ * Verify a StoreKit / ASSN JWS whose header carries an `x5c` chain and return its payload.
+ * The chain is checked before the signature, against the payload's own `signedDate`.
+ */
+async function verifyJWSWithCertificateChain(jwsToken, options = {}) {
+  let header;
+  let unverifiedPayload;
+  try {
+    header = decodeProtectedHeader(jwsToken);
+    unverifiedPayload = decodeJwt(jwsToken);
+  } catch (err) {
+    throw new AppleCertificateChainError('malformed_jws', err.message);
+  }
+  if (header.alg !== 'ES256') {
+    throw new AppleCertificateChainError('unsupported_algorithm', `expected ES256, got ${header.alg || 'none'}`);
+  }
+
+  const signedDate = unverifiedPayload.signedDate != null ? new Date(Number(unverifiedPayload.signedDate)) : null;
+  const effectiveDate = signedDate && !Number.isNaN(signedDate.getTime())
+    ? signedDate
+    : (options.effectiveDate || new Date());
+
+  const leaf = verifyAppleCertificateChain(header.x5c, { ...options, effectiveDate });
+  try {
+    const { payload } = await jwtVerify(jwsToken, leaf.publicKey, { algorithms: ['ES256'] });
+    return payload;
+  } catch (err) {
+    throw new AppleCertificateChainError('invalid_signature', err.message);
+  }
+}
+
+module.exports = {
+  APPLE_ROOT_CA_G3_SHA256,
+  OID_APPLE_WWDR_INTERMEDIATE,
+  OID_APPLE_RECEIPT_SIGNING_LEAF,
+  AppleCertificateChainError,
+  encodeOidDer,
+  verifyAppleCertificateChain,
+  verifyJWSWithCertificateChain,
+};
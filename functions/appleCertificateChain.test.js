@@ -0,0 +1,206 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { X509Certificate, createPrivateKey } = require('crypto');
+const { SignJWT } = require('jose');
+const rs = require('jsrsasign');
+
+const {
+  OID_APPLE_WWDR_INTERMEDIATE,
+  OID_APPLE_RECEIPT_SIGNING_LEAF,
+  AppleCertificateChainError,
+  encodeOidDer,
+  verifyAppleCertificateChain,
+  verifyJWSWithCertificateChain,
+} = require('./appleCertificateChain');
+
+// Locally generated stand-ins for Apple Root CA G3 → WWDR intermediate → StoreKit signing leaf.
+let serial = 1;
+
+function generateKeyPair() {
+  return rs.KEYUTIL.generateKeypair('EC', 'secp256r1');
+}
+
+function issueCertificate({
+  subject,
+  issuer = subject,
+  subjectKeys,
+  issuerKeys = subjectKeys,
+  isCA = false,
+  markerOid = null,
+  notBefore = '250101000000Z',
+  notAfter = '350101000000Z',
+}) {
+  const ext = [{ extname: 'basicConstraints', critical: true, cA: isCA }];
+  if (markerOid) {
+    ext.push({ extname: markerOid, extn: '0500' });
+  }
+  const cert = new rs.KJUR.asn1.x509.Certificate({
+    version: 3,
+    serial: { int: serial++ },
+    issuer: { str: `/CN=${issuer}` },
+    subject: { str: `/CN=${subject}` },
+    notbefore: notBefore,
+    notafter: notAfter,
+    sbjpubkey: subjectKeys.pubKeyObj,
+    sigalg: 'SHA256withECDSA',
+    cakey: issuerKeys.prvKeyObj,
+    ext,
+  });
+  return rs.hextob64(cert.getEncodedHex());
+}
+
+function buildChain(overrides = {}) {
+  const rootKeys = generateKeyPair();
+  const intermediateKeys = generateKeyPair();
+  const leafKeys = overrides.leafKeys || generateKeyPair();
+  const root = issueCertificate({ subject: 'Fake Root', subjectKeys: rootKeys, isCA: true });
+  const intermediate = issueCertificate({
+    subject: 'Fake WWDR',
+    issuer: 'Fake Root',
+    subjectKeys: intermediateKeys,
+    issuerKeys: rootKeys,
+    isCA: true,
+    markerOid: OID_APPLE_WWDR_INTERMEDIATE,
+    ...overrides.intermediate,
+  });
+  const leaf = issueCertificate({
+    subject: 'Fake StoreKit Signing',
+    issuer: 'Fake WWDR',
+    subjectKeys: leafKeys,
+    issuerKeys: intermediateKeys,
+    markerOid: OID_APPLE_RECEIPT_SIGNING_LEAF,
+    ...overrides.leaf,
+  });
+  const rootFingerprint = new X509Certificate(Buffer.from(root, 'base64')).fingerprint256;
+  return { x5c: [leaf, intermediate, root], rootFingerprint, leafKeys };
+}
+
+function privateKeyObject(keys) {
+  return createPrivateKey(rs.KEYUTIL.getPEM(keys.prvKeyObj, 'PKCS8PRV'));
+}
+
+async function signTransaction(payload, x5c, keys) {
+  return new SignJWT(payload)
+    .setProtectedHeader({ alg: 'ES256', x5c })
+    .sign(privateKeyObject(keys));
+}
+
+function assertRejected(fn, reason) {
+  assert.throws(fn, (err) => err instanceof AppleCertificateChainError && err.reason === reason);
+}
+
+test('encodeOidDer encodes multi-byte arcs', () => {
+  assert.equal(encodeOidDer('1.2.840.113635.100.6.11.1').toString('hex'), '060a2a864886f76364060b01');
+});
+
+test('verifyAppleCertificateChain accepts a chain to a pinned root', () => {
+  const { x5c, rootFingerprint } = buildChain();
+  const leaf = verifyAppleCertificateChain(x5c, { trustedRootFingerprints: [rootFingerprint] });
+  assert.match(leaf.subject, /Fake StoreKit Signing/);
+});
+
+test('verifyAppleCertificateChain rejects roots other than Apple Root CA G3 by default', () => {
+  const { x5c } = buildChain();
+  assertRejected(() => verifyAppleCertificateChain(x5c), 'untrusted_root');
+});
+
+test('verifyAppleCertificateChain rejects a single self-signed certificate', () => {
+  const { x5c } = buildChain();
+  assertRejected(() => verifyAppleCertificateChain([x5c[0]]), 'invalid_chain_length');
+});
+
+test('verifyAppleCertificateChain rejects a leaf not signed by the intermediate', () => {
+  const { x5c, rootFingerprint } = buildChain();
+  const forgerKeys = generateKeyPair();
+  const forgedLeaf = issueCertificate({
+    subject: 'Fake StoreKit Signing',
+    issuer: 'Fake WWDR',
+    subjectKeys: forgerKeys,
+    markerOid: OID_APPLE_RECEIPT_SIGNING_LEAF,
+  });
+  assertRejected(
+    () => verifyAppleCertificateChain([forgedLeaf, x5c[1], x5c[2]], { trustedRootFingerprints: [rootFingerprint] }),
+    'leaf_not_issued_by_intermediate'
+  );
+});
+
+test('verifyAppleCertificateChain requires Apple marker OIDs', () => {
+  const noLeafOid = buildChain({ leaf: { markerOid: null } });
+  assertRejected(
+    () => verifyAppleCertificateChain(noLeafOid.x5c, { trustedRootFingerprints: [noLeafOid.rootFingerprint] }),
+    'missing_leaf_oid'
+  );
+
+  const noIntermediateOid = buildChain({ intermediate: { markerOid: null } });
+  assertRejected(
+    () => verifyAppleCertificateChain(noIntermediateOid.x5c, {
+      trustedRootFingerprints: [noIntermediateOid.rootFingerprint],
+    }),
+    'missing_intermediate_oid'
+  );
+});
+
+test('verifyAppleCertificateChain rejects a non-CA intermediate', () => {
+  const { x5c, rootFingerprint } = buildChain({ intermediate: { isCA: false } });
+  assertRejected(
+    () => verifyAppleCertificateChain(x5c, { trustedRootFingerprints: [rootFingerprint] }),
+    'intermediate_not_ca'
+  );
+});
+
+test('verifyAppleCertificateChain evaluates validity at the effective date', () => {
+  const { x5c, rootFingerprint } = buildChain({
+    leaf: { notBefore: '250101000000Z', notAfter: '250601000000Z' },
+  });
+  const options = { trustedRootFingerprints: [rootFingerprint] };
+  verifyAppleCertificateChain(x5c, { ...options, effectiveDate: new Date('2025-03-01T00:00:00Z') });
+  assertRejected(
+    () => verifyAppleCertificateChain(x5c, { ...options, effectiveDate: new Date('2025-07-01T00:00:00Z') }),
+    'certificate_expired'
+  );
+  assertRejected(
+    () => verifyAppleCertificateChain(x5c, { ...options, effectiveDate: new Date('2024-07-01T00:00:00Z') }),
+    'certificate_not_yet_valid'
+  );
+});
+
+test('verifyJWSWithCertificateChain returns the payload of a genuinely signed transaction', async () => {
+  const { x5c, rootFingerprint, leafKeys } = buildChain();
+  const jws = await signTransaction(
+    { originalTransactionId: '1000', productId: 'com.notae.pro.monthly', signedDate: Date.parse('2026-01-01') },
+    x5c,
+    leafKeys
+  );
+  const payload = await verifyJWSWithCertificateChain(jws, { trustedRootFingerprints: [rootFingerprint] });
+  assert.equal(payload.originalTransactionId, '1000');
+});
+
+test('verifyJWSWithCertificateChain rejects a JWS not signed by the leaf key', async () => {
+  const { x5c, rootFingerprint } = buildChain();
+  const jws = await signTransaction(
+    { originalTransactionId: '1000', signedDate: Date.parse('2026-01-01') },
+    x5c,
+    generateKeyPair()
+  );
+  await assert.rejects(
+    verifyJWSWithCertificateChain(jws, { trustedRootFingerprints: [rootFingerprint] }),
+    (err) => err instanceof AppleCertificateChainError && err.reason === 'invalid_signature'
+  );
+});
+
+test('verifyJWSWithCertificateChain uses signedDate for certificate validity', async () => {
+  const { x5c, rootFingerprint, leafKeys } = buildChain({
+    leaf: { notBefore: '250101000000Z', notAfter: '250601000000Z' },
+  });
+  const options = { trustedRootFingerprints: [rootFingerprint] };
+  const inWindow = await signTransaction({ signedDate: Date.parse('2025-02-01') }, x5c, leafKeys);
+  await verifyJWSWithCertificateChain(inWindow, options);
+
+  const afterExpiry = await signTransaction({ signedDate: Date.parse('2025-08-01') }, x5c, leafKeys);
+  await assert.rejects(
+    verifyJWSWithCertificateChain(afterExpiry, options),
+    (err) => err.reason === 'certificate_expired'
+  );
+});
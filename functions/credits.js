@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Upstream list prices in USD per million tokens, by model id prefix (longest match wins).
+ * Unknown models are priced like the most expensive one so they can never be cheaper than intended.
+ */
+const MODEL_TOKEN_PRICES_USD = {
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+};
+const FALLBACK_TOKEN_PRICES_USD = { input: 3, output: 15 };
+const WHISPER_USD_PER_MINUTE = 0.006;
+/** Whisper bills by audio length; without a reported duration, ~2 MB of AAC per minute. */
+const AUDIO_MB_PER_MINUTE = 2;
+/** Pre-call estimate for a photo scan: one full-size image plus the system prompt, and a typical answer. */
+const VISION_ESTIMATE_TOKENS = { input_tokens: 1800, output_tokens: 1024 };
+
+function tokenPrices(model) {
+  let best = null;
+  for (const prefix of Object.keys(MODEL_TOKEN_PRICES_USD)) {
+    if (String(model || '').startsWith(prefix) && (!best || prefix.length > best.length)) {
+      best = prefix;
+    }
+  }
+  return best ? MODEL_TOKEN_PRICES_USD[best] : FALLBACK_TOKEN_PRICES_USD;
+}
+
+/** Cost of one Messages API call from its `usage` block. */
+function visionCostUsd(model, usage) {
+  const prices = tokenPrices(model);
+  return ((usage?.input_tokens || 0) * prices.input + (usage?.output_tokens || 0) * prices.output) / 1000000;
+}
+
+/** Pre-call estimate for a photo scan on `model` (the first model tried). */
+function estimateVisionCostUsd(model) {
+  return visionCostUsd(model, VISION_ESTIMATE_TOKENS);
+}
+
+function audioMinutesForSize(audioSizeMB) {
+  return Math.max(0, audioSizeMB) / AUDIO_MB_PER_MINUTE;
+}
+
+function whisperCostUsd(minutes) {
+  return Math.max(0, minutes) * WHISPER_USD_PER_MINUTE;
+}
+
+/**
+ * Credits for a call costing `costUsd` under quotaPolicy.credits: rounded up to whole credits,
+ * never below `minimumPerCall` (so even tiny calls count).
+ */
+function creditsForCost(costUsd, creditPolicy) {
+  const raw = Math.max(0, Number(costUsd) || 0) / creditPolicy.usdPerCredit;
+  // Float noise (0.006 / 0.001 = 6.000000000000001) must not round up to an extra credit.
+  const credits = Math.ceil(raw - 1e-9);
+  return Math.max(creditPolicy.minimumPerCall, credits);
+}
+
+module.exports = {
+  visionCostUsd,
+  estimateVisionCostUsd,
+  audioMinutesForSize,
+  whisperCostUsd,
+  creditsForCost,
+};
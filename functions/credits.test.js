@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  visionCostUsd,
+  estimateVisionCostUsd,
+  audioMinutesForSize,
+  whisperCostUsd,
+  creditsForCost,
+} = require('./credits');
+
+const POLICY = { enabled: true, usdPerCredit: 0.001, minimumPerCall: 1 };
+
+test('vision cost follows the model that answered', () => {
+  const usage = { input_tokens: 1000, output_tokens: 1000 };
+  assert.equal(visionCostUsd('claude-sonnet-4-5-20250929', usage), 0.018);
+  assert.equal(visionCostUsd('claude-3-haiku-20240307', usage), 0.0015);
+  assert.equal(visionCostUsd('claude-3-5-haiku-20241022', usage), 0.0048);
+  assert.equal(visionCostUsd('some-future-model', usage), 0.018);
+  assert.ok(estimateVisionCostUsd('claude-sonnet-4-5-20250929') > estimateVisionCostUsd('claude-3-haiku-20240307'));
+});
+
+test('whisper cost scales with audio length', () => {
+  assert.equal(audioMinutesForSize(24), 12);
+  assert.ok(Math.abs(whisperCostUsd(12) - 0.072) < 1e-12);
+  assert.equal(whisperCostUsd(-1), 0);
+});
+
+test('creditsForCost rounds up to whole credits with a per-call minimum', () => {
+  assert.equal(creditsForCost(whisperCostUsd(1), POLICY), 6);
+  assert.equal(creditsForCost(0.0061, POLICY), 7);
+  assert.equal(creditsForCost(0.00001, POLICY), 1);
+  assert.equal(creditsForCost(0, { ...POLICY, minimumPerCall: 2 }), 2);
+  assert.equal(creditsForCost(whisperCostUsd(12), POLICY), 72);
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+const crypto = require('crypto');
+const { encodeOidDer } = require('./appleCertificateChain');
+
+/** App Attest credential certificate extension holding the attestation nonce. */
+const OID_APP_ATTEST_NONCE = '1.2.840.113635.100.8.2';
+/** `aaguid` of App Attest keys by environment (the production value is NUL-padded to 16 bytes). */
+const APP_ATTEST_AAGUIDS = {
+  development: Buffer.from('appattestdevelop'),
+  production: Buffer.concat([Buffer.from('appattest'), Buffer.alloc(7)]),
+};
+
+class DeviceAttestationError extends Error {
+  /**
+   * @param {string} reason Stable machine-readable rejection reason (e.g. `nonce_mismatch`).
+   * @param {string} message Human-readable detail for logs.
+   */
+  constructor(reason, message) {
+    super(`${reason}: ${message}`);
+    this.name = 'DeviceAttestationError';
+    this.reason = reason;
+  }
+}
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach((part) => hash.update(part));
+  return hash.digest();
+}
+
+/**
+ * Minimal CBOR decoder for attestation objects: unsigned/negative integers, byte and text strings,
+ * arrays and maps (definite lengths only).
+ */
+function decodeCbor(buffer) {
+  let offset = 0;
+  const need = (length) => {
+    if (offset + length > buffer.length) {
+      throw new DeviceAttestationError('malformed_attestation', 'truncated CBOR');
+    }
+  };
+  const readLength = (info) => {
+    if (info < 24) return info;
+    const sizes = { 24: 1, 25: 2, 26: 4 };
+    if (!sizes[info]) {
+      throw new DeviceAttestationError('malformed_attestation', `unsupported CBOR length encoding ${info}`);
+    }
+    need(sizes[info]);
+    const value = buffer.readUIntBE(offset, sizes[info]);
+    offset += sizes[info];
+    return value;
+  };
+  const readItem = () => {
+    need(1);
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const length = readLength(initial & 0x1f);
+    switch (major) {
+      case 0: return length;
+      case 1: return -1 - length;
+      case 2:
+      case 3: {
+        need(length);
+        const bytes = buffer.subarray(offset, offset + length);
+        offset += length;
+        return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+      }
+      case 4: return Array.from({ length }, () => readItem());
+      case 5: {
+        const map = {};
+        for (let i = 0; i < length; i += 1) {
+          const key = readItem();
+          map[key] = readItem();
+        }
+        return map;
+      }
+      default:
+        throw new DeviceAttestationError('malformed_attestation', `unsupported CBOR major type ${major}`);
+    }
+  };
+  const value = readItem();
+  if (offset !== buffer.length) {
+    throw new DeviceAttestationError('malformed_attestation', 'trailing bytes after CBOR item');
+  }
+  return value;
+}
+
+/** WebAuthn-style authenticator data of an App Attest attestation. */
+function parseAuthData(authData) {
+  if (!Buffer.isBuffer(authData) || authData.length < 55) {
+    throw new DeviceAttestationError('malformed_attestation', 'authData too short');
+  }
+  const credentialIdLength = authData.readUInt16BE(53);
+  if (authData.length < 55 + credentialIdLength) {
+    throw new DeviceAttestationError('malformed_attestation', 'authData credentialId truncated');
+  }
+  return {
+    rpIdHash: authData.subarray(0, 32),
+    signCount: authData.readUInt32BE(33),
+    aaguid: authData.subarray(37, 53),
+    credentialId: authData.subarray(55, 55 + credentialIdLength),
+  };
+}
+
+function parseCertificate(der, label) {
+  try {
+    return new crypto.X509Certificate(der);
+  } catch (err) {
+    throw new DeviceAttestationError('malformed_certificate', `${label} could not be parsed (${err.message})`);
+  }
+}
+
+/** Uncompressed EC point (0x04 || x || y) of a P-256 certificate key; App Attest key ids hash this. */
+function publicKeyPoint(cert) {
+  const jwk = cert.publicKey.export({ format: 'jwk' });
+  return Buffer.concat([Buffer.from([0x04]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]);
+}
+
+/**
+ * Verify an App Attest attestation locally (no call to Apple), following Apple's server-side steps:
+ * the credential certificate chains to `rootCertificate` (Apple App Attestation Root CA), embeds
+ * SHA-256(authData || SHA-256(challenge)) as its nonce, its key hashes to `keyId`, and `authData` is a
+ * fresh key (counter 0) for `appId` (`<TeamID>.<bundleId>`).
+ *
+ * @param {{ attestationObject: string, keyId: string, challenge: string, appId: string,
+ *   rootCertificate: string, allowDevelopment?: boolean, now?: Date }} input Base64 object, key id and root (DER).
+ * @returns {{ keyId: string, environment: 'production'|'development', publicKeyPem: string }}
+ * @throws {DeviceAttestationError}
+ */
+function verifyAppAttestation({
+  attestationObject,
+  keyId,
+  challenge,
+  appId,
+  rootCertificate,
+  allowDevelopment = false,
+  now = new Date(),
+}) {
+  if (!rootCertificate) {
+    throw new DeviceAttestationError('root_not_configured', 'no App Attest root certificate configured');
+  }
+  const attestation = decodeCbor(Buffer.from(String(attestationObject || ''), 'base64'));
+  if (attestation?.fmt !== 'apple-appattest') {
+    throw new DeviceAttestationError('unsupported_format', `expected apple-appattest, got ${attestation?.fmt}`);
+  }
+  const x5c = attestation.attStmt?.x5c;
+  if (!Array.isArray(x5c) || x5c.length !== 2 || !Buffer.isBuffer(attestation.authData)) {
+    throw new DeviceAttestationError('malformed_attestation', 'attStmt.x5c must hold credential and intermediate');
+  }
+
+  const credential = parseCertificate(x5c[0], 'credential certificate');
+  const intermediate = parseCertificate(x5c[1], 'intermediate');
+  const root = parseCertificate(Buffer.from(String(rootCertificate), 'base64'), 'root');
+  if (!intermediate.checkIssued(root) || !intermediate.verify(root.publicKey) || !intermediate.ca) {
+    throw new DeviceAttestationError('untrusted_chain', 'intermediate is not a CA issued by the App Attest root');
+  }
+  if (!credential.checkIssued(intermediate) || !credential.verify(intermediate.publicKey)) {
+    throw new DeviceAttestationError('untrusted_chain', 'credential certificate is not issued by the intermediate');
+  }
+  for (const [cert, label] of [[credential, 'credential certificate'], [intermediate, 'intermediate']]) {
+    if (now < new Date(cert.validFrom) || now > new Date(cert.validTo)) {
+      throw new DeviceAttestationError('certificate_expired', `${label} not valid at ${now.toISOString()}`);
+    }
+  }
+
+  const nonce = sha256(attestation.authData, sha256(String(challenge)));
+  const oidAt = credential.raw.indexOf(encodeOidDer(OID_APP_ATTEST_NONCE));
+  const nonceAt = credential.raw.indexOf(Buffer.concat([Buffer.from([0x04, 0x20]), nonce]));
+  if (oidAt < 0 || nonceAt < oidAt) {
+    throw new DeviceAttestationError('nonce_mismatch', 'credential certificate nonce does not match the challenge');
+  }
+
+  const keyIdBytes = Buffer.from(String(keyId || ''), 'base64');
+  if (keyIdBytes.length !== 32 || !sha256(publicKeyPoint(credential)).equals(keyIdBytes)) {
+    throw new DeviceAttestationError('key_id_mismatch', 'keyId is not the hash of the attested public key');
+  }
+
+  const authData = parseAuthData(attestation.authData);
+  if (!authData.rpIdHash.equals(sha256(String(appId)))) {
+    throw new DeviceAttestationError('app_id_mismatch', `attestation is not for ${appId}`);
+  }
+  if (authData.signCount !== 0) {
+    throw new DeviceAttestationError('not_fresh', 'attestation counter must be 0');
+  }
+  const environment = Object.keys(APP_ATTEST_AAGUIDS)
+    .find((name) => APP_ATTEST_AAGUIDS[name].equals(authData.aaguid));
+  if (!environment || (environment === 'development' && !allowDevelopment)) {
+    throw new DeviceAttestationError('environment_not_allowed', `aaguid ${authData.aaguid.toString('hex')}`);
+  }
+  if (!authData.credentialId.equals(keyIdBytes)) {
+    throw new DeviceAttestationError('key_id_mismatch', 'authData credentialId differs from keyId');
+  }
+
+  return {
+    keyId: keyIdBytes.toString('base64'),
+    environment,
+    publicKeyPem: credential.publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+}
+
+/** Short id of an App Attest key, as carried in device tokens (`k`). */
+function deviceKeyHash(keyId) {
+  return sha256(String(keyId)).toString('hex').substring(0, 16);
+}
+
+/**
+ * Server-issued proof that `deviceHash` (hashed deviceID) was attested with `keyId`:
+ * `<payload>.<HMAC-SHA256>`, both base64url, valid `ttlDays`.
+ */
+function issueDeviceToken({ deviceHash, keyId }, secret, { now = new Date(), ttlDays = 30 } = {}) {
+  const exp = now.getTime() + ttlDays * 24 * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({
+    d: deviceHash,
+    k: deviceKeyHash(keyId),
+    exp,
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return { token: `${payload}.${signature}`, expiresAt: new Date(exp) };
+}
+
+/**
+ * Device hash and key (see deviceKeyHash) a token vouches for, or null when it is malformed, forged or
+ * expired. Callers still check the key against the device's attested keys.
+ * @returns {{ deviceHash: string, keyHash: string }|null}
+ */
+function verifyDeviceToken(token, secret, now = new Date()) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined || !secret) return null;
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.d !== 'string' || typeof claims.k !== 'string' || !(claims.exp > now.getTime())) {
+      return null;
+    }
+    return { deviceHash: claims.d, keyHash: claims.k };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  OID_APP_ATTEST_NONCE,
+  DeviceAttestationError,
+  decodeCbor,
+  verifyAppAttestation,
+  deviceKeyHash,
+  issueDeviceToken,
+  verifyDeviceToken,
+};
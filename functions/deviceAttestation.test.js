@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const rs = require('jsrsasign');
+
+const {
+  OID_APP_ATTEST_NONCE,
+  DeviceAttestationError,
+  decodeCbor,
+  verifyAppAttestation,
+  deviceKeyHash,
+  issueDeviceToken,
+  verifyDeviceToken,
+} = require('./deviceAttestation');
+
+// Locally generated stand-ins for Apple App Attestation Root CA → intermediate → credential certificate.
+const APP_ID = 'TEAMID1234.com.example.app';
+const CHALLENGE = 'server-challenge-123';
+const SECRET = 'test-device-token-secret';
+let serial = 1;
+
+const sha256 = (...parts) => parts.reduce((hash, part) => hash.update(part), crypto.createHash('sha256')).digest();
+
+function cborHead(major, length) {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+function encodeCbor(value) {
+  if (Buffer.isBuffer(value)) return Buffer.concat([cborHead(2, value.length), value]);
+  if (typeof value === 'string') return Buffer.concat([cborHead(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (Array.isArray(value)) return Buffer.concat([cborHead(4, value.length), ...value.map(encodeCbor)]);
+  const entries = Object.entries(value);
+  return Buffer.concat([cborHead(5, entries.length), ...entries.flatMap(([k, v]) => [encodeCbor(k), encodeCbor(v)])]);
+}
+
+function issueCertificate({ subject, issuer = subject, subjectKeys, issuerKeys = subjectKeys, isCA = false, ext = [] }) {
+  const cert = new rs.KJUR.asn1.x509.Certificate({
+    version: 3,
+    serial: { int: serial++ },
+    issuer: { str: `/CN=${issuer}` },
+    subject: { str: `/CN=${subject}` },
+    notbefore: '250101000000Z',
+    notafter: '350101000000Z',
+    sbjpubkey: subjectKeys.pubKeyObj,
+    sigalg: 'SHA256withECDSA',
+    cakey: issuerKeys.prvKeyObj,
+    ext: [{ extname: 'basicConstraints', critical: true, cA: isCA }, ...ext],
+  });
+  return Buffer.from(cert.getEncodedHex(), 'hex');
+}
+
+function authDataFor({ appId = APP_ID, keyId, signCount = 0, aaguid = 'appattestdevelop' }) {
+  const header = Buffer.alloc(55);
+  sha256(appId).copy(header, 0);
+  header[32] = 0x40;
+  header.writeUInt32BE(signCount, 33);
+  Buffer.from(aaguid.padEnd(16, '\0')).copy(header, 37);
+  header.writeUInt16BE(keyId.length, 53);
+  return Buffer.concat([header, keyId]);
+}
+
+function buildAttestation(overrides = {}) {
+  const rootKeys = rs.KEYUTIL.generateKeypair('EC', 'secp256r1');
+  const intermediateKeys = rs.KEYUTIL.generateKeypair('EC', 'secp256r1');
+  const credentialKeys = rs.KEYUTIL.generateKeypair('EC', 'secp256r1');
+  const keyId = sha256(Buffer.from(credentialKeys.pubKeyObj.pubKeyHex, 'hex'));
+  const authData = authDataFor({ keyId, ...overrides.authData });
+  const nonce = sha256(authData, sha256(overrides.challenge || CHALLENGE));
+
+  const root = issueCertificate({ subject: 'Fake App Attest Root', subjectKeys: rootKeys, isCA: true });
+  const intermediate = issueCertificate({
+    subject: 'Fake App Attest CA',
+    issuer: 'Fake App Attest Root',
+    subjectKeys: intermediateKeys,
+    issuerKeys: rootKeys,
+    isCA: true,
+  });
+  const credential = issueCertificate({
+    subject: 'Fake Credential',
+    issuer: 'Fake App Attest CA',
+    subjectKeys: credentialKeys,
+    issuerKeys: overrides.forgeCredential ? credentialKeys : intermediateKeys,
+    ext: [{ extname: OID_APP_ATTEST_NONCE, extn: `3024a1220420${nonce.toString('hex')}` }],
+  });
+  const attestationObject = encodeCbor({
+    fmt: 'apple-appattest',
+    attStmt: { x5c: [credential, intermediate], receipt: Buffer.from('receipt') },
+    authData,
+  }).toString('base64');
+  return {
+    attestationObject,
+    keyId: keyId.toString('base64'),
+    challenge: CHALLENGE,
+    appId: APP_ID,
+    rootCertificate: root.toString('base64'),
+    allowDevelopment: true,
+  };
+}
+
+function assertRejected(input, reason) {
+  assert.throws(() => verifyAppAttestation(input), (err) => err instanceof DeviceAttestationError && err.reason === reason);
+}
+
+test('decodeCbor reads maps, arrays, byte and text strings', () => {
+  const bytes = Buffer.alloc(300, 7);
+  assert.deepEqual(decodeCbor(Buffer.from('a2616101616280', 'hex')), { a: 1, b: [] });
+  assert.deepEqual(decodeCbor(encodeCbor({ x: [bytes, 'text'] })), { x: [bytes, 'text'] });
+  assert.throws(() => decodeCbor(Buffer.from('a16161', 'hex')), DeviceAttestationError);
+});
+
+test('verifyAppAttestation accepts a genuine attestation for this app', () => {
+  const input = buildAttestation();
+  const result = verifyAppAttestation(input);
+  assert.equal(result.keyId, input.keyId);
+  assert.equal(result.environment, 'development');
+  assert.match(result.publicKeyPem, /BEGIN PUBLIC KEY/);
+});
+
+test('verifyAppAttestation rejects replays, other apps, forged chains and development keys in production', () => {
+  assertRejected({ ...buildAttestation(), challenge: 'another-challenge' }, 'nonce_mismatch');
+  assertRejected(buildAttestation({ authData: { appId: 'OTHER.com.example.app' } }), 'app_id_mismatch');
+  assertRejected(buildAttestation({ authData: { signCount: 3 } }), 'not_fresh');
+  assertRejected(buildAttestation({ forgeCredential: true }), 'untrusted_chain');
+  assertRejected({ ...buildAttestation(), allowDevelopment: false }, 'environment_not_allowed');
+  assertRejected({ ...buildAttestation(), keyId: buildAttestation().keyId }, 'key_id_mismatch');
+  assertRejected({ ...buildAttestation(), rootCertificate: buildAttestation().rootCertificate }, 'untrusted_chain');
+  assertRejected({ ...buildAttestation(), rootCertificate: '' }, 'root_not_configured');
+  assert.equal(verifyAppAttestation(buildAttestation({ authData: { aaguid: 'appattest' } })).environment, 'production');
+});
+
+test('device tokens vouch for one device hash and key until they expire', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const { token, expiresAt } = issueDeviceToken({ deviceHash: 'abc', keyId: 'key' }, SECRET, { now, ttlDays: 30 });
+  assert.deepEqual(verifyDeviceToken(token, SECRET, now), { deviceHash: 'abc', keyHash: deviceKeyHash('key') });
+  assert.notEqual(deviceKeyHash('key'), deviceKeyHash('other-key'));
+  assert.equal(expiresAt.toISOString(), '2026-03-31T00:00:00.000Z');
+  assert.equal(verifyDeviceToken(token, SECRET, new Date('2026-04-01T00:00:00Z')), null);
+  assert.equal(verifyDeviceToken(token, 'other-secret', now), null);
+  const [payload, signature] = token.split('.');
+  const tampered = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), d: 'xyz' })).toString('base64url');
+  assert.equal(verifyDeviceToken(`${tampered}.${signature}`, SECRET, now), null);
+  assert.equal(verifyDeviceToken('garbage', SECRET, now), null);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const GRANT_TIERS = ['plus', 'pro'];
+const TIER_ORDER = { free: 0, plus: 1, pro: 2 };
+/** Longest grant an admin can issue in one go; longer access needs a renewal on record. */
+const MAX_GRANT_DAYS = 366;
+
+class EntitlementGrantError extends Error {
+  constructor(field, message) {
+    super(`${field}: ${message}`);
+    this.name = 'EntitlementGrantError';
+    this.field = field;
+  }
+}
+
+/** Firestore Timestamp, Date, ISO string or epoch millis → Date (null when absent or invalid). */
+function toDate(value) {
+  if (value == null) return null;
+  const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate an admin's grant request. `endsAt` (or `durationDays`) is required: open-ended grants
+ * would outlive the support case or press cycle they were issued for.
+ *
+ * @throws {EntitlementGrantError}
+ * @returns {{ userId: string, tier: string, startsAt: Date, endsAt: Date, reason: string }}
+ */
+function normalizeGrantRequest(raw, now = new Date()) {
+  if (raw == null || typeof raw !== 'object') {
+    throw new EntitlementGrantError('request', 'must be an object');
+  }
+  if (typeof raw.userId !== 'string' || raw.userId.trim() === '') {
+    throw new EntitlementGrantError('userId', 'is required');
+  }
+  if (!GRANT_TIERS.includes(raw.tier)) {
+    throw new EntitlementGrantError('tier', `must be one of ${GRANT_TIERS.join(', ')}`);
+  }
+  const reason = typeof raw.reason === 'string' ? raw.reason.trim() : '';
+  if (reason === '') {
+    throw new EntitlementGrantError('reason', 'is required');
+  }
+
+  const startsAt = raw.startsAt == null ? now : toDate(raw.startsAt);
+  if (!startsAt) {
+    throw new EntitlementGrantError('startsAt', 'is not a valid date');
+  }
+  let endsAt;
+  if (raw.endsAt != null) {
+    endsAt = toDate(raw.endsAt);
+    if (!endsAt) {
+      throw new EntitlementGrantError('endsAt', 'is not a valid date');
+    }
+  } else if (raw.durationDays != null) {
+    const days = Number(raw.durationDays);
+    if (!Number.isInteger(days) || days <= 0) {
+      throw new EntitlementGrantError('durationDays', 'must be a positive integer');
+    }
+    endsAt = new Date(startsAt.getTime() + days * 24 * 60 * 60 * 1000);
+  } else {
+    throw new EntitlementGrantError('endsAt', 'is required (or durationDays)');
+  }
+  if (endsAt <= startsAt || endsAt <= now) {
+    throw new EntitlementGrantError('endsAt', 'must be in the future and after startsAt');
+  }
+  if (endsAt.getTime() - startsAt.getTime() > MAX_GRANT_DAYS * 24 * 60 * 60 * 1000) {
+    throw new EntitlementGrantError('endsAt', `must be within ${MAX_GRANT_DAYS} days of startsAt`);
+  }
+
+  return { userId: raw.userId.trim(), tier: raw.tier, startsAt, endsAt, reason: reason.substring(0, 500) };
+}
+
+function isGrantActive(grant, now) {
+  const startsAt = toDate(grant.startsAt);
+  const endsAt = toDate(grant.endsAt);
+  if (grant.revokedAt != null) return false;
+  if (startsAt && now < startsAt) return false;
+  return Boolean(endsAt) && now < endsAt;
+}
+
+/** Highest-tier grant in effect at `now` (latest end wins a tie), or null. */
+function activeEntitlementGrant(grants, now = new Date()) {
+  let best = null;
+  for (const grant of grants || []) {
+    if (!GRANT_TIERS.includes(grant?.tier) || !isGrantActive(grant, now)) continue;
+    const better = !best
+      || TIER_ORDER[grant.tier] > TIER_ORDER[best.tier]
+      || (grant.tier === best.tier && toDate(grant.endsAt) > toDate(best.endsAt));
+    if (better) best = grant;
+  }
+  return best;
+}
+
+/** Grants still worth keeping on the user doc: not revoked and not yet ended. */
+function pendingOrActiveGrants(grants, now = new Date()) {
+  return (grants || []).filter((grant) => grant.revokedAt == null && toDate(grant.endsAt) > now);
+}
+
+/** The better of the StoreKit tier and any grant in effect. */
+function effectiveTierWithGrants(subscriptionTier, grants, now = new Date()) {
+  const tier = subscriptionTier || 'free';
+  const grant = activeEntitlementGrant(grants, now);
+  if (!grant) return tier;
+  return (TIER_ORDER[grant.tier] ?? 0) > (TIER_ORDER[tier] ?? 0) ? grant.tier : tier;
+}
+
+module.exports = {
+  EntitlementGrantError,
+  normalizeGrantRequest,
+  activeEntitlementGrant,
+  pendingOrActiveGrants,
+  effectiveTierWithGrants,
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  EntitlementGrantError,
+  normalizeGrantRequest,
+  activeEntitlementGrant,
+  pendingOrActiveGrants,
+  effectiveTierWithGrants,
+} = require('./entitlementGrants');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+test('normalizeGrantRequest accepts an end date or a duration', () => {
+  assert.deepEqual(
+    normalizeGrantRequest({ userId: 'u1', tier: 'pro', reason: ' press review ', durationDays: 30 }, NOW),
+    {
+      userId: 'u1',
+      tier: 'pro',
+      startsAt: NOW,
+      endsAt: new Date('2026-07-01T12:00:00Z'),
+      reason: 'press review',
+    }
+  );
+  const fixed = normalizeGrantRequest({
+    userId: 'u1', tier: 'plus', reason: 'support', startsAt: '2026-06-10T00:00:00Z', endsAt: '2026-06-20T00:00:00Z',
+  }, NOW);
+  assert.equal(fixed.startsAt.toISOString(), '2026-06-10T00:00:00.000Z');
+});
+
+test('normalizeGrantRequest rejects grants that are open-ended, past or not paid tiers', () => {
+  const base = { userId: 'u1', tier: 'pro', reason: 'tester' };
+  const cases = [
+    [{ ...base, tier: 'free', durationDays: 7 }, 'tier'],
+    [{ ...base, reason: '', durationDays: 7 }, 'reason'],
+    [{ ...base }, 'endsAt'],
+    [{ ...base, endsAt: '2026-05-01T00:00:00Z' }, 'endsAt'],
+    [{ ...base, durationDays: 0 }, 'durationDays'],
+    [{ ...base, durationDays: 400 }, 'endsAt'],
+    [{ ...base, userId: '', durationDays: 7 }, 'userId'],
+  ];
+  for (const [raw, field] of cases) {
+    assert.throws(() => normalizeGrantRequest(raw, NOW), (err) => err instanceof EntitlementGrantError && err.field === field);
+  }
+});
+
+test('activeEntitlementGrant picks the best grant in its window and ignores revoked ones', () => {
+  const grants = [
+    { grantId: 'a', tier: 'plus', startsAt: '2026-05-01T00:00:00Z', endsAt: '2026-07-01T00:00:00Z' },
+    { grantId: 'b', tier: 'pro', startsAt: '2026-05-01T00:00:00Z', endsAt: '2026-06-15T00:00:00Z', revokedAt: '2026-05-20' },
+    { grantId: 'c', tier: 'pro', startsAt: '2026-06-05T00:00:00Z', endsAt: '2026-06-30T00:00:00Z' },
+  ];
+  assert.equal(activeEntitlementGrant(grants, NOW).grantId, 'a');
+  assert.equal(activeEntitlementGrant(grants, new Date('2026-06-10T00:00:00Z')).grantId, 'c');
+  assert.equal(activeEntitlementGrant(grants, new Date('2026-07-02T00:00:00Z')), null);
+  assert.deepEqual(pendingOrActiveGrants(grants, NOW).map((grant) => grant.grantId), ['a', 'c']);
+});
+
+test('effectiveTierWithGrants never lowers the purchased tier', () => {
+  const grants = [{ tier: 'plus', startsAt: '2026-05-01T00:00:00Z', endsAt: '2026-07-01T00:00:00Z' }];
+  assert.equal(effectiveTierWithGrants('free', grants, NOW), 'plus');
+  assert.equal(effectiveTierWithGrants('pro', grants, NOW), 'pro');
+  assert.equal(effectiveTierWithGrants(undefined, [], NOW), 'free');
+  assert.equal(effectiveTierWithGrants('free', grants, new Date('2026-08-01T00:00:00Z')), 'free');
+});
@@ -4,6 +4,10 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const crypto = require('crypto');
 
+const { effectiveTierWithGrants, pendingOrActiveGrants } = require('./entitlementGrants');
+const { METER_NAMES, meterFields } = require('./meters');
+const { DEFAULT_PRODUCT_CATALOG, subscriptionProductForId } = require('./productCatalog');
+
 // Pure helpers mirrored from index.js for unit tests (keep in sync manually).
 const SUBSCRIPTION_TIER_ORDER = { free: 0, plus: 1, pro: 2 };
 
@@ -27,11 +31,19 @@ function sumUsageFieldAcrossDocs(docs, field) {
   return total;
 }
 
-function resolveEffectiveTierFromDocs(docs, fallbackTier = 'free') {
-  let best = fallbackTier || 'free';
+function resolveEffectiveSubscriptionFromDocs(docs, fallbackTier = 'free', fallbackProductId = null, fallbackInTrial = false) {
+  let best = { tier: fallbackTier || 'free', productId: fallbackProductId, inTrial: fallbackInTrial };
   docs.forEach((doc) => {
-    const t = doc.data().subscriptionTier || 'free';
-    best = highestSubscriptionTier(best, t);
+    const data = doc.data();
+    const t = effectiveTierForUserDoc(data);
+    if (highestSubscriptionTier(best.tier, t) !== best.tier) {
+      const purchased = t === (data.subscriptionTier || 'free');
+      best = {
+        tier: t,
+        productId: purchased ? (data.subscriptionProductId ?? null) : null,
+        inTrial: purchased && isUserDocInTrial(data),
+      };
+    }
   });
   return best;
 }
@@ -39,7 +51,7 @@ function resolveEffectiveTierFromDocs(docs, fallbackTier = 'free') {
 function evaluateAggregatedUsageLimitSync({ docs, usageField, userData, limitForTier }) {
   const currentTier = userData.subscriptionTier || 'free';
   const effectiveTier = docs.length > 0
-    ? resolveEffectiveTierFromDocs(docs, currentTier)
+    ? resolveEffectiveSubscriptionFromDocs(docs, currentTier).tier
     : currentTier;
 
   if (effectiveTier === 'free') {
@@ -97,6 +109,8 @@ function migrationUsageKeysForDonorTier(donorTier) {
     'subscriptionProductId',
     'lifetimeAPIRequests',
     'monthlyTokens',
+    'voiceActionsTopUpBalance',
+    'photoScansTopUpBalance',
   ];
   if (donorTier !== 'free') {
     baseKeys.push('voiceActionsUsed', 'photoScansUsed');
@@ -126,6 +140,211 @@ function isSafeToDeleteSupersededUser(data, cutoffDate) {
   return supersededAt < cutoffDate;
 }
 
+function getUserLastActivity(data) {
+  const lastRequestAt = parseStoreKitDate(data.lastRequestAt);
+  if (lastRequestAt) return lastRequestAt;
+  const createdAt = parseStoreKitDate(data.createdAt);
+  return createdAt || null;
+}
+
+function isSafeToDeleteFreeUser(data, cutoffDate) {
+  if (isUserDocSuperseded(data)) {
+    return false;
+  }
+  const tier = String(data.subscriptionTier || 'free');
+  if (tier !== 'free') return false;
+  if (data.subscriptionProductId || data.subscriptionExpiresAt || data.subscriptionVerifiedAt) {
+    return false;
+  }
+  if (pendingOrActiveGrants(data.entitlementGrants).length > 0) {
+    return false;
+  }
+  if (data.pendingUpgradeProductId || data.pendingUpgradeAt) {
+    return false;
+  }
+  // Purchased top-ups never expire; deleting the doc would destroy a paid balance.
+  if (METER_NAMES.some((meter) => (data[meterFields(meter).topUpBalance] || 0) > 0)) {
+    return false;
+  }
+  const lastActivity = getUserLastActivity(data);
+  if (!lastActivity) return false;
+  return lastActivity < cutoffDate;
+}
+
+function usageDayKeyField(usageField) {
+  return usageField.replace(/Used$/, 'DayKey');
+}
+
+function topUpBalanceField(usageField) {
+  return `${usageField.replace(/Used$/, '')}TopUpBalance`;
+}
+
+function withTopUpFallback(check, userData, usageField) {
+  const topUpBalance = Math.max(0, userData[topUpBalanceField(usageField)] || 0);
+  const useTopUp = !check.canProceed && topUpBalance > 0;
+  return {
+    ...check,
+    canProceed: check.canProceed || useTopUp,
+    source: useTopUp ? 'topup' : 'allowance',
+    topUpBalance,
+  };
+}
+
+const FAMILY_SHARING_MAX_MEMBER_ACCOUNTS = 10;
+
+function classifyTransactionOwnership({
+  callerUid,
+  peerUids,
+  mappedUid,
+  mappedUidSupersededBy,
+  knownTokens,
+  appAccountToken,
+  familyShared = false,
+  familyMemberUids = [],
+}) {
+  const token = appAccountToken ? String(appAccountToken).toLowerCase() : null;
+  if (familyShared) {
+    // Members never purchase, so the transaction carries no token of theirs (at most the purchaser's).
+    const alreadyMember = familyMemberUids.some((uid) => peerUids.has(uid));
+    if (!alreadyMember && familyMemberUids.length >= FAMILY_SHARING_MAX_MEMBER_ACCOUNTS) {
+      return { conflict: true, reason: 'family_member_limit', mappedUid: mappedUid || null };
+    }
+    return { conflict: false, mappedUid: mappedUid || null };
+  }
+  const mappedToOther = mappedUid
+    && !peerUids.has(mappedUid)
+    && mappedUidSupersededBy !== callerUid;
+  if (mappedToOther) {
+    return { conflict: true, reason: 'mapped_to_other_account', mappedUid };
+  }
+  if (token && !knownTokens.has(token)) {
+    return { conflict: true, reason: 'app_account_token_mismatch', mappedUid: mappedUid || null };
+  }
+  return { conflict: false, mappedUid: mappedUid || null };
+}
+
+function isFamilySharedTransaction(transactionPayload) {
+  return transactionPayload.inAppOwnershipType === 'FAMILY_SHARED';
+}
+
+function notificationTargetUids(mapping, txPayload) {
+  if (!isFamilySharedTransaction(txPayload)) {
+    return mapping.firebaseUid ? [mapping.firebaseUid] : [];
+  }
+  return Object.keys(mapping.familyMembers || {});
+}
+
+function parseStoreKitDate(value) {
+  if (value == null) return null;
+  if (typeof value?.toDate === 'function') {
+    return value.toDate();
+  }
+  if (typeof value === 'number') return new Date(value);
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function effectiveTierForUserDoc(userData, now = new Date()) {
+  return effectiveTierWithGrants(subscriptionTierForUserDoc(userData, now), userData.entitlementGrants, now);
+}
+
+function subscriptionTierForUserDoc(userData, now = new Date()) {
+  const scheduledAt = parseStoreKitDate(userData.subscriptionScheduledTierAt);
+  if (userData.subscriptionScheduledTier != null && scheduledAt && scheduledAt <= now) {
+    return String(userData.subscriptionScheduledTier);
+  }
+  return userData.subscriptionTier || 'free';
+}
+
+function isProFromTransactionPayload(payload, gracePeriodExpiresDate = null) {
+  if (payload.revocationDate != null) return false;
+  const now = new Date();
+  const grace = parseStoreKitDate(gracePeriodExpiresDate);
+  if (grace && grace > now) return true;
+  const exp = parseStoreKitDate(payload.expiresDate);
+  if (!exp) return false;
+  return exp > now;
+}
+
+const STOREKIT_OFFER_TYPES = { 1: 'introductory', 2: 'promotional', 3: 'offer_code', 4: 'win_back' };
+
+function subscriptionOfferFromPayload(payload) {
+  const offerType = STOREKIT_OFFER_TYPES[Number(payload.offerType)] || null;
+  const offerDiscountType = offerType ? (payload.offerDiscountType || null) : null;
+  const isTrial = offerDiscountType === 'FREE_TRIAL'
+    || (offerType === 'introductory' && offerDiscountType == null && payload.price != null && Number(payload.price) === 0);
+  return {
+    offerType,
+    offerIdentifier: offerType ? (payload.offerIdentifier || null) : null,
+    offerDiscountType,
+    isTrial,
+  };
+}
+
+function isUserDocInTrial(userData, now = new Date()) {
+  if (userData.subscriptionInTrial !== true) return false;
+  const endsAt = parseStoreKitDate(userData.subscriptionTrialEndsAt);
+  return !endsAt || endsAt > now;
+}
+
+function trialTransitionEvent(wasInTrial, fields) {
+  if (!wasInTrial && fields.subscriptionInTrial) return 'trial_started';
+  if (wasInTrial && !fields.subscriptionInTrial) {
+    return fields.subscriptionTier !== 'free' ? 'trial_converted' : 'trial_ended';
+  }
+  return null;
+}
+
+function scheduledTierChangeFromRenewal(tier, renewalInfo, catalog) {
+  if (!renewalInfo || tier === 'free') return null;
+  if (renewalInfo.autoRenewStatus === 0) {
+    return { tier: 'free', productId: null };
+  }
+  const renewProduct = subscriptionProductForId(catalog, renewalInfo.autoRenewProductId);
+  if (renewProduct && (SUBSCRIPTION_TIER_ORDER[renewProduct.tier] ?? 0) < (SUBSCRIPTION_TIER_ORDER[tier] ?? 0)) {
+    return { tier: renewProduct.tier, productId: String(renewalInfo.autoRenewProductId) };
+  }
+  return null;
+}
+
+function downgradeDeferredUntil(currentData, fields, transactionPayload, now = new Date()) {
+  if (transactionPayload.revocationDate != null) return null;
+  const currentTier = currentData.subscriptionTier || 'free';
+  if ((SUBSCRIPTION_TIER_ORDER[fields.subscriptionTier] ?? 0) >= (SUBSCRIPTION_TIER_ORDER[currentTier] ?? 0)) {
+    return null;
+  }
+  const paidThrough = parseStoreKitDate(currentData.subscriptionExpiresAt);
+  return paidThrough && paidThrough > now ? paidThrough : null;
+}
+
+function consumptionStatusForUsage(userData) {
+  const used = (userData.voiceActionsUsed || 0) + (userData.photoScansUsed || 0);
+  const limit = (userData.voiceActionsLimit || 0) + (userData.photoScansLimit || 0);
+  if (used <= 0) return 1;
+  if (limit > 0 && used >= limit) return 3;
+  return 2;
+}
+
+function isStaleSubscriptionPayload(transactionPayload, currentData) {
+  if (transactionPayload.signedDate == null || currentData.subscriptionLastSignedDate == null) return false;
+  const incoming = Number(transactionPayload.signedDate);
+  const lastApplied = Number(currentData.subscriptionLastSignedDate);
+  if (!Number.isFinite(incoming) || !Number.isFinite(lastApplied)) return false;
+  return incoming < lastApplied;
+}
+
+function classifyNotificationClaim(existing, nowMs) {
+  const status = existing.status || 'done';
+  if (status === 'done') {
+    return 'duplicate';
+  }
+  const leaseExpiresAt = parseStoreKitDate(existing.leaseExpiresAt);
+  if (status === 'processing' && leaseExpiresAt && leaseExpiresAt.getTime() > nowMs) {
+    return 'in_progress';
+  }
+  return 'reclaim';
+}
+
 const voiceLimitForTier = (tier) => (tier === 'pro' ? 150 : tier === 'plus' ? 50 : 10);
 
 test('highestSubscriptionTier prefers pro over plus over free', () => {
@@ -143,13 +362,50 @@ test('sumUsageFieldAcrossDocs totals voiceActionsUsed', () => {
   assert.equal(sumUsageFieldAcrossDocs(docs, 'voiceActionsUsed'), 10);
 });
 
-test('resolveEffectiveTierFromDocs picks highest tier among peers', () => {
+test('resolveEffectiveSubscriptionFromDocs picks highest tier among peers', () => {
   const docs = [
     { data: () => ({ subscriptionTier: 'free' }) },
-    { data: () => ({ subscriptionTier: 'pro' }) },
-    { data: () => ({ subscriptionTier: 'plus' }) },
+    { data: () => ({ subscriptionTier: 'pro', subscriptionProductId: 'com.notae.pro.annual' }) },
+    { data: () => ({ subscriptionTier: 'plus', subscriptionProductId: 'com.notae.plus.annual' }) },
   ];
-  assert.equal(resolveEffectiveTierFromDocs(docs, 'free'), 'pro');
+  assert.deepEqual(resolveEffectiveSubscriptionFromDocs(docs, 'free'), {
+    tier: 'pro',
+    productId: 'com.notae.pro.annual',
+    inTrial: false,
+  });
+});
+
+test('resolveEffectiveSubscriptionFromDocs carries the trial state of the winning doc', () => {
+  const future = new Date(Date.now() + 86400000);
+  const docs = [
+    { data: () => ({ subscriptionTier: 'pro', subscriptionInTrial: true, subscriptionTrialEndsAt: future }) },
+  ];
+  assert.equal(resolveEffectiveSubscriptionFromDocs(docs, 'free').inTrial, true);
+  assert.equal(resolveEffectiveSubscriptionFromDocs(docs, 'pro', null, false).inTrial, false);
+});
+
+test('resolveEffectiveSubscriptionFromDocs lifts a peer by its active grant only', () => {
+  const day = 86400000;
+  const grant = (tier, endsInDays) => ({
+    tier,
+    startsAt: new Date(Date.now() - day),
+    endsAt: new Date(Date.now() + endsInDays * day),
+  });
+  const docs = [
+    { data: () => ({ subscriptionTier: 'plus', subscriptionProductId: 'com.notae.plus.annual', entitlementGrants: [grant('pro', 7)] }) },
+  ];
+  assert.deepEqual(resolveEffectiveSubscriptionFromDocs(docs, 'free'), { tier: 'pro', productId: null, inTrial: false });
+  const expired = [{ data: () => ({ subscriptionTier: 'free', entitlementGrants: [grant('pro', -0.5)] }) }];
+  assert.equal(resolveEffectiveSubscriptionFromDocs(expired, 'free').tier, 'free');
+});
+
+test('resolveEffectiveSubscriptionFromDocs keeps the caller product on equal tiers', () => {
+  const docs = [{ data: () => ({ subscriptionTier: 'pro', subscriptionProductId: 'com.notae.pro.annual' }) }];
+  assert.deepEqual(resolveEffectiveSubscriptionFromDocs(docs, 'pro', 'com.notae.pro.monthly'), {
+    tier: 'pro',
+    productId: 'com.notae.pro.monthly',
+    inTrial: false,
+  });
 });
 
 test('isSubscriptionTierUpgrade true only for paid tier increases', () => {
@@ -238,6 +494,7 @@ test('migrationUsageKeysForDonorTier skips usage keys for free donor', () => {
   const freeKeys = migrationUsageKeysForDonorTier('free');
   assert.ok(!freeKeys.includes('voiceActionsUsed'));
   assert.ok(!freeKeys.includes('photoScansUsed'));
+  assert.ok(freeKeys.includes('photoScansTopUpBalance'));
 
   const plusKeys = migrationUsageKeysForDonorTier('plus');
   assert.ok(plusKeys.includes('voiceActionsUsed'));
@@ -281,3 +538,230 @@ test('isSafeToDeleteSupersededUser requires supersededAt before cutoff', () => {
   );
   assert.equal(isSafeToDeleteSupersededUser({ subscriptionTier: 'pro' }, cutoff), false);
 });
+
+test('isSafeToDeleteFreeUser keeps inactive free users that still hold purchased top-ups', () => {
+  const cutoff = new Date('2026-01-01T00:00:00Z');
+  const inactive = { subscriptionTier: 'free', lastRequestAt: new Date('2025-10-01') };
+  assert.equal(isSafeToDeleteFreeUser(inactive, cutoff), true);
+  assert.equal(isSafeToDeleteFreeUser({ ...inactive, voiceActionsTopUpBalance: 5 }, cutoff), false);
+  assert.equal(isSafeToDeleteFreeUser({ ...inactive, photoScansTopUpBalance: 1 }, cutoff), false);
+  assert.equal(isSafeToDeleteFreeUser({ ...inactive, voiceActionsTopUpBalance: 0 }, cutoff), true);
+  assert.equal(isSafeToDeleteFreeUser({ ...inactive, lastRequestAt: new Date('2026-02-01') }, cutoff), false);
+});
+
+test('usageDayKeyField maps counters to their monthly period field', () => {
+  assert.equal(usageDayKeyField('voiceActionsUsed'), 'voiceActionsDayKey');
+  assert.equal(usageDayKeyField('photoScansUsed'), 'photoScansDayKey');
+});
+
+test('withTopUpFallback spends the top-up balance only after the allowance', () => {
+  const exhausted = { canProceed: false, totalUsed: 5, limit: 5, tier: 'free' };
+  assert.equal(topUpBalanceField('photoScans'), 'photoScansTopUpBalance');
+
+  const onTopUp = withTopUpFallback(exhausted, { photoScansTopUpBalance: 3 }, 'photoScansUsed');
+  assert.equal(onTopUp.canProceed, true);
+  assert.equal(onTopUp.source, 'topup');
+  assert.equal(onTopUp.topUpBalance, 3);
+
+  const empty = withTopUpFallback(exhausted, { photoScansTopUpBalance: 0, voiceActionsTopUpBalance: 9 }, 'photoScansUsed');
+  assert.equal(empty.canProceed, false);
+  assert.equal(empty.source, 'allowance');
+
+  const allowance = withTopUpFallback({ ...exhausted, canProceed: true }, { photoScansTopUpBalance: 3 }, 'photoScansUsed');
+  assert.equal(allowance.source, 'allowance');
+});
+
+test('classifyTransactionOwnership allows the mapped owner and its iCloud peers', () => {
+  const base = { callerUid: 'me', knownTokens: new Set(['tok-a']), mappedUidSupersededBy: null };
+  assert.equal(
+    classifyTransactionOwnership({ ...base, peerUids: new Set(['me']), mappedUid: 'me', appAccountToken: 'TOK-A' }).conflict,
+    false
+  );
+  assert.equal(
+    classifyTransactionOwnership({ ...base, peerUids: new Set(['me', 'ipad']), mappedUid: 'ipad' }).conflict,
+    false
+  );
+  assert.equal(
+    classifyTransactionOwnership({ ...base, peerUids: new Set(['me']), mappedUid: 'old', mappedUidSupersededBy: 'me' }).conflict,
+    false
+  );
+});
+
+test('classifyTransactionOwnership flags purchases mapped to or tokened for another account', () => {
+  const base = { callerUid: 'me', peerUids: new Set(['me']), knownTokens: new Set(['tok-a']), mappedUidSupersededBy: null };
+  assert.deepEqual(
+    classifyTransactionOwnership({ ...base, mappedUid: 'stranger' }),
+    { conflict: true, reason: 'mapped_to_other_account', mappedUid: 'stranger' }
+  );
+  assert.deepEqual(
+    classifyTransactionOwnership({ ...base, mappedUid: null, appAccountToken: 'tok-b' }),
+    { conflict: true, reason: 'app_account_token_mismatch', mappedUid: null }
+  );
+});
+
+test('classifyTransactionOwnership lets family members share a purchase up to the member cap', () => {
+  const base = {
+    callerUid: 'kid',
+    peerUids: new Set(['kid']),
+    knownTokens: new Set(['kid-token']),
+    mappedUidSupersededBy: null,
+    mappedUid: 'parent',
+    appAccountToken: 'kid-token',
+    familyShared: true,
+  };
+  assert.deepEqual(classifyTransactionOwnership(base), { conflict: false, mappedUid: 'parent' });
+
+  const full = Array.from({ length: FAMILY_SHARING_MAX_MEMBER_ACCOUNTS }, (_, i) => `member-${i}`);
+  assert.deepEqual(
+    classifyTransactionOwnership({ ...base, familyMemberUids: full }),
+    { conflict: true, reason: 'family_member_limit', mappedUid: 'parent' }
+  );
+  assert.equal(classifyTransactionOwnership({ ...base, familyMemberUids: [...full.slice(1), 'kid'] }).conflict, false);
+});
+
+test('classifyTransactionOwnership accepts family-shared payloads without the member token', () => {
+  const base = {
+    callerUid: 'kid',
+    peerUids: new Set(['kid']),
+    knownTokens: new Set(['kid-token']),
+    mappedUidSupersededBy: null,
+    mappedUid: 'parent',
+    familyShared: true,
+  };
+  assert.deepEqual(classifyTransactionOwnership({ ...base, appAccountToken: null }), { conflict: false, mappedUid: 'parent' });
+  assert.deepEqual(
+    classifyTransactionOwnership({ ...base, appAccountToken: 'parent-token' }),
+    { conflict: false, mappedUid: 'parent' }
+  );
+  // Purchaser-owned transactions keep the token check.
+  assert.equal(
+    classifyTransactionOwnership({ ...base, familyShared: false, mappedUid: null, appAccountToken: 'parent-token' }).reason,
+    'app_account_token_mismatch'
+  );
+});
+
+test('notificationTargetUids keeps purchaser and family member events apart', () => {
+  const mapping = {
+    firebaseUid: 'parent',
+    familyMembers: { kid: { lastTransactionId: '200' }, partner: { lastTransactionId: '300' } },
+  };
+  assert.deepEqual(notificationTargetUids(mapping, { transactionId: '100', inAppOwnershipType: 'PURCHASED' }), ['parent']);
+  assert.deepEqual(notificationTargetUids(mapping, { transactionId: '100' }), ['parent']);
+  // A renewal has a new transactionId; every member holding the original transaction still gets it.
+  assert.deepEqual(notificationTargetUids(mapping, { transactionId: '999', inAppOwnershipType: 'FAMILY_SHARED' }), ['kid', 'partner']);
+  assert.deepEqual(notificationTargetUids({ firebaseUid: 'parent' }, { inAppOwnershipType: 'FAMILY_SHARED' }), []);
+});
+
+test('isProFromTransactionPayload keeps an expired subscription active during billing grace', () => {
+  const hourAgo = Date.now() - 60 * 60 * 1000;
+  const inOneDay = Date.now() + 24 * 60 * 60 * 1000;
+  assert.equal(isProFromTransactionPayload({ expiresDate: hourAgo }), false);
+  assert.equal(isProFromTransactionPayload({ expiresDate: hourAgo }, inOneDay), true);
+  assert.equal(isProFromTransactionPayload({ expiresDate: hourAgo }, hourAgo), false);
+  assert.equal(isProFromTransactionPayload({ expiresDate: inOneDay, revocationDate: hourAgo }, inOneDay), false);
+});
+
+test('consumptionStatusForUsage maps usage to Apple consumption status', () => {
+  assert.equal(consumptionStatusForUsage({ voiceActionsLimit: 50, photoScansLimit: 25 }), 1);
+  assert.equal(consumptionStatusForUsage({ voiceActionsUsed: 3, voiceActionsLimit: 50, photoScansLimit: 25 }), 2);
+  assert.equal(
+    consumptionStatusForUsage({ voiceActionsUsed: 50, photoScansUsed: 25, voiceActionsLimit: 50, photoScansLimit: 25 }),
+    3
+  );
+});
+
+test('isStaleSubscriptionPayload rejects only payloads signed before the last applied one', () => {
+  const current = { subscriptionLastSignedDate: 2000 };
+  assert.equal(isStaleSubscriptionPayload({ signedDate: 1000 }, current), true);
+  assert.equal(isStaleSubscriptionPayload({ signedDate: 2000 }, current), false);
+  assert.equal(isStaleSubscriptionPayload({ signedDate: 3000 }, current), false);
+  assert.equal(isStaleSubscriptionPayload({}, current), false);
+  assert.equal(isStaleSubscriptionPayload({ signedDate: 1000 }, {}), false);
+});
+
+test('classifyNotificationClaim honours live leases and retries failed or abandoned claims', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(classifyNotificationClaim({ status: 'done' }, now), 'duplicate');
+  assert.equal(classifyNotificationClaim({ processedAt: new Date(now) }, now), 'duplicate');
+  assert.equal(classifyNotificationClaim({ status: 'processing', leaseExpiresAt: now + 1000 }, now), 'in_progress');
+  assert.equal(classifyNotificationClaim({ status: 'processing', leaseExpiresAt: now - 1000 }, now), 'reclaim');
+  assert.equal(classifyNotificationClaim({ status: 'failed', attempts: 2 }, now), 'reclaim');
+});
+
+test('subscriptionOfferFromPayload recognises free trials and paid offers', () => {
+  assert.deepEqual(
+    subscriptionOfferFromPayload({ offerType: 1, offerDiscountType: 'FREE_TRIAL', offerIdentifier: null, price: 0 }),
+    { offerType: 'introductory', offerIdentifier: null, offerDiscountType: 'FREE_TRIAL', isTrial: true }
+  );
+  assert.equal(subscriptionOfferFromPayload({ offerType: 1, price: 0 }).isTrial, true);
+  assert.equal(subscriptionOfferFromPayload({ offerType: 1, offerDiscountType: 'PAY_AS_YOU_GO', price: 990 }).isTrial, false);
+  assert.deepEqual(
+    subscriptionOfferFromPayload({ offerType: 3, offerIdentifier: 'SPRING', offerDiscountType: 'PAY_UP_FRONT' }),
+    { offerType: 'offer_code', offerIdentifier: 'SPRING', offerDiscountType: 'PAY_UP_FRONT', isTrial: false }
+  );
+  assert.deepEqual(
+    subscriptionOfferFromPayload({ productId: 'com.notae.pro.monthly' }),
+    { offerType: null, offerIdentifier: null, offerDiscountType: null, isTrial: false }
+  );
+});
+
+test('isUserDocInTrial stops at the trial end even without a notification', () => {
+  const now = new Date('2026-05-10T00:00:00Z');
+  assert.equal(isUserDocInTrial({ subscriptionInTrial: true, subscriptionTrialEndsAt: '2026-05-11T00:00:00Z' }, now), true);
+  assert.equal(isUserDocInTrial({ subscriptionInTrial: true, subscriptionTrialEndsAt: '2026-05-09T00:00:00Z' }, now), false);
+  assert.equal(isUserDocInTrial({ subscriptionTrialEndsAt: '2026-05-11T00:00:00Z' }, now), false);
+});
+
+test('trialTransitionEvent reports starts, conversions and lapses', () => {
+  assert.equal(trialTransitionEvent(false, { subscriptionInTrial: true, subscriptionTier: 'pro' }), 'trial_started');
+  assert.equal(trialTransitionEvent(true, { subscriptionInTrial: false, subscriptionTier: 'pro' }), 'trial_converted');
+  assert.equal(trialTransitionEvent(true, { subscriptionInTrial: false, subscriptionTier: 'free' }), 'trial_ended');
+  assert.equal(trialTransitionEvent(true, { subscriptionInTrial: true, subscriptionTier: 'pro' }), null);
+  assert.equal(trialTransitionEvent(false, { subscriptionInTrial: false, subscriptionTier: 'pro' }), null);
+});
+
+test('scheduledTierChangeFromRenewal reports lapses and lower-tier renewals only', () => {
+  const renewal = (autoRenewProductId, autoRenewStatus = 1) => ({ autoRenewProductId, autoRenewStatus });
+  assert.deepEqual(
+    scheduledTierChangeFromRenewal('pro', renewal('com.notae.plus.annual'), DEFAULT_PRODUCT_CATALOG),
+    { tier: 'plus', productId: 'com.notae.plus.annual' }
+  );
+  assert.deepEqual(
+    scheduledTierChangeFromRenewal('pro', renewal('com.notae.pro.monthly', 0), DEFAULT_PRODUCT_CATALOG),
+    { tier: 'free', productId: null }
+  );
+  assert.equal(scheduledTierChangeFromRenewal('pro', renewal('com.notae.pro.annual'), DEFAULT_PRODUCT_CATALOG), null);
+  assert.equal(scheduledTierChangeFromRenewal('plus', renewal('com.notae.pro.monthly'), DEFAULT_PRODUCT_CATALOG), null);
+  assert.equal(scheduledTierChangeFromRenewal('pro', renewal('com.notae.unknown'), DEFAULT_PRODUCT_CATALOG), null);
+  assert.equal(scheduledTierChangeFromRenewal('free', renewal('com.notae.plus.annual', 0), DEFAULT_PRODUCT_CATALOG), null);
+});
+
+test('downgradeDeferredUntil waits for the paid period unless the purchase was revoked', () => {
+  const now = new Date('2026-05-10T00:00:00Z');
+  const current = { subscriptionTier: 'pro', subscriptionExpiresAt: '2026-05-20T00:00:00Z' };
+  assert.equal(
+    downgradeDeferredUntil(current, { subscriptionTier: 'plus' }, {}, now).toISOString(),
+    '2026-05-20T00:00:00.000Z'
+  );
+  assert.equal(downgradeDeferredUntil(current, { subscriptionTier: 'free' }, { revocationDate: 1 }, now), null);
+  assert.equal(downgradeDeferredUntil(current, { subscriptionTier: 'pro' }, {}, now), null);
+  assert.equal(
+    downgradeDeferredUntil({ ...current, subscriptionExpiresAt: '2026-05-01T00:00:00Z' }, { subscriptionTier: 'free' }, {}, now),
+    null
+  );
+});
+
+test('effectiveTierForUserDoc applies a scheduled downgrade once its date has passed', () => {
+  const userData = {
+    subscriptionTier: 'pro',
+    subscriptionScheduledTier: 'plus',
+    subscriptionScheduledTierAt: '2026-05-20T00:00:00Z',
+  };
+  assert.equal(effectiveTierForUserDoc(userData, new Date('2026-05-19T23:59:59Z')), 'pro');
+  assert.equal(effectiveTierForUserDoc(userData, new Date('2026-05-20T00:00:00Z')), 'plus');
+  assert.equal(
+    effectiveTierForUserDoc({ ...userData, subscriptionScheduledTier: 'free' }, new Date('2026-05-21T00:00:00Z')),
+    'free'
+  );
+  assert.equal(effectiveTierForUserDoc({ subscriptionTier: 'pro' }, new Date('2026-05-21T00:00:00Z')), 'pro');
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Version of the IDENTIFIER_PEPPER key in use. Hashed ids carry it (`v1_…`) so ids made with a rotated
+ * pepper can live next to the old ones; bumping it needs a lazy migration like the legacy one below.
+ */
+const IDENTIFIER_KEY_VERSION = 1;
+/** Identifier domains; each is hashed under its own label so equal raw values never collide across kinds. */
+const IDENTIFIER_KINDS = ['device', 'icloud', 'ip'];
+const HASHED_IDENTIFIER_PATTERN = /^v\d+_[a-f0-9]{64}$/;
+
+/**
+ * Keyed hash of a client identifier: `v<version>_` + hex HMAC-SHA256 of `<kind>:<value>` under `pepper`.
+ * Without the pepper a list of raw identifiers cannot be mapped onto doc ids.
+ * @throws {Error} when the pepper or value is missing or `kind` is unknown
+ */
+function hashIdentifier(kind, value, pepper, version = IDENTIFIER_KEY_VERSION) {
+  if (!IDENTIFIER_KINDS.includes(kind)) {
+    throw new Error(`Unknown identifier kind: ${kind}`);
+  }
+  if (!pepper) {
+    throw new Error('IDENTIFIER_PEPPER is not configured');
+  }
+  if (value == null || String(value) === '') {
+    throw new Error(`Missing ${kind} identifier`);
+  }
+  const digest = crypto.createHmac('sha256', String(pepper)).update(`${kind}:${value}`).digest('hex');
+  return `v${version}_${digest}`;
+}
+
+/** Whether `id` is a hashIdentifier result (of any key version). */
+function isHashedIdentifier(id) {
+  return typeof id === 'string' && HASHED_IDENTIFIER_PATTERN.test(id);
+}
+
+/** Pre-pepper deviceFreeUsage doc id: unsalted SHA-256 hex of the raw deviceID (lazy migration source). */
+function legacyDeviceHash(deviceID) {
+  return crypto.createHash('sha256').update(String(deviceID)).digest('hex');
+}
+
+module.exports = {
+  IDENTIFIER_KEY_VERSION,
+  hashIdentifier,
+  isHashedIdentifier,
+  legacyDeviceHash,
+};
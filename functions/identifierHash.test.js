@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hashIdentifier, isHashedIdentifier, legacyDeviceHash } = require('./identifierHash');
+
+const PEPPER = 'test-pepper';
+const DEVICE_ID = '6F1C2A4E-0B7D-4B8E-9C3A-2D5E8F9A1B2C';
+
+test('hashIdentifier is a stable, versioned HMAC', () => {
+  const hashed = hashIdentifier('device', DEVICE_ID, PEPPER);
+  assert.match(hashed, /^v1_[a-f0-9]{64}$/);
+  assert.equal(hashIdentifier('device', DEVICE_ID, PEPPER), hashed);
+  assert.ok(isHashedIdentifier(hashed));
+  assert.equal(hashIdentifier('device', DEVICE_ID, PEPPER, 2).slice(0, 3), 'v2_');
+});
+
+test('hashIdentifier depends on the pepper and the kind, unlike the legacy hash', () => {
+  const hashed = hashIdentifier('device', DEVICE_ID, PEPPER);
+  assert.notEqual(hashIdentifier('device', DEVICE_ID, 'other-pepper'), hashed);
+  assert.notEqual(hashIdentifier('icloud', DEVICE_ID, PEPPER), hashed);
+  assert.notEqual(hashIdentifier('ip', DEVICE_ID, PEPPER), hashed);
+  assert.notEqual(hashed.slice(3), legacyDeviceHash(DEVICE_ID));
+  assert.match(legacyDeviceHash(DEVICE_ID), /^[a-f0-9]{64}$/);
+  assert.equal(isHashedIdentifier(legacyDeviceHash(DEVICE_ID)), false);
+});
+
+test('hashIdentifier refuses to hash without a pepper or value', () => {
+  assert.throws(() => hashIdentifier('device', DEVICE_ID, ''), /IDENTIFIER_PEPPER/);
+  assert.throws(() => hashIdentifier('device', '', PEPPER), /Missing device/);
+  assert.throws(() => hashIdentifier('email', 'a@example.com', PEPPER), /Unknown identifier kind/);
+});
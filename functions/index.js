@@ -1,13 +1,78 @@
 const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const admin = require('firebase-admin');
-const { defineSecret } = require('firebase-functions/params');
+const { defineSecret, defineString } = require('firebase-functions/params');
 const axios = require('axios');
 const FormData = require('form-data');
 const jwt = require('jsonwebtoken');
 const fetch = require('node-fetch');
 const crypto = require('crypto');
-const { importX509, importJWK, jwtVerify } = require('jose');
+const { importJWK, jwtVerify } = require('jose');
+const { AppleCertificateChainError, verifyJWSWithCertificateChain } = require('./appleCertificateChain');
+const { AppStoreServerApiError, createAppStoreServerApiClient } = require('./appStoreServerApi');
+const {
+  DEFAULT_PRODUCT_CATALOG,
+  normalizeProductCatalog,
+  productForId,
+  subscriptionProductForId,
+  consumableProductForId,
+  tierForProductId,
+  usageLimitsForProduct,
+} = require('./productCatalog');
+const {
+  DEFAULT_QUOTA_POLICY,
+  activeMeterNames,
+  normalizeQuotaPolicy,
+  resolveQuotaLimits,
+  unattestedUsageDecision,
+  usageAfterDowngrade,
+} = require('./quotaPolicy');
+const { isValidTimeZone, periodResetAction, resolveQuotaPeriod } = require('./quotaPeriod');
+const { METER_NAMES, meterDefinition, meterFields } = require('./meters');
+const {
+  visionCostUsd,
+  estimateVisionCostUsd,
+  audioMinutesForSize,
+  whisperCostUsd,
+  creditsForCost,
+} = require('./credits');
+const {
+  EntitlementGrantError,
+  normalizeGrantRequest,
+  activeEntitlementGrant,
+  pendingOrActiveGrants,
+  effectiveTierWithGrants,
+} = require('./entitlementGrants');
+const {
+  normalizePromoCodeInput,
+  normalizePromoEffect,
+  promoCodeUnavailableReason,
+  promoRedemptionKeys,
+} = require('./promoCodes');
+const { RATE_LIMIT_WINDOWS, windowStartFor, rateLimitDecision } = require('./rateLimits');
+const {
+  DEFAULT_SPEND_POLICY,
+  normalizeSpendPolicy,
+  spendLedgerKeys,
+  spendBreakerDecision,
+  spendBreakerStatus,
+} = require('./spendGuard');
+const {
+  ABUSE_SIGNALS,
+  DEFAULT_ABUSE_POLICY,
+  normalizeAbusePolicy,
+  observeMember,
+  abuseVerdict,
+  abuseListStatus,
+} = require('./abuseSignals');
+const {
+  DeviceAttestationError,
+  verifyAppAttestation,
+  deviceKeyHash,
+  issueDeviceToken,
+  verifyDeviceToken,
+} = require('./deviceAttestation');
+const { hashIdentifier, isHashedIdentifier, legacyDeviceHash } = require('./identifierHash');
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -18,32 +83,166 @@ const openaiApiKey = defineSecret('OPENAI_API_KEY');
 const appleIssuerId = defineSecret('APPLE_ISSUER_ID');
 const appleKeyId = defineSecret('APPLE_KEY_ID');
 const applePrivateKey = defineSecret('APPLE_PRIVATE_KEY');
-
-const FREE_VOICE_LIMIT = 10;
-const FREE_PHOTO_LIMIT = 5;
-const PLUS_VOICE_LIMIT = 50;
-const PLUS_PHOTO_LIMIT = 25;
-const PRO_VOICE_LIMIT = 300;
-const PRO_PHOTO_LIMIT = 150;
+/** HMAC key for server-issued device tokens (see deviceAttestation.js). */
+const deviceTokenSecret = defineSecret('DEVICE_TOKEN_SECRET');
+/** HMAC key ("pepper") for device and iCloud identifiers used in doc ids and logs (see identifierHash.js). */
+const identifierPepper = defineSecret('IDENTIFIER_PEPPER');
+
+// Define params
+const appleBundleId = defineString('APPLE_BUNDLE_ID');
+/** Comma-separated StoreKit `environment` values accepted from transactions (e.g. `Production,Sandbox`). */
+const appleAllowedEnvironments = defineString('APPLE_ALLOWED_ENVIRONMENTS', { default: 'Production,Sandbox' });
+/**
+ * What `verifySubscription` does when a purchase is mapped to another account: `reject`, `flag` or
+ * `transfer`. An appAccountToken mismatch is always rejected.
+ */
+const appleOwnershipConflictPolicy = defineString('APPLE_OWNERSHIP_CONFLICT_POLICY', { default: 'reject' });
+/** Usage clawback on ASSN `REFUND`: `none`, or `exhaust_period` (no further free quota this month). */
+const refundUsageClawbackPolicy = defineString('REFUND_USAGE_CLAWBACK_POLICY', { default: 'exhaust_period' });
+/** App Check on the AI and usage callables: `off`, `monitor` (log calls without a valid token) or `enforce`. */
+const appCheckMode = defineString('APP_CHECK_MODE', { default: 'monitor' });
+/** Apple Developer Team ID; App Attest keys are scoped to `<TeamID>.<APPLE_BUNDLE_ID>`. */
+const appleTeamId = defineString('APPLE_TEAM_ID', { default: '' });
+/** Apple App Attestation Root CA as base64 DER (https://www.apple.com/certificateauthority/). */
+const appAttestRootCa = defineString('APP_ATTEST_ROOT_CA', { default: '' });
+/**
+ * Free-tier device buckets: `enforce` requires a device token matching the deviceID (else the shared
+ * unattested bucket), `monitor` logs deviceIDs without one, `off` trusts the deviceID as before.
+ * Promo code redemption requires a device token in every mode but `off`.
+ */
+const deviceAttestationMode = defineString('DEVICE_ATTESTATION_MODE', { default: 'monitor' });
 
 const CLEANUP_FREE_USER_DAYS = 45;
 const CLEANUP_SUPERSEDED_USER_DAYS = 30;
 const CLEANUP_BATCH_SIZE = 250;
 const CLEANUP_MAX_PAGES = 8;
 
-/** Only these product ids may override JWS ``productId`` in ``verifySubscription`` (client deferred-upgrade hint). */
-const KNOWN_VERIFY_TARGET_PRODUCT_IDS = new Set([
-  'com.notae.pro.monthly',
-  'com.notae.pro.annual',
-  'com.notae.plus.annual',
-]);
-
-/** Firestore: maps Apple `originalTransactionId` → Firebase Auth uid (for App Store Server Notifications). */
+/** Missed-ASSN safety net: paid docs this long past `subscriptionExpiresAt` are re-checked and downgraded. */
+const SUBSCRIPTION_RECONCILE_GRACE_HOURS = 24;
+const SUBSCRIPTION_RECONCILE_BATCH_SIZE = 100;
+/** Cap on per-uid entries stored in a reconciliation report doc (1 MiB Firestore doc limit). */
+const SUBSCRIPTION_RECONCILE_REPORT_MAX_ENTRIES = 200;
+
+/** Reservations older than this are considered orphaned (longest callable timeout is 300s). */
+const USAGE_RESERVATION_TTL_MINUTES = 10;
+/** Settled reservations are kept this long for auditing, then removed by the Firestore TTL policy on `purgeAt`. */
+const USAGE_RESERVATION_RETENTION_DAYS = 7;
+const USAGE_RESERVATION_SWEEP_BATCH_SIZE = 200;
+/** A commit that keeps failing is retried this often (backing off) before it is left to the sweeper. */
+const USAGE_RESERVATION_COMMIT_ATTEMPTS = 3;
+
+/** Per-instance cache lifetime for appConfig/* documents (edits apply within this window). */
+const APP_CONFIG_CACHE_SECONDS = 300;
+
+/** Firestore: remotely editable backend configuration (appConfig/productCatalog, …). */
+const COLLECTION_APP_CONFIG = 'appConfig';
+/** appConfig doc holding `products: { [productId]: entry }` (subscriptions and top-up packs; schema: productCatalog.js). */
+const APP_CONFIG_PRODUCT_CATALOG_DOC = 'productCatalog';
+/** appConfig doc with per-tier limits, `trials`, `promotions` and `experiments` (schema: quotaPolicy.js). */
+const APP_CONFIG_QUOTA_POLICY_DOC = 'quotaPolicy';
+/** appConfig doc with upstream spend budgets per service and tier (schema: spendGuard.js). */
+const APP_CONFIG_SPEND_POLICY_DOC = 'spendPolicy';
+/** appConfig doc with abuse signal thresholds (schema: abuseSignals.js). */
+const APP_CONFIG_ABUSE_POLICY_DOC = 'abusePolicy';
+/**
+ * Firestore: maps Apple `originalTransactionId` → Firebase Auth uid of the purchaser (`firebaseUid`), plus
+ * Family Sharing members in `familyMembers: { [uid]: { lastTransactionId, … } }` / `familyMemberUids`.
+ */
 const COLLECTION_APPLE_SUBSCRIPTIONS = 'appleSubscriptions';
-/** Firestore: idempotency for ASSN v2 `notificationUUID`. */
+/**
+ * Member accounts one family-shared subscription may unlock. Apple allows five members besides the
+ * purchaser; the headroom covers members with several devices / reinstalls (one uid each).
+ */
+const FAMILY_SHARING_MAX_MEMBER_ACCOUNTS = 10;
+/** Firestore: audit trail for purchases claimed by an account other than the mapped owner. */
+const COLLECTION_APPLE_OWNERSHIP_CONFLICTS = 'appleOwnershipConflicts';
+/** Firestore: ASSN `CONSUMPTION_REQUEST`s (refund requests) with the usage snapshot we reported to Apple. */
+const COLLECTION_APPLE_CONSUMPTION_REQUESTS = 'appleConsumptionRequests';
+/** Firestore: one report doc per `reconcileLapsedSubscriptions` run. */
+const COLLECTION_SUBSCRIPTION_RECONCILIATION_RUNS = 'subscriptionReconciliationRuns';
+/**
+ * Firestore: ASSN events that arrived before their `originalTransactionId` was mapped to a uid,
+ * at assnPendingNotifications/{originalTransactionId}/events/{notificationUUID}. Replayed on mapping.
+ */
+const COLLECTION_ASSN_PENDING = 'assnPendingNotifications';
+const ASSN_PENDING_RETENTION_DAYS = 90;
+/**
+ * Firestore: idempotency for ASSN v2 `notificationUUID`. Each doc is a claim: `processing` (with a lease),
+ * then `done` or `failed`; failed or lease-expired claims are re-taken by Apple's next retry.
+ */
 const COLLECTION_ASSN_PROCESSED = 'assnProcessedNotifications';
-/** Free-tier usage keyed by hashed physical device id (persists across uid rotation / reinstall). */
+/** A worker that has not finished within this window is presumed dead (handler timeout is 60s). */
+const ASSN_CLAIM_LEASE_SECONDS = 120;
+/**
+ * Free-tier usage keyed by hashed physical device id (persists across uid rotation / reinstall). Docs
+ * under the pre-pepper id (plain SHA-256) are moved to the `v1_…` id on first touch.
+ */
 const COLLECTION_DEVICE_FREE_USAGE = 'deviceFreeUsage';
+/** One doc per metered AI call: `reserved` → `committed` on success, `released` (unit refunded) on failure. */
+const COLLECTION_USAGE_RESERVATIONS = 'usageReservations';
+/**
+ * Firestore: ledger of consumable top-up purchases keyed by Apple `transactionId` (`credited` or `reversed`).
+ * The doc id is the dedupe key: a transaction is credited at most once, and never after a refund.
+ */
+const COLLECTION_USAGE_TOP_UPS = 'usageTopUps';
+/**
+ * Firestore: admin-issued tier grants (testers, press, support cases), independent of StoreKit.
+ * Grants that have not ended are mirrored onto users/{uid}.entitlementGrants for the hot path.
+ */
+const COLLECTION_ENTITLEMENT_GRANTS = 'entitlementGrants';
+/**
+ * Firestore: promoCodes/{CODE} (created by admins) with `effect`, `maxRedemptions`, `redemptionCount`,
+ * `expiresAt`. promoCodes/{CODE}/redemptions/{key} marks each account, device and iCloud account that used it
+ * (redemptions under pre-pepper device / iCloud ids still count).
+ */
+const COLLECTION_PROMO_CODES = 'promoCodes';
+/**
+ * Firestore: sliding window counters for the AI proxies. `{service}_uid_{uid}` / `{service}_device_{hash}`
+ * hold `{ perMinute, perHour }` windows; `{service}_global_{window}_{windowStart}` one shared `count`.
+ */
+const COLLECTION_RATE_LIMITS = 'rateLimits';
+/** Rate limit docs are removed by the Firestore TTL policy on `purgeAt` once idle this long. */
+const RATE_LIMIT_RETENTION_HOURS = 24;
+/**
+ * Firestore: upstream AI spend per UTC day (`day_YYYY-MM-DD`) and month (`month_YYYY-MM`), with
+ * `totalUsd`, `services: { [service]: usd }`, `tiers: { [tier]: usd }` and `calls` incremented per call.
+ */
+const COLLECTION_SPEND_LEDGER = 'spendLedger';
+/** Per-instance cache lifetime for the spend ledger read by the circuit breaker. */
+const SPEND_LEDGER_CACHE_SECONDS = 30;
+/**
+ * Firestore: abuseSignals/{signal}_{subjectKey} with `members: { [member]: lastSeenMillis }` (see
+ * abuseSignals.js). Removed by the Firestore TTL policy on `purgeAt` once the subject goes quiet; docs
+ * under pre-pepper subject ids are not carried over and lapse the same way.
+ */
+const COLLECTION_ABUSE_SIGNALS = 'abuseSignals';
+/**
+ * Firestore: abuseList/{subjectKey} (`uid_…`, `device_{hash}`, `icloud_…`, `ip_{hash}`) with `status`
+ * `flagged` | `blocked` | `allowed`, `source` `auto` | `admin` and optional `expiresAt`. Consulted before
+ * quota checks on the AI proxies; admin entries are never overwritten automatically. Entries under
+ * pre-pepper ids are still honoured (see legacyAbuseSubjectKeys).
+ */
+const COLLECTION_ABUSE_LIST = 'abuseList';
+/** Firestore: single-use App Attest challenges, doc id = challenge, bound to a uid and hashed deviceID. */
+const COLLECTION_DEVICE_ATTESTATION_CHALLENGES = 'deviceAttestationChallenges';
+const DEVICE_ATTESTATION_CHALLENGE_TTL_MINUTES = 5;
+/**
+ * Firestore: attestedDevices/{deviceHash} with the App Attest key ids that vouched for the device and
+ * `keys` (deviceKeyHash → attestedAt), against which device tokens are checked.
+ */
+const COLLECTION_ATTESTED_DEVICES = 'attestedDevices';
+/** Firestore: attestedKeys/{deviceKeyHash} → the one deviceHash an App Attest key may vouch for. */
+const COLLECTION_ATTESTED_KEYS = 'attestedKeys';
+/** Device tokens expire after this; the app then attests a fresh key. */
+const DEVICE_TOKEN_TTL_DAYS = 30;
+/** New keys one deviceID may attest per DEVICE_TOKEN_TTL_DAYS window (reinstalls, token renewals). */
+const MAX_ATTESTED_KEYS_PER_DEVICE = 3;
+/**
+ * deviceFreeUsage doc every free-tier caller without an attested device counts against (limited by
+ * quotaPolicy.unattested). One global bucket, since nothing else about such callers is unforgeable;
+ * each uid's share of it is capped by `unattested.perUid` (counted in users/*.unattestedUsage).
+ */
+const UNATTESTED_FREE_USAGE_BUCKET_ID = 'shared_unattested';
 
 const SUBSCRIPTION_TIER_ORDER = { free: 0, plus: 1, pro: 2 };
 
@@ -54,23 +253,123 @@ function isSubscriptionTierUpgrade(fromTier, toTier) {
   return (SUBSCRIPTION_TIER_ORDER[to] ?? 0) > (SUBSCRIPTION_TIER_ORDER[from] ?? 0);
 }
 
-function voiceLimitForTier(tier) {
-  if (tier === 'pro') return PRO_VOICE_LIMIT;
-  if (tier === 'plus') return PLUS_VOICE_LIMIT;
-  return FREE_VOICE_LIMIT;
+const appConfigCache = new Map();
+
+/**
+ * appConfig/{docId} run through `parse(data | null)` and cached per instance. A failed read, or a
+ * document `parse` rejects, keeps the last good value (or `fallback`). Never throws.
+ */
+async function loadAppConfigDoc(db, docId, parse, fallback) {
+  const now = Date.now();
+  const cached = appConfigCache.get(docId);
+  if (cached && now - cached.loadedAt < APP_CONFIG_CACHE_SECONDS * 1000) {
+    return cached.value;
+  }
+  let value;
+  try {
+    const snap = await db.collection(COLLECTION_APP_CONFIG).doc(docId).get();
+    value = parse(snap.exists ? snap.data() : null);
+  } catch (err) {
+    console.error(`⚙️ appConfig/${docId} not applied: ${err.message}`);
+    value = cached ? cached.value : fallback;
+  }
+  appConfigCache.set(docId, { value, loadedAt: now });
+  return value;
+}
+
+/** Product catalog: appConfig/productCatalog `products` merged over DEFAULT_PRODUCT_CATALOG. */
+function loadProductCatalog(db) {
+  return loadAppConfigDoc(db, APP_CONFIG_PRODUCT_CATALOG_DOC, (data) => {
+    const { catalog, invalid } = normalizeProductCatalog(data?.products);
+    invalid.forEach(({ productId, error }) => {
+      console.warn(`💳 productCatalog: ignoring ${productId} (${error})`);
+    });
+    return catalog;
+  }, DEFAULT_PRODUCT_CATALOG);
+}
+
+/** Quota policy: appConfig/quotaPolicy validated and merged over DEFAULT_QUOTA_POLICY. */
+function loadQuotaPolicy(db) {
+  return loadAppConfigDoc(db, APP_CONFIG_QUOTA_POLICY_DOC, normalizeQuotaPolicy, DEFAULT_QUOTA_POLICY);
 }
 
-function photoLimitForTier(tier) {
-  if (tier === 'pro') return PRO_PHOTO_LIMIT;
-  if (tier === 'plus') return PLUS_PHOTO_LIMIT;
-  return FREE_PHOTO_LIMIT;
+/** Abuse thresholds: appConfig/abusePolicy validated and merged over DEFAULT_ABUSE_POLICY. */
+function loadAbusePolicy(db) {
+  return loadAppConfigDoc(db, APP_CONFIG_ABUSE_POLICY_DOC, normalizeAbusePolicy, DEFAULT_ABUSE_POLICY);
 }
 
-function usageLimitsForTier(tier) {
-  return {
-    voiceActionsLimit: voiceLimitForTier(tier),
-    photoScansLimit: photoLimitForTier(tier),
-  };
+/** Spend budgets: appConfig/spendPolicy validated and merged over DEFAULT_SPEND_POLICY. */
+function loadSpendPolicy(db) {
+  return loadAppConfigDoc(db, APP_CONFIG_SPEND_POLICY_DOC, normalizeSpendPolicy, DEFAULT_SPEND_POLICY);
+}
+
+/** Everything limit resolution needs, loaded up front so limits can be computed inside transactions. */
+async function loadQuotaConfig(db) {
+  const [quotaPolicy, catalog] = await Promise.all([loadQuotaPolicy(db), loadProductCatalog(db)]);
+  return { quotaPolicy, catalog };
+}
+
+/**
+ * Stable key for experiment assignment: the physical device for free tier (its hashed deviceID, as for
+ * its quota bucket), the iCloud account (else uid) for paid tiers. Null when unknown, which opts out.
+ */
+function quotaSubjectKey({ tier, deviceHash = null, iCloudID = null, userId = null }) {
+  if (tier === 'free' && deviceHash) {
+    return `device:${deviceHash}`;
+  }
+  if (tier !== 'free' && iCloudID) {
+    return `icloud:${iCloudID}`;
+  }
+  return userId ? `uid:${userId}` : null;
+}
+
+/**
+ * Limits for one quota subject: the quota policy for `tier` (experiments, promotions), then the
+ * catalog's per-product override for `productId`.
+ * @returns {{ limits: Object<string, number>,
+ *   promotionIds: string[], experimentVariants: Object<string, string> }}
+ */
+function resolveUsageLimits(quotaConfig, { tier, productId = null, subjectKey = null, inTrial = false }) {
+  const resolved = resolveQuotaLimits(quotaConfig.quotaPolicy, tier, { subjectKey, inTrial });
+  // Trial limits are the trial's whole allowance; product overrides apply once the trial converts.
+  if (resolved.trial) {
+    return resolved;
+  }
+  return { ...resolved, limits: usageLimitsForProduct(quotaConfig.catalog, tier, productId, resolved.limits) };
+}
+
+/** Tier a users/* doc is entitled to now: its StoreKit tier, raised by any admin grant in effect. */
+function effectiveTierForUserDoc(userData, now = new Date()) {
+  return effectiveTierWithGrants(subscriptionTierForUserDoc(userData, now), userData.entitlementGrants, now);
+}
+
+/**
+ * StoreKit tier of a users/* doc at `now`: `subscriptionTier`, or the scheduled downgrade
+ * (`subscriptionScheduledTier`) once `subscriptionScheduledTierAt` has passed, even before the
+ * transaction that applies it arrives.
+ */
+function subscriptionTierForUserDoc(userData, now = new Date()) {
+  const scheduledAt = parseStoreKitDate(userData.subscriptionScheduledTierAt);
+  if (userData.subscriptionScheduledTier != null && scheduledAt && scheduledAt <= now) {
+    return String(userData.subscriptionScheduledTier);
+  }
+  return userData.subscriptionTier || 'free';
+}
+
+/** Limits to store on a users/* doc, keyed to the doc's own device / iCloud account. */
+function usageLimitsForUserDoc(quotaConfig, userId, userData, tier = effectiveTierForUserDoc(userData)) {
+  return resolveUsageLimits(quotaConfig, {
+    tier,
+    productId: userData.subscriptionProductId ?? null,
+    subjectKey: quotaSubjectKey({
+      tier,
+      deviceHash: deviceBucketForUserDoc(userData)?.bucketId ?? null,
+      iCloudID: userData.iCloudID,
+      userId,
+    }),
+    // A trial of a lower tier does not cap a granted higher tier.
+    inTrial: tier === (userData.subscriptionTier || 'free') && isUserDocInTrial(userData),
+  }).limits;
 }
 
 // ═══════════════════════════════════════════════════════
@@ -87,18 +386,60 @@ function parseStoreKitDate(value) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
+/** StoreKit `offerType` → label stored in `subscriptionOfferType`. */
+const STOREKIT_OFFER_TYPES = { 1: 'introductory', 2: 'promotional', 3: 'offer_code', 4: 'win_back' };
+
+/**
+ * Offer state of a transaction. A free trial is a `FREE_TRIAL` discount, or (payloads predating
+ * `offerDiscountType`) an introductory offer with a zero price.
+ */
+function subscriptionOfferFromPayload(payload) {
+  const offerType = STOREKIT_OFFER_TYPES[Number(payload.offerType)] || null;
+  const offerDiscountType = offerType ? (payload.offerDiscountType || null) : null;
+  const isTrial = offerDiscountType === 'FREE_TRIAL'
+    || (offerType === 'introductory' && offerDiscountType == null && payload.price != null && Number(payload.price) === 0);
+  return {
+    offerType,
+    offerIdentifier: offerType ? (payload.offerIdentifier || null) : null,
+    offerDiscountType,
+    isTrial,
+  };
+}
+
+/** Whether a users/* doc is in a free trial right now (a missed expiry notification does not extend it). */
+function isUserDocInTrial(userData, now = new Date()) {
+  if (userData.subscriptionInTrial !== true) return false;
+  const endsAt = parseStoreKitDate(userData.subscriptionTrialEndsAt);
+  return !endsAt || endsAt > now;
+}
+
+/** `usage_logs` event for a trial state change between two docs, or null. */
+function trialTransitionEvent(wasInTrial, fields) {
+  if (!wasInTrial && fields.subscriptionInTrial) return 'trial_started';
+  if (wasInTrial && !fields.subscriptionInTrial) {
+    return fields.subscriptionTier !== 'free' ? 'trial_converted' : 'trial_ended';
+  }
+  return null;
+}
+
 /**
  * Whether the verified transaction payload represents an active (non-revoked, non-expired) subscription.
+ * A billing grace period (`gracePeriodExpiresDate` from renewal info) extends the entitlement.
  */
-function isProFromTransactionPayload(payload) {
+function isProFromTransactionPayload(payload, gracePeriodExpiresDate = null) {
   if (payload.revocationDate != null) return false;
+  const now = new Date();
+  const grace = parseStoreKitDate(gracePeriodExpiresDate);
+  if (grace && grace > now) return true;
   const exp = parseStoreKitDate(payload.expiresDate);
   if (!exp) return false;
-  return exp > new Date();
+  return exp > now;
 }
 
 /**
  * Verify a StoreKit / App Store JWS (transaction or notification envelope) and return the payload object.
+ * `x5c` chains must lead to the pinned Apple Root CA G3 (see appleCertificateChain.js); tokens without
+ * `x5c` are checked against the keys served by the authenticated App Store Server API.
  */
 async function verifyAppleSignedJWS(jwsToken) {
   const decoded = jwt.decode(jwsToken, { complete: true });
@@ -106,1045 +447,3233 @@ async function verifyAppleSignedJWS(jwsToken) {
     throw new Error('Invalid JWS token');
   }
   const { kid, x5c } = decoded.header;
-  let publicKey;
-  if (x5c?.[0]) {
-    const cert = `-----BEGIN CERTIFICATE-----\n${x5c[0]}\n-----END CERTIFICATE-----`;
-    publicKey = await importX509(cert, 'ES256');
-  } else {
-    const appleKeys = await getApplePublicKeys();
-    const matchingKey = appleKeys.find((k) => k.kid === kid);
-    if (!matchingKey) {
-      throw new Error(`No matching Apple public key found for kid: ${kid || 'unknown'}`);
-    }
-    publicKey = await importJWK(matchingKey, 'ES256');
+  if (x5c != null) {
+    return verifyJWSWithCertificateChain(jwsToken);
   }
+  const appleKeys = await getApplePublicKeys();
+  const matchingKey = appleKeys.find((k) => k.kid === kid);
+  if (!matchingKey) {
+    throw new Error(`No matching Apple public key found for kid: ${kid || 'unknown'}`);
+  }
+  const publicKey = await importJWK(matchingKey, 'ES256');
   const { payload } = await jwtVerify(jwsToken, publicKey, {
     algorithms: ['ES256'],
   });
   return payload;
 }
 
+function isFamilySharedTransaction(transactionPayload) {
+  return transactionPayload.inAppOwnershipType === 'FAMILY_SHARED';
+}
+
+/**
+ * Record who holds `transactionPayload`: the purchaser becomes `firebaseUid`; a Family Sharing member is
+ * added to `familyMembers` without touching the purchaser's mapping.
+ */
 async function saveAppleSubscriptionMapping(db, userId, transactionPayload) {
   const oid = transactionPayload.originalTransactionId;
   if (oid == null || oid === '') return;
   const originalTransactionId = String(oid);
-  await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId).set(
-    {
-      firebaseUid: userId,
-      productId: transactionPayload.productId || null,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    },
-    { merge: true }
-  );
-}
-
-function buildUserSubscriptionFields(transactionPayload) {
-  const isActive = isProFromTransactionPayload(transactionPayload);
-  const expiresDate = parseStoreKitDate(transactionPayload.expiresDate);
-
-  let tier = 'free';
-  if (isActive) {
-    const productId = String(transactionPayload.productId || '');
-    if (productId.includes('plus')) {
-      tier = 'plus';
-    } else if (productId.includes('pro')) {
-      tier = 'pro';
-    }
+  if (isFamilySharedTransaction(transactionPayload)) {
+    await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId).set(
+      {
+        familyMemberUids: admin.firestore.FieldValue.arrayUnion(userId),
+        familyMembers: {
+          [userId]: {
+            lastTransactionId: transactionPayload.transactionId != null ? String(transactionPayload.transactionId) : null,
+            productId: transactionPayload.productId || null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        },
+      },
+      { merge: true }
+    );
+    await replayPendingNotifications(db, originalTransactionId, userId, 'FAMILY_SHARED');
+    return;
   }
-
-  const out = {
-    subscriptionTier: tier,
-    subscriptionProductId: transactionPayload.productId || null,
-    subscriptionVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+  const mapping = {
+    firebaseUid: userId,
+    productId: transactionPayload.productId || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
   };
-  if (expiresDate) {
-    out.subscriptionExpiresAt = admin.firestore.Timestamp.fromDate(expiresDate);
-  }
-  if (transactionPayload.revocationDate != null) {
-    const rev = parseStoreKitDate(transactionPayload.revocationDate);
-    if (rev) {
-      out.subscriptionRevokedAt = admin.firestore.Timestamp.fromDate(rev);
-    }
+  if (transactionPayload.appAccountToken) {
+    mapping.appAccountToken = String(transactionPayload.appAccountToken).toLowerCase();
   }
-  return out;
+  await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId).set(mapping, { merge: true });
+  await replayPendingNotifications(db, originalTransactionId, userId, 'PURCHASED');
 }
 
-async function applySubscriptionToUserDoc(userRef, transactionPayload, db = null) {
-  const fields = buildUserSubscriptionFields(transactionPayload);
-  const currentSnap = await userRef.get();
-  const currentData = currentSnap.exists ? (currentSnap.data() || {}) : {};
-  const currentTier = String(currentData.subscriptionTier || 'free');
-  const newTier = String(fields.subscriptionTier || 'free');
-  const tierChanged = newTier !== currentTier;
-  const isUpgrade = isSubscriptionTierUpgrade(currentTier, newTier);
-
-  if (tierChanged) {
-    Object.assign(fields, usageLimitsForTier(newTier));
-  }
-  if (isUpgrade) {
-    fields.voiceActionsUsed = 0;
-    fields.photoScansUsed = 0;
-    fields.lastUsageResetDate = admin.firestore.FieldValue.serverTimestamp();
+/** Drop family members whose access Apple revoked (purchaser stopped sharing or left the family). */
+async function removeFamilyMembers(db, originalTransactionId, uids) {
+  if (uids.length === 0) return;
+  const update = {
+    familyMemberUids: admin.firestore.FieldValue.arrayRemove(...uids),
+  };
+  for (const uid of uids) {
+    update[`familyMembers.${uid}`] = admin.firestore.FieldValue.delete();
   }
+  await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId).update(update);
+}
 
-  const pendingProductId = String(currentData.pendingUpgradeProductId || '');
-  if (pendingProductId) {
-    const pendingTier = pendingProductId.includes('pro')
-      ? 'pro'
-      : (pendingProductId.includes('plus') ? 'plus' : 'free');
-    if ((SUBSCRIPTION_TIER_ORDER[newTier] || 0) >= (SUBSCRIPTION_TIER_ORDER[pendingTier] || 0)) {
-      fields.pendingUpgradeProductId = admin.firestore.FieldValue.delete();
-      fields.pendingUpgradeAt = admin.firestore.FieldValue.delete();
-    }
+/**
+ * Users an ASSN event applies to. Purchases go to the purchaser; family-shared events go to the members
+ * holding this `originalTransactionId` (none until a member verifies it, so the event is queued).
+ */
+function notificationTargetUids(mapping, txPayload) {
+  if (!isFamilySharedTransaction(txPayload)) {
+    return mapping.firebaseUid ? [mapping.firebaseUid] : [];
   }
-  console.log(
-    `[SUB_TIER] uid=${userRef.id} ${currentTier} → ${newTier}, tierChanged=${tierChanged}, isUpgrade=${isUpgrade}`
-  );
-  console.log(
-    `[LIMITS] voice=${fields.voiceActionsLimit ?? currentData.voiceActionsLimit}, photo=${fields.photoScansLimit ?? currentData.photoScansLimit}`
+  return Object.keys(mapping.familyMembers || {});
+}
+
+/** Park a verified ASSN event until its `originalTransactionId` gets a uid mapping. */
+async function enqueuePendingNotification(db, originalTransactionId, notification) {
+  const pendingRef = db.collection(COLLECTION_ASSN_PENDING).doc(originalTransactionId);
+  await pendingRef.collection('events').doc(notification.notificationUUID).set({
+    ...notification,
+    signedDate: Number(notification.signedDate) || 0,
+    queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+    purgeAt: admin.firestore.Timestamp.fromMillis(Date.now() + ASSN_PENDING_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  });
+  await pendingRef.set(
+    { originalTransactionId, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
   );
-  await userRef.set(fields, { merge: true });
+}
 
-  if (isUpgrade && db) {
-    const iCloudID = normalizeICloudId(currentData.iCloudID);
-    if (iCloudID) {
-      await resetUsageCountersOnICloudPeers(db, iCloudID, userRef.id, newTier);
+/**
+ * Apply queued ASSN events for a freshly mapped `originalTransactionId`, oldest `signedDate` first.
+ * Only events of `ownershipType` (`PURCHASED` or `FAMILY_SHARED`) are replayed; the others wait for
+ * their own holder.
+ * Events older than what the user doc already holds are rejected by applySubscriptionToUserDoc and
+ * only marked processed. Best-effort; never throws.
+ */
+async function replayPendingNotifications(db, originalTransactionId, firebaseUid, ownershipType = 'PURCHASED') {
+  try {
+    const pendingRef = db.collection(COLLECTION_ASSN_PENDING).doc(originalTransactionId);
+    const snap = await pendingRef.collection('events').orderBy('signedDate').get();
+    if (snap.empty) return;
+
+    const userRef = db.collection('users').doc(firebaseUid);
+    let remaining = 0;
+    for (const doc of snap.docs) {
+      const notification = doc.data();
+      const eventOwnership = isFamilySharedTransaction(notification.txPayload || {}) ? 'FAMILY_SHARED' : 'PURCHASED';
+      if (eventOwnership !== ownershipType) {
+        remaining += 1;
+        continue;
+      }
+      const action = await applyNotificationToUser(db, userRef, notification);
+
+      await completeNotification(db.collection(COLLECTION_ASSN_PROCESSED).doc(doc.id), {
+        firebaseUid,
+        action,
+        replayed: true,
+        skipped: false,
+        replayedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await doc.ref.delete();
+      console.log(`ASSN: replayed ${notification.notificationType} ${doc.id} for uid=${firebaseUid.substring(0, 8)}… action=${action}`);
+    }
+    if (remaining === 0) {
+      await pendingRef.delete();
     }
+  } catch (err) {
+    console.error(`ASSN: replayPendingNotifications failed for ${originalTransactionId}: ${err.message}`);
   }
 }
 
 /**
- * Handle App Store Server Notifications v2: outer `signedPayload` JWT → inner `signedTransactionInfo` JWS.
+ * Reject transactions minted for another app or an unexpected StoreKit environment.
+ * Returns a rejection reason, or null when the payload belongs to this app.
  */
-async function handleAppStoreServerNotification(db, signedPayload) {
-  const outer = await verifyAppleSignedJWS(signedPayload);
-  const notificationUUID = outer.notificationUUID;
-  const notificationType = outer.notificationType;
-
-  if (notificationType === 'TEST') {
-    console.log('ASSN: TEST notification received, notificationUUID=', notificationUUID);
-    return;
+function appTransactionMismatchReason(payload) {
+  const expectedBundleId = appleBundleId.value();
+  if (expectedBundleId && String(payload.bundleId || '') !== expectedBundleId) {
+    return 'bundle_id_mismatch';
   }
-
-  if (!notificationUUID) {
-    console.warn('ASSN: missing notificationUUID');
-    return;
+  const allowedEnvironments = appleAllowedEnvironments.value()
+    .split(',')
+    .map((env) => env.trim())
+    .filter(Boolean);
+  if (payload.environment != null && !allowedEnvironments.includes(String(payload.environment))) {
+    return 'environment_not_allowed';
   }
+  return null;
+}
 
-  const processedRef = db.collection(COLLECTION_ASSN_PROCESSED).doc(notificationUUID);
-  const processedSnap = await processedRef.get();
-  if (processedSnap.exists) {
-    console.log('ASSN: duplicate notificationUUID, skip:', notificationUUID);
-    return;
+/**
+ * Decide whether the caller may claim a transaction. Pure: all Firestore reads happen in the caller.
+ * `peerUids` are the caller's active iCloud peers (caller included); `knownTokens` their appAccountTokens.
+ * Family-shared transactions are mapped to the purchaser; a member is bound by its verified session and
+ * the transaction's `originalTransactionId` (the appAccountToken check is for purchasers only), and the
+ * member count is bounded.
+ */
+function classifyTransactionOwnership({
+  callerUid,
+  peerUids,
+  mappedUid,
+  mappedUidSupersededBy,
+  knownTokens,
+  appAccountToken,
+  familyShared = false,
+  familyMemberUids = [],
+}) {
+  const token = appAccountToken ? String(appAccountToken).toLowerCase() : null;
+  if (familyShared) {
+    // Members never purchase, so the transaction carries no token of theirs (at most the purchaser's).
+    const alreadyMember = familyMemberUids.some((uid) => peerUids.has(uid));
+    if (!alreadyMember && familyMemberUids.length >= FAMILY_SHARING_MAX_MEMBER_ACCOUNTS) {
+      return { conflict: true, reason: 'family_member_limit', mappedUid: mappedUid || null };
+    }
+    return { conflict: false, mappedUid: mappedUid || null };
+  }
+  const mappedToOther = mappedUid
+    && !peerUids.has(mappedUid)
+    && mappedUidSupersededBy !== callerUid;
+  if (mappedToOther) {
+    return { conflict: true, reason: 'mapped_to_other_account', mappedUid };
   }
+  if (token && !knownTokens.has(token)) {
+    return { conflict: true, reason: 'app_account_token_mismatch', mappedUid: mappedUid || null };
+  }
+  return { conflict: false, mappedUid: mappedUid || null };
+}
 
-  const data = outer.data;
-  if (!data || !data.signedTransactionInfo) {
-    console.warn('ASSN: no data.signedTransactionInfo, type=', notificationType);
-    await processedRef.set({
-      notificationType: notificationType || 'UNKNOWN',
-      processedAt: admin.firestore.FieldValue.serverTimestamp(),
-      skipped: true,
-    });
-    return;
+async function resolveTransactionOwnership(db, userId, userData, payload, iCloudID) {
+  const peerDocs = iCloudID ? await queryUserDocsByICloudID(db, iCloudID) : [];
+  const peerUids = new Set([userId, ...peerDocs.map((doc) => doc.id)]);
+  const knownTokens = new Set(
+    [userData.appAccountToken, ...peerDocs.map((doc) => doc.data().appAccountToken)]
+      .filter(Boolean)
+      .map((token) => String(token).toLowerCase())
+  );
+
+  let mappedUid = null;
+  let mappedUidSupersededBy = null;
+  let familyMemberUids = [];
+  const oid = payload.originalTransactionId;
+  if (oid != null && oid !== '') {
+    const mappingSnap = await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(String(oid)).get();
+    mappedUid = mappingSnap.exists ? (mappingSnap.data().firebaseUid || null) : null;
+    familyMemberUids = mappingSnap.exists ? (mappingSnap.data().familyMemberUids || []) : [];
+    if (mappedUid && !peerUids.has(mappedUid)) {
+      const mappedSnap = await db.collection('users').doc(mappedUid).get();
+      mappedUidSupersededBy = mappedSnap.exists ? (mappedSnap.data().supersededBy || null) : null;
+    }
   }
 
-  const txPayload = await verifyAppleSignedJWS(data.signedTransactionInfo);
-  const originalTransactionId = txPayload.originalTransactionId != null
-    ? String(txPayload.originalTransactionId)
+  return classifyTransactionOwnership({
+    callerUid: userId,
+    peerUids,
+    mappedUid,
+    mappedUidSupersededBy,
+    knownTokens,
+    appAccountToken: payload.appAccountToken,
+    familyShared: isFamilySharedTransaction(payload),
+    familyMemberUids,
+  });
+}
+
+/** Conflicts that are rejected whatever the configured policy. */
+const ALWAYS_REJECTED_OWNERSHIP_CONFLICTS = [
+  // The purchase was bound to another account at checkout; honouring it would defeat the binding.
+  'app_account_token_mismatch',
+  // A full family cannot be flagged into or transferred: that would take access from a real member.
+  'family_member_limit',
+];
+
+/** Apple subscription state cleared from the previous owner when a transaction is transferred away. */
+const TRANSFERRED_SUBSCRIPTION_FIELDS = [
+  'subscriptionProductId',
+  'subscriptionExpiresAt',
+  'subscriptionPeriodAnchorAt',
+  'subscriptionRevokedAt',
+  'subscriptionGracePeriodExpiresAt',
+  'subscriptionLastSignedDate',
+  'subscriptionLastTransactionId',
+  'subscriptionAutoRenewStatus',
+  'subscriptionAutoRenewProductId',
+  'subscriptionInBillingRetry',
+  'subscriptionBillingIssueAt',
+  'subscriptionPendingRenewalProductId',
+  'subscriptionPendingRenewalChange',
+  'subscriptionPriceIncreaseAt',
+  'subscriptionPriceIncreaseStatus',
+  'subscriptionRenewalPrefChangedAt',
+  'pendingUpgradeProductId',
+  'pendingUpgradeAt',
+  'subscriptionOfferType',
+  'subscriptionOfferIdentifier',
+  'subscriptionOfferDiscountType',
+  'subscriptionInTrial',
+  'subscriptionTrialEndsAt',
+  'subscriptionOwnershipType',
+  'subscriptionFamilyId',
+  'subscriptionScheduledTier',
+  'subscriptionScheduledProductId',
+  'subscriptionScheduledTierAt',
+];
+
+/**
+ * Apply the configured conflict policy. `reject` throws; `flag` grants the tier but leaves the mapping
+ * with the original owner; `transfer` moves the mapping and strips the previous owner's subscription.
+ * Every conflict is recorded in appleOwnershipConflicts.
+ * @returns {Promise<{ saveMapping: boolean }>}
+ */
+async function handleTransactionOwnershipConflict(db, userId, payload, ownership) {
+  const configured = String(appleOwnershipConflictPolicy.value() || '').trim();
+  const policy = !ALWAYS_REJECTED_OWNERSHIP_CONFLICTS.includes(ownership.reason)
+    && ['reject', 'flag', 'transfer'].includes(configured)
+    ? configured
+    : 'reject';
+  const originalTransactionId = payload.originalTransactionId != null
+    ? String(payload.originalTransactionId)
     : null;
 
-  if (!originalTransactionId) {
-    console.warn('ASSN: missing originalTransactionId');
-    await processedRef.set({
-      notificationType,
-      processedAt: admin.firestore.FieldValue.serverTimestamp(),
-      skipped: true,
-    });
-    return;
-  }
+  await db.collection(COLLECTION_APPLE_OWNERSHIP_CONFLICTS).add({
+    originalTransactionId,
+    transactionId: payload.transactionId != null ? String(payload.transactionId) : null,
+    productId: payload.productId || null,
+    callerUid: userId,
+    mappedUid: ownership.mappedUid,
+    reason: ownership.reason,
+    policy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.warn(
+    `💳 ownership conflict (${ownership.reason}) oid=${originalTransactionId} caller=${userId.substring(0, 8)}… policy=${policy}`
+  );
 
-  const mappingRef = db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId);
-  const mappingSnap = await mappingRef.get();
-  if (!mappingSnap.exists) {
-    console.warn(
-      'ASSN: no firebaseUid mapping for originalTransactionId=',
-      originalTransactionId,
-      '(user must call verifySubscription once)'
-    );
-    await processedRef.set({
-      notificationType,
-      processedAt: admin.firestore.FieldValue.serverTimestamp(),
-      skipped: true,
-      reason: 'no_mapping',
+  if (policy === 'reject') {
+    throw new HttpsError('permission-denied', 'TRANSACTION_BELONGS_TO_ANOTHER_ACCOUNT', {
+      reason: ownership.reason,
     });
-    return;
   }
 
-  const firebaseUid = mappingSnap.data().firebaseUid;
-  if (!firebaseUid) {
-    console.warn('ASSN: mapping exists but firebaseUid empty');
-    await processedRef.set({
-      notificationType,
-      processedAt: admin.firestore.FieldValue.serverTimestamp(),
-      skipped: true,
-    });
-    return;
+  if (policy === 'flag') {
+    await db.collection('users').doc(userId).set(
+      {
+        subscriptionOwnershipFlagged: true,
+        subscriptionOwnershipFlaggedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return { saveMapping: !ownership.mappedUid };
   }
 
-  const userRef = db.collection('users').doc(firebaseUid);
-  const userSnap = await userRef.get();
-  if (!userSnap.exists) {
-    console.warn('ASSN: user doc missing for uid=', firebaseUid);
+  if (ownership.mappedUid) {
+    const freeLimits = resolveUsageLimits(await loadQuotaConfig(db), { tier: 'free' }).limits;
+    await db.collection('users').doc(ownership.mappedUid).set(
+      {
+        subscriptionTier: 'free',
+        ...Object.fromEntries(TRANSFERRED_SUBSCRIPTION_FIELDS.map((field) => [field, admin.firestore.FieldValue.delete()])),
+        ...freeLimits,
+        subscriptionTransferredTo: userId,
+        subscriptionTransferredAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
   }
+  return { saveMapping: true };
+}
 
-  await applySubscriptionToUserDoc(userRef, txPayload, db);
-
-  await processedRef.set({
-    notificationType,
-    subtype: outer.subtype || null,
-    environment: data.environment || null,
-    originalTransactionId,
-    firebaseUid,
-    processedAt: admin.firestore.FieldValue.serverTimestamp(),
+/** Per-uid UUID the client passes to StoreKit as `appAccountToken`, so purchases can be bound to this account. */
+async function ensureAppAccountToken(db, userRef) {
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(userRef);
+    const existing = snap.exists ? snap.data().appAccountToken : null;
+    if (existing) {
+      return String(existing);
+    }
+    const token = crypto.randomUUID();
+    transaction.set(
+      userRef,
+      { appAccountToken: token, appAccountTokenIssuedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    return token;
   });
-
-  console.log('ASSN: processed', notificationType, notificationUUID, 'uid=', firebaseUid);
 }
 
-const getMonthKey = () => new Date().toISOString().slice(0, 7); // UTC YYYY-MM
-
 /**
- * Hash deviceID for Firestore doc id (client sends a stable Keychain-backed identifier).
+ * Tier change renewal info schedules for the end of the current period: `free` when auto-renew is off,
+ * the auto-renew product's tier when it is lower (a downgrade Apple applies at renewal). Null otherwise.
  */
-function hashDeviceId(deviceID) {
-  if (!deviceID || deviceID === 'unknown') {
-    throw new Error('Invalid deviceID for hashing');
+function scheduledTierChangeFromRenewal(tier, renewalInfo, catalog) {
+  if (!renewalInfo || tier === 'free') return null;
+  if (renewalInfo.autoRenewStatus === 0) {
+    return { tier: 'free', productId: null };
   }
-  return crypto.createHash('sha256').update(String(deviceID)).digest('hex');
+  const renewProduct = subscriptionProductForId(catalog, renewalInfo.autoRenewProductId);
+  if (renewProduct && (SUBSCRIPTION_TIER_ORDER[renewProduct.tier] ?? 0) < (SUBSCRIPTION_TIER_ORDER[tier] ?? 0)) {
+    return { tier: renewProduct.tier, productId: String(renewalInfo.autoRenewProductId) };
+  }
+  return null;
 }
 
 /**
- * Ensure deviceFreeUsage document exists for this physical device.
+ * End of the paid period a downgrade has to wait for, or null when `fields` apply now. A lower-tier
+ * transaction that arrives while the stored period is still paid for (a crossgrade, a lapse reported
+ * early) is scheduled instead; refunds and revocations always apply immediately.
  */
-async function ensureDeviceFreeUsage(db, deviceID) {
-  const deviceHash = hashDeviceId(deviceID);
-  const deviceRef = db.collection(COLLECTION_DEVICE_FREE_USAGE).doc(deviceHash);
-  const snap = await deviceRef.get();
-
-  if (!snap.exists) {
-    const now = admin.firestore.FieldValue.serverTimestamp();
-    await deviceRef.set({
-      deviceIdHash: deviceHash,
-      voiceActionsUsed: 0,
-      photoScansUsed: 0,
-      voiceActionsDayKey: null,
-      photoScansDayKey: null,
-      createdAt: now,
-      updatedAt: now,
-    });
-    console.log(`📱 Created deviceFreeUsage doc: ${deviceHash.substring(0, 8)}…`);
+function downgradeDeferredUntil(currentData, fields, transactionPayload, now = new Date()) {
+  if (transactionPayload.revocationDate != null) return null;
+  const currentTier = currentData.subscriptionTier || 'free';
+  if ((SUBSCRIPTION_TIER_ORDER[fields.subscriptionTier] ?? 0) >= (SUBSCRIPTION_TIER_ORDER[currentTier] ?? 0)) {
+    return null;
   }
-
-  return deviceRef;
+  const paidThrough = parseStoreKitDate(currentData.subscriptionExpiresAt);
+  return paidThrough && paidThrough > now ? paidThrough : null;
 }
 
-async function ensureMonthlyVoiceResetForDevice(deviceRef, deviceData) {
-  const monthKey = getMonthKey();
-  const data = deviceData || {};
-  if (data.voiceActionsDayKey === monthKey) {
-    return data;
-  }
-
-  await deviceRef.update({
-    voiceActionsUsed: 0,
-    voiceActionsDayKey: monthKey,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-  });
-  console.log(`🔄 Monthly voice reset for device: ${deviceRef.id.substring(0, 8)}…`);
-  return { ...data, voiceActionsUsed: 0, voiceActionsDayKey: monthKey };
-}
+/**
+ * `renewalInfo` is the verified `signedRenewalInfo` payload when the caller has one (ASSN, Server API);
+ * `gracePeriodExpiresDate` is the billing grace end that applies to this transaction, if any.
+ * The tier comes from `catalog` (see loadProductCatalog); products missing from it grant free.
+ */
+function buildUserSubscriptionFields(transactionPayload, {
+  renewalInfo = null,
+  gracePeriodExpiresDate = null,
+  catalog = DEFAULT_PRODUCT_CATALOG,
+} = {}) {
+  const isActive = isProFromTransactionPayload(transactionPayload, gracePeriodExpiresDate);
+  const expiresDate = parseStoreKitDate(transactionPayload.expiresDate);
 
-async function ensureMonthlyPhotoResetForDevice(deviceRef, deviceData) {
-  const monthKey = getMonthKey();
-  const data = deviceData || {};
-  if (data.photoScansDayKey === monthKey) {
-    return data;
+  let tier = 'free';
+  if (isActive) {
+    tier = tierForProductId(catalog, transactionPayload.productId);
+    if (!productForId(catalog, transactionPayload.productId)) {
+      console.warn(`💳 productId ${transactionPayload.productId} is not in the product catalog — treated as free`);
+    }
   }
 
-  await deviceRef.update({
-    photoScansUsed: 0,
-    photoScansDayKey: monthKey,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-  });
-  console.log(`🔄 Monthly photo reset for device: ${deviceRef.id.substring(0, 8)}…`);
-  return { ...data, photoScansUsed: 0, photoScansDayKey: monthKey };
-}
-
-/** Load free-tier counters for a device (monthly resets applied). */
-async function loadDeviceFreeUsage(db, deviceID) {
-  if (!deviceID || deviceID === 'unknown') {
-    return null;
+  const out = {
+    subscriptionTier: tier,
+    subscriptionProductId: transactionPayload.productId || null,
+    subscriptionVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (expiresDate) {
+    out.subscriptionExpiresAt = admin.firestore.Timestamp.fromDate(expiresDate);
   }
-  const deviceRef = await ensureDeviceFreeUsage(db, deviceID);
-  let deviceData = (await deviceRef.get()).data() || {};
-  deviceData = await ensureMonthlyVoiceResetForDevice(deviceRef, deviceData);
-  deviceData = await ensureMonthlyPhotoResetForDevice(deviceRef, deviceData);
-  return { deviceRef, deviceData };
-}
-
-/** Expect SHA256 hex (64 chars) from iOS ``ICloudIdentityProvider`` — reject anything else. */
-function normalizeICloudId(raw) {
-  if (raw == null) return null;
-  const s = String(raw).trim().toLowerCase();
-  if (!s) return null;
-  if (!/^[a-f0-9]{64}$/.test(s)) {
-    console.warn('☁️ iCloudID ignored: invalid format');
-    return null;
+  // Start of the current billing period; paid quota windows are counted from it (see quotaPeriod.js).
+  const purchaseDate = parseStoreKitDate(transactionPayload.purchaseDate);
+  if (purchaseDate) {
+    out.subscriptionPeriodAnchorAt = admin.firestore.Timestamp.fromDate(purchaseDate);
   }
-  return s;
-}
-
-function highestSubscriptionTier(tierA, tierB) {
-  const a = SUBSCRIPTION_TIER_ORDER[tierA] ?? 0;
-  const b = SUBSCRIPTION_TIER_ORDER[tierB] ?? 0;
-  return a >= b ? (tierA || 'free') : (tierB || 'free');
-}
-
-/** True when this users/* doc was replaced by a newer Firebase uid (post-migration). */
-function isUserDocSuperseded(data) {
-  const by = data?.supersededBy;
-  return by != null && String(by).trim() !== '';
+  if (transactionPayload.revocationDate != null) {
+    const rev = parseStoreKitDate(transactionPayload.revocationDate);
+    if (rev) {
+      out.subscriptionRevokedAt = admin.firestore.Timestamp.fromDate(rev);
+    }
+  }
+  const grace = parseStoreKitDate(gracePeriodExpiresDate);
+  out.subscriptionGracePeriodExpiresAt = grace && grace > new Date()
+    ? admin.firestore.Timestamp.fromDate(grace)
+    : admin.firestore.FieldValue.delete();
+  // Family Sharing: members and the purchaser of a shareable product share `subscriptionFamilyId`.
+  if (transactionPayload.inAppOwnershipType) {
+    out.subscriptionOwnershipType = String(transactionPayload.inAppOwnershipType);
+  }
+  if (transactionPayload.originalTransactionId != null) {
+    const familyShared = isFamilySharedTransaction(transactionPayload);
+    if (familyShared && !productForId(catalog, transactionPayload.productId)?.familyShareable) {
+      console.warn(`💳 family-shared transaction for ${transactionPayload.productId}, which the catalog marks not shareable`);
+    }
+    out.subscriptionFamilyId = familyShared || productForId(catalog, transactionPayload.productId)?.familyShareable
+      ? String(transactionPayload.originalTransactionId)
+      : admin.firestore.FieldValue.delete();
+  }
+  const offer = subscriptionOfferFromPayload(transactionPayload);
+  out.subscriptionOfferType = offer.offerType;
+  out.subscriptionOfferIdentifier = offer.offerIdentifier;
+  out.subscriptionOfferDiscountType = offer.offerDiscountType;
+  out.subscriptionInTrial = isActive && offer.isTrial;
+  out.subscriptionTrialEndsAt = out.subscriptionInTrial && expiresDate
+    ? admin.firestore.Timestamp.fromDate(expiresDate)
+    : admin.firestore.FieldValue.delete();
+  if (renewalInfo) {
+    const autoRenewProductId = renewalInfo.autoRenewProductId || null;
+    out.subscriptionAutoRenewStatus = renewalInfo.autoRenewStatus ?? null;
+    out.subscriptionAutoRenewProductId = autoRenewProductId;
+    out.subscriptionInBillingRetry = Boolean(renewalInfo.isInBillingRetryPeriod);
+    // A different auto-renew product is a crossgrade that starts at the next renewal.
+    out.subscriptionPendingRenewalProductId = autoRenewProductId && autoRenewProductId !== transactionPayload.productId
+      ? autoRenewProductId
+      : admin.firestore.FieldValue.delete();
+    const scheduled = scheduledTierChangeFromRenewal(tier, renewalInfo, catalog);
+    out.subscriptionScheduledTier = scheduled ? scheduled.tier : admin.firestore.FieldValue.delete();
+    out.subscriptionScheduledProductId = scheduled ? scheduled.productId : admin.firestore.FieldValue.delete();
+    out.subscriptionScheduledTierAt = scheduled && expiresDate
+      ? admin.firestore.Timestamp.fromDate(expiresDate)
+      : admin.firestore.FieldValue.delete();
+  }
+  return out;
 }
 
-/** Active iCloud peers only — superseded donor docs must not affect tier/usage aggregation. */
-function filterActiveICloudPeerDocs(docs) {
-  return docs.filter((doc) => !isUserDocSuperseded(doc.data()));
+/**
+ * Billing grace end for this transaction: from renewal info when present, otherwise the stored value
+ * as long as the transaction is for the same (or a later) period than the one stored.
+ */
+function resolveGracePeriodExpiresDate(transactionPayload, renewalInfo, currentData) {
+  if (renewalInfo) {
+    return parseStoreKitDate(renewalInfo.gracePeriodExpiresDate);
+  }
+  const storedGrace = parseStoreKitDate(currentData.subscriptionGracePeriodExpiresAt);
+  if (!storedGrace) return null;
+  const storedExpires = parseStoreKitDate(currentData.subscriptionExpiresAt);
+  const txExpires = parseStoreKitDate(transactionPayload.expiresDate);
+  if (storedExpires && txExpires && txExpires < storedExpires) return null;
+  return storedGrace;
 }
 
-async function queryUserDocsByICloudID(db, iCloudID) {
-  if (!iCloudID) return [];
-  const snapshot = await db.collection('users').where('iCloudID', '==', iCloudID).get();
-  return filterActiveICloudPeerDocs(snapshot.docs);
+/**
+ * Whether `transactionPayload` is older than the last transaction applied to this doc.
+ * Payloads without `signedDate` cannot be ordered and are never considered stale.
+ */
+function isStaleSubscriptionPayload(transactionPayload, currentData) {
+  if (transactionPayload.signedDate == null || currentData.subscriptionLastSignedDate == null) return false;
+  const incoming = Number(transactionPayload.signedDate);
+  const lastApplied = Number(currentData.subscriptionLastSignedDate);
+  if (!Number.isFinite(incoming) || !Number.isFinite(lastApplied)) return false;
+  return incoming < lastApplied;
 }
 
 /**
- * Mark a prior users/* doc as superseded after uid migration (best-effort, idempotent).
+ * Apply a verified transaction to users/{uid} inside a Firestore transaction. Out-of-order payloads
+ * (older `signedDate` than the last applied one) are rejected so a delayed ASSN retry or an old client
+ * JWS cannot roll back a newer renewal.
+ * @returns {Promise<{ applied: boolean, tier: string }>}
  */
-async function markUserDocSuperseded(db, donorUid, successorUid) {
-  if (!donorUid || !successorUid || donorUid === successorUid) {
-    return;
-  }
-  try {
-    const donorRef = db.collection('users').doc(String(donorUid));
-    const snap = await donorRef.get();
-    if (!snap.exists) {
-      return;
-    }
-    const data = snap.data() || {};
-    const existingSuccessor = data.supersededBy != null ? String(data.supersededBy) : '';
-    if (existingSuccessor && existingSuccessor !== String(successorUid)) {
+async function applySubscriptionToUserDoc(userRef, transactionPayload, db = null, { renewalInfo = null } = {}) {
+  const firestore = db || userRef.firestore;
+  const quotaConfig = await loadQuotaConfig(firestore);
+  const outcome = await firestore.runTransaction(async (transaction) => {
+    const currentSnap = await transaction.get(userRef);
+    const currentData = currentSnap.exists ? (currentSnap.data() || {}) : {};
+    const currentTier = String(currentData.subscriptionTier || 'free');
+
+    if (isStaleSubscriptionPayload(transactionPayload, currentData)) {
       console.warn(
-        `☁️ supersede skip: donor ${String(donorUid).substring(0, 8)}… already superseded by ${existingSuccessor.substring(0, 8)}…`
+        `[SUB_TIER] uid=${userRef.id} stale transaction ignored: signedDate=${transactionPayload.signedDate} < ${currentData.subscriptionLastSignedDate} (tx=${transactionPayload.transactionId ?? 'n/a'})`
       );
-      return;
+      return { applied: false, tier: currentTier, currentData };
     }
-    if (existingSuccessor === String(successorUid)) {
-      return;
+
+    const fields = buildUserSubscriptionFields(transactionPayload, {
+      renewalInfo,
+      gracePeriodExpiresDate: resolveGracePeriodExpiresDate(transactionPayload, renewalInfo, currentData),
+      catalog: quotaConfig.catalog,
+    });
+    const newTier = String(fields.subscriptionTier || 'free');
+    const deferredUntil = downgradeDeferredUntil(currentData, fields, transactionPayload);
+    if (deferredUntil) {
+      transaction.set(userRef, {
+        subscriptionScheduledTier: newTier,
+        subscriptionScheduledProductId: newTier === 'free' ? null : fields.subscriptionProductId,
+        subscriptionScheduledTierAt: admin.firestore.Timestamp.fromDate(deferredUntil),
+        subscriptionVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      console.log(
+        `[SUB_TIER] uid=${userRef.id} ${currentTier} → ${newTier} deferred until ${deferredUntil.toISOString()}`
+      );
+      return { applied: true, deferred: true, tier: currentTier, currentData };
     }
-    await donorRef.set(
-      {
-        supersededBy: String(successorUid),
-        supersededAt: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
+    const tierChanged = newTier !== currentTier;
+    const isUpgrade = isSubscriptionTierUpgrade(currentTier, newTier);
+    // The stored tier, not a scheduled one that fell due: the doc's counters still belong to it.
+    const effectiveTierBefore = effectiveTierWithGrants(currentTier, currentData.entitlementGrants);
+    const effectiveTierAfter = effectiveTierWithGrants(newTier, currentData.entitlementGrants);
+    const isDowngrade = isSubscriptionTierUpgrade(effectiveTierAfter, effectiveTierBefore);
+    const productChanged = fields.subscriptionProductId !== (currentData.subscriptionProductId ?? null);
+    // The stored flag, not isUserDocInTrial: a renewal or lapse usually lands just after the trial end.
+    const trialEvent = trialTransitionEvent(currentData.subscriptionInTrial === true, fields);
+
+    if (tierChanged || productChanged || trialEvent) {
+      Object.assign(fields, usageLimitsForUserDoc(quotaConfig, userRef.id, {
+        ...currentData,
+        subscriptionProductId: fields.subscriptionProductId,
+        subscriptionInTrial: fields.subscriptionInTrial,
+        subscriptionTrialEndsAt: fields.subscriptionInTrial ? fields.subscriptionTrialEndsAt : null,
+      }, effectiveTierAfter));
+    }
+    if (isDowngrade && effectiveTierAfter !== 'free') {
+      // Free usage is metered per device instead; see moveUsageToDeviceFreeUsage.
+      const mode = quotaConfig.quotaPolicy.downgrade.usage;
+      for (const meter of activeMeterNames(quotaConfig.quotaPolicy)) {
+        const { used, limit } = meterFields(meter);
+        fields[used] = usageAfterDowngrade(currentData[used], fields[limit], mode);
+      }
+    }
+    const scheduledAt = parseStoreKitDate(currentData.subscriptionScheduledTierAt);
+    const purchaseDate = parseStoreKitDate(transactionPayload.purchaseDate);
+    if (!renewalInfo && scheduledAt && (tierChanged || (purchaseDate && purchaseDate >= scheduledAt))) {
+      fields.subscriptionScheduledTier = admin.firestore.FieldValue.delete();
+      fields.subscriptionScheduledProductId = admin.firestore.FieldValue.delete();
+      fields.subscriptionScheduledTierAt = admin.firestore.FieldValue.delete();
+    }
+    if (isUpgrade) {
+      const periodKey = quotaPeriodForUserDoc(quotaConfig.quotaPolicy, { ...currentData, ...fields }).key;
+      for (const meter of activeMeterNames(quotaConfig.quotaPolicy)) {
+        const { used, dayKey } = meterFields(meter);
+        fields[used] = 0;
+        fields[dayKey] = periodKey;
+      }
+      fields.lastUsageResetDate = admin.firestore.FieldValue.serverTimestamp();
+    }
+    if (transactionPayload.signedDate != null && Number.isFinite(Number(transactionPayload.signedDate))) {
+      fields.subscriptionLastSignedDate = Number(transactionPayload.signedDate);
+      fields.subscriptionLastTransactionId = transactionPayload.transactionId != null
+        ? String(transactionPayload.transactionId)
+        : null;
+    }
+
+    const pendingProductId = String(currentData.pendingUpgradeProductId || '');
+    if (pendingProductId) {
+      const pendingTier = tierForProductId(quotaConfig.catalog, pendingProductId);
+      if ((SUBSCRIPTION_TIER_ORDER[newTier] || 0) >= (SUBSCRIPTION_TIER_ORDER[pendingTier] || 0)) {
+        fields.pendingUpgradeProductId = admin.firestore.FieldValue.delete();
+        fields.pendingUpgradeAt = admin.firestore.FieldValue.delete();
+      }
+    }
+    console.log(
+      `[SUB_TIER] uid=${userRef.id} ${currentTier} → ${newTier}, tierChanged=${tierChanged}, isUpgrade=${isUpgrade}`
     );
     console.log(
-      `☁️ marked superseded: ${String(donorUid).substring(0, 8)}… → ${String(successorUid).substring(0, 8)}…`
+      `[LIMITS] ${METER_NAMES.map((meter) => {
+        const { limit } = meterFields(meter);
+        return `${meterDefinition(meter).label}=${fields[limit] ?? currentData[limit]}`;
+      }).join(', ')}`
     );
-  } catch (err) {
-    console.error(`☁️ markUserDocSuperseded failed: ${err.message}`);
-  }
-}
+    transaction.set(userRef, fields, { merge: true });
+    return {
+      applied: true,
+      tier: newTier,
+      isUpgrade,
+      lapsedToFree: isDowngrade && effectiveTierAfter === 'free',
+      currentData,
+      trialEvent,
+      fields,
+    };
+  });
 
-/** Client uid rotation sets migratedFromUid on the new doc — mark the donor superseded on next backend touch. */
-async function applySupersedeFromMigratedFromUid(db, currentUid, userData) {
-  const migratedFrom = userData?.migratedFromUid;
-  if (migratedFrom == null || String(migratedFrom).trim() === '') {
-    return;
+  if (outcome.applied && outcome.trialEvent) {
+    await logTrialTransition(firestore, userRef.id, outcome.trialEvent, outcome.currentData, outcome.fields);
   }
-  if (String(migratedFrom) === String(currentUid)) {
-    return;
+  if (outcome.applied && outcome.isUpgrade && db) {
+    const iCloudID = normalizeICloudId(outcome.currentData.iCloudID);
+    if (iCloudID) {
+      await resetUsageCountersOnICloudPeers(db, iCloudID, userRef.id, outcome.tier, outcome.fields.subscriptionInTrial);
+    }
   }
-  await markUserDocSuperseded(db, String(migratedFrom), String(currentUid));
+  if (outcome.applied && outcome.lapsedToFree && db) {
+    const paidThrough = parseStoreKitDate(outcome.currentData.subscriptionExpiresAt);
+    await moveUsageToDeviceFreeUsage(db, userRef, outcome.currentData, {
+      cutShort: Boolean(paidThrough && paidThrough > new Date()),
+    });
+  }
+  return { applied: outcome.applied, tier: outcome.tier, deferred: outcome.deferred === true };
 }
 
 /**
- * On tier upgrade, UI aggregates `voiceActionsUsed` / `photoScansUsed` across all users/* with the same iCloudID.
- * Reset every peer doc so 10/10 free on phone + 0 on iPad does not become 10/50 after Plus purchase.
+ * A paid user dropped to free, which is metered on deviceFreeUsage again: roll the device bucket into
+ * the current free window and, when the paid period was cut short (refund, revocation), carry this
+ * window's usage onto it under the downgrade policy so lapsing cannot unlock a fresh free allowance.
+ * The users/* counters are then aligned with the bucket. Best-effort; never throws.
  */
-async function resetUsageCountersOnICloudPeers(db, iCloudID, upgradedUid, newTier) {
-  if (!newTier || newTier === 'free') {
-    return;
-  }
+async function moveUsageToDeviceFreeUsage(db, userRef, previousData, { cutShort }) {
   try {
-    const docs = await queryUserDocsByICloudID(db, iCloudID);
-    if (docs.length === 0) return;
-
-    const limits = usageLimitsForTier(newTier);
-    const resetFields = {
-      voiceActionsUsed: 0,
-      photoScansUsed: 0,
-      voiceActionsLimit: limits.voiceActionsLimit,
-      photoScansLimit: limits.photoScansLimit,
-      lastUsageResetDate: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    const peersToReset = docs.filter((doc) => doc.id !== upgradedUid);
-    if (peersToReset.length === 0) return;
-
-    for (let i = 0; i < peersToReset.length; i += 400) {
-      const batch = db.batch();
-      peersToReset.slice(i, i + 400).forEach((doc) => {
-        batch.set(doc.ref, resetFields, { merge: true });
-      });
-      await batch.commit();
+    const loaded = await loadDeviceFreeUsage(db, previousData);
+    if (!loaded) return;
+    const quotaConfig = await loadQuotaConfig(db);
+    const freeLimits = usageLimitsForUserDoc(quotaConfig, userRef.id, previousData, 'free');
+    const mode = quotaConfig.quotaPolicy.downgrade.usage;
+    const counters = {};
+    const dayKeys = {};
+    for (const meter of deviceScopedMeters(quotaConfig.quotaPolicy)) {
+      const { used, limit, dayKey } = meterFields(meter);
+      const carried = cutShort ? usageAfterDowngrade(previousData[used], freeLimits[limit], mode) : 0;
+      counters[used] = Math.max(loaded.deviceData[used] || 0, carried);
+      dayKeys[dayKey] = loaded.period.key;
     }
-
+    await loaded.deviceRef.update({ ...counters, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    await userRef.set({
+      ...counters,
+      ...dayKeys,
+      freeUsageRestoredAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
     console.log(
-      `☁️ Usage reset on upgrade (${newTier}): cleared ${peersToReset.length} iCloud peer doc(s), uid=${upgradedUid.substring(0, 8)}…`
+      `📱 Free usage restored for uid=${userRef.id.substring(0, 8)}… (${JSON.stringify(counters)}, cutShort=${cutShort})`
     );
   } catch (err) {
-    console.error(`☁️ resetUsageCountersOnICloudPeers failed: ${err.message}`);
+    console.error(`📱 moveUsageToDeviceFreeUsage failed: ${err.message}`);
   }
 }
 
-function sumUsageFieldAcrossDocs(docs, field) {
-  let total = 0;
-  docs.forEach((doc) => {
-    total += doc.data()[field] || 0;
-  });
-  return total;
+/** Record a trial start / conversion / lapse in `usage_logs` for conversion reporting. Best-effort; never throws. */
+async function logTrialTransition(db, userId, event, previousData, fields) {
+  try {
+    await db.collection('usage_logs').add({
+      userId,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      service: 'subscription',
+      event,
+      productId: fields.subscriptionProductId || null,
+      previousProductId: previousData.subscriptionProductId ?? null,
+      subscriptionTier: fields.subscriptionTier,
+      offerType: fields.subscriptionOfferType,
+      offerIdentifier: event === 'trial_started'
+        ? fields.subscriptionOfferIdentifier
+        : (previousData.subscriptionOfferIdentifier ?? null),
+    });
+    console.log(`💳 ${event} for uid=${userId.substring(0, 8)}… (${fields.subscriptionProductId || 'no product'})`);
+  } catch (err) {
+    console.error(`💳 logTrialTransition failed: ${err.message}`);
+  }
 }
 
-function resolveEffectiveTierFromDocs(docs, fallbackTier = 'free') {
-  let best = fallbackTier || 'free';
-  docs.forEach((doc) => {
-    const t = doc.data().subscriptionTier || 'free';
-    best = highestSubscriptionTier(best, t);
-  });
-  return best;
+function createAppleServerApiClient() {
+  return createAppStoreServerApiClient({ getBearerToken: generateAppleServerJWT });
 }
 
-function subscriptionFieldsForTierSync(peerData) {
-  const tier = peerData.subscriptionTier || 'free';
-  const fields = {
-    subscriptionTier: tier,
-    subscriptionProductId: peerData.subscriptionProductId ?? null,
-    subscriptionVerifiedAt: peerData.subscriptionVerifiedAt
-      ?? admin.firestore.FieldValue.serverTimestamp(),
-    voiceActionsLimit: voiceLimitForTier(tier),
-    photoScansLimit: photoLimitForTier(tier),
-  };
-  if (peerData.subscriptionExpiresAt !== undefined) {
-    fields.subscriptionExpiresAt = peerData.subscriptionExpiresAt;
+/**
+ * Ask Apple for the current state of a subscription: verifies every `lastTransactions[]` entry of
+ * Get All Subscription Statuses and returns the one expiring last (null when Apple has none).
+ */
+async function fetchLatestSubscriptionFromApple(apiClient, originalTransactionId) {
+  const statuses = await apiClient.getAllSubscriptionStatuses(originalTransactionId);
+  let latest = null;
+  for (const group of statuses.data || []) {
+    for (const last of group.lastTransactions || []) {
+      if (!last.signedTransactionInfo) continue;
+      const txPayload = await verifyAppleSignedJWS(last.signedTransactionInfo);
+      const expires = parseStoreKitDate(txPayload.expiresDate)?.getTime() ?? 0;
+      if (!latest || expires > latest.expires) {
+        latest = { txPayload, signedRenewalInfo: last.signedRenewalInfo, status: last.status ?? null, expires };
+      }
+    }
   }
-  if (peerData.subscriptionRevokedAt !== undefined) {
-    fields.subscriptionRevokedAt = peerData.subscriptionRevokedAt;
+  if (!latest) return null;
+  const renewalInfo = latest.signedRenewalInfo ? await verifyAppleSignedJWS(latest.signedRenewalInfo) : null;
+  return {
+    txPayload: latest.txPayload,
+    renewalInfo,
+    status: latest.status,
+    environment: statuses.environment || null,
+  };
+}
+
+/** Re-apply Apple's view of `originalTransactionId` to users/{uid}; returns null when Apple has no transaction. */
+async function reconcileSubscriptionFromApple(db, userRef, originalTransactionId, apiClient = createAppleServerApiClient()) {
+  const latest = await fetchLatestSubscriptionFromApple(apiClient, originalTransactionId);
+  if (!latest) {
+    console.warn(`🍎 Apple has no subscription status for originalTransactionId=${originalTransactionId}`);
+    return null;
   }
-  return fields;
+  await applyReconciledSubscription(db, userRef, latest);
+  return latest;
+}
+
+async function applyReconciledSubscription(db, userRef, latest) {
+  await applySubscriptionToUserDoc(userRef, latest.txPayload, db, { renewalInfo: latest.renewalInfo });
+  await userRef.set(
+    { subscriptionReconciledAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  console.log(
+    `🍎 Reconciled uid=${userRef.id.substring(0, 8)}… from Apple (${latest.environment}, status=${latest.status})`
+  );
 }
 
 /**
- * Pull the highest paid tier from any users/* doc sharing this iCloudID onto the current uid.
- * Best-effort; never throws.
+ * Downgrade a lapsed paid doc from its own stored fields, through the same path as a real expired
+ * transaction (tier + limits recomputed by applySubscriptionToUserDoc).
  */
-async function syncSubscriptionTierFromICloudPeers(db, userRef, userData, iCloudID) {
-  try {
-    const docs = await queryUserDocsByICloudID(db, iCloudID);
-    if (docs.length === 0) return userData;
+async function applyLapsedSubscriptionLocally(db, userRef, userData) {
+  const expiresDate = parseStoreKitDate(userData.subscriptionExpiresAt);
+  const revokedDate = parseStoreKitDate(userData.subscriptionRevokedAt);
+  // Same signedDate as the last applied transaction: a renewal applied since the query wins.
+  return applySubscriptionToUserDoc(userRef, {
+    productId: userData.subscriptionProductId || null,
+    expiresDate: expiresDate ? expiresDate.getTime() : null,
+    revocationDate: revokedDate ? revokedDate.getTime() : null,
+    signedDate: userData.subscriptionLastSignedDate ?? undefined,
+    transactionId: userData.subscriptionLastTransactionId ?? undefined,
+  }, db);
+}
 
-    const currentTier = userData.subscriptionTier || 'free';
-    let bestTier = currentTier;
-    let bestDocData = userData;
+/** Most recently updated appleSubscriptions mapping `userId` purchased or holds as a family member, or null. */
+async function findOriginalTransactionIdForUser(db, userId) {
+  const mappings = db.collection(COLLECTION_APPLE_SUBSCRIPTIONS);
+  const [owned, shared] = await Promise.all([
+    mappings.where('firebaseUid', '==', userId).get(),
+    mappings.where('familyMemberUids', 'array-contains', userId).get(),
+  ]);
+  const candidates = [
+    ...owned.docs.map((doc) => ({ id: doc.id, updatedAt: doc.data().updatedAt })),
+    ...shared.docs.map((doc) => ({ id: doc.id, updatedAt: doc.data().familyMembers?.[userId]?.updatedAt })),
+  ];
+  if (candidates.length === 0) return null;
+  const newest = candidates
+    .map(({ id, updatedAt }) => ({ id, updatedAt: parseStoreKitDate(updatedAt)?.getTime() ?? 0 }))
+    .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  return newest.id;
+}
 
-    docs.forEach((doc) => {
-      const d = doc.data();
-      const t = d.subscriptionTier || 'free';
-      if ((SUBSCRIPTION_TIER_ORDER[t] ?? 0) > (SUBSCRIPTION_TIER_ORDER[bestTier] ?? 0)) {
-        bestTier = t;
-        bestDocData = d;
-      }
-    });
+/**
+ * Handle App Store Server Notifications v2: outer `signedPayload` JWT → inner `signedTransactionInfo` JWS.
+ * Returns `processed`, `duplicate`, `in_progress`, `test` or `skipped`; throws when processing failed.
+ */
+async function handleAppStoreServerNotification(db, signedPayload) {
+  const outer = await verifyAppleSignedJWS(signedPayload);
+  const notificationUUID = outer.notificationUUID;
+  const notificationType = outer.notificationType;
 
-    if ((SUBSCRIPTION_TIER_ORDER[bestTier] ?? 0) <= (SUBSCRIPTION_TIER_ORDER[currentTier] ?? 0)) {
-      return userData;
-    }
+  if (notificationType === 'TEST') {
+    console.log('ASSN: TEST notification received, notificationUUID=', notificationUUID);
+    return 'test';
+  }
 
-    const updates = subscriptionFieldsForTierSync(bestDocData);
-    updates.subscriptionTierSyncedFromICloud = true;
-    updates.subscriptionTierSyncedAt = admin.firestore.FieldValue.serverTimestamp();
-    await userRef.set(updates, { merge: true });
-    console.log(
-      `☁️ Tier sync via iCloudID: ${currentTier} → ${bestTier} for uid=${userRef.id.substring(0, 8)}…`
-    );
-    return { ...userData, ...updates };
+  if (!notificationUUID) {
+    console.warn('ASSN: missing notificationUUID');
+    return 'skipped';
+  }
+
+  const processedRef = db.collection(COLLECTION_ASSN_PROCESSED).doc(notificationUUID);
+  const claim = await claimNotification(db, processedRef, notificationType);
+  if (claim.status !== 'claimed') {
+    console.log(`ASSN: ${claim.status} notificationUUID, skip:`, notificationUUID);
+    return claim.status;
+  }
+
+  try {
+    await processClaimedNotification(db, outer, processedRef);
   } catch (err) {
-    console.error(`☁️ syncSubscriptionTierFromICloudPeers failed: ${err.message}`);
-    return userData;
+    await processedRef.set(
+      {
+        status: 'failed',
+        lastError: String(err.message || err).substring(0, 500),
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        leaseExpiresAt: admin.firestore.FieldValue.delete(),
+      },
+      { merge: true }
+    ).catch((markErr) => console.error(`ASSN: could not mark ${notificationUUID} failed: ${markErr.message}`));
+    throw err;
   }
+  return 'processed';
 }
 
 /**
- * Usage limits: free tier reads deviceFreeUsage/{deviceHash}; paid tiers aggregate iCloud peers.
- * Non-transactional read; slight race acceptable before reservation transaction.
+ * Decide what to do with an existing processed marker: `duplicate` when done, `in_progress` while
+ * another worker's lease is live, else `reclaim` (failed, or the previous worker died).
+ * Markers written before claims existed (no `status`) count as done.
  */
-async function evaluateAggregatedUsageLimit(db, {
-  iCloudID,
-  usageField,
-  userData,
-  limitForTier,
-  deviceID,
-}) {
-  const currentTier = userData.subscriptionTier || 'free';
-  const docs = iCloudID ? await queryUserDocsByICloudID(db, iCloudID) : [];
-  const effectiveTier = docs.length > 0
-    ? resolveEffectiveTierFromDocs(docs, currentTier)
-    : currentTier;
-
-  if (effectiveTier === 'free') {
-    if (!deviceID || deviceID === 'unknown') {
-      console.warn('⚠️ No valid deviceID for free tier limit check — falling back to uid-based');
-      const limit = limitForTier('free');
-      const used = userData[usageField] || 0;
-      return {
-        canProceed: used < limit,
-        totalUsed: used,
-        limit,
-        tier: 'free',
-        deviceRef: null,
-      };
-    }
-
-    const loaded = await loadDeviceFreeUsage(db, deviceID);
-    const limit = limitForTier('free');
-    const used = loaded.deviceData[usageField] || 0;
-    console.log(`📱 Free tier limit check: ${usageField}=${used}/${limit}, canProceed=${used < limit}`);
+function classifyNotificationClaim(existing, nowMs) {
+  const status = existing.status || 'done';
+  if (status === 'done') {
+    return 'duplicate';
+  }
+  const leaseExpiresAt = parseStoreKitDate(existing.leaseExpiresAt);
+  if (status === 'processing' && leaseExpiresAt && leaseExpiresAt.getTime() > nowMs) {
+    return 'in_progress';
+  }
+  return 'reclaim';
+}
 
-    return {
-      canProceed: used < limit,
-      totalUsed: used,
-      limit,
-      tier: 'free',
-      deviceRef: loaded.deviceRef,
+/**
+ * Atomically take ownership of a notificationUUID. Returns `claimed` for the one worker allowed to
+ * process it, otherwise `duplicate` or `in_progress` (see classifyNotificationClaim).
+ */
+async function claimNotification(db, processedRef, notificationType) {
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(processedRef);
+    const now = Date.now();
+    const lease = {
+      status: 'processing',
+      leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now + ASSN_CLAIM_LEASE_SECONDS * 1000),
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
-  }
 
-  const limit = limitForTier(effectiveTier);
-  const totalUsed = docs.length > 0
-    ? sumUsageFieldAcrossDocs(docs, usageField)
-    : (userData[usageField] || 0);
+    if (!snap.exists) {
+      transaction.create(processedRef, { ...lease, notificationType: notificationType || 'UNKNOWN', attempts: 1 });
+      return { status: 'claimed', attempts: 1 };
+    }
 
-  console.log(`☁️ Paid tier limit check: ${usageField}=${totalUsed}/${limit} (iCloud aggregate), tier=${effectiveTier}`);
+    const existing = snap.data() || {};
+    const decision = classifyNotificationClaim(existing, now);
+    if (decision !== 'reclaim') {
+      return { status: decision };
+    }
 
-  return {
-    canProceed: totalUsed < limit,
-    totalUsed,
-    limit,
-    tier: effectiveTier,
-    deviceRef: null,
-  };
+    const attempts = (existing.attempts || 1) + 1;
+    transaction.update(processedRef, { ...lease, attempts });
+    return { status: 'claimed', attempts };
+  });
 }
 
-function resolveICloudIDForSession(requestICloudIDRaw, userData) {
-  return normalizeICloudId(requestICloudIDRaw) || normalizeICloudId(userData?.iCloudID);
+/** Settle a claimed notification as done (processed or deliberately skipped). */
+async function completeNotification(processedRef, fields) {
+  await processedRef.set(
+    {
+      ...fields,
+      status: 'done',
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      leaseExpiresAt: admin.firestore.FieldValue.delete(),
+    },
+    { merge: true }
+  );
 }
 
-function userDocHasMeaningfulUsage(data) {
-  const d = data || {};
-  const tier = String(d.subscriptionTier || 'free');
-  if (tier !== 'free') return true;
-  if (d.subscriptionProductId || d.subscriptionExpiresAt || d.subscriptionVerifiedAt) return true;
-  if (d.pendingUpgradeProductId || d.pendingUpgradeAt) return true;
-  if ((d.voiceActionsUsed || 0) > 0 || (d.photoScansUsed || 0) > 0) return true;
-  if ((d.lifetimeAPIRequests || 0) > 0 || (d.monthlyTokens || 0) > 0) return true;
-  return false;
-}
+async function processClaimedNotification(db, outer, processedRef) {
+  const notificationUUID = outer.notificationUUID;
+  const notificationType = outer.notificationType;
 
-async function repointAppleSubscriptionMappings(db, fromUid, toUid) {
-  if (!fromUid || !toUid || fromUid === toUid) return;
-  try {
-    const snap = await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS)
-      .where('firebaseUid', '==', fromUid)
-      .get();
-    if (snap.empty) return;
-    const docs = snap.docs;
-    for (let i = 0; i < docs.length; i += 400) {
-      const batch = db.batch();
-      docs.slice(i, i + 400).forEach((doc) => {
-        batch.update(doc.ref, {
-          firebaseUid: toUid,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-      });
-      await batch.commit();
-    }
-    console.log(`☁️ appleSubscriptions repointed ${snap.size} mapping(s) ${fromUid.substring(0, 8)}… → ${toUid.substring(0, 8)}…`);
-  } catch (err) {
-    console.error(`☁️ repointAppleSubscriptionMappings failed: ${err.message}`);
+  const data = outer.data;
+  if (!data || !data.signedTransactionInfo) {
+    console.warn('ASSN: no data.signedTransactionInfo, type=', notificationType);
+    await completeNotification(processedRef, {
+      notificationType: notificationType || 'UNKNOWN',
+      skipped: true,
+    });
+    return;
   }
-}
 
-/**
- * Copy usage/subscription fields from a prior users/* doc sharing the same iCloudID.
- * Best-effort; never throws to callers.
- */
-async function migrateFromPreviousICloudSession(db, currentRef, currentUid, iCloudID) {
-  try {
-    const currentSnap = await currentRef.get();
-    const currentData = currentSnap.data() || {};
-    if (userDocHasMeaningfulUsage(currentData)) {
-      console.log('☁️ iCloud migration skip: current user already has meaningful data');
-      return;
-    }
+  const txPayload = await verifyAppleSignedJWS(data.signedTransactionInfo);
+  const mismatchReason = appTransactionMismatchReason({
+    bundleId: txPayload.bundleId ?? data.bundleId,
+    environment: txPayload.environment ?? data.environment,
+  });
+  if (mismatchReason) {
+    console.warn('ASSN: transaction rejected:', mismatchReason);
+    await completeNotification(processedRef, {
+      notificationType,
+      skipped: true,
+      reason: mismatchReason,
+    });
+    return;
+  }
+  const renewalInfo = data.signedRenewalInfo ? await verifyAppleSignedJWS(data.signedRenewalInfo) : null;
+  const originalTransactionId = txPayload.originalTransactionId != null
+    ? String(txPayload.originalTransactionId)
+    : null;
+  const notification = {
+    notificationUUID,
+    notificationType,
+    subtype: outer.subtype || null,
+    signedDate: outer.signedDate ?? null,
+    environment: data.environment || null,
+    txPayload,
+    renewalInfo,
+  };
 
-    const snapshot = await db.collection('users')
-      .where('iCloudID', '==', iCloudID)
-      .get();
+  if (!originalTransactionId) {
+    console.warn('ASSN: missing originalTransactionId');
+    await completeNotification(processedRef, {
+      notificationType,
+      skipped: true,
+    });
+    return;
+  }
 
-    const candidates = snapshot.docs.filter(
-      (doc) => doc.id !== currentUid && !isUserDocSuperseded(doc.data())
+  // Top-ups are never mapped in appleSubscriptions; their owner is on the usageTopUps ledger.
+  if (isTopUpTransaction(await loadProductCatalog(db), txPayload)) {
+    const { action, userId } = await applyTopUpNotification(db, notification);
+    await completeNotification(processedRef, {
+      notificationType,
+      subtype: outer.subtype || null,
+      environment: data.environment || null,
+      originalTransactionId,
+      transactionId: txPayload.transactionId != null ? String(txPayload.transactionId) : null,
+      firebaseUid: userId,
+      action,
+    });
+    console.log('ASSN: processed top-up', notificationType, notificationUUID, 'action=', action);
+    return;
+  }
+
+  const mappingRef = db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId);
+  const mappingSnap = await mappingRef.get();
+  if (!mappingSnap.exists) {
+    console.warn(
+      'ASSN: no firebaseUid mapping for originalTransactionId=',
+      originalTransactionId,
+      '(queued until verifySubscription maps it)'
     );
-    if (candidates.length === 0) return;
+    await enqueuePendingNotification(db, originalTransactionId, notification);
+    await completeNotification(processedRef, {
+      notificationType,
+      originalTransactionId,
+      skipped: true,
+      queued: true,
+      reason: 'no_mapping',
+    });
+    // The mapping may have been written while we were queueing; its replay could have missed this event.
+    const recheckSnap = await mappingRef.get();
+    if (recheckSnap.exists && recheckSnap.data().firebaseUid) {
+      await replayPendingNotifications(db, originalTransactionId, recheckSnap.data().firebaseUid);
+    }
+    return;
+  }
 
-    const scored = candidates.map((doc) => {
-      const d = doc.data() || {};
-      const tier = d.subscriptionTier || 'free';
-      const tierScore = tier === 'pro' ? 30000 : tier === 'plus' ? 20000 : 0;
-      const usageScore =
-        (d.voiceActionsUsed || 0) + (d.photoScansUsed || 0) + (d.lifetimeAPIRequests || 0) + (d.monthlyTokens || 0);
-      return { doc, score: tierScore + usageScore, data: d };
+  const familyShared = isFamilySharedTransaction(txPayload);
+  const targetUids = notificationTargetUids(mappingSnap.data(), txPayload);
+  if (targetUids.length === 0) {
+    // The mapping doc exists for the other side only (e.g. a family member verified before the
+    // purchaser), or no member has verified this family transaction yet; the holder's own
+    // verifySubscription replays the event.
+    console.warn(
+      `ASSN: no ${familyShared ? 'family member' : 'purchaser'} mapped for originalTransactionId=`,
+      originalTransactionId,
+      '(queued)'
+    );
+    await enqueuePendingNotification(db, originalTransactionId, notification);
+    await completeNotification(processedRef, {
+      notificationType,
+      originalTransactionId,
+      skipped: true,
+      queued: true,
+      reason: familyShared ? 'no_family_member' : 'no_mapping',
     });
+    return;
+  }
 
-    scored.sort((a, b) => b.score - a.score);
-    const donor = scored[0];
-    if ((donor.score || 0) <= 0) {
-      return;
+  const actions = [];
+  for (const uid of targetUids) {
+    const userRef = db.collection('users').doc(uid);
+    const userSnap = await userRef.get();
+    if (!userSnap.exists) {
+      console.warn('ASSN: user doc missing for uid=', uid);
+    }
+    actions.push(await applyNotificationToUser(db, userRef, notification));
+  }
+  if (familyShared && notificationType === 'REVOKE') {
+    await removeFamilyMembers(db, originalTransactionId, targetUids);
+  } else if (familyShared && txPayload.transactionId != null) {
+    // Renewals carry a new transactionId; keep each member's entry on the latest one.
+    const memberUpdate = {};
+    for (const uid of targetUids) {
+      memberUpdate[`familyMembers.${uid}.lastTransactionId`] = String(txPayload.transactionId);
+      memberUpdate[`familyMembers.${uid}.updatedAt`] = admin.firestore.FieldValue.serverTimestamp();
     }
+    await mappingRef.update(memberUpdate);
+  }
+  const action = [...new Set(actions)].join(',');
 
-    const donorTier = donor.data.subscriptionTier || 'free';
-    let keysToCopy = [
-      'subscriptionTier',
-      'subscriptionProductId',
-      'subscriptionExpiresAt',
-      'subscriptionRevokedAt',
-      'subscriptionVerifiedAt',
-      'pendingUpgradeProductId',
-      'pendingUpgradeAt',
-      'lifetimeAPIRequests',
-      'monthlyTokens',
-      'lastRequestAt',
-    ];
+  await completeNotification(processedRef, {
+    notificationType,
+    subtype: outer.subtype || null,
+    environment: data.environment || null,
+    originalTransactionId,
+    firebaseUid: targetUids[0],
+    ...(familyShared ? { familyShared: true, familyMemberUids: targetUids } : {}),
+    action,
+  });
 
-    // Free-tier usage is per-device; only migrate counters from a paid donor.
-    if (donorTier !== 'free') {
-      keysToCopy.push(
-        'voiceActionsUsed',
-        'voiceActionsLimit',
-        'voiceActionsDayKey',
-        'photoScansUsed',
-        'photoScansLimit',
-        'photoScansDayKey',
+  console.log('ASSN: processed', notificationType, notificationUUID, 'uid=', targetUids.join(','), 'action=', action);
+}
+
+/**
+ * Per-type ASSN handling. Returns a short action label stored on the processed marker.
+ * Types without special handling re-apply the transaction (with renewal info) as before.
+ */
+async function applyNotificationToUser(db, userRef, notification) {
+  const { notificationType, subtype, txPayload, renewalInfo } = notification;
+
+  switch (notificationType) {
+    case 'DID_FAIL_TO_RENEW': {
+      // With subtype GRACE_PERIOD, renewal info carries gracePeriodExpiresDate and the tier is kept until then.
+      const { applied } = await applySubscriptionToUserDoc(userRef, txPayload, db, { renewalInfo });
+      if (!applied) return 'stale';
+      await userRef.set(
+        { subscriptionBillingIssueAt: admin.firestore.FieldValue.serverTimestamp() },
+        { merge: true }
       );
+      return subtype === 'GRACE_PERIOD' ? 'billing_grace_period' : 'billing_retry';
     }
 
-    const payload = {};
-    for (const key of keysToCopy) {
-      if (donor.data[key] !== undefined) {
-        payload[key] = donor.data[key];
+    case 'REFUND':
+    case 'REVOKE': {
+      const revocationDate = txPayload.revocationDate ?? notification.signedDate ?? Date.now();
+      const { applied } = await applySubscriptionToUserDoc(
+        userRef, { ...txPayload, revocationDate }, db, { renewalInfo }
+      );
+      if (!applied) return 'stale';
+      if (notificationType === 'REFUND') {
+        await applyRefundUsageClawback(db, userRef);
+        return 'refunded';
       }
+      return 'revoked';
     }
-    payload.migratedFromUid = donor.doc.id;
-    payload.migratedViaICloudID = true;
-    payload.migratedAt = admin.firestore.FieldValue.serverTimestamp();
 
-    await currentRef.set(payload, { merge: true });
-    await repointAppleSubscriptionMappings(db, donor.doc.id, currentUid);
-    await markUserDocSuperseded(db, donor.doc.id, currentUid);
+    case 'DID_CHANGE_RENEWAL_PREF': {
+      const { applied } = await applySubscriptionToUserDoc(userRef, txPayload, db, { renewalInfo });
+      if (!applied) return 'stale';
+      await userRef.set(
+        {
+          subscriptionPendingRenewalChange: subtype === 'DOWNGRADE'
+            ? 'downgrade'
+            : admin.firestore.FieldValue.delete(),
+          subscriptionRenewalPrefChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+      return subtype === 'DOWNGRADE' ? 'pending_downgrade' : 'renewal_pref_changed';
+    }
 
-    console.log(
-      `☁️ iCloud migration: ${donor.doc.id.substring(0, 8)}… → ${currentUid.substring(0, 8)}… (tier=${donor.data.subscriptionTier || 'free'})`
-    );
-  } catch (err) {
-    console.error(`☁️ iCloud migration failed: ${err.message}`);
+    case 'CONSUMPTION_REQUEST':
+      return handleConsumptionRequest(db, userRef, notification);
+
+    case 'PRICE_INCREASE': {
+      const { applied } = await applySubscriptionToUserDoc(userRef, txPayload, db, { renewalInfo });
+      if (!applied) return 'stale';
+      await userRef.set(
+        {
+          subscriptionPriceIncreaseStatus: subtype || null,
+          subscriptionPriceIncreaseAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+      return `price_increase_${String(subtype || 'unknown').toLowerCase()}`;
+    }
+
+    default: {
+      const { applied } = await applySubscriptionToUserDoc(userRef, txPayload, db, { renewalInfo });
+      return applied ? 'applied' : 'stale';
+    }
   }
 }
 
 /**
- * Ensures users/{userId} exists. When iCloudID is provided, links and may migrate from a prior uid.
+ * Refunded users keep what they consumed but get no fresh quota for the rest of the period:
+ * with `exhaust_period`, the user doc and the device's free bucket are filled up to the free limits.
+ * Best-effort; never throws.
  */
-async function ensureUserDocument(db, userId, deviceID, iCloudIDRaw) {
-  const iCloudID = normalizeICloudId(iCloudIDRaw);
-  const userRef = db.collection('users').doc(userId);
-  const userDoc = await userRef.get();
+async function applyRefundUsageClawback(db, userRef) {
+  const policy = String(refundUsageClawbackPolicy.value() || 'none').trim();
+  if (policy !== 'exhaust_period') {
+    return;
+  }
+  try {
+    const userData = (await userRef.get()).data() || {};
+    const quotaConfig = await loadQuotaConfig(db);
+    const freeLimits = usageLimitsForUserDoc(quotaConfig, userRef.id, userData, 'free');
+    const exhausted = (data, meters) => Object.fromEntries(meters.map((meter) => {
+      const { used, limit } = meterFields(meter);
+      return [used, Math.max(data[used] || 0, freeLimits[limit])];
+    }));
+    await userRef.set(
+      {
+        ...exhausted(userData, activeMeterNames(quotaConfig.quotaPolicy)),
+        usageClawbackPolicy: policy,
+        usageClawbackAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
 
-  if (!userDoc.exists) {
-    const monthKey = getMonthKey();
-    const newDocData = {
-      deviceID: deviceID,
-      voiceActionsUsed: 0,
-      voiceActionsLimit: FREE_VOICE_LIMIT,
-      voiceActionsDayKey: monthKey,
-      photoScansUsed: 0,
-      photoScansLimit: FREE_PHOTO_LIMIT,
-      photoScansDayKey: monthKey,
-      lifetimeAPIRequests: 0,
-      monthlyTokens: 0,
-      subscriptionTier: 'free',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-    if (iCloudID) {
-      newDocData.iCloudID = iCloudID;
-    }
-    await userRef.set(newDocData);
-    if (iCloudID) {
-      await migrateFromPreviousICloudSession(db, userRef, userId, iCloudID);
-    }
-  } else if (iCloudID) {
-    const existingData = userDoc.data() || {};
-    const updates = {};
-    if (!existingData.iCloudID) {
-      updates.iCloudID = iCloudID;
-    }
-    if (Object.keys(updates).length > 0) {
-      await userRef.update(updates);
-    }
-    if (!userDocHasMeaningfulUsage(existingData)) {
-      await migrateFromPreviousICloudSession(db, userRef, userId, iCloudID);
+    const loaded = await loadDeviceFreeUsage(db, userData);
+    if (loaded) {
+      await loaded.deviceRef.update({
+        ...exhausted(loaded.deviceData, deviceScopedMeters(quotaConfig.quotaPolicy)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
     }
+    console.log(`💸 Refund clawback (${policy}) applied for uid=${userRef.id.substring(0, 8)}…`);
+  } catch (err) {
+    console.error(`💸 applyRefundUsageClawback failed: ${err.message}`);
   }
-
-  const doc = await userRef.get();
-  const finalData = doc.data() || {
-    voiceActionsUsed: 0,
-    voiceActionsLimit: FREE_VOICE_LIMIT,
-    voiceActionsDayKey: getMonthKey(),
-    photoScansUsed: 0,
-    photoScansLimit: FREE_PHOTO_LIMIT,
-    photoScansDayKey: getMonthKey(),
-    lifetimeAPIRequests: 0,
-    monthlyTokens: 0,
-    subscriptionTier: 'free',
-  };
-  await applySupersedeFromMigratedFromUid(db, userId, finalData);
-  return finalData;
 }
 
-async function ensureMonthlyVoiceReset(userRef, userData) {
-  const monthKey = getMonthKey();
-  const tier = userData.subscriptionTier || 'free';
-  const expectedLimit =
-    tier === 'pro'
-      ? PRO_VOICE_LIMIT
-      : tier === 'plus'
-        ? PLUS_VOICE_LIMIT
-        : FREE_VOICE_LIMIT;
-  const needsLimitFix = (userData.voiceActionsLimit || expectedLimit) !== expectedLimit;
-  const needsReset = userData.voiceActionsDayKey !== monthKey;
-
-  if (needsReset || needsLimitFix) {
-    await userRef.update({
-      voiceActionsUsed: needsReset ? 0 : (userData.voiceActionsUsed || 0),
-      voiceActionsDayKey: monthKey,
-      ...(needsLimitFix ? { voiceActionsLimit: expectedLimit } : {}),
-    });
-    userData.voiceActionsUsed = needsReset ? 0 : (userData.voiceActionsUsed || 0);
-    userData.voiceActionsDayKey = monthKey;
-    if (needsLimitFix) {
-      userData.voiceActionsLimit = expectedLimit;
-    }
+/** Apple `consumptionStatus`: 1 not consumed, 2 partially consumed, 3 fully consumed. */
+function consumptionStatusForUsage(userData) {
+  let used = 0;
+  let limit = 0;
+  for (const meter of METER_NAMES) {
+    const fields = meterFields(meter);
+    used += userData[fields.used] || 0;
+    limit += userData[fields.limit] || 0;
   }
-
-  return userData;
+  if (used <= 0) return 1;
+  if (limit > 0 && used >= limit) return 3;
+  return 2;
 }
 
-async function ensureMonthlyPhotoReset(userRef, userData) {
-  const monthKey = getMonthKey();
-  const tier = userData.subscriptionTier || 'free';
-  const expectedLimit =
-    tier === 'pro'
-      ? PRO_PHOTO_LIMIT
-      : tier === 'plus'
-        ? PLUS_PHOTO_LIMIT
-        : FREE_PHOTO_LIMIT;
-  const needsLimitFix = (userData.photoScansLimit || expectedLimit) !== expectedLimit;
-  const needsReset = userData.photoScansDayKey !== monthKey;
-
-  if (needsReset || needsLimitFix) {
-    await userRef.update({
-      photoScansUsed: needsReset ? 0 : (userData.photoScansUsed || 0),
-      photoScansDayKey: monthKey,
-      ...(needsLimitFix ? { photoScansLimit: expectedLimit } : {}),
-    });
-    userData.photoScansUsed = needsReset ? 0 : (userData.photoScansUsed || 0);
-    userData.photoScansDayKey = monthKey;
-    if (needsLimitFix) {
-      userData.photoScansLimit = expectedLimit;
+/**
+ * CONSUMPTION_REQUEST: a customer asked Apple for a refund. Record the usage snapshot and, only when the
+ * user consented to sharing usage data (`consumptionDataConsent` on users/*, set through
+ * setConsumptionDataConsent), send it to Apple.
+ */
+async function handleConsumptionRequest(db, userRef, { notificationUUID, environment, txPayload }) {
+  const userData = (await userRef.get()).data() || {};
+  const consumptionStatus = consumptionStatusForUsage(userData);
+  const consented = userData.consumptionDataConsent === true;
+  const record = {
+    firebaseUid: userRef.id,
+    originalTransactionId: txPayload.originalTransactionId != null ? String(txPayload.originalTransactionId) : null,
+    transactionId: txPayload.transactionId != null ? String(txPayload.transactionId) : null,
+    environment,
+    consumptionStatus,
+    ...Object.fromEntries(METER_NAMES.map((meter) => [meterFields(meter).used, userData[meterFields(meter).used] || 0])),
+    lifetimeAPIRequests: userData.lifetimeAPIRequests || 0,
+    customerConsented: consented,
+    sentToApple: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (consented && record.transactionId) {
+    try {
+      await createAppleServerApiClient().sendConsumptionInformation(record.transactionId, {
+        customerConsented: true,
+        consumptionStatus,
+        platform: 1,
+        sampleContentProvided: false,
+        deliveryStatus: 0,
+        appAccountToken: userData.appAccountToken || '',
+        accountTenure: 0,
+        playTime: 0,
+        lifetimeDollarsRefunded: 0,
+        lifetimeDollarsPurchased: 0,
+        userStatus: 1,
+        refundPreference: 0,
+      }, environment);
+      record.sentToApple = true;
+    } catch (err) {
+      record.sendError = err.message;
+      console.error(`ASSN: sendConsumptionInformation failed: ${err.message}`);
     }
   }
 
-  return userData;
+  await db.collection(COLLECTION_APPLE_CONSUMPTION_REQUESTS).doc(notificationUUID).set(record);
+  return record.sentToApple ? 'consumption_sent' : 'consumption_recorded';
 }
 
-function getUserLastActivity(data) {
-  const lastRequestAt = parseStoreKitDate(data.lastRequestAt);
-  if (lastRequestAt) return lastRequestAt;
-  const createdAt = parseStoreKitDate(data.createdAt);
-  return createdAt || null;
+/** True for consumable (top-up) transactions, by StoreKit `type` or by the product catalog. */
+function isTopUpTransaction(catalog, txPayload) {
+  return txPayload.type === 'Consumable' || Boolean(consumableProductForId(catalog, txPayload.productId));
 }
 
-function isSafeToDeleteFreeUser(data, cutoffDate) {
-  if (isUserDocSuperseded(data)) {
-    return false;
-  }
-  const tier = String(data.subscriptionTier || 'free');
-  if (tier !== 'free') return false;
-  if (data.subscriptionProductId || data.subscriptionExpiresAt || data.subscriptionVerifiedAt) {
-    return false;
-  }
-  if (data.pendingUpgradeProductId || data.pendingUpgradeAt) {
-    return false;
-  }
-  const lastActivity = getUserLastActivity(data);
-  if (!lastActivity) return false;
-  return lastActivity < cutoffDate;
-}
+/**
+ * Credit a verified top-up purchase to users/{userId} once per `transactionId`.
+ * @returns {Promise<{ status: 'credited'|'already_credited'|'claimed_by_other'|'reversed', balances: object }>}
+ */
+async function creditTopUpPurchase(db, userId, payload, product) {
+  const transactionId = String(payload.transactionId);
+  const ledgerRef = db.collection(COLLECTION_USAGE_TOP_UPS).doc(transactionId);
+  const userRef = db.collection('users').doc(userId);
+  const purchaseDate = parseStoreKitDate(payload.purchaseDate);
+
+  return db.runTransaction(async (transaction) => {
+    const ledgerSnap = await transaction.get(ledgerRef);
+    const userSnap = await transaction.get(userRef);
+    const userData = userSnap.data() || {};
+
+    if (ledgerSnap.exists) {
+      const ledger = ledgerSnap.data() || {};
+      let status = 'already_credited';
+      if (ledger.status === 'reversed') {
+        status = 'reversed';
+      } else if (ledger.userId !== userId) {
+        status = 'claimed_by_other';
+      }
+      return { status, balances: topUpBalancesFromUserDoc(userData) };
+    }
 
-function isSafeToDeleteSupersededUser(data, cutoffDate) {
-  if (!isUserDocSuperseded(data)) {
-    return false;
-  }
-  const supersededAt = parseStoreKitDate(data.supersededAt);
-  if (!supersededAt) {
-    return false;
-  }
-  return supersededAt < cutoffDate;
+    const balanceUpdate = {};
+    for (const [meter, amount] of Object.entries(product.grants)) {
+      const field = topUpBalanceField(meter);
+      balanceUpdate[field] = (userData[field] || 0) + amount;
+    }
+    transaction.set(
+      userRef,
+      { ...balanceUpdate, topUpLastCreditedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    transaction.set(ledgerRef, {
+      userId,
+      transactionId,
+      originalTransactionId: payload.originalTransactionId != null ? String(payload.originalTransactionId) : null,
+      productId: String(payload.productId),
+      environment: payload.environment || null,
+      grants: product.grants,
+      status: 'credited',
+      purchasedAt: purchaseDate ? admin.firestore.Timestamp.fromDate(purchaseDate) : null,
+      creditedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: 'credited', balances: topUpBalancesFromUserDoc({ ...userData, ...balanceUpdate }) };
+  });
 }
 
-// ═══════════════════════════════════════════════════════
-// 🆕 NEW FUNCTION: Claude Vision (Photo Scan)
-// ═══════════════════════════════════════════════════════
-
-exports.callClaudeVision = onCall(
-  {
-    secrets: [anthropicApiKey],
-    region: 'us-central1',
-    timeoutSeconds: 60,
-    memory: '512MiB',
-  },
-  async (request) => {
-    console.log('📸 === CLAUDE VISION CALLED ===');
-    
-    if (!request.auth) {
-      console.error('❌ No authentication');
-      throw new HttpsError('unauthenticated', 'User must be authenticated');
+/**
+ * Take a refunded top-up back out of the owner's balance. Units already spent cannot be recovered;
+ * they are recorded as `unrecoveredUnits` on the ledger doc. A refund that arrives before the client
+ * verified the purchase leaves a `reversed` ledger doc so the purchase can never be credited.
+ */
+async function reverseTopUpCredit(db, txPayload, reason) {
+  const transactionId = String(txPayload.transactionId);
+  const ledgerRef = db.collection(COLLECTION_USAGE_TOP_UPS).doc(transactionId);
+
+  return db.runTransaction(async (transaction) => {
+    const ledgerSnap = await transaction.get(ledgerRef);
+    if (!ledgerSnap.exists) {
+      transaction.set(ledgerRef, {
+        userId: null,
+        transactionId,
+        productId: txPayload.productId != null ? String(txPayload.productId) : null,
+        status: 'reversed',
+        reversalReason: reason,
+        reversedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { action: 'topup_reversed_before_credit', userId: null };
     }
 
-    const userId = request.auth.uid;
-    console.log('✅ User authenticated:', userId);
-    
-    const { imageBase64, imageType, prompt } = request.data;
-
-    if (!imageBase64) {
-      console.error('❌ No image data');
-      throw new HttpsError('invalid-argument', 'imageBase64 is required');
+    const ledger = ledgerSnap.data() || {};
+    if (ledger.status === 'reversed') {
+      return { action: 'topup_already_reversed', userId: ledger.userId || null };
     }
 
-    // Validate image type
-    const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
-    const mediaType = imageType || 'image/jpeg';
-    
-    if (!validTypes.includes(mediaType)) {
-      throw new HttpsError('invalid-argument', `Invalid image type: ${mediaType}`);
+    const userRef = db.collection('users').doc(ledger.userId);
+    const userSnap = await transaction.get(userRef);
+    const userData = userSnap.data() || {};
+    const balanceUpdate = {};
+    const unrecoveredUnits = {};
+    for (const [meter, granted] of Object.entries(ledger.grants || {})) {
+      const field = topUpBalanceField(meter);
+      const balance = userData[field] || 0;
+      const recovered = Math.min(granted, balance);
+      balanceUpdate[field] = balance - recovered;
+      unrecoveredUnits[meter] = granted - recovered;
     }
-
-    // Estimate image size (base64 is ~33% larger than binary)
-    const estimatedSizeMB = (imageBase64.length * 0.75) / 1024 / 1024;
-    console.log('📊 Image size (estimated):', estimatedSizeMB.toFixed(2), 'MB');
-
-    if (estimatedSizeMB > 5) {
-      throw new HttpsError(
-        'invalid-argument',
-        `Image too large: ${estimatedSizeMB.toFixed(1)}MB (max 5MB). Please resize on device.`
-      );
+    if (userSnap.exists && Object.keys(balanceUpdate).length > 0) {
+      transaction.update(userRef, balanceUpdate);
     }
+    transaction.update(ledgerRef, {
+      status: 'reversed',
+      reversalReason: reason,
+      unrecoveredUnits,
+      reversedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { action: 'topup_reversed', userId: ledger.userId };
+  });
+}
 
-    try {
-      const deviceID = request.data.deviceID || 'unknown';
-      const iCloudID = request.data.iCloudID || null;
-      console.log('📱 Device ID:', deviceID.substring(0, 8) + '...');
-      
-      const db = admin.firestore();
-      const userRef = db.collection('users').doc(userId);
-      let userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
-      userData = await ensureMonthlyPhotoReset(userRef, userData);
-
-      const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
-      const aggregateCheck = await evaluateAggregatedUsageLimit(db, {
-        iCloudID: sessionICloudID,
-        usageField: 'photoScansUsed',
-        userData,
-        limitForTier: photoLimitForTier,
-        deviceID,
-      });
+/** ASSN handling for consumable transactions. Returns the action label and the ledger owner, if known. */
+async function applyTopUpNotification(db, notification) {
+  const { notificationType, txPayload } = notification;
+  if (txPayload.transactionId == null) {
+    return { action: 'topup_skipped', userId: null };
+  }
 
-      if (!aggregateCheck.canProceed) {
-        console.error('❌ Photo scans limit exceeded (iCloud aggregate)');
-        throw new HttpsError(
-          'resource-exhausted',
-          `PHOTO_SCANS_LIMIT_REACHED:${aggregateCheck.limit}:${aggregateCheck.tier}`,
-          {
-            limit: aggregateCheck.limit,
-            used: aggregateCheck.totalUsed,
-            tier: aggregateCheck.tier,
-          }
-        );
+  switch (notificationType) {
+    case 'REFUND':
+    case 'REVOKE': {
+      const result = await reverseTopUpCredit(db, txPayload, notificationType.toLowerCase());
+      if (result.action === 'topup_reversed') {
+        console.log(`💸 Top-up ${txPayload.transactionId} reversed for uid=${result.userId.substring(0, 8)}…`);
       }
+      return result;
+    }
 
-      const reservation = await db.runTransaction(async (transaction) => {
-        if (aggregateCheck.tier === 'free' && aggregateCheck.deviceRef) {
-          const deviceSnap = await transaction.get(aggregateCheck.deviceRef);
-          const deviceData = deviceSnap.data() || {};
-          const used = deviceData.photoScansUsed || 0;
+    case 'CONSUMPTION_REQUEST': {
+      const ledgerSnap = await db.collection(COLLECTION_USAGE_TOP_UPS).doc(String(txPayload.transactionId)).get();
+      const userId = ledgerSnap.exists ? (ledgerSnap.data().userId || null) : null;
+      if (!userId) {
+        return { action: 'topup_unknown', userId: null };
+      }
+      const action = await handleConsumptionRequest(db, db.collection('users').doc(userId), notification);
+      return { action, userId };
+    }
 
-          transaction.update(aggregateCheck.deviceRef, {
-            photoScansUsed: used + 1,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
+    default:
+      return { action: 'topup_ignored', userId: null };
+  }
+}
 
-          console.log(`📱 Free tier: incremented device photo usage ${used} → ${used + 1}`);
+/** Current quota window for a users/* doc: billing-anchored for paid tiers, calendar month for free. */
+function quotaPeriodForUserDoc(quotaPolicy, userData, now = new Date()) {
+  return resolveQuotaPeriod({
+    tier: effectiveTierForUserDoc(userData, now),
+    anchorDate: parseStoreKitDate(userData.subscriptionPeriodAnchorAt),
+    timeZone: userData.timeZone,
+    modes: quotaPolicy.periods,
+    now,
+  });
+}
 
-          return {
-            canProceed: true,
-            usedAfter: used + 1,
-            aggregateUsedAfter: used + 1,
-            limit: aggregateCheck.limit,
-            tier: aggregateCheck.tier,
-          };
-        }
+/** Current free-tier quota window (deviceFreeUsage buckets), in the user's time zone when enabled. */
+function freeQuotaPeriod(quotaPolicy, timeZone, now = new Date()) {
+  return resolveQuotaPeriod({ tier: 'free', timeZone, modes: quotaPolicy.periods, now });
+}
 
-        const snapshot = await transaction.get(userRef);
-        const data = snapshot.data() || {};
-        const used = data.photoScansUsed || 0;
+/**
+ * Hash deviceID for Firestore doc ids and logs (client sends a stable Keychain-backed identifier):
+ * HMAC under IDENTIFIER_PEPPER, `v1_…`, so callers need the `identifierPepper` secret.
+ */
+function hashDeviceId(deviceID) {
+  if (!deviceID || deviceID === 'unknown') {
+    throw new Error('Invalid deviceID for hashing');
+  }
+  return hashIdentifier('device', deviceID, identifierPepper.value());
+}
 
-        transaction.update(userRef, {
-          photoScansUsed: used + 1,
-        });
+/** hashDeviceId, or null for a missing / `unknown` deviceID. */
+function optionalDeviceHash(deviceID) {
+  return deviceID && deviceID !== 'unknown' ? hashDeviceId(deviceID) : null;
+}
 
-        console.log(`☁️ Paid tier: incremented user photo usage ${used} → ${used + 1}`);
+/** Keyed hash of a normalized iCloudID for doc ids (abuse list, promo redemptions). */
+function hashICloudId(iCloudID) {
+  return iCloudID ? hashIdentifier('icloud', iCloudID, identifierPepper.value()) : null;
+}
 
-        return {
-          canProceed: true,
-          usedAfter: used + 1,
-          aggregateUsedAfter: aggregateCheck.totalUsed + 1,
-          limit: aggregateCheck.limit,
-          tier: aggregateCheck.tier,
-        };
-      });
+/**
+ * deviceFreeUsage bucket of a users/* doc: `deviceIdHash`, or for a doc still holding the raw `deviceID`
+ * its hash plus the pre-pepper id to migrate from. Null when the doc has no device.
+ * @returns {{ bucketId: string, legacyBucketId?: string }|null}
+ */
+function deviceBucketForUserDoc(userData) {
+  if (userData?.deviceID && userData.deviceID !== 'unknown') {
+    return { bucketId: hashDeviceId(userData.deviceID), legacyBucketId: legacyDeviceHash(userData.deviceID) };
+  }
+  return isHashedIdentifier(userData?.deviceIdHash) ? { bucketId: userData.deviceIdHash } : null;
+}
 
-      console.log('📊 User data:', {
-        subscriptionTier: reservation.tier,
-        photoScansUsed: reservation.aggregateUsedAfter,
-        photoScansLimit: reservation.limit,
-        remainingScans: reservation.limit - reservation.aggregateUsedAfter,
-        iCloudAggregate: Boolean(sessionICloudID),
-      });
+/**
+ * Move deviceFreeUsage/{legacyBucketId} (pre-pepper id) to `deviceRef` so the device keeps its
+ * counters. Returns whether `deviceRef` exists afterwards.
+ */
+async function migrateLegacyDeviceFreeUsage(db, deviceRef, legacyBucketId) {
+  const legacyRef = db.collection(COLLECTION_DEVICE_FREE_USAGE).doc(legacyBucketId);
+  const outcome = await db.runTransaction(async (transaction) => {
+    const [currentSnap, legacySnap] = await transaction.getAll(deviceRef, legacyRef);
+    if (currentSnap.exists) return 'exists';
+    if (!legacySnap.exists) return 'missing';
+    transaction.set(deviceRef, {
+      ...legacySnap.data(),
+      deviceIdHash: deviceRef.id,
+      migratedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.delete(legacyRef);
+    return 'moved';
+  });
+  if (outcome === 'moved') {
+    console.log(`📱 Migrated deviceFreeUsage doc to ${deviceRef.id.substring(0, 11)}…`);
+  }
+  return outcome !== 'missing';
+}
 
-      // Detect photo type and select template
-      const photoType = request.data.photoType || 'note'; // 'recipe', 'receipt', 'note', 'custom'
-      const systemPrompt = getPhotoScanPrompt(photoType, prompt);
+/**
+ * Ensure deviceFreeUsage/{bucketId} exists: a physical device's hash, or the global unattested bucket.
+ * A device's doc under `legacyBucketId` is migrated instead of starting from zero.
+ */
+async function ensureDeviceFreeUsage(db, quotaPolicy, bucketId, legacyBucketId = null) {
+  const deviceRef = db.collection(COLLECTION_DEVICE_FREE_USAGE).doc(bucketId);
+  const snap = await deviceRef.get();
+  const migrated = !snap.exists && legacyBucketId
+    ? await migrateLegacyDeviceFreeUsage(db, deviceRef, legacyBucketId)
+    : false;
 
-      console.log('📝 Using template:', photoType);
-      console.log('🔑 Getting API key...');
-      const apiKey = anthropicApiKey.value();
-      
-      if (!apiKey) {
-        throw new HttpsError('failed-precondition', 'API key not configured');
-      }
+  if (!snap.exists && !migrated) {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const counters = {};
+    for (const meter of deviceScopedMeters(quotaPolicy)) {
+      counters[meterFields(meter).used] = 0;
+      counters[meterFields(meter).dayKey] = null;
+    }
+    await deviceRef.set({
+      ...(bucketId === UNATTESTED_FREE_USAGE_BUCKET_ID ? { shared: true } : { deviceIdHash: bucketId }),
+      ...counters,
+      createdAt: now,
+      updatedAt: now,
+    });
+    console.log(`📱 Created deviceFreeUsage doc: ${bucketId.substring(0, 8)}…`);
+  }
 
-      const apiStartTime = Date.now();
-      const modelFallbacks = [
-        'claude-sonnet-4-5-20250929',
-        'claude-sonnet-4-20250514',
-        'claude-haiku-4-5-20251001',
-        'claude-3-5-haiku-20241022',
-        'claude-3-haiku-20240307',
-      ];
-      let result;
-      let modelUsed;
-      let lastErrorText;
+  return deviceRef;
+}
 
-      for (const model of modelFallbacks) {
-        console.log(`🌐 Calling Claude Vision API (${model})...`);
-        try {
-          const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-              'x-api-key': apiKey,
-              'anthropic-version': '2023-06-01',
-              'content-type': 'application/json',
-            },
-            body: JSON.stringify({
-              model,
-              max_tokens: 4096,
-              system: [{
-                type: 'text',
-                text: systemPrompt,
-                cache_control: { type: 'ephemeral' }
-              }],
-              messages: [{
-                role: 'user',
-                content: [{
-                  type: 'image',
-                  source: {
-                    type: 'base64',
-                    media_type: mediaType,
-                    data: imageBase64
-                  }
-                }]
-              }]
-            }),
-          });
+/** Meters whose free-tier usage is counted on deviceFreeUsage/* (see meters.js `scope`). */
+function deviceScopedMeters(quotaPolicy) {
+  return activeMeterNames(quotaPolicy).filter((meter) => meterDefinition(meter).scope.free === 'device');
+}
 
-          if (!response.ok) {
-            const errorText = await response.text();
-            lastErrorText = errorText;
-            console.error(`❌ Claude Vision API error (${model}):`, errorText);
+/**
+ * Roll the counters of `meters` into `period`: each meter's counter is reset, or kept under the new
+ * key when `periodResetAction` says it is the same window. Returns the fields to write (empty when
+ * every counter is current) and the names of meters that were reset.
+ */
+function periodRolloverFields(data, meters, period) {
+  const fields = {};
+  const reset = [];
+  for (const meter of meters) {
+    const { used, dayKey } = meterFields(meter);
+    const action = periodResetAction(data[dayKey], period);
+    if (action === 'current') continue;
+    fields[used] = action === 'reset' ? 0 : (data[used] || 0);
+    fields[dayKey] = period.key;
+    if (action === 'reset') reset.push(meter);
+  }
+  return { fields, reset };
+}
 
-            if (response.status === 404 || errorText.includes('not_found')) {
-              continue;
-            }
+async function ensureUsagePeriodsForDevice(deviceRef, deviceData, quotaPolicy, period) {
+  const data = deviceData || {};
+  const { fields, reset } = periodRolloverFields(data, deviceScopedMeters(quotaPolicy), period);
+  if (Object.keys(fields).length === 0) {
+    return data;
+  }
 
-            throw new HttpsError('internal', `Claude API error: ${response.statusText}`);
-          }
+  await deviceRef.update({ ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  if (reset.length > 0) {
+    console.log(`🔄 Monthly ${reset.join(', ')} reset for device: ${deviceRef.id.substring(0, 8)}…`);
+  }
+  return { ...data, ...fields };
+}
 
-          result = await response.json();
-          modelUsed = model;
-          break;
-        } catch (error) {
-          if (error instanceof HttpsError) {
-            throw error;
-          }
-          lastErrorText = error.message;
-          if (model === modelFallbacks[modelFallbacks.length - 1]) {
-            throw new HttpsError('internal', error.message);
-          }
-        }
-      }
+/**
+ * Load free-tier counters for a users/* doc's device (period resets applied); `period` is the window
+ * they belong to. Null when the doc has no device.
+ */
+async function loadDeviceFreeUsage(db, userData) {
+  const bucket = deviceBucketForUserDoc(userData);
+  if (!bucket) {
+    return null;
+  }
+  return loadFreeUsageBucket(db, bucket, userData.timeZone);
+}
 
-      if (!result) {
-        throw new HttpsError('internal', `Claude API error: ${lastErrorText || 'Unknown error'}`);
-      }
+/** loadDeviceFreeUsage for a bucket (see resolveFreeUsageBucket). */
+async function loadFreeUsageBucket(db, { bucketId, legacyBucketId = null }, timeZone = null) {
+  const quotaPolicy = await loadQuotaPolicy(db);
+  const period = freeQuotaPeriod(quotaPolicy, timeZone);
+  const deviceRef = await ensureDeviceFreeUsage(db, quotaPolicy, bucketId, legacyBucketId);
+  const deviceData = await ensureUsagePeriodsForDevice(
+    deviceRef,
+    (await deviceRef.get()).data() || {},
+    quotaPolicy,
+    period
+  );
+  return { deviceRef, deviceData, period };
+}
+
+/**
+ * Whether `deviceToken` is a live token for `deviceHash` whose key is still one attestDevice recorded for
+ * the device. Tokens issued before `keys` was recorded are checked against `keyIds`.
+ */
+async function isDeviceTokenValid(db, deviceHash, deviceToken) {
+  const claims = verifyDeviceToken(deviceToken, deviceTokenSecret.value());
+  if (!claims || claims.deviceHash !== deviceHash) {
+    return false;
+  }
+  const device = (await db.collection(COLLECTION_ATTESTED_DEVICES).doc(deviceHash).get()).data() || {};
+  return Boolean(device.keys?.[claims.keyHash])
+    || (device.keyIds || []).some((keyId) => deviceKeyHash(keyId) === claims.keyHash);
+}
+
+/**
+ * Free-tier bucket for a caller's device-scoped usage: deviceFreeUsage/{deviceHash} when `deviceToken`
+ * vouches for the deviceID (see isDeviceTokenValid; unless DEVICE_ATTESTATION_MODE is `enforce`, any
+ * deviceID is accepted), else
+ * the global unattested bucket (UNATTESTED_FREE_USAGE_BUCKET_ID). A missing deviceID always lands in
+ * the shared bucket, so a fresh uid no longer means a fresh allowance; one uid's share of it is capped
+ * (see unattestedUsageDecision).
+ * @returns {{ bucketId: string, legacyBucketId?: string, shared: boolean, attested: boolean }}
+ *   `legacyBucketId` is the device's pre-pepper doc id (see migrateLegacyDeviceFreeUsage).
+ */
+async function resolveFreeUsageBucket(db, { deviceID, deviceToken }) {
+  const mode = String(deviceAttestationMode.value() || 'monitor').trim();
+  if (deviceID && deviceID !== 'unknown') {
+    const deviceHash = hashDeviceId(deviceID);
+    const attested = mode !== 'off' && await isDeviceTokenValid(db, deviceHash, deviceToken);
+    if (attested || mode !== 'enforce') {
+      if (!attested && mode === 'monitor') {
+        console.warn(`📱 Device ${deviceHash.substring(0, 8)}… has no valid device token (monitor mode)`);
+      }
+      return { bucketId: deviceHash, legacyBucketId: legacyDeviceHash(deviceID), shared: false, attested };
+    }
+  }
+  console.warn(`📱 Unattested free-tier caller: counting usage in ${UNATTESTED_FREE_USAGE_BUCKET_ID}`);
+  return { bucketId: UNATTESTED_FREE_USAGE_BUCKET_ID, shared: true, attested: false };
+}
+
+/** Expect SHA256 hex (64 chars) from iOS ``ICloudIdentityProvider`` — reject anything else. */
+function normalizeICloudId(raw) {
+  if (raw == null) return null;
+  const s = String(raw).trim().toLowerCase();
+  if (!s) return null;
+  if (!/^[a-f0-9]{64}$/.test(s)) {
+    console.warn('☁️ iCloudID ignored: invalid format');
+    return null;
+  }
+  return s;
+}
+
+function highestSubscriptionTier(tierA, tierB) {
+  const a = SUBSCRIPTION_TIER_ORDER[tierA] ?? 0;
+  const b = SUBSCRIPTION_TIER_ORDER[tierB] ?? 0;
+  return a >= b ? (tierA || 'free') : (tierB || 'free');
+}
+
+/** True when this users/* doc was replaced by a newer Firebase uid (post-migration). */
+function isUserDocSuperseded(data) {
+  const by = data?.supersededBy;
+  return by != null && String(by).trim() !== '';
+}
+
+/** Active iCloud peers only — superseded donor docs must not affect tier/usage aggregation. */
+function filterActiveICloudPeerDocs(docs) {
+  return docs.filter((doc) => !isUserDocSuperseded(doc.data()));
+}
+
+async function queryUserDocsByICloudID(db, iCloudID) {
+  if (!iCloudID) return [];
+  const snapshot = await db.collection('users').where('iCloudID', '==', iCloudID).get();
+  return filterActiveICloudPeerDocs(snapshot.docs);
+}
+
+/**
+ * Mark a prior users/* doc as superseded after uid migration (best-effort, idempotent).
+ */
+async function markUserDocSuperseded(db, donorUid, successorUid) {
+  if (!donorUid || !successorUid || donorUid === successorUid) {
+    return;
+  }
+  try {
+    const donorRef = db.collection('users').doc(String(donorUid));
+    const snap = await donorRef.get();
+    if (!snap.exists) {
+      return;
+    }
+    const data = snap.data() || {};
+    const existingSuccessor = data.supersededBy != null ? String(data.supersededBy) : '';
+    if (existingSuccessor && existingSuccessor !== String(successorUid)) {
+      console.warn(
+        `☁️ supersede skip: donor ${String(donorUid).substring(0, 8)}… already superseded by ${existingSuccessor.substring(0, 8)}…`
+      );
+      return;
+    }
+    if (existingSuccessor === String(successorUid)) {
+      return;
+    }
+    await donorRef.set(
+      {
+        supersededBy: String(successorUid),
+        supersededAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    console.log(
+      `☁️ marked superseded: ${String(donorUid).substring(0, 8)}… → ${String(successorUid).substring(0, 8)}…`
+    );
+  } catch (err) {
+    console.error(`☁️ markUserDocSuperseded failed: ${err.message}`);
+  }
+}
+
+/** Client uid rotation sets migratedFromUid on the new doc — mark the donor superseded on next backend touch. */
+async function applySupersedeFromMigratedFromUid(db, currentUid, userData) {
+  const migratedFrom = userData?.migratedFromUid;
+  if (migratedFrom == null || String(migratedFrom).trim() === '') {
+    return;
+  }
+  if (String(migratedFrom) === String(currentUid)) {
+    return;
+  }
+  await markUserDocSuperseded(db, String(migratedFrom), String(currentUid));
+}
+
+/**
+ * On tier upgrade, UI aggregates each meter's `xUsed` across all users/* with the same iCloudID.
+ * Reset every peer doc so 10/10 free on phone + 0 on iPad does not become 10/50 after Plus purchase.
+ */
+async function resetUsageCountersOnICloudPeers(db, iCloudID, upgradedUid, newTier, inTrial = false) {
+  if (!newTier || newTier === 'free') {
+    return;
+  }
+  try {
+    const docs = await queryUserDocsByICloudID(db, iCloudID);
+    if (docs.length === 0) return;
+
+    const quotaConfig = await loadQuotaConfig(db);
+    const limits = resolveUsageLimits(quotaConfig, {
+      tier: newTier,
+      subjectKey: quotaSubjectKey({ tier: newTier, iCloudID, userId: upgradedUid }),
+      inTrial,
+    }).limits;
+    const resetFields = { lastUsageResetDate: admin.firestore.FieldValue.serverTimestamp() };
+    for (const meter of activeMeterNames(quotaConfig.quotaPolicy)) {
+      const { used, limit } = meterFields(meter);
+      resetFields[used] = 0;
+      resetFields[limit] = limits[limit];
+    }
+
+    const peersToReset = docs.filter((doc) => doc.id !== upgradedUid);
+    if (peersToReset.length === 0) return;
+
+    for (let i = 0; i < peersToReset.length; i += 400) {
+      const batch = db.batch();
+      peersToReset.slice(i, i + 400).forEach((doc) => {
+        batch.set(doc.ref, resetFields, { merge: true });
+      });
+      await batch.commit();
+    }
+
+    console.log(
+      `☁️ Usage reset on upgrade (${newTier}): cleared ${peersToReset.length} iCloud peer doc(s), uid=${upgradedUid.substring(0, 8)}…`
+    );
+  } catch (err) {
+    console.error(`☁️ resetUsageCountersOnICloudPeers failed: ${err.message}`);
+  }
+}
+
+function sumUsageFieldAcrossDocs(docs, field) {
+  let total = 0;
+  docs.forEach((doc) => {
+    total += doc.data()[field] || 0;
+  });
+  return total;
+}
+
+/** Highest tier across peer docs plus the product id that grants it (the fallback wins ties). */
+function resolveEffectiveSubscriptionFromDocs(docs, fallbackTier = 'free', fallbackProductId = null, fallbackInTrial = false) {
+  let best = { tier: fallbackTier || 'free', productId: fallbackProductId, inTrial: fallbackInTrial };
+  docs.forEach((doc) => {
+    const data = doc.data();
+    const t = effectiveTierForUserDoc(data);
+    if (highestSubscriptionTier(best.tier, t) !== best.tier) {
+      // A tier that only comes from an admin grant has no product and no trial.
+      const purchased = t === (data.subscriptionTier || 'free');
+      best = {
+        tier: t,
+        productId: purchased ? (data.subscriptionProductId ?? null) : null,
+        inTrial: purchased && isUserDocInTrial(data),
+      };
+    }
+  });
+  return best;
+}
+
+/** Offer / trial / family state written by buildUserSubscriptionFields; travels with the tier between peers. */
+const SUBSCRIPTION_PEER_SYNC_FIELDS = [
+  'subscriptionOfferType',
+  'subscriptionOfferIdentifier',
+  'subscriptionOfferDiscountType',
+  'subscriptionInTrial',
+  'subscriptionTrialEndsAt',
+  'subscriptionOwnershipType',
+  'subscriptionFamilyId',
+  'subscriptionScheduledTier',
+  'subscriptionScheduledProductId',
+  'subscriptionScheduledTierAt',
+];
+
+function subscriptionFieldsForTierSync(peerData, limits) {
+  const tier = peerData.subscriptionTier || 'free';
+  const fields = {
+    subscriptionTier: tier,
+    subscriptionProductId: peerData.subscriptionProductId ?? null,
+    subscriptionVerifiedAt: peerData.subscriptionVerifiedAt
+      ?? admin.firestore.FieldValue.serverTimestamp(),
+    ...limits,
+  };
+  if (peerData.subscriptionExpiresAt !== undefined) {
+    fields.subscriptionExpiresAt = peerData.subscriptionExpiresAt;
+  }
+  if (peerData.subscriptionRevokedAt !== undefined) {
+    fields.subscriptionRevokedAt = peerData.subscriptionRevokedAt;
+  }
+  if (peerData.subscriptionPeriodAnchorAt !== undefined) {
+    fields.subscriptionPeriodAnchorAt = peerData.subscriptionPeriodAnchorAt;
+  }
+  for (const key of SUBSCRIPTION_PEER_SYNC_FIELDS) {
+    if (peerData[key] !== undefined) {
+      fields[key] = peerData[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Pull the highest paid tier from any users/* doc sharing this iCloudID onto the current uid.
+ * Best-effort; never throws.
+ */
+async function syncSubscriptionTierFromICloudPeers(db, userRef, userData, iCloudID) {
+  try {
+    const docs = await queryUserDocsByICloudID(db, iCloudID);
+    if (docs.length === 0) return userData;
+
+    const currentTier = userData.subscriptionTier || 'free';
+    let bestTier = currentTier;
+    let bestDocData = userData;
+
+    docs.forEach((doc) => {
+      const d = doc.data();
+      const t = d.subscriptionTier || 'free';
+      if ((SUBSCRIPTION_TIER_ORDER[t] ?? 0) > (SUBSCRIPTION_TIER_ORDER[bestTier] ?? 0)) {
+        bestTier = t;
+        bestDocData = d;
+      }
+    });
+
+    if ((SUBSCRIPTION_TIER_ORDER[bestTier] ?? 0) <= (SUBSCRIPTION_TIER_ORDER[currentTier] ?? 0)) {
+      return userData;
+    }
+
+    const limits = usageLimitsForUserDoc(await loadQuotaConfig(db), userRef.id, {
+      ...userData,
+      subscriptionProductId: bestDocData.subscriptionProductId ?? null,
+      subscriptionInTrial: bestDocData.subscriptionInTrial ?? false,
+      subscriptionTrialEndsAt: bestDocData.subscriptionTrialEndsAt ?? null,
+    }, bestTier);
+    const updates = subscriptionFieldsForTierSync(bestDocData, limits);
+    updates.subscriptionTierSyncedFromICloud = true;
+    updates.subscriptionTierSyncedAt = admin.firestore.FieldValue.serverTimestamp();
+    await userRef.set(updates, { merge: true });
+    console.log(
+      `☁️ Tier sync via iCloudID: ${currentTier} → ${bestTier} for uid=${userRef.id.substring(0, 8)}…`
+    );
+    return { ...userData, ...updates };
+  } catch (err) {
+    console.error(`☁️ syncSubscriptionTierFromICloudPeers failed: ${err.message}`);
+    return userData;
+  }
+}
+
+/**
+ * Usage limits: free tier reads deviceFreeUsage/{deviceHash}; paid tiers aggregate iCloud peers.
+ * `units` is what the call would add (1, or its credit estimate). Once the monthly allowance cannot
+ * cover it, the caller's top-up balance is spent (`source: 'topup'`).
+ * Non-transactional read; slight race acceptable before reservation transaction.
+ */
+async function evaluateAggregatedUsageLimit(db, {
+  userId,
+  iCloudID,
+  meter,
+  userData,
+  deviceID,
+  freeBucket,
+  units = 1,
+}) {
+  const { scope } = meterDefinition(meter);
+  const { used: usageField, limit: limitField } = meterFields(meter);
+  const currentTier = effectiveTierForUserDoc(userData);
+  const currentProductId = userData.subscriptionProductId ?? null;
+  const currentInTrial = currentTier === (userData.subscriptionTier || 'free') && isUserDocInTrial(userData);
+  const docs = iCloudID ? await queryUserDocsByICloudID(db, iCloudID) : [];
+  const effective = docs.length > 0
+    ? resolveEffectiveSubscriptionFromDocs(docs, currentTier, currentProductId, currentInTrial)
+    : { tier: currentTier, productId: currentProductId, inTrial: currentInTrial };
+  const effectiveTier = effective.tier;
+  const quotaConfig = await loadQuotaConfig(db);
+  const limitForTier = (tier) => resolveUsageLimits(quotaConfig, {
+    tier,
+    productId: effective.productId,
+    subjectKey: quotaSubjectKey({ tier, deviceHash: optionalDeviceHash(deviceID), iCloudID, userId }),
+    inTrial: tier !== 'free' && effective.inTrial,
+  }).limits[limitField];
+
+  if (effectiveTier === 'free' && scope.free !== 'device') {
+    const limit = limitForTier('free');
+    const used = scope.free === 'icloud' && docs.length > 0
+      ? sumUsageFieldAcrossDocs(docs, usageField)
+      : (userData[usageField] || 0);
+    return withTopUpFallback({
+      canProceed: used + units <= limit,
+      totalUsed: used,
+      limit,
+      tier: 'free',
+      deviceRef: null,
+    }, userData, usageField);
+  }
+
+  if (effectiveTier === 'free' && freeBucket.shared) {
+    const loaded = await loadFreeUsageBucket(db, freeBucket, userData.timeZone);
+    const periodKey = loaded.deviceData[usageDayKeyField(usageField)] || null;
+    const callerUsed = unattestedCallerUsed(userData, usageField, periodKey);
+    const decision = unattestedUsageDecision(quotaConfig.quotaPolicy, limitField, {
+      bucketUsed: loaded.deviceData[usageField] || 0,
+      callerUsed,
+      units,
+    });
+    console.log(
+      `📱 Free tier limit check (shared unattested bucket, ${decision.scope}): ${usageField}=${decision.used}+${units}/${decision.limit}, uid share=${callerUsed}, canProceed=${decision.canProceed}`
+    );
+
+    return withTopUpFallback({
+      canProceed: decision.canProceed,
+      totalUsed: decision.used,
+      limit: decision.limit,
+      tier: 'free',
+      deviceRef: loaded.deviceRef,
+      shared: true,
+      callerLimit: quotaConfig.quotaPolicy.unattested.perUid[limitField],
+    }, userData, usageField);
+  }
+
+  if (effectiveTier === 'free') {
+    const loaded = await loadFreeUsageBucket(db, freeBucket, userData.timeZone);
+    const limit = limitForTier('free');
+    const used = loaded.deviceData[usageField] || 0;
+    console.log(
+      `📱 Free tier limit check (device): ${usageField}=${used}+${units}/${limit}, canProceed=${used + units <= limit}`
+    );
+
+    return withTopUpFallback({
+      canProceed: used + units <= limit,
+      totalUsed: used,
+      limit,
+      tier: 'free',
+      deviceRef: loaded.deviceRef,
+    }, userData, usageField);
+  }
+
+  const limit = limitForTier(effectiveTier);
+  const usageDocs = scope.paid === 'icloud' ? await paidUsageDocs(db, quotaConfig.quotaPolicy, userData, docs) : [];
+  const totalUsed = usageDocs.length > 0
+    ? sumUsageFieldAcrossDocs(usageDocs, usageField)
+    : (userData[usageField] || 0);
+
+  console.log(
+    `☁️ Paid tier limit check: ${usageField}=${totalUsed}+${units}/${limit} (${usageScopeLabel(usageDocs, docs)}), tier=${effectiveTier}`
+  );
+
+  return withTopUpFallback({
+    canProceed: totalUsed + units <= limit,
+    totalUsed,
+    limit,
+    tier: effectiveTier,
+    deviceRef: null,
+  }, userData, usageField);
+}
+
+function usageScopeLabel(usageDocs, iCloudDocs) {
+  if (usageDocs.length === 0) return 'this account';
+  return usageDocs === iCloudDocs ? 'iCloud aggregate' : 'family pool aggregate';
+}
+
+/** Active paid users/* docs sharing one family subscription (`subscriptionFamilyId`). */
+async function queryFamilyPoolDocs(db, familyId) {
+  if (!familyId) return [];
+  const snapshot = await db.collection('users').where('subscriptionFamilyId', '==', familyId).get();
+  return filterActiveICloudPeerDocs(snapshot.docs)
+    .filter((doc) => (doc.data().subscriptionTier || 'free') !== 'free');
+}
+
+/**
+ * Docs whose paid-tier counters add up to the caller's usage: its iCloud peers, plus every family
+ * member when the quota policy pools Family Sharing (`family.quota: 'pooled'`).
+ */
+async function paidUsageDocs(db, quotaPolicy, userData, iCloudDocs) {
+  if (quotaPolicy.family.quota !== 'pooled' || !userData.subscriptionFamilyId) {
+    return iCloudDocs;
+  }
+  const byId = new Map(iCloudDocs.map((doc) => [doc.id, doc]));
+  for (const doc of await queryFamilyPoolDocs(db, userData.subscriptionFamilyId)) {
+    byId.set(doc.id, doc);
+  }
+  return [...byId.values()];
+}
+
+/** `voiceActionsUsed` → `voiceActionsDayKey` (monthly period marker stored next to each counter). */
+function usageDayKeyField(usageField) {
+  return usageField.replace(/Used$/, 'DayKey');
+}
+
+/** The caller's share of the shared unattested bucket's `usageField` in `periodKey` (0 once it rolled over). */
+function unattestedCallerUsed(userData, usageField, periodKey) {
+  const usage = userData.unattestedUsage || {};
+  return (usage[usageDayKeyField(usageField)] || null) === periodKey ? (usage[usageField] || 0) : 0;
+}
+
+/** users/* update setting the caller's share of the shared unattested bucket (see unattestedCallerUsed). */
+function unattestedCallerFields(usageField, periodKey, used) {
+  return {
+    [`unattestedUsage.${usageField}`]: Math.max(0, used),
+    [`unattestedUsage.${usageDayKeyField(usageField)}`]: periodKey,
+  };
+}
+
+/** `photoScansUsed` (or catalog meter `photoScans`) → `photoScansTopUpBalance` on users/*. */
+function topUpBalanceField(usageField) {
+  return `${usageField.replace(/Used$/, '')}TopUpBalance`;
+}
+
+/** Top-up balances on a users/* doc, as returned to the client. */
+function topUpBalancesFromUserDoc(userData) {
+  const balances = {};
+  for (const meter of METER_NAMES) {
+    if (!meterDefinition(meter).topUps) continue;
+    const field = meterFields(meter).topUpBalance;
+    balances[field] = userData[field] || 0;
+  }
+  return balances;
+}
+
+/** Allow the call on the top-up balance once the monthly allowance is exhausted. */
+function withTopUpFallback(check, userData, usageField) {
+  const topUpBalance = meterDefinition(usageField.replace(/Used$/, '')).topUps
+    ? Math.max(0, userData[topUpBalanceField(usageField)] || 0)
+    : 0;
+  const useTopUp = !check.canProceed && topUpBalance > 0;
+  return {
+    ...check,
+    canProceed: check.canProceed || useTopUp,
+    source: useTopUp ? 'topup' : 'allowance',
+    topUpBalance,
+  };
+}
+
+/** `resource-exhausted` error the client parses as `<CODE>:<limit>:<tier>`. */
+function usageLimitReachedError(code, aggregateCheck) {
+  return new HttpsError(
+    'resource-exhausted',
+    `${code}:${aggregateCheck.limit}:${aggregateCheck.tier}`,
+    {
+      limit: aggregateCheck.limit,
+      used: aggregateCheck.totalUsed,
+      tier: aggregateCheck.tier,
+    }
+  );
+}
+
+/**
+ * Reserve usage inside a transaction: adds `units` to the device doc (free tier) or the user doc
+ * (paid tier), or takes one unit off the user's top-up balance when the allowance is exhausted, and
+ * records a reservation so the units can be refunded if the upstream call fails (with `creditPolicy`
+ * for a credit reservation, so it can be trued up later). Units taken from the
+ * shared unattested bucket are also counted against the caller's share (users/*.unattestedUsage).
+ * Throws `usageLimitReachedError(limitCode, …)` if the top-up balance or the caller's share ran out
+ * since the check.
+ */
+async function reserveUsageUnit(db, {
+  userId,
+  userRef,
+  aggregateCheck,
+  usageField,
+  service,
+  limitCode,
+  units = 1,
+  creditPolicy = null,
+}) {
+  const reservationRef = db.collection(COLLECTION_USAGE_RESERVATIONS).doc();
+  const fromTopUp = aggregateCheck.source === 'topup';
+  const targetRef = !fromTopUp && aggregateCheck.tier === 'free' && aggregateCheck.deviceRef
+    ? aggregateCheck.deviceRef
+    : userRef;
+  const scope = fromTopUp ? 'topup' : targetRef === userRef ? 'user' : 'device';
+  const counterField = fromTopUp ? topUpBalanceField(usageField) : usageField;
+  const dayKeyField = usageDayKeyField(usageField);
+  const reservedUnits = fromTopUp ? 1 : units;
+  const callerRef = aggregateCheck.shared && !fromTopUp ? userRef : null;
+  const now = Date.now();
+
+  const reservation = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(targetRef);
+    const data = snapshot.data() || {};
+    const callerData = callerRef ? (await transaction.get(callerRef)).data() || {} : null;
+    const current = data[counterField] || 0;
+    if (fromTopUp && current <= 0) {
+      throw usageLimitReachedError(limitCode, aggregateCheck);
+    }
+    const next = fromTopUp ? current - 1 : current + reservedUnits;
+    const periodKey = fromTopUp ? null : (data[dayKeyField] || null);
+    if (callerRef) {
+      const callerUsed = unattestedCallerUsed(callerData, usageField, periodKey);
+      if (callerUsed + reservedUnits > aggregateCheck.callerLimit) {
+        throw usageLimitReachedError(limitCode, { ...aggregateCheck, totalUsed: callerUsed, limit: aggregateCheck.callerLimit });
+      }
+      transaction.update(callerRef, unattestedCallerFields(usageField, periodKey, callerUsed + reservedUnits));
+    }
+
+    const counterUpdate = { [counterField]: next };
+    if (scope === 'device') {
+      counterUpdate.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(targetRef, counterUpdate);
+    transaction.set(reservationRef, {
+      userId,
+      service,
+      usageField,
+      counterField,
+      units: reservedUnits,
+      scope,
+      targetPath: targetRef.path,
+      ...(callerRef ? { callerPath: callerRef.path } : {}),
+      periodKey,
+      tier: aggregateCheck.tier,
+      ...(creditPolicy ? { creditPolicy } : {}),
+      status: 'reserved',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + USAGE_RESERVATION_TTL_MINUTES * 60 * 1000),
+      purgeAt: admin.firestore.Timestamp.fromMillis(now + USAGE_RESERVATION_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    if (fromTopUp) {
+      return {
+        canProceed: true,
+        usedAfter: aggregateCheck.totalUsed,
+        aggregateUsedAfter: aggregateCheck.totalUsed,
+        limit: aggregateCheck.limit,
+        tier: aggregateCheck.tier,
+        topUpBalanceAfter: next,
+      };
+    }
+    return {
+      canProceed: true,
+      usedAfter: next,
+      aggregateUsedAfter: scope === 'device' ? next : aggregateCheck.totalUsed + reservedUnits,
+      limit: aggregateCheck.limit,
+      tier: aggregateCheck.tier,
+      topUpBalanceAfter: aggregateCheck.topUpBalance,
+    };
+  });
+
+  if (fromTopUp) {
+    console.log(
+      `🧾 Top-up: reserved ${counterField} ${reservation.topUpBalanceAfter + 1} → ${reservation.topUpBalanceAfter} (reservation=${reservationRef.id})`
+    );
+  } else {
+    console.log(
+      `${scope === 'device' ? '📱 Free' : '☁️ Paid'} tier: reserved ${usageField} ${reservation.usedAfter - reservedUnits} → ${reservation.usedAfter} (reservation=${reservationRef.id})`
+    );
+  }
+  return {
+    ...reservation,
+    source: aggregateCheck.source,
+    units: reservedUnits,
+    creditPolicy,
+    ref: reservationRef,
+    committed: false,
+  };
+}
+
+/** `resource-exhausted` error the client parses as `RATE_LIMITED:<retryAfterSeconds>:<scope>`. */
+function rateLimitedError(scope, decision) {
+  const retryAfterSeconds = Math.ceil(decision.retryAfterMs / 1000);
+  return new HttpsError(
+    'resource-exhausted',
+    `RATE_LIMITED:${retryAfterSeconds}:${scope}`,
+    {
+      retryAfterSeconds,
+      scope,
+      window: decision.window,
+      limit: decision.limit,
+    }
+  );
+}
+
+/**
+ * Burst protection for the AI proxies, checked before any quota work: the caller's uid and hashed
+ * device get the tier's `quotaPolicy.rateLimits`, and every caller of `service` shares the global
+ * limit. The per-caller windows are counted in a transaction; the global one uses blind increments
+ * on per-window docs so concurrent callers do not contend (it may overshoot slightly).
+ * Throws `rateLimitedError`. Fails open if the counters cannot be read or written.
+ */
+async function enforceRateLimits(db, { service, userId, userData, deviceID }) {
+  const nowMs = Date.now();
+  let blocked = null;
+  try {
+    const { quotaPolicy } = await loadQuotaConfig(db);
+    const collection = db.collection(COLLECTION_RATE_LIMITS);
+    const purgeAt = admin.firestore.Timestamp.fromMillis(nowMs + RATE_LIMIT_RETENTION_HOURS * 60 * 60 * 1000);
+
+    const globalWindows = Object.keys(RATE_LIMIT_WINDOWS)
+      .filter((window) => quotaPolicy.rateLimits.global[window] != null);
+    const globalRef = (window, windowStart) => collection.doc(`${service}_global_${window}_${windowStart}`);
+    const globalState = {};
+    for (const window of globalWindows) {
+      const windowMs = RATE_LIMIT_WINDOWS[window];
+      const windowStart = windowStartFor(nowMs, windowMs);
+      const [currentSnap, previousSnap] = await db.getAll(
+        globalRef(window, windowStart),
+        globalRef(window, windowStart - windowMs)
+      );
+      globalState[window] = {
+        windowStart,
+        current: currentSnap.data()?.count || 0,
+        previous: previousSnap.data()?.count || 0,
+      };
+    }
+    const globalDecision = rateLimitDecision(globalState, quotaPolicy.rateLimits.global, nowMs);
+    if (!globalDecision.allowed) {
+      blocked = { scope: 'global', decision: globalDecision };
+    }
+
+    if (!blocked) {
+      const limits = quotaPolicy.rateLimits.tiers[effectiveTierForUserDoc(userData)];
+      const subjects = [{ scope: 'user', ref: collection.doc(`${service}_uid_${userId}`) }];
+      if (deviceID && deviceID !== 'unknown') {
+        subjects.push({ scope: 'device', ref: collection.doc(`${service}_device_${hashDeviceId(deviceID)}`) });
+      }
+      blocked = await db.runTransaction(async (transaction) => {
+        const snapshots = await transaction.getAll(...subjects.map((subject) => subject.ref));
+        const decisions = snapshots.map((snapshot) => rateLimitDecision(snapshot.data() || {}, limits, nowMs));
+        const deniedIndex = decisions.findIndex((decision) => !decision.allowed);
+        if (deniedIndex >= 0) {
+          return { scope: subjects[deniedIndex].scope, decision: decisions[deniedIndex] };
+        }
+        subjects.forEach((subject, i) => transaction.set(subject.ref, { ...decisions[i].state, purgeAt }));
+        return null;
+      });
+    }
+
+    if (!blocked) {
+      await Promise.all(globalWindows.map((window) => globalRef(window, globalState[window].windowStart).set(
+        { count: admin.firestore.FieldValue.increment(1), purgeAt },
+        { merge: true }
+      )));
+    }
+  } catch (err) {
+    console.error(`⏱️ enforceRateLimits failed open (${service}): ${err.message}`);
+    return;
+  }
+
+  if (blocked) {
+    console.warn(
+      `⏱️ Rate limited ${service} (${blocked.scope}, ${blocked.decision.window} limit ${blocked.decision.limit}) uid=${userId.substring(0, 8)}…, retry in ${blocked.decision.retryAfterMs}ms`
+    );
+    throw rateLimitedError(blocked.scope, blocked.decision);
+  }
+}
+
+/**
+ * App Check gate per APP_CHECK_MODE. `request.app` is only set for a verified token, so monitor mode
+ * logs what enforce mode would reject.
+ */
+function verifyAppCheck(request, endpoint) {
+  const mode = String(appCheckMode.value() || 'monitor').trim();
+  if (mode === 'off' || request.app) return;
+  const uid = String(request.auth?.uid || 'anonymous').substring(0, 8);
+  if (mode === 'enforce') {
+    console.warn(`🛡️ App Check: rejected ${endpoint} without a valid token uid=${uid}…`);
+    throw new HttpsError('failed-precondition', 'APP_CHECK_REQUIRED');
+  }
+  console.warn(`🛡️ App Check (monitor): ${endpoint} called without a valid token uid=${uid}…`);
+}
+
+/**
+ * Caller's IP: the last X-Forwarded-For hop, which the Google front end appends (earlier entries are
+ * whatever the client sent), else the socket address. Null when unknown.
+ */
+function clientIp(request) {
+  const hops = String(request.rawRequest?.headers?.['x-forwarded-for'] || '').split(',')
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  return hops[hops.length - 1] || request.rawRequest?.ip || null;
+}
+
+/** Peppered hash of the caller's IP (see clientIp), or null when unknown. Needs the `identifierPepper` secret. */
+function clientIpHash(request) {
+  const ip = clientIp(request);
+  return ip ? hashIdentifier('ip', ip, identifierPepper.value()) : null;
+}
+
+/** Pre-pepper hash of the caller's IP (plain SHA-256), still used by abuseList entries made before. */
+function legacyClientIpHash(request) {
+  const ip = clientIp(request);
+  return ip ? crypto.createHash('sha256').update(ip).digest('hex') : null;
+}
+
+/** abuseList / abuseSignals subject keys of a caller, by subject kind (unknown ones omitted). */
+function abuseSubjectKeys({ userId, deviceID, iCloudID, ipHash }) {
+  const keys = { uid: `uid_${userId}` };
+  if (deviceID && deviceID !== 'unknown') keys.device = `device_${hashDeviceId(deviceID)}`;
+  const normalizedICloudID = normalizeICloudId(iCloudID);
+  if (normalizedICloudID) keys.icloud = `icloud_${hashICloudId(normalizedICloudID)}`;
+  if (ipHash) keys.ip = `ip_${ipHash}`;
+  return keys;
+}
+
+/**
+ * abuseList ids the caller had before identifiers were peppered (`device_` / `ip_` + SHA-256, `icloud_`
+ * + raw iCloudID), by subject kind. Still read, so existing blocks and admin entries keep matching.
+ */
+function legacyAbuseSubjectKeys({ deviceID, iCloudID, legacyIpHash }) {
+  const keys = {};
+  if (deviceID && deviceID !== 'unknown') keys.device = `device_${legacyDeviceHash(deviceID)}`;
+  const normalizedICloudID = normalizeICloudId(iCloudID);
+  if (normalizedICloudID) keys.icloud = `icloud_${normalizedICloudID}`;
+  if (legacyIpHash) keys.ip = `ip_${legacyIpHash}`;
+  return keys;
+}
+
+/**
+ * Reject callers whose uid, device, iCloud account or IP is blocked on the abuse list
+ * (`permission-denied`, `ABUSE_BLOCKED`). Flagged callers are logged and served.
+ * Fails open if the list cannot be read.
+ */
+async function enforceAbuseList(db, caller) {
+  let status;
+  try {
+    const keys = [...Object.values(abuseSubjectKeys(caller)), ...Object.values(legacyAbuseSubjectKeys(caller))];
+    const snapshots = await db.getAll(...keys.map((key) => db.collection(COLLECTION_ABUSE_LIST).doc(key)));
+    status = abuseListStatus(snapshots.map((snapshot) => snapshot.data()), Date.now());
+  } catch (err) {
+    console.error(`🛡️ enforceAbuseList failed open: ${err.message}`);
+    return;
+  }
+  if (status === 'blocked') {
+    console.warn(`🛡️ Abuse list: blocked uid=${caller.userId.substring(0, 8)}…`);
+    throw new HttpsError('permission-denied', 'ABUSE_BLOCKED');
+  }
+  if (status === 'flagged') {
+    console.warn(`🛡️ Abuse list: flagged caller uid=${caller.userId.substring(0, 8)}…`);
+  }
+}
+
+/**
+ * Track the caller's identifiers for each abuse signal and list the signal's subject once a threshold
+ * is crossed (auto blocks expire after `blockDays`, flags after `windowDays`). A block is never
+ * downgraded to a flag, and admin entries are left alone. Best-effort; never throws.
+ */
+async function recordAbuseSignals(db, caller) {
+  try {
+    const policy = await loadAbusePolicy(db);
+    const keys = abuseSubjectKeys(caller);
+    const legacyKeys = legacyAbuseSubjectKeys(caller);
+    const nowMs = Date.now();
+    for (const [signal, { subject, member }] of Object.entries(ABUSE_SIGNALS)) {
+      if (!keys[subject] || !keys[member]) continue;
+      const signalRef = db.collection(COLLECTION_ABUSE_SIGNALS).doc(`${signal}_${keys[subject]}`);
+      const listRef = db.collection(COLLECTION_ABUSE_LIST).doc(keys[subject]);
+      const legacyListRef = legacyKeys[subject] ? db.collection(COLLECTION_ABUSE_LIST).doc(legacyKeys[subject]) : null;
+      const listed = await db.runTransaction(async (transaction) => {
+        const [signalSnap, listSnap, legacyListSnap] = await transaction.getAll(
+          signalRef,
+          listRef,
+          ...(legacyListRef ? [legacyListRef] : [])
+        );
+        const observed = observeMember(signalSnap.data()?.members, keys[member], nowMs, policy.windowDays);
+        if (!observed.changed) return null;
+        transaction.set(signalRef, {
+          signal,
+          subject: keys[subject],
+          members: observed.members,
+          count: observed.count,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          purgeAt: admin.firestore.Timestamp.fromMillis(nowMs + policy.windowDays * 24 * 60 * 60 * 1000),
+        });
+
+        const verdict = abuseVerdict(policy, signal, observed.count);
+        const entry = listSnap.data();
+        const live = entry && abuseListStatus([entry], nowMs) === entry.status;
+        if (!verdict || entry?.source === 'admin' || entry?.status === 'allowed') return null;
+        // An admin decision on the subject's pre-pepper id still stands.
+        const legacyEntry = legacyListSnap?.data();
+        if (legacyEntry?.source === 'admin' || legacyEntry?.status === 'allowed') return null;
+        if (live && entry.status === 'blocked') return null;
+        if (live && entry.status === verdict) return null;
+        const days = verdict === 'blocked' ? policy.blockDays : policy.windowDays;
+        transaction.set(listRef, {
+          status: verdict,
+          source: 'auto',
+          signal,
+          count: observed.count,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: admin.firestore.Timestamp.fromMillis(nowMs + days * 24 * 60 * 60 * 1000),
+        });
+        return { verdict, count: observed.count };
+      });
+      if (listed) {
+        console.warn(`🛡️ Abuse signal ${signal}: ${subject} ${listed.verdict} (${listed.count} distinct ${member}s)`);
+      }
+    }
+  } catch (err) {
+    console.error(`🛡️ recordAbuseSignals failed: ${err.message}`);
+  }
+}
+
+let spendLedgerCache = null;
+
+/**
+ * Today's and this month's spendLedger docs (`{ keys, daily, monthly }`), cached per instance for
+ * SPEND_LEDGER_CACHE_SECONDS so the breaker costs no reads on most calls.
+ */
+async function loadSpendLedger(db, { fresh = false } = {}) {
+  const now = Date.now();
+  const keys = spendLedgerKeys(new Date(now));
+  if (!fresh && spendLedgerCache && spendLedgerCache.keys.daily === keys.daily
+    && now - spendLedgerCache.loadedAt < SPEND_LEDGER_CACHE_SECONDS * 1000) {
+    return spendLedgerCache;
+  }
+  const collection = db.collection(COLLECTION_SPEND_LEDGER);
+  const [dailySnap, monthlySnap] = await db.getAll(collection.doc(keys.daily), collection.doc(keys.monthly));
+  spendLedgerCache = {
+    keys,
+    daily: dailySnap.data() || {},
+    monthly: monthlySnap.data() || {},
+    loadedAt: now,
+  };
+  return spendLedgerCache;
+}
+
+/**
+ * Spend circuit breaker for one call of `service` by `tier` (see spendGuard.js): throws `unavailable`
+ * (`SPEND_BUDGET_EXCEEDED:<service>:<tier>`) when the call is rejected, else returns the decision,
+ * whose `model` replaces the requested model when degraded. Fails open if the ledger cannot be read.
+ */
+async function checkSpendBreaker(db, { service, tier }) {
+  let decision;
+  try {
+    const [policy, ledger] = await Promise.all([loadSpendPolicy(db), loadSpendLedger(db)]);
+    decision = spendBreakerDecision(policy, ledger, { service, tier });
+  } catch (err) {
+    console.error(`💰 checkSpendBreaker failed open (${service}): ${err.message}`);
+    return { action: 'allow', reason: null, model: null };
+  }
+  if (decision.action === 'reject') {
+    console.warn(`💰 Spend breaker rejected ${service} for ${tier} tier (${decision.reason})`);
+    throw new HttpsError('unavailable', `SPEND_BUDGET_EXCEEDED:${service}:${tier}`, { reason: decision.reason });
+  }
+  if (decision.action === 'degrade') {
+    console.warn(`💰 Spend breaker degraded ${service} for ${tier} tier to ${decision.model} (${decision.reason})`);
+  }
+  return decision;
+}
+
+/** Add one call's upstream cost to the day and month spend ledgers. Best-effort; never throws. */
+async function recordSpend(db, { service, tier, costUsd }) {
+  try {
+    const keys = spendLedgerKeys();
+    const increment = admin.firestore.FieldValue.increment;
+    const entry = {
+      totalUsd: increment(costUsd),
+      calls: increment(1),
+      services: { [service]: increment(costUsd) },
+      tiers: { [tier]: increment(costUsd) },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const collection = db.collection(COLLECTION_SPEND_LEDGER);
+    await Promise.all([
+      collection.doc(keys.daily).set(entry, { merge: true }),
+      collection.doc(keys.monthly).set(entry, { merge: true }),
+    ]);
+  } catch (err) {
+    console.error(`💰 recordSpend failed (${service}): ${err.message}`);
+  }
+}
+
+/**
+ * Meter one unit of `meter` for a call: roll the caller's counters into the current window, check the
+ * limit for the meter's scope (falling back to the top-up balance) and reserve the unit.
+ * In credit mode (quotaPolicy.credits.enabled) the call instead reserves the credits its
+ * `costEstimateUsd` is worth; commitUsageReservation trues that up to the actual cost.
+ * Free-tier device usage goes to `freeBucket` (resolveFreeUsageBucket).
+ * Throws the meter's `limitCode` as `resource-exhausted` when nothing is left.
+ * @returns {Promise<object>} reservation to commit on success or release on failure
+ */
+async function reserveMeteredUsage(db, {
+  meter,
+  userId,
+  userRef,
+  userData,
+  deviceID,
+  freeBucket,
+  iCloudID,
+  service,
+  costEstimateUsd = null,
+}) {
+  const { limitCode } = meterDefinition(meter);
+  const { quotaPolicy } = await loadQuotaConfig(db);
+  if (quotaPolicy.credits.enabled && costEstimateUsd != null) {
+    return reserveCredits(db, {
+      meter,
+      userId,
+      userRef,
+      userData,
+      deviceID,
+      freeBucket,
+      iCloudID,
+      service,
+      creditPolicy: quotaPolicy.credits,
+      units: creditsForCost(costEstimateUsd, quotaPolicy.credits),
+    });
+  }
+  await ensureUsagePeriods(userRef, userData, [meter]);
+  const aggregateCheck = await evaluateAggregatedUsageLimit(db, {
+    userId,
+    iCloudID,
+    meter,
+    userData,
+    deviceID,
+    freeBucket,
+  });
+  if (!aggregateCheck.canProceed) {
+    console.error(`❌ ${meter} limit exceeded (${aggregateCheck.totalUsed}/${aggregateCheck.limit}, ${aggregateCheck.tier})`);
+    throw usageLimitReachedError(limitCode, aggregateCheck);
+  }
+  return reserveUsageUnit(db, {
+    userId,
+    userRef,
+    aggregateCheck,
+    usageField: meterFields(meter).used,
+    service,
+    limitCode,
+  });
+}
+
+/**
+ * Reserve `units` credits (the pre-call estimate) on the `credits` meter. Top-up packs are sold in
+ * feature units, so once the credit budget cannot cover the call one unit of `meter`'s top-up balance
+ * is spent instead.
+ */
+async function reserveCredits(db, {
+  meter,
+  userId,
+  userRef,
+  userData,
+  deviceID,
+  freeBucket,
+  iCloudID,
+  service,
+  creditPolicy,
+  units,
+}) {
+  const credits = meterDefinition('credits');
+  await ensureUsagePeriods(userRef, userData, ['credits']);
+  const creditCheck = await evaluateAggregatedUsageLimit(db, {
+    userId,
+    iCloudID,
+    meter: 'credits',
+    userData,
+    deviceID,
+    freeBucket,
+    units,
+  });
+  if (creditCheck.canProceed) {
+    return reserveUsageUnit(db, {
+      userId,
+      userRef,
+      aggregateCheck: creditCheck,
+      usageField: meterFields('credits').used,
+      service,
+      limitCode: credits.limitCode,
+      units,
+      creditPolicy,
+    });
+  }
+
+  const topUpCheck = withTopUpFallback(creditCheck, userData, meterFields(meter).used);
+  if (!topUpCheck.canProceed) {
+    console.error(`❌ credits limit exceeded (${creditCheck.totalUsed}+${units}/${creditCheck.limit}, ${creditCheck.tier})`);
+    throw usageLimitReachedError(credits.limitCode, creditCheck);
+  }
+  return reserveUsageUnit(db, {
+    userId,
+    userRef,
+    aggregateCheck: topUpCheck,
+    usageField: meterFields(meter).used,
+    service,
+    limitCode: credits.limitCode,
+  });
+}
+
+/**
+ * Mark a reservation as consumed once the upstream call succeeded. A credit reservation is trued up
+ * to `costUsd` (the call's actual cost): the difference to the estimate is added to or refunded from
+ * the counter it was taken from, unless that counter's period rolled over meanwhile. The true-up may
+ * take the counter past its limit; the next call is then refused. Retried up to
+ * USAGE_RESERVATION_COMMIT_ATTEMPTS times; a reservation still `reserved` after that is settled the same
+ * way by releaseOrphanedUsageReservations, from the cost in its usage_logs entry. Best-effort; never throws.
+ */
+async function commitUsageReservation(reservation, { costUsd = null } = {}) {
+  for (let attempt = 1; attempt <= USAGE_RESERVATION_COMMIT_ATTEMPTS; attempt += 1) {
+    try {
+      await settleUsageReservation(reservation, costUsd);
+      return;
+    } catch (err) {
+      console.error(
+        `🧾 commitUsageReservation failed (${reservation.ref.id}, attempt ${attempt}/${USAGE_RESERVATION_COMMIT_ATTEMPTS}): ${err.message}`
+      );
+      if (attempt < USAGE_RESERVATION_COMMIT_ATTEMPTS) {
+        await new Promise((resolve) => setTimeout(resolve, 250 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+}
+
+/**
+ * One commitUsageReservation attempt; throws on failure. `committedBy` labels a settlement made outside
+ * the callable; a plain commit is then skipped if the doc changed since `reservation.updateTime`.
+ */
+async function settleUsageReservation(reservation, costUsd, { committedBy = null } = {}) {
+  const settledBy = committedBy ? { committedBy } : {};
+  if (!reservation.creditPolicy || costUsd == null) {
+    await reservation.ref.update(
+      {
+        status: 'committed',
+        ...settledBy,
+        settledAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      ...(reservation.updateTime ? [{ lastUpdateTime: reservation.updateTime }] : [])
+    );
+    reservation.committed = true;
+    return;
+  }
+
+  const db = reservation.ref.firestore;
+  const actualUnits = creditsForCost(costUsd, reservation.creditPolicy);
+  const delta = await db.runTransaction(async (transaction) => {
+    const reservationSnap = await transaction.get(reservation.ref);
+    const stored = reservationSnap.data() || {};
+    if (stored.status !== 'reserved') return 0;
+    const delta = actualUnits - (stored.units ?? 1);
+    const targetRef = db.doc(stored.targetPath);
+    const targetSnap = await transaction.get(targetRef);
+    const target = targetSnap.data() || {};
+    const callerRef = stored.callerPath ? db.doc(stored.callerPath) : null;
+    const callerSnap = callerRef ? await transaction.get(callerRef) : null;
+    const samePeriod = (target[usageDayKeyField(stored.usageField)] || null) === stored.periodKey;
+    const trueUp = delta !== 0 && targetSnap.exists && samePeriod;
+    if (trueUp) {
+      const counterUpdate = { [stored.counterField]: Math.max(0, (target[stored.counterField] || 0) + delta) };
+      if (stored.scope === 'device') {
+        counterUpdate.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      transaction.update(targetRef, counterUpdate);
+    }
+    const callerUsed = callerSnap?.exists ? unattestedCallerUsed(callerSnap.data(), stored.usageField, stored.periodKey) : 0;
+    if (trueUp && callerUsed > 0) {
+      transaction.update(callerRef, unattestedCallerFields(stored.usageField, stored.periodKey, callerUsed + delta));
+    }
+    transaction.update(reservation.ref, {
+      status: 'committed',
+      estimatedUnits: stored.units ?? 1,
+      units: trueUp ? actualUnits : (stored.units ?? 1),
+      costUsd,
+      ...settledBy,
+      settledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return trueUp ? delta : 0;
+  });
+  console.log(`🧾 Credits: ${reservation.ref.id} estimated ${reservation.units} → charged ${reservation.units + delta}`);
+  reservation.aggregateUsedAfter += delta;
+  reservation.usedAfter += delta;
+  reservation.units += delta;
+  reservation.committed = true;
+}
+
+/**
+ * Give a reserved unit back to the device/user doc it was taken from. Idempotent: only `reserved`
+ * docs are released, and the counter is left alone if its monthly period rolled over meanwhile.
+ * Top-up units go back to the balance regardless of period (the balance does not expire).
+ * Best-effort; never throws.
+ */
+async function releaseUsageReservation(db, reservationRef, reason) {
+  try {
+    const released = await db.runTransaction(async (transaction) => {
+      const reservationSnap = await transaction.get(reservationRef);
+      if (!reservationSnap.exists) return false;
+      const reservation = reservationSnap.data() || {};
+      if (reservation.status !== 'reserved') return false;
+
+      const targetRef = db.doc(reservation.targetPath);
+      const targetSnap = await transaction.get(targetRef);
+      const target = targetSnap.data() || {};
+      const callerRef = reservation.callerPath ? db.doc(reservation.callerPath) : null;
+      const callerSnap = callerRef ? await transaction.get(callerRef) : null;
+      const counterField = reservation.counterField || reservation.usageField;
+      const current = target[counterField] || 0;
+      const units = reservation.units ?? 1;
+      let refunded = false;
+
+      if (reservation.scope === 'topup') {
+        if (targetSnap.exists) {
+          transaction.update(targetRef, { [counterField]: current + units });
+          refunded = true;
+        }
+      } else {
+        const samePeriod = (target[usageDayKeyField(reservation.usageField)] || null) === reservation.periodKey;
+        if (targetSnap.exists && samePeriod && current > 0) {
+          const counterUpdate = { [counterField]: Math.max(0, current - units) };
+          if (reservation.scope === 'device') {
+            counterUpdate.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+          }
+          transaction.update(targetRef, counterUpdate);
+          refunded = true;
+        }
+        const callerUsed = callerSnap?.exists
+          ? unattestedCallerUsed(callerSnap.data(), reservation.usageField, reservation.periodKey)
+          : 0;
+        if (callerUsed > 0) {
+          transaction.update(callerRef, unattestedCallerFields(reservation.usageField, reservation.periodKey, callerUsed - units));
+        }
+      }
+      transaction.update(reservationRef, {
+        status: 'released',
+        releaseReason: String(reason || 'unknown').substring(0, 500),
+        refunded,
+        settledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    if (released) {
+      console.log(`🧾 Released usage reservation ${reservationRef.id}: ${reason}`);
+    }
+    return released;
+  } catch (err) {
+    console.error(`🧾 releaseUsageReservation failed (${reservationRef.id}): ${err.message}`);
+    return false;
+  }
+}
+
+function resolveICloudIDForSession(requestICloudIDRaw, userData) {
+  return normalizeICloudId(requestICloudIDRaw) || normalizeICloudId(userData?.iCloudID);
+}
+
+function userDocHasMeaningfulUsage(data) {
+  const d = data || {};
+  const tier = String(d.subscriptionTier || 'free');
+  if (tier !== 'free') return true;
+  if (d.subscriptionProductId || d.subscriptionExpiresAt || d.subscriptionVerifiedAt) return true;
+  if (d.pendingUpgradeProductId || d.pendingUpgradeAt) return true;
+  if (METER_NAMES.some((meter) => (d[meterFields(meter).used] || 0) > 0)) return true;
+  if (METER_NAMES.some((meter) => (d[meterFields(meter).topUpBalance] || 0) > 0)) return true;
+  if ((d.lifetimeAPIRequests || 0) > 0 || (d.monthlyTokens || 0) > 0) return true;
+  return false;
+}
+
+async function repointAppleSubscriptionMappings(db, fromUid, toUid) {
+  if (!fromUid || !toUid || fromUid === toUid) return;
+  await repointFamilyMemberMappings(db, fromUid, toUid);
+  try {
+    const snap = await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS)
+      .where('firebaseUid', '==', fromUid)
+      .get();
+    if (snap.empty) return;
+    const docs = snap.docs;
+    for (let i = 0; i < docs.length; i += 400) {
+      const batch = db.batch();
+      docs.slice(i, i + 400).forEach((doc) => {
+        batch.update(doc.ref, {
+          firebaseUid: toUid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+    }
+    console.log(`☁️ appleSubscriptions repointed ${snap.size} mapping(s) ${fromUid.substring(0, 8)}… → ${toUid.substring(0, 8)}…`);
+  } catch (err) {
+    console.error(`☁️ repointAppleSubscriptionMappings failed: ${err.message}`);
+  }
+}
+
+/** Move admin grants from a migrated uid to its successor. Best-effort; never throws. */
+async function repointEntitlementGrants(db, fromUid, toUid) {
+  try {
+    const snap = await db.collection(COLLECTION_ENTITLEMENT_GRANTS).where('userId', '==', fromUid).get();
+    if (snap.empty) return;
+    const batch = db.batch();
+    snap.docs.forEach((doc) => batch.update(doc.ref, { userId: toUid, repointedFromUid: fromUid }));
+    await batch.commit();
+    console.log(`☁️ entitlementGrants repointed ${snap.size} grant(s) ${fromUid.substring(0, 8)}… → ${toUid.substring(0, 8)}…`);
+  } catch (err) {
+    console.error(`☁️ repointEntitlementGrants failed: ${err.message}`);
+  }
+}
+
+/**
+ * Move purchased top-ups from a migrated uid to its successor in one transaction: the balances (cleared
+ * on the donor) and the usageTopUps ledger, so a later refund debits the live doc and re-verifying from
+ * the successor is not "claimed by another account". Best-effort; never throws.
+ */
+async function repointTopUps(db, fromUid, toUid) {
+  try {
+    const fromRef = db.collection('users').doc(fromUid);
+    const toRef = db.collection('users').doc(toUid);
+    const ledgerQuery = db.collection(COLLECTION_USAGE_TOP_UPS).where('userId', '==', fromUid);
+    const moved = await db.runTransaction(async (transaction) => {
+      const [fromSnap, toSnap] = await transaction.getAll(fromRef, toRef);
+      const ledgerSnap = await transaction.get(ledgerQuery);
+      const fromData = fromSnap.data() || {};
+      const toData = toSnap.data() || {};
+      const fromUpdate = {};
+      const toUpdate = {};
+      for (const meter of METER_NAMES) {
+        const field = meterFields(meter).topUpBalance;
+        const balance = fromData[field] || 0;
+        if (balance <= 0) continue;
+        fromUpdate[field] = 0;
+        toUpdate[field] = (toData[field] || 0) + balance;
+      }
+      if (Object.keys(fromUpdate).length > 0) {
+        transaction.update(fromRef, fromUpdate);
+        transaction.set(toRef, toUpdate, { merge: true });
+      }
+      ledgerSnap.docs.forEach((doc) => transaction.update(doc.ref, { userId: toUid, repointedFromUid: fromUid }));
+      return { balances: Object.keys(toUpdate).length, ledger: ledgerSnap.size };
+    });
+    if (moved.balances > 0 || moved.ledger > 0) {
+      console.log(
+        `☁️ top-ups repointed (${moved.balances} balance(s), ${moved.ledger} ledger doc(s)) ${fromUid.substring(0, 8)}… → ${toUid.substring(0, 8)}…`
+      );
+    }
+  } catch (err) {
+    console.error(`☁️ repointTopUps failed: ${err.message}`);
+  }
+}
+
+/** Move Family Sharing memberships from a migrated uid to its successor. Best-effort; never throws. */
+async function repointFamilyMemberMappings(db, fromUid, toUid) {
+  try {
+    const snap = await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS)
+      .where('familyMemberUids', 'array-contains', fromUid)
+      .get();
+    for (const doc of snap.docs) {
+      const data = doc.data() || {};
+      const memberUids = (data.familyMemberUids || []).filter((uid) => uid !== fromUid && uid !== toUid);
+      await doc.ref.update({
+        familyMemberUids: [...memberUids, toUid],
+        [`familyMembers.${toUid}`]: (data.familyMembers || {})[fromUid] || {},
+        [`familyMembers.${fromUid}`]: admin.firestore.FieldValue.delete(),
+      });
+    }
+    if (!snap.empty) {
+      console.log(`☁️ family memberships repointed ${snap.size} mapping(s) ${fromUid.substring(0, 8)}… → ${toUid.substring(0, 8)}…`);
+    }
+  } catch (err) {
+    console.error(`☁️ repointFamilyMemberMappings failed: ${err.message}`);
+  }
+}
+
+/**
+ * Copy usage/subscription fields from a prior users/* doc sharing the same iCloudID.
+ * Best-effort; never throws to callers.
+ */
+async function migrateFromPreviousICloudSession(db, currentRef, currentUid, iCloudID) {
+  try {
+    const currentSnap = await currentRef.get();
+    const currentData = currentSnap.data() || {};
+    if (userDocHasMeaningfulUsage(currentData)) {
+      console.log('☁️ iCloud migration skip: current user already has meaningful data');
+      return;
+    }
+
+    const snapshot = await db.collection('users')
+      .where('iCloudID', '==', iCloudID)
+      .get();
+
+    const candidates = snapshot.docs.filter(
+      (doc) => doc.id !== currentUid && !isUserDocSuperseded(doc.data())
+    );
+    if (candidates.length === 0) return;
+
+    const scored = candidates.map((doc) => {
+      const d = doc.data() || {};
+      const tier = d.subscriptionTier || 'free';
+      const tierScore = tier === 'pro' ? 30000 : tier === 'plus' ? 20000 : 0;
+      const usageScore = METER_NAMES.reduce((sum, meter) => {
+        const fields = meterFields(meter);
+        return sum + (d[fields.used] || 0) + (d[fields.topUpBalance] || 0);
+      }, (d.lifetimeAPIRequests || 0) + (d.monthlyTokens || 0));
+      return { doc, score: tierScore + usageScore, data: d };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    const donor = scored[0];
+    if ((donor.score || 0) <= 0) {
+      return;
+    }
+
+    const donorTier = donor.data.subscriptionTier || 'free';
+    let keysToCopy = [
+      'subscriptionTier',
+      'subscriptionProductId',
+      'subscriptionExpiresAt',
+      'subscriptionRevokedAt',
+      'subscriptionVerifiedAt',
+      'subscriptionPeriodAnchorAt',
+      ...SUBSCRIPTION_PEER_SYNC_FIELDS,
+      'pendingUpgradeProductId',
+      'pendingUpgradeAt',
+      'appAccountToken',
+      'lifetimeAPIRequests',
+      'monthlyTokens',
+      'lastRequestAt',
+      'timeZone',
+      'entitlementGrants',
+    ];
+
+    // Free-tier usage is per-device; only migrate counters from a paid donor.
+    if (donorTier !== 'free') {
+      for (const meter of METER_NAMES) {
+        const { used, limit, dayKey } = meterFields(meter);
+        keysToCopy.push(used, limit, dayKey);
+      }
+    }
+
+    const payload = {};
+    for (const key of keysToCopy) {
+      if (donor.data[key] !== undefined) {
+        payload[key] = donor.data[key];
+      }
+    }
+    payload.migratedFromUid = donor.doc.id;
+    payload.migratedViaICloudID = true;
+    payload.migratedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    await currentRef.set(payload, { merge: true });
+    await repointAppleSubscriptionMappings(db, donor.doc.id, currentUid);
+    await repointEntitlementGrants(db, donor.doc.id, currentUid);
+    // Purchased top-ups belong to the account, not the device.
+    await repointTopUps(db, donor.doc.id, currentUid);
+    await markUserDocSuperseded(db, donor.doc.id, currentUid);
+
+    console.log(
+      `☁️ iCloud migration: ${donor.doc.id.substring(0, 8)}… → ${currentUid.substring(0, 8)}… (tier=${donor.data.subscriptionTier || 'free'})`
+    );
+  } catch (err) {
+    console.error(`☁️ iCloud migration failed: ${err.message}`);
+  }
+}
+
+/**
+ * users/* docs used to store the raw deviceID: replace it with `deviceIdHash`, moving the device's
+ * deviceFreeUsage doc while the raw value is still known. Returns the fields to update.
+ */
+async function migrateUserDocDeviceId(db, userData) {
+  const bucket = deviceBucketForUserDoc(userData);
+  if (bucket?.legacyBucketId) {
+    const deviceRef = db.collection(COLLECTION_DEVICE_FREE_USAGE).doc(bucket.bucketId);
+    await migrateLegacyDeviceFreeUsage(db, deviceRef, bucket.legacyBucketId);
+  }
+  return {
+    deviceID: admin.firestore.FieldValue.delete(),
+    ...(bucket && !userData.deviceIdHash ? { deviceIdHash: bucket.bucketId } : {}),
+  };
+}
+
+/**
+ * Ensures users/{userId} exists. When iCloudID is provided, links and may migrate from a prior uid.
+ * A valid IANA `timeZoneRaw` (client's current zone) is remembered for local free-tier periods.
+ */
+async function ensureUserDocument(db, userId, deviceID, iCloudIDRaw, timeZoneRaw = null) {
+  const iCloudID = normalizeICloudId(iCloudIDRaw);
+  const timeZone = isValidTimeZone(timeZoneRaw) ? timeZoneRaw : null;
+  const deviceHash = optionalDeviceHash(deviceID);
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+
+  const quotaConfig = await loadQuotaConfig(db);
+  const freeLimits = resolveUsageLimits(quotaConfig, {
+    tier: 'free',
+    subjectKey: quotaSubjectKey({ tier: 'free', deviceHash, userId }),
+  }).limits;
+  const monthKey = freeQuotaPeriod(quotaConfig.quotaPolicy, timeZone).key;
+  const freshCounters = {};
+  for (const meter of activeMeterNames(quotaConfig.quotaPolicy)) {
+    const { used, limit, dayKey } = meterFields(meter);
+    Object.assign(freshCounters, { [used]: 0, [limit]: freeLimits[limit], [dayKey]: monthKey });
+  }
+
+  if (!userDoc.exists) {
+    const newDocData = {
+      ...(deviceHash ? { deviceIdHash: deviceHash } : {}),
+      ...freshCounters,
+      lifetimeAPIRequests: 0,
+      monthlyTokens: 0,
+      subscriptionTier: 'free',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (iCloudID) {
+      newDocData.iCloudID = iCloudID;
+    }
+    if (timeZone) {
+      newDocData.timeZone = timeZone;
+    }
+    await userRef.set(newDocData);
+    if (iCloudID) {
+      await migrateFromPreviousICloudSession(db, userRef, userId, iCloudID);
+    }
+  } else if (iCloudID || timeZone || userDoc.get('deviceID') !== undefined) {
+    const existingData = userDoc.data() || {};
+    const updates = {};
+    if (existingData.deviceID !== undefined) {
+      Object.assign(updates, await migrateUserDocDeviceId(db, existingData));
+    }
+    if (iCloudID && !existingData.iCloudID) {
+      updates.iCloudID = iCloudID;
+    }
+    if (timeZone && existingData.timeZone !== timeZone) {
+      updates.timeZone = timeZone;
+    }
+    if (Object.keys(updates).length > 0) {
+      await userRef.update(updates);
+    }
+    if (iCloudID && !userDocHasMeaningfulUsage(existingData)) {
+      await migrateFromPreviousICloudSession(db, userRef, userId, iCloudID);
+    }
+  }
+
+  const doc = await userRef.get();
+  const finalData = doc.data() || {
+    ...freshCounters,
+    lifetimeAPIRequests: 0,
+    monthlyTokens: 0,
+    subscriptionTier: 'free',
+  };
+  await applySupersedeFromMigratedFromUid(db, userId, finalData);
+  return finalData;
+}
+
+/**
+ * Roll the users/* counters of `meters` (default: the policy's active meters) into the doc's current
+ * quota window and fix stored limits that no longer match the tier (one write for all meters).
+ * Mutates and returns `userData`.
+ */
+async function ensureUsagePeriods(userRef, userData, meters = null) {
+  const tier = effectiveTierForUserDoc(userData);
+  const quotaConfig = await loadQuotaConfig(userRef.firestore);
+  meters = meters ?? activeMeterNames(quotaConfig.quotaPolicy);
+  const period = quotaPeriodForUserDoc(quotaConfig.quotaPolicy, userData);
+  const expectedLimits = usageLimitsForUserDoc(quotaConfig, userRef.id, userData, tier);
+  const { fields } = periodRolloverFields(userData, meters, period);
+  for (const meter of meters) {
+    const { limit } = meterFields(meter);
+    if ((userData[limit] || expectedLimits[limit]) !== expectedLimits[limit]) {
+      fields[limit] = expectedLimits[limit];
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    await userRef.update(fields);
+    Object.assign(userData, fields);
+  }
+  return userData;
+}
+
+function getUserLastActivity(data) {
+  const lastRequestAt = parseStoreKitDate(data.lastRequestAt);
+  if (lastRequestAt) return lastRequestAt;
+  const createdAt = parseStoreKitDate(data.createdAt);
+  return createdAt || null;
+}
+
+function isSafeToDeleteFreeUser(data, cutoffDate) {
+  if (isUserDocSuperseded(data)) {
+    return false;
+  }
+  const tier = String(data.subscriptionTier || 'free');
+  if (tier !== 'free') return false;
+  if (data.subscriptionProductId || data.subscriptionExpiresAt || data.subscriptionVerifiedAt) {
+    return false;
+  }
+  if (pendingOrActiveGrants(data.entitlementGrants).length > 0) {
+    return false;
+  }
+  if (data.pendingUpgradeProductId || data.pendingUpgradeAt) {
+    return false;
+  }
+  // Purchased top-ups never expire; deleting the doc would destroy a paid balance.
+  if (METER_NAMES.some((meter) => (data[meterFields(meter).topUpBalance] || 0) > 0)) {
+    return false;
+  }
+  const lastActivity = getUserLastActivity(data);
+  if (!lastActivity) return false;
+  return lastActivity < cutoffDate;
+}
+
+function isSafeToDeleteSupersededUser(data, cutoffDate) {
+  if (!isUserDocSuperseded(data)) {
+    return false;
+  }
+  const supersededAt = parseStoreKitDate(data.supersededAt);
+  if (!supersededAt) {
+    return false;
+  }
+  return supersededAt < cutoffDate;
+}
+
+// ═══════════════════════════════════════════════════════
+// 🆕 NEW FUNCTION: Claude Vision (Photo Scan)
+// ═══════════════════════════════════════════════════════
+
+exports.callClaudeVision = onCall(
+  {
+    secrets: [anthropicApiKey, deviceTokenSecret, identifierPepper],
+    region: 'us-central1',
+    timeoutSeconds: 60,
+    memory: '512MiB',
+  },
+  async (request) => {
+    console.log('📸 === CLAUDE VISION CALLED ===');
+    
+    if (!request.auth) {
+      console.error('❌ No authentication');
+      throw new HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    verifyAppCheck(request, 'callClaudeVision');
+
+    const userId = request.auth.uid;
+    console.log('✅ User authenticated:', userId);
+    
+    const { imageBase64, imageType, prompt } = request.data;
+
+    if (!imageBase64) {
+      console.error('❌ No image data');
+      throw new HttpsError('invalid-argument', 'imageBase64 is required');
+    }
+
+    // Validate image type
+    const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+    const mediaType = imageType || 'image/jpeg';
+    
+    if (!validTypes.includes(mediaType)) {
+      throw new HttpsError('invalid-argument', `Invalid image type: ${mediaType}`);
+    }
+
+    // Estimate image size (base64 is ~33% larger than binary)
+    const estimatedSizeMB = (imageBase64.length * 0.75) / 1024 / 1024;
+    console.log('📊 Image size (estimated):', estimatedSizeMB.toFixed(2), 'MB');
+
+    if (estimatedSizeMB > 5) {
+      throw new HttpsError(
+        'invalid-argument',
+        `Image too large: ${estimatedSizeMB.toFixed(1)}MB (max 5MB). Please resize on device.`
+      );
+    }
+
+    const db = admin.firestore();
+    let reservation = null;
+
+    try {
+      const deviceID = request.data.deviceID || 'unknown';
+      const iCloudID = request.data.iCloudID || null;
+      console.log(`📱 Device: ${optionalDeviceHash(deviceID)?.substring(0, 11) ?? 'unknown'}…`);
+      const caller = {
+        userId,
+        deviceID,
+        iCloudID,
+        ipHash: clientIpHash(request),
+        legacyIpHash: legacyClientIpHash(request),
+      };
+      await enforceAbuseList(db, caller);
+      await recordAbuseSignals(db, caller);
+      const freeBucket = await resolveFreeUsageBucket(db, { deviceID, deviceToken: request.data.deviceToken });
+      
+      const userRef = db.collection('users').doc(userId);
+      const userData = await ensureUserDocument(db, userId, deviceID, iCloudID, request.data.timeZone);
+
+      await enforceRateLimits(db, { service: 'claude-vision', userId, userData, deviceID });
+      const breaker = await checkSpendBreaker(db, { service: 'claude-vision', tier: effectiveTierForUserDoc(userData) });
+
+      const visionModels = [
+        'claude-sonnet-4-5-20250929',
+        'claude-sonnet-4-20250514',
+        'claude-haiku-4-5-20251001',
+        'claude-3-5-haiku-20241022',
+        'claude-3-haiku-20240307',
+      ];
+      // Degraded: start at the breaker's model and keep only the cheaper models after it as fallbacks.
+      const degradedIndex = visionModels.indexOf(breaker.model);
+      const modelFallbacks = !breaker.model ? visionModels : [
+        breaker.model,
+        ...(degradedIndex >= 0 ? visionModels.slice(degradedIndex + 1) : visionModels.slice(-1)),
+      ];
+
+      const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
+      reservation = await reserveMeteredUsage(db, {
+        meter: 'photoScans',
+        userId,
+        userRef,
+        userData,
+        deviceID,
+        freeBucket,
+        iCloudID: sessionICloudID,
+        service: 'claude-vision',
+        costEstimateUsd: estimateVisionCostUsd(modelFallbacks[0]),
+      });
+
+      console.log('📊 User data:', {
+        subscriptionTier: reservation.tier,
+        photoScansUsed: reservation.aggregateUsedAfter,
+        photoScansLimit: reservation.limit,
+        remainingScans: reservation.limit - reservation.aggregateUsedAfter,
+        photoScansTopUpBalance: reservation.topUpBalanceAfter,
+        iCloudAggregate: Boolean(sessionICloudID),
+      });
+
+      // Detect photo type and select template
+      const photoType = request.data.photoType || 'note'; // 'recipe', 'receipt', 'note', 'custom'
+      const systemPrompt = getPhotoScanPrompt(photoType, prompt);
+
+      console.log('📝 Using template:', photoType);
+      console.log('🔑 Getting API key...');
+      const apiKey = anthropicApiKey.value();
+      
+      if (!apiKey) {
+        throw new HttpsError('failed-precondition', 'API key not configured');
+      }
+
+      const apiStartTime = Date.now();
+      let result;
+      let modelUsed;
+      let lastErrorText;
+
+      for (const model of modelFallbacks) {
+        console.log(`🌐 Calling Claude Vision API (${model})...`);
+        try {
+          const response = await fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: {
+              'x-api-key': apiKey,
+              'anthropic-version': '2023-06-01',
+              'content-type': 'application/json',
+            },
+            body: JSON.stringify({
+              model,
+              max_tokens: 4096,
+              system: [{
+                type: 'text',
+                text: systemPrompt,
+                cache_control: { type: 'ephemeral' }
+              }],
+              messages: [{
+                role: 'user',
+                content: [{
+                  type: 'image',
+                  source: {
+                    type: 'base64',
+                    media_type: mediaType,
+                    data: imageBase64
+                  }
+                }]
+              }]
+            }),
+          });
+
+          if (!response.ok) {
+            const errorText = await response.text();
+            lastErrorText = errorText;
+            console.error(`❌ Claude Vision API error (${model}):`, errorText);
+
+            if (response.status === 404 || errorText.includes('not_found')) {
+              continue;
+            }
+
+            throw new HttpsError('internal', `Claude API error: ${response.statusText}`);
+          }
+
+          result = await response.json();
+          modelUsed = model;
+          break;
+        } catch (error) {
+          if (error instanceof HttpsError) {
+            throw error;
+          }
+          lastErrorText = error.message;
+          if (model === modelFallbacks[modelFallbacks.length - 1]) {
+            throw new HttpsError('internal', error.message);
+          }
+        }
+      }
+
+      if (!result) {
+        throw new HttpsError('internal', `Claude API error: ${lastErrorText || 'Unknown error'}`);
+      }
+
+      const estimatedCost = visionCostUsd(modelUsed, result.usage);
+      await commitUsageReservation(reservation, { costUsd: estimatedCost });
 
       const apiDuration = Date.now() - apiStartTime;
       
@@ -1153,392 +3682,1326 @@ exports.callClaudeVision = onCall(
         .filter(block => block.type === 'text')
         .map(block => block.text)
         .join('\n\n');
+      
+      console.log('✅ Claude Vision response:', {
+        model: modelUsed,
+        inputTokens: result.usage.input_tokens,
+        outputTokens: result.usage.output_tokens,
+        estimatedCost: `$${estimatedCost.toFixed(6)}`,
+        textLength: textContent.length,
+      });
+
+      // ✅ Update usage
+      console.log('💾 Updating photo scan usage...');
+      await userRef.update({
+        lifetimeAPIRequests: admin.firestore.FieldValue.increment(1),
+        monthlyTokens: admin.firestore.FieldValue.increment(
+          result.usage.input_tokens + result.usage.output_tokens
+        ),
+        lastRequestAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      // Enhanced logging
+      await db.collection('usage_logs').add({
+        userId: userId,
+        deviceIdHash: optionalDeviceHash(deviceID),
+        reservationId: reservation.ref.id,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        service: 'claude-vision',
+        model: modelUsed,
+        photoType: photoType,
+        imageSizeMB: parseFloat(estimatedSizeMB.toFixed(2)),
+        inputTokens: result.usage.input_tokens,
+        outputTokens: result.usage.output_tokens,
+        totalTokens: result.usage.input_tokens + result.usage.output_tokens,
+        cost: estimatedCost,
+        ...(reservation.creditPolicy ? { credits: reservation.units } : {}),
+        ...(breaker.model ? { spendDegraded: breaker.reason } : {}),
+        durationMs: apiDuration,
+        subscriptionTier: reservation.tier,
+      });
+      await recordSpend(db, { service: 'claude-vision', tier: reservation.tier, costUsd: estimatedCost });
+
+      console.log('✅ Photo scan completed successfully');
+
+      return {
+        markdown: textContent,
+        usage: result.usage,
+        photoType: photoType,
+        remainingScans: Math.max(0, reservation.limit - reservation.aggregateUsedAfter),
+        remainingTopUpScans: reservation.topUpBalanceAfter,
+        ...(reservation.creditPolicy
+          ? { remainingCredits: Math.max(0, reservation.limit - reservation.aggregateUsedAfter) }
+          : {}),
+      };
+
+    } catch (error) {
+      console.error('💥 CLAUDE VISION ERROR:', {
+        name: error.name,
+        message: error.message,
+      });
+
+      if (reservation && !reservation.committed) {
+        await releaseUsageReservation(db, reservation.ref, `claude-vision: ${error.message}`);
+      }
+      
+      if (error instanceof HttpsError) {
+        throw error;
+      }
+      
+      throw new HttpsError('internal', error.message);
+    }
+  }
+);
+
+// ═══════════════════════════════════════════════════════
+// 📝 Helper: Photo Scan Prompts
+// ═══════════════════════════════════════════════════════
+
+function getPhotoScanPrompt(photoType, customPrompt) {
+  if (customPrompt) {
+    return customPrompt;
+  }
+
+  const templates = {
+    recipe: `Extract this recipe and format as beautiful Markdown:
+
+# [Recipe Title]
+
+**Prep time:** X min  
+**Cook time:** Y min  
+**Servings:** Z  
+
+## Ingredients
+
+### [Category 1]
+- ingredient 1 (quantity + unit)
+- ingredient 2 (quantity + unit)
 
-      const estimatedCost = (
-        result.usage.input_tokens * 3.0 +  // Vision tokens more expensive
-        result.usage.output_tokens * 15.0
-      ) / 1000000;
-      
-      console.log('✅ Claude Vision response:', {
-        model: modelUsed,
-        inputTokens: result.usage.input_tokens,
-        outputTokens: result.usage.output_tokens,
-        estimatedCost: `$${estimatedCost.toFixed(6)}`,
-        textLength: textContent.length,
+### [Category 2]
+- ingredient 3
+
+## Instructions
+
+1. First step with details
+2. Second step
+3. Third step
+
+## Tips
+- Any helpful tips from the image
+
+Use emojis where appropriate (🥘 🍳 ⏱️ 🔥). Keep formatting clean and readable.`,
+
+    receipt: `Extract receipt data and format as Markdown:
+
+# 🧾 Receipt - [Store Name]
+
+**Date:** YYYY-MM-DD  
+**Time:** HH:MM  
+**Location:** [Store address if visible]  
+
+## Items
+
+| Item | Qty | Price |
+|------|-----|-------|
+| Item 1 | 1 | $X.XX |
+| Item 2 | 2 | $Y.YY |
+
+## Summary
+
+- **Subtotal:** $XX.XX
+- **Tax:** $X.XX
+- **Total:** $XX.XX
+
+**Payment:** [Card/Cash]  
+**Receipt #:** [number if visible]`,
+
+    note: `Extract ALL text from this image and format as clean, well-structured Markdown:
+
+- Use # ## ### for headers (detect hierarchy from font size/position)
+- Use bullet lists (-) for lists
+- Use numbered lists (1. 2. 3.) for sequences
+- Use **bold** for emphasis
+- Use tables if structured data is present
+- Add emojis where contextually appropriate
+- Preserve the logical structure and flow
+
+Make it readable and beautiful. Don't add content that's not in the image.`,
+
+    whiteboard: `Extract content from this whiteboard/notes and structure as Markdown:
+
+# [Main Topic - if visible]
+
+## Key Points
+
+- Point 1
+- Point 2
+- Point 3
+
+## Details
+
+[Organize content logically]
+
+## Action Items
+
+- [ ] Task 1
+- [ ] Task 2
+
+Use checkboxes for TODO items. Add section headers based on content grouping.`,
+
+    business_card: `Extract contact information from this business card:
+
+# 👤 [Full Name]
+
+**Title:** [Job Title]  
+**Company:** [Company Name]  
+
+## Contact
+
+- 📧 Email: [email]
+- 📱 Phone: [phone]
+- 🌐 Website: [website]
+- 📍 Address: [address]
+
+## Social
+
+- LinkedIn: [if visible]
+- Other: [if visible]
+
+Keep formatting clean and professional.`
+  };
+
+  return templates[photoType] || templates.note;
+}
+
+// ═══════════════════════════════════════════════════════
+// Function: Whisper Proxy (UNCHANGED from your current)
+// ═══════════════════════════════════════════════════════
+
+exports.callWhisperProxy = onCall(
+  {
+    secrets: [openaiApiKey, deviceTokenSecret, identifierPepper],
+    region: 'us-central1',
+    timeoutSeconds: 300,
+    memory: '1GiB',
+  },
+  async (request) => {
+    console.log('🎙️ === WHISPER PROXY CALLED ===');
+    console.log('[callWhisperProxy] userId:', request.auth?.uid, 'language:', request.data?.language, 'audioData length:', request.data?.audioData?.length ?? 0);
+    
+    if (!request.auth) {
+      console.error('❌ No authentication');
+      throw new HttpsError('unauthenticated', 'User must be authenticated');
+    }
+    verifyAppCheck(request, 'callWhisperProxy');
+
+    const userId = request.auth.uid;
+    const audioDataBase64 = request.data.audioData;
+    const language = request.data.language || 'auto';
+
+    if (!audioDataBase64) {
+      throw new HttpsError('invalid-argument', 'audioData is required');
+    }
+
+    const audioBuffer = Buffer.from(audioDataBase64, 'base64');
+    const audioSizeMB = audioBuffer.length / 1024 / 1024;
+
+    if (audioSizeMB > 25) {
+      throw new HttpsError(
+        'invalid-argument',
+        `Audio file too large: ${audioSizeMB.toFixed(1)}MB (max 25MB)`
+      );
+    }
+
+    const db = admin.firestore();
+    let reservation = null;
+
+    try {
+      const deviceID = request.data.deviceID || 'unknown';
+      const iCloudID = request.data.iCloudID || null;
+      const caller = {
+        userId,
+        deviceID,
+        iCloudID,
+        ipHash: clientIpHash(request),
+        legacyIpHash: legacyClientIpHash(request),
+      };
+      await enforceAbuseList(db, caller);
+      await recordAbuseSignals(db, caller);
+      const freeBucket = await resolveFreeUsageBucket(db, { deviceID, deviceToken: request.data.deviceToken });
+
+      const userRef = db.collection('users').doc(userId);
+      const userData = await ensureUserDocument(db, userId, deviceID, iCloudID, request.data.timeZone);
+
+      await enforceRateLimits(db, { service: 'whisper', userId, userData, deviceID });
+      const breaker = await checkSpendBreaker(db, { service: 'whisper', tier: effectiveTierForUserDoc(userData) });
+
+      const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
+      reservation = await reserveMeteredUsage(db, {
+        meter: 'voiceActions',
+        userId,
+        userRef,
+        userData,
+        deviceID,
+        freeBucket,
+        iCloudID: sessionICloudID,
+        service: 'whisper',
+        costEstimateUsd: whisperCostUsd(audioMinutesForSize(audioSizeMB)),
       });
 
-      // ✅ Update usage
-      console.log('💾 Updating photo scan usage...');
+      const apiKey = openaiApiKey.value();
+      if (!apiKey) {
+        throw new HttpsError('failed-precondition', 'API key not configured');
+      }
+
+      const form = new FormData();
+      form.append('file', audioBuffer, {
+        filename: 'audio.m4a',
+        contentType: 'audio/mp4',
+      });
+      form.append('model', breaker.model || 'whisper-1');
+      // verbose_json adds the audio `duration` (seconds) Whisper bills by
+      form.append('response_format', 'verbose_json');
+      
+      // Whisper expects ISO-639-1 (e.g. "en"), not locale (e.g. "en-US") — 400 Bad Request otherwise
+      if (language && language !== 'auto') {
+        const iso6391 = language.split('-')[0].toLowerCase();
+        form.append('language', iso6391);
+      }
+
+      const apiStartTime = Date.now();
+      console.log('[callWhisperProxy] Calling OpenAI Whisper API, audio size:', audioSizeMB.toFixed(2), 'MB');
+      const response = await axios.post(
+        'https://api.openai.com/v1/audio/transcriptions',
+        form,
+        {
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            ...form.getHeaders(),
+          },
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity,
+        }
+      );
+
+      const result = response.data;
+      const audioMinutes = Number.isFinite(result.duration) ? result.duration / 60 : audioMinutesForSize(audioSizeMB);
+      const estimatedCost = whisperCostUsd(audioMinutes);
+      await commitUsageReservation(reservation, { costUsd: estimatedCost });
+
+      const apiDuration = Date.now() - apiStartTime;
+      console.log('[callWhisperProxy] OpenAI response OK, duration:', apiDuration, 'ms');
+
+      // ✅ Update usage for Whisper
       await userRef.update({
         lifetimeAPIRequests: admin.firestore.FieldValue.increment(1),
-        monthlyTokens: admin.firestore.FieldValue.increment(
-          result.usage.input_tokens + result.usage.output_tokens
-        ),
         lastRequestAt: admin.firestore.FieldValue.serverTimestamp(),
       });
 
-      // Enhanced logging
       await db.collection('usage_logs').add({
         userId: userId,
-        deviceID: deviceID,
+        deviceIdHash: optionalDeviceHash(deviceID),
+        reservationId: reservation.ref.id,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        service: 'claude-vision',
-        model: modelUsed,
-        photoType: photoType,
-        imageSizeMB: parseFloat(estimatedSizeMB.toFixed(2)),
-        inputTokens: result.usage.input_tokens,
-        outputTokens: result.usage.output_tokens,
-        totalTokens: result.usage.input_tokens + result.usage.output_tokens,
-        cost: estimatedCost,
+        service: 'whisper',
+        audioSizeMB: parseFloat(audioSizeMB.toFixed(2)),
+        audioMinutes: parseFloat(audioMinutes.toFixed(2)),
+        cost: parseFloat(estimatedCost.toFixed(6)),
+        ...(reservation.creditPolicy ? { credits: reservation.units } : {}),
+        ...(breaker.model ? { spendDegraded: breaker.reason } : {}),
+        textLength: result.text?.length,
         durationMs: apiDuration,
         subscriptionTier: reservation.tier,
       });
-
-      console.log('✅ Photo scan completed successfully');
+      await recordSpend(db, { service: 'whisper', tier: reservation.tier, costUsd: estimatedCost });
 
       return {
-        markdown: textContent,
-        usage: result.usage,
-        photoType: photoType,
-        remainingScans: Math.max(0, reservation.limit - reservation.aggregateUsedAfter),
+        text: result.text,
+        remainingTranscriptions: Math.max(0, reservation.limit - reservation.aggregateUsedAfter),
+        remainingRequests: Math.max(0, reservation.limit - reservation.aggregateUsedAfter),
+        remainingTopUpVoiceActions: reservation.topUpBalanceAfter,
+        ...(reservation.creditPolicy
+          ? { remainingCredits: Math.max(0, reservation.limit - reservation.aggregateUsedAfter) }
+          : {}),
       };
 
     } catch (error) {
-      console.error('💥 CLAUDE VISION ERROR:', {
-        name: error.name,
-        message: error.message,
-      });
+      console.error('[callWhisperProxy] ERROR:', error.message);
+      console.error('[callWhisperProxy] Stack:', error.stack);
+      if (error.response) {
+        console.error('[callWhisperProxy] API response status:', error.response.status);
+        console.error('[callWhisperProxy] API response data:', JSON.stringify(error.response.data || {}));
+      }
+
+      if (reservation && !reservation.committed) {
+        await releaseUsageReservation(db, reservation.ref, `whisper: ${error.message}`);
+      }
       
       if (error instanceof HttpsError) {
         throw error;
       }
       
+      if (error.response) {
+        throw new HttpsError(
+          'internal',
+          `Whisper API error: ${error.response.status} - ${JSON.stringify(error.response.data || {})}`
+        );
+      }
+      
       throw new HttpsError('internal', error.message);
     }
   }
 );
 
 // ═══════════════════════════════════════════════════════
-// 📝 Helper: Photo Scan Prompts
+// Function: Get User Usage (UPDATED with photo scans)
 // ═══════════════════════════════════════════════════════
 
-function getPhotoScanPrompt(photoType, customPrompt) {
-  if (customPrompt) {
-    return customPrompt;
+exports.getUserUsage = onCall({ region: 'us-central1', secrets: [deviceTokenSecret, identifierPepper] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
   }
+  verifyAppCheck(request, 'getUserUsage');
 
-  const templates = {
-    recipe: `Extract this recipe and format as beautiful Markdown:
-
-# [Recipe Title]
+  const userId = request.auth.uid;
+  const deviceID = request.data?.deviceID || 'unknown';
+  const iCloudID = request.data?.iCloudID || null;
+  
+  const db = admin.firestore();
+  const ipHash = clientIpHash(request);
+  // Fresh installs call this first, so it feeds the abuse signals (blocking happens on the AI calls).
+  await recordAbuseSignals(db, { userId, deviceID, iCloudID, ipHash, legacyIpHash: legacyClientIpHash(request) });
+  const userRef = db.collection('users').doc(userId);
+  let userData = await ensureUserDocument(db, userId, deviceID, iCloudID, request.data?.timeZone);
+  userData = await ensureUsagePeriods(userRef, userData);
 
-**Prep time:** X min  
-**Cook time:** Y min  
-**Servings:** Z  
+  const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
+  if (sessionICloudID) {
+    userData = await syncSubscriptionTierFromICloudPeers(db, userRef, userData, sessionICloudID);
+    userData = await ensureUsagePeriods(userRef, userData);
+  }
 
-## Ingredients
+  const iCloudDocs = sessionICloudID ? await queryUserDocsByICloudID(db, sessionICloudID) : [];
 
-### [Category 1]
-- ingredient 1 (quantity + unit)
-- ingredient 2 (quantity + unit)
+  const effectiveTier = effectiveTierForUserDoc(userData);
+  const grant = activeEntitlementGrant(userData.entitlementGrants);
+  const quotaConfig = await loadQuotaConfig(db);
+  const inTrial = effectiveTier !== 'free' && effectiveTier === (userData.subscriptionTier || 'free')
+    && isUserDocInTrial(userData);
+  const quota = resolveUsageLimits(quotaConfig, {
+    tier: effectiveTier,
+    productId: userData.subscriptionProductId ?? null,
+    subjectKey: quotaSubjectKey({
+      tier: effectiveTier,
+      deviceHash: optionalDeviceHash(deviceID),
+      iCloudID: sessionICloudID,
+      userId,
+    }),
+    inTrial,
+  });
 
-### [Category 2]
-- ingredient 3
+  let period = quotaPeriodForUserDoc(quotaConfig.quotaPolicy, userData);
+  let deviceData = null;
+  const freeBucket = await resolveFreeUsageBucket(db, { deviceID, deviceToken: request.data?.deviceToken });
+  if (effectiveTier === 'free' && deviceScopedMeters(quotaConfig.quotaPolicy).length > 0) {
+    const loaded = await loadFreeUsageBucket(db, freeBucket, userData.timeZone);
+    deviceData = loaded.deviceData;
+    period = loaded.period;
+  }
+  // iCloud scope: the account's peers (free) or its paid aggregate, which may be a family pool.
+  const aggregateDocs = effectiveTier !== 'free'
+    ? await paidUsageDocs(db, quotaConfig.quotaPolicy, userData, iCloudDocs)
+    : iCloudDocs;
+
+  // One entry per active meter (credits only in credit mode); voice and photo are also flattened below.
+  const creditMode = quotaConfig.quotaPolicy.credits.enabled;
+  const reportedMeters = activeMeterNames(quotaConfig.quotaPolicy);
+  const meters = {};
+  for (const meter of reportedMeters) {
+    const { scope } = meterDefinition(meter);
+    const { used: usageField, limit: limitField } = meterFields(meter);
+    const tierScope = effectiveTier === 'free' ? scope.free : scope.paid;
+    const sharedBucket = tierScope === 'device' && freeBucket.shared;
+    let used;
+    if (tierScope === 'device' && deviceData) {
+      used = deviceData[usageField] || 0;
+    } else if (tierScope === 'icloud' && aggregateDocs.length > 0) {
+      used = sumUsageFieldAcrossDocs(aggregateDocs, usageField);
+    } else {
+      used = userData[usageField] || 0;
+    }
+    const limit = sharedBucket ? quotaConfig.quotaPolicy.unattested[limitField] : quota.limits[limitField];
+    meters[meter] = {
+      used,
+      limit,
+      remaining: Math.max(0, limit - used),
+      scope: sharedBucket ? 'shared' : tierScope,
+      ...(meterDefinition(meter).topUps ? { topUpBalance: userData[meterFields(meter).topUpBalance] || 0 } : {}),
+    };
+  }
+  console.log(
+    `${effectiveTier === 'free' ? '📱 Free' : '☁️ Paid'} tier usage: ${reportedMeters.map((meter) => `${meterDefinition(meter).label}=${meters[meter].used}/${meters[meter].limit}`).join(', ')}`
+  );
 
-## Instructions
+  return {
+    // Voice transcriptions
+    voiceActionsUsed: meters.voiceActions.used,
+    voiceActionsLimit: meters.voiceActions.limit,
+    remainingVoiceActions: meters.voiceActions.remaining,
+    
+    // Photo scans
+    photoScansUsed: meters.photoScans.used,
+    photoScansLimit: meters.photoScans.limit,
+    remainingPhotoScans: meters.photoScans.remaining,
 
-1. First step with details
-2. Second step
-3. Third step
+    // Every metered feature (`scope`: where this tier's usage is counted; `shared` = unattested bucket)
+    meters,
+    deviceAttested: freeBucket.attested,
 
-## Tips
-- Any helpful tips from the image
+    // `credits`: calls draw cost-weighted credits from meters.credits; `units`: one per call
+    quotaMode: creditMode ? 'credits' : 'units',
+    
+    // Current quota window (`periodAnchor`: utc / local calendar month, or billing)
+    periodStart: period.start.toISOString(),
+    periodEnd: period.end.toISOString(),
+    periodAnchor: period.anchor,
+
+    // Quota policy adjustments in effect (for client display / analytics)
+    quotaPromotions: quota.promotionIds,
+    quotaExperiments: quota.experimentVariants,
+
+    // Purchased top-ups (non-expiring; spent once the monthly allowance is used up)
+    ...topUpBalancesFromUserDoc(userData),
+
+    // Free trial / offer state (`trialEndsAt` is when the trial converts or lapses)
+    inTrial,
+    trialEndsAt: inTrial ? (parseStoreKitDate(userData.subscriptionTrialEndsAt)?.toISOString() ?? null) : null,
+    offerType: userData.subscriptionOfferType ?? null,
+    offerIdentifier: userData.subscriptionOfferIdentifier ?? null,
+
+    // Family Sharing (`familyQuota`: each member's own allowance, or one pooled for the family)
+    familyShared: userData.subscriptionOwnershipType === 'FAMILY_SHARED',
+    familyQuota: effectiveTier !== 'free' && userData.subscriptionFamilyId ? quotaConfig.quotaPolicy.family.quota : null,
+
+    // Admin grant in effect, if it is what lifts the tier (StoreKit state stays in subscription* fields)
+    entitlementGrant: grant && grant.tier === effectiveTier
+      ? { tier: grant.tier, endsAt: parseStoreKitDate(grant.endsAt)?.toISOString() ?? null }
+      : null,
+
+    // Downgrade or lapse that takes effect when the paid period ends
+    scheduledTierChange: userData.subscriptionScheduledTier != null
+      ? {
+        tier: userData.subscriptionScheduledTier,
+        productId: userData.subscriptionScheduledProductId ?? null,
+        effectiveAt: parseStoreKitDate(userData.subscriptionScheduledTierAt)?.toISOString() ?? null,
+      }
+      : null,
 
-Use emojis where appropriate (🥘 🍳 ⏱️ 🔥). Keep formatting clean and readable.`,
+    // General (`subscriptionTier`: purchased tier; `effectiveTier`: after any entitlement grant)
+    subscriptionTier: userData.subscriptionTier || 'free',
+    effectiveTier,
+    lifetimeAPIRequests: userData.lifetimeAPIRequests || 0,
+    monthlyTokens: userData.monthlyTokens || 0,
+    lastRequestAt: userData.lastRequestAt,
+    deviceID,
+  };
+});
 
-    receipt: `Extract receipt data and format as Markdown:
+exports.cleanupStaleFreeUsers = onSchedule(
+  {
+    region: 'us-central1',
+    schedule: 'every 24 hours',
+    timeoutSeconds: 540,
+    memory: '256MiB'
+  },
+  async () => {
+    const db = admin.firestore();
+    const cutoffDate = new Date(Date.now() - CLEANUP_FREE_USER_DAYS * 24 * 60 * 60 * 1000);
+    console.log(`🧹 cleanupStaleFreeUsers: cutoff=${cutoffDate.toISOString()}`);
 
-# 🧾 Receipt - [Store Name]
+    let lastDoc = null;
+    let deletedTotal = 0;
+    let scannedTotal = 0;
 
-**Date:** YYYY-MM-DD  
-**Time:** HH:MM  
-**Location:** [Store address if visible]  
+    for (let page = 0; page < CLEANUP_MAX_PAGES; page += 1) {
+      let query = db.collection('users')
+        .where('subscriptionTier', '==', 'free')
+        .orderBy('createdAt')
+        .limit(CLEANUP_BATCH_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
 
-## Items
+      const batch = db.batch();
+      let batchDeletes = 0;
+      snapshot.docs.forEach((doc) => {
+        scannedTotal += 1;
+        const data = doc.data() || {};
+        if (isSafeToDeleteFreeUser(data, cutoffDate)) {
+          batch.delete(doc.ref);
+          batchDeletes += 1;
+        }
+      });
 
-| Item | Qty | Price |
-|------|-----|-------|
-| Item 1 | 1 | $X.XX |
-| Item 2 | 2 | $Y.YY |
+      if (batchDeletes > 0) {
+        await batch.commit();
+        deletedTotal += batchDeletes;
+      }
 
-## Summary
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < CLEANUP_BATCH_SIZE) {
+        break;
+      }
+    }
 
-- **Subtotal:** $XX.XX
-- **Tax:** $X.XX
-- **Total:** $XX.XX
+    console.log(`🧹 cleanupStaleFreeUsers done: scanned=${scannedTotal} deleted=${deletedTotal}`);
+  }
+);
 
-**Payment:** [Card/Cash]  
-**Receipt #:** [number if visible]`,
+exports.cleanupSupersededUsers = onSchedule(
+  {
+    region: 'us-central1',
+    schedule: 'every 24 hours',
+    timeoutSeconds: 540,
+    memory: '256MiB',
+  },
+  async () => {
+    const db = admin.firestore();
+    const cutoffDate = new Date(Date.now() - CLEANUP_SUPERSEDED_USER_DAYS * 24 * 60 * 60 * 1000);
+    console.log(`🧹 cleanupSupersededUsers: cutoff=${cutoffDate.toISOString()}`);
 
-    note: `Extract ALL text from this image and format as clean, well-structured Markdown:
+    let lastDoc = null;
+    let deletedTotal = 0;
+    let scannedTotal = 0;
 
-- Use # ## ### for headers (detect hierarchy from font size/position)
-- Use bullet lists (-) for lists
-- Use numbered lists (1. 2. 3.) for sequences
-- Use **bold** for emphasis
-- Use tables if structured data is present
-- Add emojis where contextually appropriate
-- Preserve the logical structure and flow
+    for (let page = 0; page < CLEANUP_MAX_PAGES; page += 1) {
+      let query = db.collection('users')
+        .where('supersededBy', '!=', null)
+        .orderBy('supersededBy')
+        .limit(CLEANUP_BATCH_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
 
-Make it readable and beautiful. Don't add content that's not in the image.`,
+      const batch = db.batch();
+      let batchDeletes = 0;
+      snapshot.docs.forEach((doc) => {
+        scannedTotal += 1;
+        const data = doc.data() || {};
+        if (isSafeToDeleteSupersededUser(data, cutoffDate)) {
+          batch.delete(doc.ref);
+          batchDeletes += 1;
+        }
+      });
 
-    whiteboard: `Extract content from this whiteboard/notes and structure as Markdown:
+      if (batchDeletes > 0) {
+        await batch.commit();
+        deletedTotal += batchDeletes;
+      }
 
-# [Main Topic - if visible]
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < CLEANUP_BATCH_SIZE) {
+        break;
+      }
+    }
 
-## Key Points
+    console.log(`🧹 cleanupSupersededUsers done: scanned=${scannedTotal} deleted=${deletedTotal}`);
+  }
+);
 
-- Point 1
-- Point 2
-- Point 3
+/**
+ * Safety net for missed EXPIRED / REFUND notifications: paid users past `subscriptionExpiresAt` + grace
+ * are re-checked against the App Store Server API (a missed renewal keeps them paid) and otherwise
+ * downgraded. Users whose Apple lookup fails (outage, rate limit) are left for the next run rather than
+ * downgraded blind. Each run writes a report to subscriptionReconciliationRuns.
+ */
+exports.reconcileLapsedSubscriptions = onSchedule(
+  {
+    region: 'us-central1',
+    schedule: 'every 6 hours',
+    timeoutSeconds: 540,
+    memory: '256MiB',
+    secrets: [appleIssuerId, appleKeyId, applePrivateKey, identifierPepper],
+  },
+  async () => {
+    const db = admin.firestore();
+    const startedAt = new Date();
+    const cutoffDate = new Date(startedAt.getTime() - SUBSCRIPTION_RECONCILE_GRACE_HOURS * 60 * 60 * 1000);
+    console.log(`🍎 reconcileLapsedSubscriptions: cutoff=${cutoffDate.toISOString()}`);
+
+    const apiClient = createAppleServerApiClient();
+    const report = {
+      scanned: 0,
+      renewedViaApple: 0,
+      downgradedViaApple: 0,
+      downgradedLocally: 0,
+      skippedSuperseded: 0,
+      skippedAppleError: 0,
+      inGracePeriod: 0,
+      errors: 0,
+      downgraded: [],
+      errorDetails: [],
+    };
+    const pushCapped = (list, entry) => {
+      if (list.length < SUBSCRIPTION_RECONCILE_REPORT_MAX_ENTRIES) list.push(entry);
+    };
 
-## Details
+    let lastDoc = null;
+    for (let page = 0; page < CLEANUP_MAX_PAGES; page += 1) {
+      let query = db.collection('users')
+        .where('subscriptionTier', 'in', ['plus', 'pro'])
+        .where('subscriptionExpiresAt', '<', admin.firestore.Timestamp.fromDate(cutoffDate))
+        .orderBy('subscriptionExpiresAt')
+        .limit(SUBSCRIPTION_RECONCILE_BATCH_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
 
-[Organize content logically]
+      for (const doc of snapshot.docs) {
+        report.scanned += 1;
+        const data = doc.data() || {};
+        if (isUserDocSuperseded(data)) {
+          report.skippedSuperseded += 1;
+          continue;
+        }
+        const fromTier = String(data.subscriptionTier || 'free');
+        const storedGrace = parseStoreKitDate(data.subscriptionGracePeriodExpiresAt);
 
-## Action Items
+        try {
+          const originalTransactionId = await findOriginalTransactionIdForUser(db, doc.id);
+          if (originalTransactionId) {
+            const latest = await reconcileSubscriptionFromApple(db, doc.ref, originalTransactionId, apiClient);
+            if (latest) {
+              if (isProFromTransactionPayload(latest.txPayload, latest.renewalInfo?.gracePeriodExpiresDate)) {
+                report.renewedViaApple += 1;
+              } else {
+                report.downgradedViaApple += 1;
+                pushCapped(report.downgraded, { uid: doc.id, fromTier, source: 'apple' });
+              }
+              continue;
+            }
+          }
+        } catch (err) {
+          // The user may well have renewed; retry on the next run instead of downgrading.
+          report.skippedAppleError += 1;
+          pushCapped(report.errorDetails, { uid: doc.id, source: 'apple', message: err.message });
+          console.warn(`🍎 reconcile: Apple lookup failed for uid=${doc.id.substring(0, 8)}…, skipped: ${err.message}`);
+          continue;
+        }
 
-- [ ] Task 1
-- [ ] Task 2
+        if (storedGrace && storedGrace > new Date()) {
+          report.inGracePeriod += 1;
+          continue;
+        }
 
-Use checkboxes for TODO items. Add section headers based on content grouping.`,
+        try {
+          await applyLapsedSubscriptionLocally(db, doc.ref, data);
+          report.downgradedLocally += 1;
+          pushCapped(report.downgraded, { uid: doc.id, fromTier, source: 'local' });
+        } catch (err) {
+          report.errors += 1;
+          pushCapped(report.errorDetails, { uid: doc.id, message: err.message });
+          console.error(`🍎 reconcile: downgrade failed for uid=${doc.id.substring(0, 8)}…: ${err.message}`);
+        }
+      }
 
-    business_card: `Extract contact information from this business card:
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < SUBSCRIPTION_RECONCILE_BATCH_SIZE) {
+        break;
+      }
+    }
 
-# 👤 [Full Name]
+    await db.collection(COLLECTION_SUBSCRIPTION_RECONCILIATION_RUNS).add({
+      ...report,
+      cutoff: admin.firestore.Timestamp.fromDate(cutoffDate),
+      graceHours: SUBSCRIPTION_RECONCILE_GRACE_HOURS,
+      startedAt: admin.firestore.Timestamp.fromDate(startedAt),
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
-**Title:** [Job Title]  
-**Company:** [Company Name]  
+    console.log(
+      `🍎 reconcileLapsedSubscriptions done: scanned=${report.scanned} renewed=${report.renewedViaApple} ` +
+      `downgraded=${report.downgradedViaApple + report.downgradedLocally} appleErrors=${report.skippedAppleError} ` +
+      `errors=${report.errors}`
+    );
+  }
+);
 
-## Contact
+/**
+ * Refund units whose callable crashed or timed out before committing or releasing its reservation.
+ * A reservation whose call did succeed (it has a usage_logs entry, but its commit failed) is settled
+ * instead, trued up to the logged cost like commitUsageReservation would.
+ */
+exports.releaseOrphanedUsageReservations = onSchedule(
+  {
+    region: 'us-central1',
+    schedule: 'every 15 minutes',
+    timeoutSeconds: 300,
+    memory: '256MiB',
+  },
+  async () => {
+    const db = admin.firestore();
+    const now = admin.firestore.Timestamp.now();
+    console.log(`🧾 releaseOrphanedUsageReservations: now=${now.toDate().toISOString()}`);
 
-- 📧 Email: [email]
-- 📱 Phone: [phone]
-- 🌐 Website: [website]
-- 📍 Address: [address]
+    let releasedTotal = 0;
+    let committedTotal = 0;
+    let scannedTotal = 0;
 
-## Social
+    for (let page = 0; page < CLEANUP_MAX_PAGES; page += 1) {
+      const snapshot = await db.collection(COLLECTION_USAGE_RESERVATIONS)
+        .where('status', '==', 'reserved')
+        .where('expiresAt', '<', now)
+        .orderBy('expiresAt')
+        .limit(USAGE_RESERVATION_SWEEP_BATCH_SIZE)
+        .get();
+      if (snapshot.empty) {
+        break;
+      }
 
-- LinkedIn: [if visible]
-- Other: [if visible]
+      for (const doc of snapshot.docs) {
+        scannedTotal += 1;
+        const logged = await db.collection('usage_logs').where('reservationId', '==', doc.id).limit(1).get();
+        if (!logged.empty) {
+          const data = doc.data();
+          const loggedCost = logged.docs[0].data().cost;
+          try {
+            // updateTime: skipped if the callable settled it after the query.
+            await settleUsageReservation({
+              ref: doc.ref,
+              updateTime: doc.updateTime,
+              creditPolicy: data.creditPolicy || null,
+              units: data.units ?? 1,
+              usedAfter: 0,
+              aggregateUsedAfter: 0,
+              committed: false,
+            }, typeof loggedCost === 'number' ? loggedCost : null, { committedBy: 'sweeper' });
+            committedTotal += 1;
+          } catch (err) {
+            console.warn(`🧾 Could not commit logged reservation ${doc.id}: ${err.message}`);
+          }
+          continue;
+        }
+        if (await releaseUsageReservation(db, doc.ref, 'orphaned')) {
+          releasedTotal += 1;
+        }
+      }
 
-Keep formatting clean and professional.`
-  };
+      if (snapshot.size < USAGE_RESERVATION_SWEEP_BATCH_SIZE) {
+        break;
+      }
+    }
 
-  return templates[photoType] || templates.note;
-}
+    console.log(
+      `🧾 releaseOrphanedUsageReservations done: scanned=${scannedTotal} released=${releasedTotal} committed=${committedTotal}`
+    );
+  }
+);
 
 // ═══════════════════════════════════════════════════════
-// Function: Whisper Proxy (UNCHANGED from your current)
+// Other functions (Subscription, etc.) - UNCHANGED
 // ═══════════════════════════════════════════════════════
 
-exports.callWhisperProxy = onCall(
+exports.verifySubscription = onCall(
   {
-    secrets: [openaiApiKey],
+    secrets: [appleIssuerId, appleKeyId, applePrivateKey, identifierPepper],
     region: 'us-central1',
-    timeoutSeconds: 300,
-    memory: '1GiB',
+    timeoutSeconds: 30,
   },
   async (request) => {
-    console.log('🎙️ === WHISPER PROXY CALLED ===');
-    console.log('[callWhisperProxy] userId:', request.auth?.uid, 'language:', request.data?.language, 'audioData length:', request.data?.audioData?.length ?? 0);
-    
+    console.log('💳 === VERIFY SUBSCRIPTION CALLED ===');
+
     if (!request.auth) {
-      console.error('❌ No authentication');
       throw new HttpsError('unauthenticated', 'User must be authenticated');
     }
 
     const userId = request.auth.uid;
-    const audioDataBase64 = request.data.audioData;
-    const language = request.data.language || 'auto';
-
-    if (!audioDataBase64) {
-      throw new HttpsError('invalid-argument', 'audioData is required');
-    }
-
-    const audioBuffer = Buffer.from(audioDataBase64, 'base64');
-    const audioSizeMB = audioBuffer.length / 1024 / 1024;
+    const jwsToken = request.data.jwsToken;
+    const targetProductId = request.data.targetProductId || null;
+    const deviceID = request.data.deviceID || 'unknown';
+    const iCloudID = request.data.iCloudID || null;
 
-    if (audioSizeMB > 25) {
-      throw new HttpsError(
-        'invalid-argument',
-        `Audio file too large: ${audioSizeMB.toFixed(1)}MB (max 25MB)`
-      );
+    if (!jwsToken) {
+      throw new HttpsError('invalid-argument', 'jwsToken is required');
     }
 
     try {
-      const deviceID = request.data.deviceID || 'unknown';
-      const iCloudID = request.data.iCloudID || null;
+      const payload = await verifyAppleSignedJWS(jwsToken);
+      const mismatchReason = appTransactionMismatchReason(payload);
+      if (mismatchReason) {
+        console.warn(`💳 verifySubscription: transaction rejected (${mismatchReason})`);
+        throw new HttpsError('permission-denied', 'Transaction does not belong to this app', {
+          reason: mismatchReason,
+        });
+      }
+
       const db = admin.firestore();
+      const catalog = await loadProductCatalog(db);
+      if (consumableProductForId(catalog, payload.productId)) {
+        throw new HttpsError('invalid-argument', 'Top-up purchases are verified with verifyTopUpPurchase');
+      }
       const userRef = db.collection('users').doc(userId);
-      let userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
-      userData = await ensureMonthlyVoiceReset(userRef, userData);
+      const userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
 
       const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
-      const aggregateCheck = await evaluateAggregatedUsageLimit(db, {
-        iCloudID: sessionICloudID,
-        usageField: 'voiceActionsUsed',
-        userData,
-        limitForTier: voiceLimitForTier,
-        deviceID,
-      });
+      const ownership = await resolveTransactionOwnership(db, userId, userData, payload, sessionICloudID);
+      let saveMapping = true;
+      if (ownership.conflict) {
+        ({ saveMapping } = await handleTransactionOwnershipConflict(db, userId, payload, ownership));
+      }
 
-      if (!aggregateCheck.canProceed) {
-        throw new HttpsError(
-          'resource-exhausted',
-          `VOICE_ACTIONS_LIMIT_REACHED:${aggregateCheck.limit}:${aggregateCheck.tier}`,
-          {
-            limit: aggregateCheck.limit,
-            used: aggregateCheck.totalUsed,
-            tier: aggregateCheck.tier,
-          }
-        );
+      const jwsProductId = String(payload.productId || '');
+      let effectivePayload = payload;
+      const normalizedTarget = targetProductId != null && String(targetProductId) !== ''
+        ? String(targetProductId)
+        : null;
+
+      if (normalizedTarget && normalizedTarget !== jwsProductId) {
+        // Only products we sell may override the JWS productId (client deferred-upgrade hint).
+        if (subscriptionProductForId(catalog, normalizedTarget)) {
+          console.log(
+            `💳 verifySubscription: deferred product hint — applying target for tier/limits (JWS productId=${jwsProductId}, target=${normalizedTarget})`
+          );
+          effectivePayload = { ...payload, productId: normalizedTarget };
+        } else {
+          console.warn(
+            `💳 verifySubscription: unknown targetProductId ignored (target=${normalizedTarget}, JWS=${jwsProductId})`
+          );
+        }
       }
 
-      const reservation = await db.runTransaction(async (transaction) => {
-        if (aggregateCheck.tier === 'free' && aggregateCheck.deviceRef) {
-          const deviceSnap = await transaction.get(aggregateCheck.deviceRef);
-          const deviceData = deviceSnap.data() || {};
-          const used = deviceData.voiceActionsUsed || 0;
+      const { applied } = await applySubscriptionToUserDoc(userRef, effectivePayload, db);
+      if (!applied) {
+        console.warn('💳 verifySubscription: JWS older than the last applied transaction — tier unchanged');
+      }
+      if (saveMapping) {
+        await saveAppleSubscriptionMapping(db, userId, effectivePayload);
+      }
 
-          transaction.update(aggregateCheck.deviceRef, {
-            voiceActionsUsed: used + 1,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
+      const updatedSnap = await userRef.get();
+      const finalTier = updatedSnap.exists
+        ? String(updatedSnap.data().subscriptionTier || 'free')
+        : 'free';
+      const isActive = isProFromTransactionPayload(payload) || finalTier !== 'free';
+      const expiresDate = parseStoreKitDate(payload.expiresDate);
 
-          console.log(`📱 Free tier: incremented device voice usage ${used} → ${used + 1}`);
+      return {
+        success: true,
+        isActive,
+        expiresAt: expiresDate ? expiresDate.toISOString() : null,
+        subscriptionTier: finalTier,
+      };
+    } catch (err) {
+      console.error('💥 VERIFY ERROR:', err.message);
+      if (err instanceof HttpsError) {
+        throw err;
+      }
+      if (err instanceof AppleCertificateChainError) {
+        throw new HttpsError('permission-denied', 'Transaction signature rejected', { reason: err.reason });
+      }
+      throw new HttpsError('internal', err.message);
+    }
+  }
+);
 
-          return {
-            canProceed: true,
-            usedAfter: used + 1,
-            aggregateUsedAfter: used + 1,
-            limit: aggregateCheck.limit,
-            tier: aggregateCheck.tier,
-          };
-        }
+/** Returns the caller's StoreKit `appAccountToken` (issued on first call); pass it to every purchase. */
+exports.getAppAccountToken = onCall({ region: 'us-central1', secrets: [identifierPepper] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-        const snapshot = await transaction.get(userRef);
-        const data = snapshot.data() || {};
-        const used = data.voiceActionsUsed || 0;
+  const userId = request.auth.uid;
+  const deviceID = request.data?.deviceID || 'unknown';
+  const iCloudID = request.data?.iCloudID || null;
 
-        transaction.update(userRef, {
-          voiceActionsUsed: used + 1,
-        });
+  const db = admin.firestore();
+  await ensureUserDocument(db, userId, deviceID, iCloudID);
+  const appAccountToken = await ensureAppAccountToken(db, db.collection('users').doc(userId));
+  return { appAccountToken };
+});
 
-        console.log(`☁️ Paid tier: incremented user voice usage ${used} → ${used + 1}`);
+/**
+ * Record whether the caller agrees to their usage data being shared with Apple when they ask for a
+ * refund (CONSUMPTION_REQUEST). `consented` must be a boolean; withdrawing is allowed at any time.
+ */
+exports.setConsumptionDataConsent = onCall({ region: 'us-central1', secrets: [identifierPepper] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const consented = request.data?.consented;
+  if (typeof consented !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'consented must be a boolean');
+  }
 
-        return {
-          canProceed: true,
-          usedAfter: used + 1,
-          aggregateUsedAfter: aggregateCheck.totalUsed + 1,
-          limit: aggregateCheck.limit,
-          tier: aggregateCheck.tier,
-        };
-      });
+  const userId = request.auth.uid;
+  const db = admin.firestore();
+  await ensureUserDocument(db, userId, request.data?.deviceID || 'unknown', request.data?.iCloudID || null);
+  await db.collection('users').doc(userId).update({
+    consumptionDataConsent: consented,
+    consumptionDataConsentAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`💳 Consumption data consent ${consented ? 'given' : 'withdrawn'} by uid=${userId.substring(0, 8)}…`);
+  return { consumptionDataConsent: consented };
+});
 
-      const apiKey = openaiApiKey.value();
-      if (!apiKey) {
-        throw new HttpsError('failed-precondition', 'API key not configured');
-      }
+/**
+ * Rewrite users/{userId}.entitlementGrants from the grants collection (dropping ended and revoked
+ * grants) so usage checks never query grants. Returns the mirrored list.
+ */
+async function syncUserEntitlementGrants(db, userId) {
+  const snap = await db.collection(COLLECTION_ENTITLEMENT_GRANTS).where('userId', '==', userId).get();
+  const grants = pendingOrActiveGrants(snap.docs.map((doc) => ({ grantId: doc.id, ...doc.data() })))
+    .map(({ grantId, tier, startsAt, endsAt }) => ({ grantId, tier, startsAt, endsAt }));
+  await db.collection('users').doc(userId).set(
+    { entitlementGrants: grants, entitlementGrantsSyncedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  return grants;
+}
 
-      const form = new FormData();
-      form.append('file', audioBuffer, {
-        filename: 'audio.m4a',
-        contentType: 'audio/mp4',
-      });
-      form.append('model', 'whisper-1');
-      
-      // Whisper expects ISO-639-1 (e.g. "en"), not locale (e.g. "en-US") — 400 Bad Request otherwise
-      if (language && language !== 'auto') {
-        const iso6391 = language.split('-')[0].toLowerCase();
-        form.append('language', iso6391);
-      }
+function serializeEntitlementGrant(grantId, data) {
+  const iso = (value) => parseStoreKitDate(value)?.toISOString() ?? null;
+  return {
+    grantId,
+    userId: data.userId,
+    tier: data.tier,
+    startsAt: iso(data.startsAt),
+    endsAt: iso(data.endsAt),
+    reason: data.reason || null,
+    grantedBy: data.grantedBy || null,
+    revokedAt: iso(data.revokedAt),
+    revokedBy: data.revokedBy || null,
+  };
+}
 
-      const apiStartTime = Date.now();
-      console.log('[callWhisperProxy] Calling OpenAI Whisper API, audio size:', audioSizeMB.toFixed(2), 'MB');
-      const response = await axios.post(
-        'https://api.openai.com/v1/audio/transcriptions',
-        form,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            ...form.getHeaders(),
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-        }
-      );
+/**
+ * Admin-only view of the spend guardrail: today's and this month's ledger, the budgets in force and
+ * the circuit breaker decision per service and tier. Requires the `admin` custom claim.
+ */
+exports.getSpendStatus = onCall({ region: 'us-central1' }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (request.auth.token?.admin !== true) {
+    throw new HttpsError('permission-denied', 'Admin privileges required');
+  }
 
-      const apiDuration = Date.now() - apiStartTime;
-      console.log('[callWhisperProxy] OpenAI response OK, duration:', apiDuration, 'ms');
-      const result = response.data;
-      
-      const estimatedDurationMinutes = audioSizeMB / 2;
-      const estimatedCost = estimatedDurationMinutes * 0.006;
+  const db = admin.firestore();
+  const [policy, ledger] = await Promise.all([loadSpendPolicy(db), loadSpendLedger(db, { fresh: true })]);
+  const summarize = (doc) => ({
+    totalUsd: doc.totalUsd || 0,
+    calls: doc.calls || 0,
+    services: doc.services || {},
+    tiers: doc.tiers || {},
+  });
+  return {
+    day: ledger.keys.daily,
+    month: ledger.keys.monthly,
+    daily: summarize(ledger.daily),
+    monthly: summarize(ledger.monthly),
+    policy,
+    breaker: spendBreakerStatus(policy, ledger),
+  };
+});
 
-      // ✅ Update usage for Whisper
-      await userRef.update({
-        lifetimeAPIRequests: admin.firestore.FieldValue.increment(1),
-        lastRequestAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+/**
+ * Admin-only (custom claim `admin: true`) management of tier grants:
+ * `{ action: 'grant', userId, tier, endsAt | durationDays, startsAt?, reason }`,
+ * `{ action: 'revoke', grantId, reason? }` and `{ action: 'list', userId }`.
+ */
+exports.manageEntitlementGrants = onCall({ region: 'us-central1' }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (request.auth.token?.admin !== true) {
+    throw new HttpsError('permission-denied', 'Admin privileges required');
+  }
 
-      await db.collection('usage_logs').add({
-        userId: userId,
-        deviceID: deviceID,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        service: 'whisper',
-        audioSizeMB: parseFloat(audioSizeMB.toFixed(2)),
-        cost: parseFloat(estimatedCost.toFixed(6)),
-        textLength: result.text?.length,
-        durationMs: apiDuration,
-        subscriptionTier: reservation.tier,
-      });
+  const adminUid = request.auth.uid;
+  const data = request.data || {};
+  const db = admin.firestore();
+
+  switch (data.action) {
+    case 'grant': {
+      let grantRequest;
+      try {
+        grantRequest = normalizeGrantRequest(data);
+      } catch (err) {
+        if (err instanceof EntitlementGrantError) {
+          throw new HttpsError('invalid-argument', err.message, { field: err.field });
+        }
+        throw err;
+      }
+      const userSnap = await db.collection('users').doc(grantRequest.userId).get();
+      if (!userSnap.exists) {
+        throw new HttpsError('not-found', 'User not found');
+      }
+      const grantRef = db.collection(COLLECTION_ENTITLEMENT_GRANTS).doc();
+      const grant = {
+        userId: grantRequest.userId,
+        tier: grantRequest.tier,
+        startsAt: admin.firestore.Timestamp.fromDate(grantRequest.startsAt),
+        endsAt: admin.firestore.Timestamp.fromDate(grantRequest.endsAt),
+        reason: grantRequest.reason,
+        grantedBy: adminUid,
+        grantedByEmail: request.auth.token.email || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedAt: null,
+      };
+      await grantRef.set(grant);
+      await syncUserEntitlementGrants(db, grantRequest.userId);
+      console.log(
+        `🎁 ${grantRequest.tier} granted to uid=${grantRequest.userId.substring(0, 8)}… until ${grantRequest.endsAt.toISOString()} by ${adminUid.substring(0, 8)}… (${grantRequest.reason})`
+      );
+      return { grant: serializeEntitlementGrant(grantRef.id, grant) };
+    }
+
+    case 'revoke': {
+      if (typeof data.grantId !== 'string' || data.grantId === '') {
+        throw new HttpsError('invalid-argument', 'grantId is required');
+      }
+      const grantRef = db.collection(COLLECTION_ENTITLEMENT_GRANTS).doc(data.grantId);
+      const grantSnap = await grantRef.get();
+      if (!grantSnap.exists) {
+        throw new HttpsError('not-found', 'Grant not found');
+      }
+      const revocation = {
+        revokedAt: admin.firestore.Timestamp.now(),
+        revokedBy: adminUid,
+        revokeReason: typeof data.reason === 'string' ? data.reason.substring(0, 500) : null,
+      };
+      if (grantSnap.data().revokedAt == null) {
+        await grantRef.update(revocation);
+      }
+      await syncUserEntitlementGrants(db, grantSnap.data().userId);
+      console.log(`🎁 grant ${data.grantId} revoked by ${adminUid.substring(0, 8)}…`);
+      return { grant: serializeEntitlementGrant(grantRef.id, { ...grantSnap.data(), ...revocation }) };
+    }
 
+    case 'list': {
+      if (typeof data.userId !== 'string' || data.userId === '') {
+        throw new HttpsError('invalid-argument', 'userId is required');
+      }
+      const snap = await db.collection(COLLECTION_ENTITLEMENT_GRANTS).where('userId', '==', data.userId).get();
+      const mirrored = await syncUserEntitlementGrants(db, data.userId);
+      const active = activeEntitlementGrant(mirrored);
       return {
-        text: result.text,
-        remainingTranscriptions: Math.max(0, reservation.limit - reservation.aggregateUsedAfter),
-        remainingRequests: Math.max(0, reservation.limit - reservation.aggregateUsedAfter),
+        grants: snap.docs.map((doc) => serializeEntitlementGrant(doc.id, doc.data())),
+        activeGrantId: active ? active.grantId : null,
       };
+    }
 
-    } catch (error) {
-      console.error('[callWhisperProxy] ERROR:', error.message);
-      console.error('[callWhisperProxy] Stack:', error.stack);
-      if (error.response) {
-        console.error('[callWhisperProxy] API response status:', error.response.status);
-        console.error('[callWhisperProxy] API response data:', JSON.stringify(error.response.data || {}));
+    default:
+      throw new HttpsError('invalid-argument', 'action must be grant, revoke or list');
+  }
+});
+
+/**
+ * Credit a consumable top-up pack (catalog `type: 'consumable'`) from its StoreKit JWS. Safe to call
+ * again for the same transaction: it is credited once, and refunded transactions are refused.
+ */
+exports.verifyTopUpPurchase = onCall(
+  {
+    region: 'us-central1',
+    secrets: [identifierPepper],
+    timeoutSeconds: 30,
+  },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const userId = request.auth.uid;
+    const jwsToken = request.data.jwsToken;
+    const deviceID = request.data.deviceID || 'unknown';
+    const iCloudID = request.data.iCloudID || null;
+
+    if (!jwsToken) {
+      throw new HttpsError('invalid-argument', 'jwsToken is required');
+    }
+
+    try {
+      const payload = await verifyAppleSignedJWS(jwsToken);
+      const mismatchReason = appTransactionMismatchReason(payload);
+      if (mismatchReason) {
+        console.warn(`💳 verifyTopUpPurchase: transaction rejected (${mismatchReason})`);
+        throw new HttpsError('permission-denied', 'Transaction does not belong to this app', {
+          reason: mismatchReason,
+        });
       }
-      
-      if (error instanceof HttpsError) {
-        throw error;
+
+      const db = admin.firestore();
+      const product = consumableProductForId(await loadProductCatalog(db), payload.productId);
+      if (!product) {
+        throw new HttpsError('invalid-argument', 'Not a top-up product', { productId: payload.productId || null });
+      }
+      if (payload.transactionId == null || payload.transactionId === '') {
+        throw new HttpsError('invalid-argument', 'Transaction has no transactionId');
+      }
+      if (payload.revocationDate != null) {
+        throw new HttpsError('failed-precondition', 'Purchase was refunded');
+      }
+
+      const userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
+      const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
+      const ownership = await resolveTransactionOwnership(db, userId, userData, payload, sessionICloudID);
+      if (ownership.conflict) {
+        console.warn(`💳 verifyTopUpPurchase: ownership conflict (${ownership.reason})`);
+        throw new HttpsError('permission-denied', 'Purchase belongs to another account', { reason: ownership.reason });
+      }
+
+      const { status, balances } = await creditTopUpPurchase(db, userId, payload, product);
+      if (status === 'reversed') {
+        throw new HttpsError('failed-precondition', 'Purchase was refunded');
+      }
+      if (status === 'claimed_by_other') {
+        throw new HttpsError('permission-denied', 'Purchase belongs to another account', {
+          reason: 'credited_to_other_account',
+        });
+      }
+      console.log(`💳 verifyTopUpPurchase: ${payload.productId} ${status} for uid=${userId.substring(0, 8)}…`);
+
+      return {
+        success: true,
+        status,
+        productId: String(payload.productId),
+        ...balances,
+      };
+    } catch (err) {
+      console.error('💥 VERIFY TOP-UP ERROR:', err.message);
+      if (err instanceof HttpsError) {
+        throw err;
       }
-      
-      if (error.response) {
-        throw new HttpsError(
-          'internal',
-          `Whisper API error: ${error.response.status} - ${JSON.stringify(error.response.data || {})}`
-        );
+      if (err instanceof AppleCertificateChainError) {
+        throw new HttpsError('permission-denied', 'Transaction signature rejected', { reason: err.reason });
       }
-      
-      throw new HttpsError('internal', error.message);
+      throw new HttpsError('internal', err.message);
     }
   }
 );
 
-// ═══════════════════════════════════════════════════════
-// Function: Get User Usage (UPDATED with photo scans)
-// ═══════════════════════════════════════════════════════
+/**
+ * Redeem a promo code once per account, physical device and iCloud account. Tier codes become an
+ * entitlement grant; bonus codes are added to the top-up balance. Redemption runs in one transaction
+ * so `maxRedemptions` cannot be overshot by concurrent callers.
+ */
+async function redeemPromoCodeForUser(db, { code, userId, deviceHash, iCloudHash, legacyIds = {}, now = new Date() }) {
+  const codeRef = db.collection(COLLECTION_PROMO_CODES).doc(code);
+  const keys = promoRedemptionKeys({ userId, deviceHash, iCloudHash });
+  const redemptionRefs = keys.map((key) => codeRef.collection('redemptions').doc(key));
+  // Redemptions under pre-pepper ids (`legacyIds`: SHA-256 deviceID, raw iCloudID) are read, never written.
+  const legacyRedemptionRefs = promoRedemptionKeys({ userId, ...legacyIds })
+    .filter((key) => !keys.includes(key))
+    .map((key) => codeRef.collection('redemptions').doc(key));
+  const userRef = db.collection('users').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const codeSnap = await transaction.get(codeRef);
+    if (!codeSnap.exists) {
+      return { status: 'invalid' };
+    }
+    const codeData = codeSnap.data() || {};
+    const unavailable = promoCodeUnavailableReason(codeData, now);
+    if (unavailable) {
+      return { status: unavailable };
+    }
+    const redemptionSnaps = await transaction.getAll(...redemptionRefs, ...legacyRedemptionRefs);
+    if (redemptionSnaps.some((snap) => snap.exists)) {
+      return { status: 'already_redeemed' };
+    }
+    const userSnap = await transaction.get(userRef);
+    const userData = userSnap.data() || {};
+    const effect = normalizePromoEffect(codeData.effect);
+
+    const result = { status: 'redeemed', effect };
+    if (effect.type === 'tier') {
+      if (!isSubscriptionTierUpgrade(effectiveTierForUserDoc(userData, now), effect.tier)) {
+        return { status: 'already_entitled' };
+      }
+      const grant = normalizeGrantRequest(
+        { userId, tier: effect.tier, durationDays: effect.days, reason: `promo code ${code}` },
+        now
+      );
+      const grantRef = db.collection(COLLECTION_ENTITLEMENT_GRANTS).doc();
+      const startsAt = admin.firestore.Timestamp.fromDate(grant.startsAt);
+      const endsAt = admin.firestore.Timestamp.fromDate(grant.endsAt);
+      transaction.set(grantRef, {
+        userId,
+        tier: grant.tier,
+        startsAt,
+        endsAt,
+        reason: grant.reason,
+        grantedBy: null,
+        source: 'promo_code',
+        promoCode: code,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedAt: null,
+      });
+      transaction.set(userRef, {
+        entitlementGrants: [
+          ...pendingOrActiveGrants(userData.entitlementGrants, now),
+          { grantId: grantRef.id, tier: grant.tier, startsAt, endsAt },
+        ],
+        entitlementGrantsSyncedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      result.grantId = grantRef.id;
+      result.endsAt = grant.endsAt;
+    } else {
+      const balanceUpdate = {};
+      for (const [meter, amount] of Object.entries(effect)) {
+        if (meter === 'type') continue;
+        const field = topUpBalanceField(meter);
+        balanceUpdate[field] = (userData[field] || 0) + amount;
+      }
+      transaction.set(userRef, balanceUpdate, { merge: true });
+      result.balances = topUpBalancesFromUserDoc({ ...userData, ...balanceUpdate });
+    }
+
+    const redemption = {
+      code,
+      userId,
+      deviceIdHash: deviceHash,
+      iCloudID: iCloudHash,
+      effect,
+      grantId: result.grantId || null,
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    redemptionRefs.forEach((ref) => transaction.set(ref, redemption));
+    transaction.update(codeRef, {
+      redemptionCount: admin.firestore.FieldValue.increment(1),
+      lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return result;
+  });
+}
+
+const PROMO_CODE_REJECTIONS = {
+  invalid: ['not-found', 'Promo code not found'],
+  inactive: ['failed-precondition', 'Promo code is no longer active'],
+  not_started: ['failed-precondition', 'Promo code is not active yet'],
+  expired: ['failed-precondition', 'Promo code has expired'],
+  exhausted: ['resource-exhausted', 'Promo code has been fully redeemed'],
+  already_redeemed: ['already-exists', 'Promo code was already redeemed on this account or device'],
+  already_entitled: ['failed-precondition', 'Current plan already includes this tier'],
+};
 
-exports.getUserUsage = onCall({region: 'us-central1'}, async (request) => {
+/**
+ * Redeem a promo code for the caller. Redemptions are also keyed by the device, so unless
+ * DEVICE_ATTESTATION_MODE is `off` the deviceID must come with a valid `deviceToken` (see attestDevice).
+ */
+exports.redeemPromoCode = onCall({ region: 'us-central1', secrets: [deviceTokenSecret, identifierPepper] }, async (request) => {
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'User must be authenticated');
   }
@@ -1546,253 +5009,258 @@ exports.getUserUsage = onCall({region: 'us-central1'}, async (request) => {
   const userId = request.auth.uid;
   const deviceID = request.data?.deviceID || 'unknown';
   const iCloudID = request.data?.iCloudID || null;
-  
-  const db = admin.firestore();
-  const userRef = db.collection('users').doc(userId);
-  let userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
-  userData = await ensureMonthlyVoiceReset(userRef, userData);
-  userData = await ensureMonthlyPhotoReset(userRef, userData);
-
-  const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
-  if (sessionICloudID) {
-    userData = await syncSubscriptionTierFromICloudPeers(db, userRef, userData, sessionICloudID);
-    userData = await ensureMonthlyVoiceReset(userRef, userData);
-    userData = await ensureMonthlyPhotoReset(userRef, userData);
+  const code = normalizePromoCodeInput(request.data?.code);
+  if (!code) {
+    throw new HttpsError('invalid-argument', 'code is required');
+  }
+  // Redemptions are keyed by the physical device, so a reinstall (new uid) cannot redeem again.
+  if (deviceID === 'unknown') {
+    throw new HttpsError('invalid-argument', 'deviceID is required');
   }
 
-  const iCloudDocs = sessionICloudID ? await queryUserDocsByICloudID(db, sessionICloudID) : [];
+  try {
+    const db = admin.firestore();
+    const deviceHash = hashDeviceId(deviceID);
+    const attestationMode = String(deviceAttestationMode.value() || 'monitor').trim();
+    if (attestationMode !== 'off' && !(await isDeviceTokenValid(db, deviceHash, request.data?.deviceToken))) {
+      throw new HttpsError('failed-precondition', 'DEVICE_ATTESTATION_REQUIRED');
+    }
+    const userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
+    const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
+    const result = await redeemPromoCodeForUser(db, {
+      code,
+      userId,
+      deviceHash,
+      iCloudHash: hashICloudId(sessionICloudID),
+      legacyIds: { deviceHash: legacyDeviceHash(deviceID), iCloudHash: sessionICloudID },
+    });
 
-  const effectiveTier = userData.subscriptionTier || 'free';
-  const voiceActionsLimit = voiceLimitForTier(effectiveTier);
-  const photoScansLimit = photoLimitForTier(effectiveTier);
+    if (result.status !== 'redeemed') {
+      console.log(`🎟️ redeemPromoCode ${code} rejected for uid=${userId.substring(0, 8)}… (${result.status})`);
+      const [errorCode, message] = PROMO_CODE_REJECTIONS[result.status];
+      throw new HttpsError(errorCode, message, { reason: result.status });
+    }
+    console.log(`🎟️ redeemPromoCode ${code} redeemed by uid=${userId.substring(0, 8)}… (${result.effect.type})`);
 
-  let voiceActionsUsed;
-  let photoScansUsed;
-  if (effectiveTier === 'free') {
-    if (!deviceID || deviceID === 'unknown') {
-      console.warn('⚠️ No valid deviceID for free tier usage — falling back to uid-based');
-      voiceActionsUsed = userData.voiceActionsUsed || 0;
-      photoScansUsed = userData.photoScansUsed || 0;
-    } else {
-      const loaded = await loadDeviceFreeUsage(db, deviceID);
-      voiceActionsUsed = loaded.deviceData.voiceActionsUsed || 0;
-      photoScansUsed = loaded.deviceData.photoScansUsed || 0;
-      console.log(
-        `📱 Free tier usage from device: voice=${voiceActionsUsed}/${voiceActionsLimit}, photo=${photoScansUsed}/${photoScansLimit}`
-      );
+    return {
+      success: true,
+      code,
+      effect: result.effect,
+      ...(result.grantId
+        ? { entitlementGrant: { tier: result.effect.tier, endsAt: result.endsAt.toISOString() } }
+        : {}),
+      ...(result.balances || {}),
+    };
+  } catch (err) {
+    if (err instanceof HttpsError) {
+      throw err;
     }
-  } else {
-    voiceActionsUsed = iCloudDocs.length > 0
-      ? sumUsageFieldAcrossDocs(iCloudDocs, 'voiceActionsUsed')
-      : (userData.voiceActionsUsed || 0);
-    photoScansUsed = iCloudDocs.length > 0
-      ? sumUsageFieldAcrossDocs(iCloudDocs, 'photoScansUsed')
-      : (userData.photoScansUsed || 0);
-    console.log(
-      `☁️ Paid tier usage (iCloud aggregate): voice=${voiceActionsUsed}/${voiceActionsLimit}, photo=${photoScansUsed}/${photoScansLimit}`
-    );
+    console.error('💥 REDEEM PROMO CODE ERROR:', err.message);
+    throw new HttpsError('internal', err.message);
   }
-
-  return {
-    // Voice transcriptions
-    voiceActionsUsed: voiceActionsUsed,
-    voiceActionsLimit: voiceActionsLimit,
-    remainingVoiceActions: Math.max(0, voiceActionsLimit - voiceActionsUsed),
-    
-    // Photo scans
-    photoScansUsed: photoScansUsed,
-    photoScansLimit: photoScansLimit,
-    remainingPhotoScans: Math.max(0, photoScansLimit - photoScansUsed),
-    
-    // General
-    subscriptionTier: userData.subscriptionTier || 'free',
-    lifetimeAPIRequests: userData.lifetimeAPIRequests || 0,
-    monthlyTokens: userData.monthlyTokens || 0,
-    lastRequestAt: userData.lastRequestAt,
-    deviceID: userData.deviceID,
-  };
 });
 
-exports.cleanupStaleFreeUsers = onSchedule(
-  {
-    region: 'us-central1',
-    schedule: 'every 24 hours',
-    timeoutSeconds: 540,
-    memory: '256MiB'
-  },
-  async () => {
-    const db = admin.firestore();
-    const cutoffDate = new Date(Date.now() - CLEANUP_FREE_USER_DAYS * 24 * 60 * 60 * 1000);
-    console.log(`🧹 cleanupStaleFreeUsers: cutoff=${cutoffDate.toISOString()}`);
-
-    let lastDoc = null;
-    let deletedTotal = 0;
-    let scannedTotal = 0;
+/**
+ * First step of device attestation: a single-use challenge bound to the caller and its deviceID. The
+ * app passes SHA-256(challenge) as `clientDataHash` to DCAppAttestService.attestKey.
+ */
+exports.getDeviceAttestationChallenge = onCall({ region: 'us-central1', secrets: [identifierPepper] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const deviceID = request.data?.deviceID;
+  if (!deviceID || deviceID === 'unknown') {
+    throw new HttpsError('invalid-argument', 'deviceID is required');
+  }
 
-    for (let page = 0; page < CLEANUP_MAX_PAGES; page += 1) {
-      let query = db.collection('users')
-        .where('subscriptionTier', '==', 'free')
-        .orderBy('createdAt')
-        .limit(CLEANUP_BATCH_SIZE);
-      if (lastDoc) {
-        query = query.startAfter(lastDoc);
-      }
-      const snapshot = await query.get();
-      if (snapshot.empty) {
-        break;
-      }
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  const expiresAtMillis = Date.now() + DEVICE_ATTESTATION_CHALLENGE_TTL_MINUTES * 60 * 1000;
+  await admin.firestore().collection(COLLECTION_DEVICE_ATTESTATION_CHALLENGES).doc(challenge).set({
+    userId: request.auth.uid,
+    deviceHash: hashDeviceId(deviceID),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(expiresAtMillis),
+    usedAt: null,
+    purgeAt: admin.firestore.Timestamp.fromMillis(expiresAtMillis + 24 * 60 * 60 * 1000),
+  });
+  return { challenge, expiresAt: new Date(expiresAtMillis).toISOString() };
+});
 
-      const batch = db.batch();
-      let batchDeletes = 0;
-      snapshot.docs.forEach((doc) => {
-        scannedTotal += 1;
-        const data = doc.data() || {};
-        if (isSafeToDeleteFreeUser(data, cutoffDate)) {
-          batch.delete(doc.ref);
-          batchDeletes += 1;
-        }
-      });
+/**
+ * Verify an App Attest attestation for a challenge from getDeviceAttestationChallenge and return a
+ * device token binding the deviceID to the attested key. Free-tier calls send it as `deviceToken`.
+ */
+exports.attestDevice = onCall({ region: 'us-central1', secrets: [deviceTokenSecret, identifierPepper] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  verifyAppCheck(request, 'attestDevice');
 
-      if (batchDeletes > 0) {
-        await batch.commit();
-        deletedTotal += batchDeletes;
-      }
+  const userId = request.auth.uid;
+  const { deviceID, keyId, attestationObject, challenge } = request.data || {};
+  if (!deviceID || deviceID === 'unknown' || !keyId || !attestationObject) {
+    throw new HttpsError('invalid-argument', 'deviceID, keyId and attestationObject are required');
+  }
+  if (typeof challenge !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(challenge)) {
+    throw new HttpsError('invalid-argument', 'challenge is invalid');
+  }
 
-      lastDoc = snapshot.docs[snapshot.docs.length - 1];
-      if (snapshot.size < CLEANUP_BATCH_SIZE) {
-        break;
-      }
+  const db = admin.firestore();
+  const deviceHash = hashDeviceId(deviceID);
+  const challengeRef = db.collection(COLLECTION_DEVICE_ATTESTATION_CHALLENGES).doc(challenge);
+  // Consumed before verification, so a rejected attestation cannot be retried with the same challenge.
+  const challengeUsable = await db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(challengeRef);
+    const data = snap.data();
+    if (!data || data.usedAt || data.userId !== userId || data.deviceHash !== deviceHash
+      || data.expiresAt.toMillis() < Date.now()) {
+      return false;
     }
-
-    console.log(`🧹 cleanupStaleFreeUsers done: scanned=${scannedTotal} deleted=${deletedTotal}`);
+    transaction.update(challengeRef, { usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return true;
+  });
+  if (!challengeUsable) {
+    throw new HttpsError('failed-precondition', 'ATTESTATION_CHALLENGE_INVALID');
   }
-);
-
-exports.cleanupSupersededUsers = onSchedule(
-  {
-    region: 'us-central1',
-    schedule: 'every 24 hours',
-    timeoutSeconds: 540,
-    memory: '256MiB',
-  },
-  async () => {
-    const db = admin.firestore();
-    const cutoffDate = new Date(Date.now() - CLEANUP_SUPERSEDED_USER_DAYS * 24 * 60 * 60 * 1000);
-    console.log(`🧹 cleanupSupersededUsers: cutoff=${cutoffDate.toISOString()}`);
-
-    let lastDoc = null;
-    let deletedTotal = 0;
-    let scannedTotal = 0;
-
-    for (let page = 0; page < CLEANUP_MAX_PAGES; page += 1) {
-      let query = db.collection('users')
-        .where('supersededBy', '!=', null)
-        .orderBy('supersededBy')
-        .limit(CLEANUP_BATCH_SIZE);
-      if (lastDoc) {
-        query = query.startAfter(lastDoc);
-      }
-      const snapshot = await query.get();
-      if (snapshot.empty) {
-        break;
-      }
-
-      const batch = db.batch();
-      let batchDeletes = 0;
-      snapshot.docs.forEach((doc) => {
-        scannedTotal += 1;
-        const data = doc.data() || {};
-        if (isSafeToDeleteSupersededUser(data, cutoffDate)) {
-          batch.delete(doc.ref);
-          batchDeletes += 1;
-        }
-      });
-
-      if (batchDeletes > 0) {
-        await batch.commit();
-        deletedTotal += batchDeletes;
-      }
 
-      lastDoc = snapshot.docs[snapshot.docs.length - 1];
-      if (snapshot.size < CLEANUP_BATCH_SIZE) {
-        break;
-      }
+  let attested;
+  try {
+    attested = verifyAppAttestation({
+      attestationObject,
+      keyId,
+      challenge,
+      appId: `${appleTeamId.value()}.${appleBundleId.value()}`,
+      rootCertificate: appAttestRootCa.value(),
+      allowDevelopment: appleAllowedEnvironments.value().split(',').map((env) => env.trim()).includes('Sandbox'),
+    });
+  } catch (err) {
+    if (err instanceof DeviceAttestationError) {
+      console.warn(`📱 Device attestation rejected for ${deviceHash.substring(0, 8)}…: ${err.message}`);
+      throw new HttpsError('permission-denied', `ATTESTATION_REJECTED:${err.reason}`);
     }
+    throw err;
+  }
 
-    console.log(`🧹 cleanupSupersededUsers done: scanned=${scannedTotal} deleted=${deletedTotal}`);
+  // A key vouches for one deviceID only, and one deviceID may add only a few keys per token lifetime,
+  // so a single genuine device cannot mint free buckets for arbitrary deviceIDs.
+  const keyHash = deviceKeyHash(attested.keyId);
+  const deviceRef = db.collection(COLLECTION_ATTESTED_DEVICES).doc(deviceHash);
+  const keyRef = db.collection(COLLECTION_ATTESTED_KEYS).doc(keyHash);
+  const keyRejection = await db.runTransaction(async (transaction) => {
+    const [deviceSnap, keySnap] = await transaction.getAll(deviceRef, keyRef);
+    if (keySnap.exists && keySnap.get('deviceHash') !== deviceHash) {
+      return 'ATTESTATION_KEY_IN_USE';
+    }
+    const keys = deviceSnap.get('keys') || {};
+    const windowStart = Date.now() - DEVICE_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const recentKeys = Object.entries(keys)
+      .filter(([hash, attestedAt]) => hash !== keyHash && attestedAt?.toMillis?.() > windowStart);
+    if (!keys[keyHash] && recentKeys.length >= MAX_ATTESTED_KEYS_PER_DEVICE) {
+      return 'ATTESTATION_KEY_LIMIT';
+    }
+    const now = admin.firestore.Timestamp.now();
+    transaction.set(keyRef, { deviceHash, userId, attestedAt: now });
+    transaction.set(deviceRef, {
+      keyIds: admin.firestore.FieldValue.arrayUnion(attested.keyId),
+      keys: { [keyHash]: now },
+      lastKeyId: attested.keyId,
+      lastPublicKey: attested.publicKeyPem,
+      environment: attested.environment,
+      lastUserId: userId,
+      attestationCount: admin.firestore.FieldValue.increment(1),
+      lastAttestedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return null;
+  });
+  if (keyRejection) {
+    console.warn(`📱 Device attestation rejected for ${deviceHash.substring(0, 8)}…: ${keyRejection}`);
+    throw new HttpsError('failed-precondition', keyRejection);
   }
-);
 
-// ═══════════════════════════════════════════════════════
-// Other functions (Subscription, etc.) - UNCHANGED
-// ═══════════════════════════════════════════════════════
+  const { token, expiresAt } = issueDeviceToken(
+    { deviceHash, keyId: attested.keyId },
+    deviceTokenSecret.value(),
+    { ttlDays: DEVICE_TOKEN_TTL_DAYS }
+  );
+  console.log(`📱 Device ${deviceHash.substring(0, 8)}… attested (${attested.environment})`);
+  return { deviceToken: token, expiresAt: expiresAt.toISOString() };
+});
 
-exports.verifySubscription = onCall(
+/**
+ * Pull the caller's subscription state straight from the App Store Server API (restore / "refresh"
+ * button, or when the client suspects a missed notification).
+ */
+exports.refreshSubscriptionFromApple = onCall(
   {
-    secrets: [appleIssuerId, appleKeyId, applePrivateKey],
+    secrets: [appleIssuerId, appleKeyId, applePrivateKey, identifierPepper],
     region: 'us-central1',
-    timeoutSeconds: 30,
+    timeoutSeconds: 60,
   },
   async (request) => {
-    console.log('💳 === VERIFY SUBSCRIPTION CALLED ===');
-
     if (!request.auth) {
       throw new HttpsError('unauthenticated', 'User must be authenticated');
     }
 
     const userId = request.auth.uid;
-    const jwsToken = request.data.jwsToken;
-    const targetProductId = request.data.targetProductId || null;
-    const deviceID = request.data.deviceID || 'unknown';
-    const iCloudID = request.data.iCloudID || null;
-
-    if (!jwsToken) {
-      throw new HttpsError('invalid-argument', 'jwsToken is required');
-    }
+    const deviceID = request.data?.deviceID || 'unknown';
+    const iCloudID = request.data?.iCloudID || null;
+    const requestedOid = request.data?.originalTransactionId != null
+      ? String(request.data.originalTransactionId)
+      : null;
 
     try {
-      const payload = await verifyAppleSignedJWS(jwsToken);
       const db = admin.firestore();
       const userRef = db.collection('users').doc(userId);
-      await ensureUserDocument(db, userId, deviceID, iCloudID);
+      const userData = await ensureUserDocument(db, userId, deviceID, iCloudID);
 
-      const jwsProductId = String(payload.productId || '');
-      let effectivePayload = payload;
-      const normalizedTarget = targetProductId != null && String(targetProductId) !== ''
-        ? String(targetProductId)
-        : null;
+      const originalTransactionId = requestedOid || await findOriginalTransactionIdForUser(db, userId);
+      if (!originalTransactionId) {
+        throw new HttpsError('not-found', 'NO_APPLE_SUBSCRIPTION');
+      }
 
-      if (normalizedTarget && normalizedTarget !== jwsProductId) {
-        if (KNOWN_VERIFY_TARGET_PRODUCT_IDS.has(normalizedTarget)) {
-          console.log(
-            `💳 verifySubscription: deferred product hint — applying target for tier/limits (JWS productId=${jwsProductId}, target=${normalizedTarget})`
-          );
-          effectivePayload = { ...payload, productId: normalizedTarget };
-        } else {
-          console.warn(
-            `💳 verifySubscription: unknown targetProductId ignored (target=${normalizedTarget}, JWS=${jwsProductId})`
-          );
+      const latest = await fetchLatestSubscriptionFromApple(createAppleServerApiClient(), originalTransactionId);
+      if (!latest) {
+        throw new HttpsError('not-found', 'NO_APPLE_SUBSCRIPTION');
+      }
+
+      if (requestedOid) {
+        // A bare id proves nothing: the caller must own the mapping or the transaction's appAccountToken,
+        // or already be a family member (members join only through a verified transaction).
+        const sessionICloudID = resolveICloudIDForSession(iCloudID, userData);
+        const ownership = await resolveTransactionOwnership(db, userId, userData, latest.txPayload, sessionICloudID);
+        const unproven = isFamilySharedTransaction(latest.txPayload)
+          ? !((await db.collection(COLLECTION_APPLE_SUBSCRIPTIONS).doc(originalTransactionId).get())
+            .data()?.familyMemberUids || []).includes(userId)
+          : !ownership.mappedUid && !latest.txPayload.appAccountToken;
+        if (ownership.conflict || unproven) {
+          throw new HttpsError('permission-denied', 'TRANSACTION_BELONGS_TO_ANOTHER_ACCOUNT', {
+            reason: ownership.reason || 'ownership_unverifiable',
+          });
         }
       }
 
-      await applySubscriptionToUserDoc(userRef, effectivePayload, db);
-      await saveAppleSubscriptionMapping(db, userId, effectivePayload);
+      await applyReconciledSubscription(db, userRef, latest);
+      if (requestedOid) {
+        await saveAppleSubscriptionMapping(db, userId, latest.txPayload);
+      }
 
       const updatedSnap = await userRef.get();
-      const finalTier = updatedSnap.exists
-        ? String(updatedSnap.data().subscriptionTier || 'free')
-        : 'free';
-      const isActive = isProFromTransactionPayload(payload) || finalTier !== 'free';
-      const expiresDate = parseStoreKitDate(payload.expiresDate);
-
+      const expiresDate = parseStoreKitDate(latest.txPayload.expiresDate);
       return {
         success: true,
-        isActive,
+        subscriptionTier: String(updatedSnap.data()?.subscriptionTier || 'free'),
         expiresAt: expiresDate ? expiresDate.toISOString() : null,
-        subscriptionTier: finalTier,
+        status: latest.status,
+        environment: latest.environment,
       };
     } catch (err) {
-      console.error('💥 VERIFY ERROR:', err.message);
+      console.error('💥 REFRESH SUBSCRIPTION ERROR:', err.message);
+      if (err instanceof HttpsError) {
+        throw err;
+      }
+      if (err instanceof AppStoreServerApiError && err.status === 429) {
+        throw new HttpsError('resource-exhausted', 'App Store Server API rate limit, try again later');
+      }
       throw new HttpsError('internal', err.message);
     }
   }
@@ -1804,7 +5272,7 @@ exports.appStoreServerNotifications = onRequest(
     region: 'us-central1',
     timeoutSeconds: 60,
     invoker: 'public',
-    secrets: [appleIssuerId, appleKeyId, applePrivateKey],
+    secrets: [appleIssuerId, appleKeyId, applePrivateKey, identifierPepper],
   },
   async (req, res) => {
     if (req.method !== 'POST') {
@@ -1818,9 +5286,20 @@ exports.appStoreServerNotifications = onRequest(
         return;
       }
       const db = admin.firestore();
-      await handleAppStoreServerNotification(db, signedPayload);
+      const outcome = await handleAppStoreServerNotification(db, signedPayload);
+      if (outcome === 'in_progress') {
+        // Another instance holds the claim; Apple retries non-2xx, and the lease lets a retry take over.
+        res.status(503).set('Retry-After', String(ASSN_CLAIM_LEASE_SECONDS)).send('In progress');
+        return;
+      }
       res.status(200).send('OK');
     } catch (err) {
+      if (err instanceof AppleCertificateChainError) {
+        // Forged or mis-signed payloads will never verify; a 4xx stops pointless retries.
+        console.warn('ASSN: rejected signedPayload:', err.message);
+        res.status(401).json({ error: 'Invalid signature', reason: err.reason });
+        return;
+      }
       console.error('ASSN handler error:', err);
       res.status(500).json({ error: 'Internal error' });
     }
@@ -1843,6 +5322,11 @@ function generateAppleServerJWT() {
     exp: now + 300,
     aud: 'appstoreconnect-v1'
   };
+  // App Store Server API endpoints require the bundle id claim.
+  const bundleId = appleBundleId.value();
+  if (bundleId) {
+    payload.bid = bundleId;
+  }
 
   return jwt.sign(payload, privateKey, {
     algorithm: 'ES256',
@@ -0,0 +1,173 @@
+'use strict';
+
+const TIERS = ['free', 'plus', 'pro'];
+const PAID_TIERS = ['plus', 'pro'];
+/** Quota window of a meter; `month` follows quotaPolicy.periods (calendar / billing-anchored months). */
+const METER_PERIODS = ['month'];
+/**
+ * Where usage is counted: `device` (deviceFreeUsage/{hash}, survives reinstall), `user` (the caller's
+ * users/* doc) or `icloud` (summed over users/* sharing the iCloud account, or the family pool).
+ */
+const METER_SCOPES = { free: ['device', 'user', 'icloud'], paid: ['user', 'icloud'] };
+
+/**
+ * Metered features. A meter named `x` keeps `xUsed`, `xLimit` and `xDayKey` (period marker) on
+ * users/* (and the counters on deviceFreeUsage/* for device scope), plus `xTopUpBalance` when it can
+ * be topped up, so voice and photo keep their original fields.
+ *
+ * `limits` are the per-tier defaults (appConfig/quotaPolicy overrides them by `xLimit`); `trialLimits`
+ * replace a paid tier's limits during its free trial. `limitCode` prefixes the `resource-exhausted`
+ * message the client parses.
+ */
+const METER_DEFINITIONS = {
+  voiceActions: {
+    label: 'voice',
+    limitCode: 'VOICE_ACTIONS_LIMIT_REACHED',
+    limits: { free: 10, plus: 50, pro: 300 },
+    trialLimits: { pro: 50 },
+    period: 'month',
+    scope: { free: 'device', paid: 'icloud' },
+    topUps: true,
+  },
+  photoScans: {
+    label: 'photo',
+    limitCode: 'PHOTO_SCANS_LIMIT_REACHED',
+    limits: { free: 5, plus: 25, pro: 150 },
+    trialLimits: { pro: 25 },
+    period: 'month',
+    scope: { free: 'device', paid: 'icloud' },
+    topUps: true,
+  },
+  // Shared budget for calls priced by cost (audio minutes, tokens) while quotaPolicy.credits is enabled.
+  credits: {
+    label: 'credits',
+    limitCode: 'CREDITS_LIMIT_REACHED',
+    limits: { free: 150, plus: 750, pro: 4000 },
+    trialLimits: { pro: 750 },
+    period: 'month',
+    scope: { free: 'device', paid: 'icloud' },
+    topUps: false,
+  },
+};
+
+function requireCount(value, path) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${path} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function normalizeMeter(name, raw) {
+  if (!/^[a-z][A-Za-z0-9]*$/.test(name)) {
+    throw new Error(`meter name ${name} must be lowerCamelCase`);
+  }
+  if (raw == null || typeof raw !== 'object') {
+    throw new Error(`${name} must be an object`);
+  }
+  if (typeof raw.limitCode !== 'string' || raw.limitCode === '') {
+    throw new Error(`${name}.limitCode is required`);
+  }
+  const limits = {};
+  for (const tier of TIERS) {
+    limits[tier] = requireCount(raw.limits?.[tier], `${name}.limits.${tier}`);
+  }
+  const trialLimits = {};
+  for (const [tier, value] of Object.entries(raw.trialLimits || {})) {
+    if (!PAID_TIERS.includes(tier)) {
+      throw new Error(`${name}.trialLimits.${tier} is not a paid tier`);
+    }
+    trialLimits[tier] = requireCount(value, `${name}.trialLimits.${tier}`);
+  }
+  const period = raw.period ?? 'month';
+  if (!METER_PERIODS.includes(period)) {
+    throw new Error(`${name}.period must be one of ${METER_PERIODS.join(', ')}`);
+  }
+  const scope = { free: raw.scope?.free ?? 'device', paid: raw.scope?.paid ?? 'icloud' };
+  for (const group of ['free', 'paid']) {
+    if (!METER_SCOPES[group].includes(scope[group])) {
+      throw new Error(`${name}.scope.${group} must be one of ${METER_SCOPES[group].join(', ')}`);
+    }
+  }
+  return {
+    name,
+    label: raw.label || name,
+    limitCode: raw.limitCode,
+    limits,
+    trialLimits,
+    period,
+    scope,
+    topUps: raw.topUps === true,
+  };
+}
+
+/**
+ * Validate meter definitions into a registry keyed by meter name.
+ * @throws {Error} on the first invalid definition (the registry is code, not config).
+ */
+function defineMeters(definitions) {
+  const registry = {};
+  for (const [name, raw] of Object.entries(definitions)) {
+    registry[name] = Object.freeze(normalizeMeter(name, raw));
+  }
+  return Object.freeze(registry);
+}
+
+const METERS = defineMeters(METER_DEFINITIONS);
+const METER_NAMES = Object.freeze(Object.keys(METERS));
+
+/** Firestore field names of meter `name`. */
+function meterFields(name) {
+  return {
+    used: `${name}Used`,
+    limit: `${name}Limit`,
+    dayKey: `${name}DayKey`,
+    topUpBalance: `${name}TopUpBalance`,
+  };
+}
+
+/** Registry entry for `name`; throws for unknown meters so a typo cannot meter nothing. */
+function meterDefinition(name, registry = METERS) {
+  if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+    throw new Error(`unknown meter ${name}`);
+  }
+  return registry[name];
+}
+
+/** `{ tier: { xLimit } }` defaults for the quota policy. */
+function defaultTierLimits(registry = METERS) {
+  const tiers = {};
+  for (const tier of TIERS) {
+    tiers[tier] = {};
+    for (const meter of Object.values(registry)) {
+      tiers[tier][meterFields(meter.name).limit] = meter.limits[tier];
+    }
+  }
+  return tiers;
+}
+
+/** `{ paidTier: { xLimit } }` trial defaults for the quota policy (tiers without trial limits omitted). */
+function defaultTrialLimits(registry = METERS) {
+  const trials = {};
+  for (const meter of Object.values(registry)) {
+    for (const [tier, value] of Object.entries(meter.trialLimits)) {
+      trials[tier] = { ...trials[tier], [meterFields(meter.name).limit]: value };
+    }
+  }
+  return trials;
+}
+
+/** Meters a consumable top-up pack can credit. */
+function topUpMeterNames(registry = METERS) {
+  return Object.values(registry).filter((meter) => meter.topUps).map((meter) => meter.name);
+}
+
+module.exports = {
+  METERS,
+  METER_NAMES,
+  defineMeters,
+  meterFields,
+  meterDefinition,
+  defaultTierLimits,
+  defaultTrialLimits,
+  topUpMeterNames,
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  METER_NAMES,
+  defineMeters,
+  meterFields,
+  meterDefinition,
+  defaultTierLimits,
+  defaultTrialLimits,
+  topUpMeterNames,
+} = require('./meters');
+
+const SUMMARIES = {
+  limitCode: 'SUMMARIES_LIMIT_REACHED',
+  limits: { free: 3, plus: 30, pro: 100 },
+  scope: { free: 'user', paid: 'user' },
+};
+
+test('voice and photo meters keep their original Firestore fields', () => {
+  assert.deepEqual(METER_NAMES, ['voiceActions', 'photoScans', 'credits']);
+  assert.deepEqual(meterFields('photoScans'), {
+    used: 'photoScansUsed',
+    limit: 'photoScansLimit',
+    dayKey: 'photoScansDayKey',
+    topUpBalance: 'photoScansTopUpBalance',
+  });
+  assert.equal(meterDefinition('voiceActions').limitCode, 'VOICE_ACTIONS_LIMIT_REACHED');
+  assert.throws(() => meterDefinition('voiceAction'), /unknown meter/);
+});
+
+test('registry defaults feed the quota policy tiers and trials', () => {
+  assert.deepEqual(defaultTierLimits().plus, { voiceActionsLimit: 50, photoScansLimit: 25, creditsLimit: 750 });
+  assert.deepEqual(defaultTrialLimits(), { pro: { voiceActionsLimit: 50, photoScansLimit: 25, creditsLimit: 750 } });
+  assert.deepEqual(topUpMeterNames(), ['voiceActions', 'photoScans']);
+});
+
+test('a new meter is one definition with scope and period defaults', () => {
+  const registry = defineMeters({ summaries: { ...SUMMARIES, scope: undefined } });
+  assert.deepEqual(registry.summaries.scope, { free: 'device', paid: 'icloud' });
+  assert.equal(registry.summaries.period, 'month');
+  assert.equal(registry.summaries.topUps, false);
+  assert.deepEqual(defaultTierLimits(registry).free, { summariesLimit: 3 });
+  assert.deepEqual(topUpMeterNames(registry), []);
+});
+
+test('defineMeters rejects incomplete or inconsistent definitions', () => {
+  const cases = [
+    [{ Summaries: SUMMARIES }, /lowerCamelCase/],
+    [{ summaries: { ...SUMMARIES, limitCode: '' } }, /limitCode/],
+    [{ summaries: { ...SUMMARIES, limits: { free: 3, plus: 30 } } }, /limits.pro/],
+    [{ summaries: { ...SUMMARIES, trialLimits: { free: 1 } } }, /trialLimits.free/],
+    [{ summaries: { ...SUMMARIES, period: 'week' } }, /period/],
+    [{ summaries: { ...SUMMARIES, scope: { paid: 'device' } } }, /scope.paid/],
+  ];
+  for (const [definitions, message] of cases) {
+    assert.throws(() => defineMeters(definitions), message);
+  }
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+const { METER_NAMES, meterFields, topUpMeterNames } = require('./meters');
+
+const TIERS = ['free', 'plus', 'pro'];
+const BILLING_PERIODS = ['month', 'year', 'lifetime'];
+const LIMIT_FIELDS = METER_NAMES.map((name) => meterFields(name).limit);
+const PRODUCT_TYPES = ['subscription', 'consumable'];
+/** Meters a consumable top-up pack can credit (`grants: { photoScans: 20 }`). */
+const TOP_UP_METERS = topUpMeterNames();
+
+/**
+ * Products sold in the App Store. Used when appConfig/productCatalog is missing or unreadable;
+ * entries there are merged over these by product id.
+ *
+ * Subscriptions: `limits` (optional) overrides the tier's meter limits (`voiceActionsLimit`, …).
+ * Consumables: `grants` is the number of units added to the non-expiring top-up balance per meter.
+ */
+const DEFAULT_PRODUCT_CATALOG = {
+  'com.notae.plus.annual': {
+    type: 'subscription', tier: 'plus', billingPeriod: 'year', familyShareable: false, limits: null,
+  },
+  'com.notae.pro.monthly': {
+    type: 'subscription', tier: 'pro', billingPeriod: 'month', familyShareable: false, limits: null,
+  },
+  'com.notae.pro.annual': {
+    type: 'subscription', tier: 'pro', billingPeriod: 'year', familyShareable: false, limits: null,
+  },
+  'com.notae.topup.scans20': { type: 'consumable', grants: { photoScans: 20 } },
+  'com.notae.topup.voice50': { type: 'consumable', grants: { voiceActions: 50 } },
+};
+
+function normalizeLimits(raw) {
+  if (raw == null) return null;
+  if (typeof raw !== 'object') {
+    throw new Error('limits must be an object');
+  }
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    if (raw[field] == null) continue;
+    const value = Number(raw[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${field} must be a non-negative integer`);
+    }
+    limits[field] = value;
+  }
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+function normalizeGrants(raw) {
+  if (raw == null || typeof raw !== 'object') {
+    throw new Error('consumables need grants');
+  }
+  const grants = {};
+  for (const [meter, amount] of Object.entries(raw)) {
+    if (!TOP_UP_METERS.includes(meter)) {
+      throw new Error(`unknown meter ${meter}`);
+    }
+    const value = Number(amount);
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`grants.${meter} must be a positive integer`);
+    }
+    grants[meter] = value;
+  }
+  if (Object.keys(grants).length === 0) {
+    throw new Error('consumables need grants');
+  }
+  return grants;
+}
+
+function normalizeProductEntry(raw) {
+  if (raw == null || typeof raw !== 'object') {
+    throw new Error('entry must be an object');
+  }
+  const type = raw.type ?? 'subscription';
+  if (!PRODUCT_TYPES.includes(type)) {
+    throw new Error(`unknown type ${type}`);
+  }
+  if (type === 'consumable') {
+    return { type, grants: normalizeGrants(raw.grants) };
+  }
+  if (!TIERS.includes(raw.tier)) {
+    throw new Error(`unknown tier ${raw.tier}`);
+  }
+  const billingPeriod = raw.billingPeriod ?? 'month';
+  if (!BILLING_PERIODS.includes(billingPeriod)) {
+    throw new Error(`unknown billingPeriod ${billingPeriod}`);
+  }
+  return {
+    type,
+    tier: raw.tier,
+    billingPeriod,
+    familyShareable: raw.familyShareable === true,
+    limits: normalizeLimits(raw.limits),
+  };
+}
+
+/**
+ * Validate a `{ [productId]: entry }` map and merge it over `base`. Invalid entries are skipped
+ * (and reported) rather than failing the whole catalog, so one bad edit cannot zero every tier.
+ * An entry set to `null` removes a product from the base catalog.
+ *
+ * @returns {{ catalog: Object<string, object>, invalid: { productId: string, error: string }[] }}
+ */
+function normalizeProductCatalog(raw, base = DEFAULT_PRODUCT_CATALOG) {
+  const catalog = { ...base };
+  const invalid = [];
+  if (raw == null || typeof raw !== 'object') {
+    return { catalog, invalid };
+  }
+  for (const [productId, entry] of Object.entries(raw)) {
+    if (entry === null) {
+      delete catalog[productId];
+      continue;
+    }
+    try {
+      catalog[productId] = normalizeProductEntry(entry);
+    } catch (err) {
+      invalid.push({ productId, error: err.message });
+    }
+  }
+  return { catalog, invalid };
+}
+
+/** Catalog entry for `productId`, or null when the product is not sold (or not configured). */
+function productForId(catalog, productId) {
+  if (productId == null || productId === '') return null;
+  return Object.prototype.hasOwnProperty.call(catalog, productId) ? catalog[productId] : null;
+}
+
+/** Catalog entry for `productId` only when it is an auto-renewable subscription. */
+function subscriptionProductForId(catalog, productId) {
+  const product = productForId(catalog, productId);
+  return product?.type === 'subscription' ? product : null;
+}
+
+/** Catalog entry for `productId` only when it is a consumable top-up pack. */
+function consumableProductForId(catalog, productId) {
+  const product = productForId(catalog, productId);
+  return product?.type === 'consumable' ? product : null;
+}
+
+/** Tier granted by an active purchase of `productId`; unknown products and consumables grant nothing. */
+function tierForProductId(catalog, productId) {
+  return subscriptionProductForId(catalog, productId)?.tier || 'free';
+}
+
+/**
+ * Limits for a user on `tier` holding `productId`: the product's own `limits` when it belongs to that
+ * tier, otherwise `tierLimits` (e.g. a Pro doc synced from a peer whose product is unknown here).
+ */
+function usageLimitsForProduct(catalog, tier, productId, tierLimits) {
+  const product = subscriptionProductForId(catalog, productId);
+  if (!product || product.tier !== tier || !product.limits) {
+    return { ...tierLimits };
+  }
+  return { ...tierLimits, ...product.limits };
+}
+
+module.exports = {
+  DEFAULT_PRODUCT_CATALOG,
+  normalizeProductCatalog,
+  productForId,
+  subscriptionProductForId,
+  consumableProductForId,
+  tierForProductId,
+  usageLimitsForProduct,
+};
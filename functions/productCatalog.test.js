@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_PRODUCT_CATALOG,
+  normalizeProductCatalog,
+  productForId,
+  consumableProductForId,
+  subscriptionProductForId,
+  tierForProductId,
+  usageLimitsForProduct,
+} = require('./productCatalog');
+
+const PLUS_LIMITS = { voiceActionsLimit: 50, photoScansLimit: 25 };
+
+test('default catalog maps the shipped products to their tiers', () => {
+  assert.equal(tierForProductId(DEFAULT_PRODUCT_CATALOG, 'com.notae.pro.monthly'), 'pro');
+  assert.equal(tierForProductId(DEFAULT_PRODUCT_CATALOG, 'com.notae.pro.annual'), 'pro');
+  assert.equal(tierForProductId(DEFAULT_PRODUCT_CATALOG, 'com.notae.plus.annual'), 'plus');
+});
+
+test('unknown products grant free instead of matching on substrings', () => {
+  assert.equal(tierForProductId(DEFAULT_PRODUCT_CATALOG, 'com.notae.pro.weekly'), 'free');
+  assert.equal(tierForProductId(DEFAULT_PRODUCT_CATALOG, 'com.other.plus'), 'free');
+  assert.equal(tierForProductId(DEFAULT_PRODUCT_CATALOG, null), 'free');
+  assert.equal(productForId(DEFAULT_PRODUCT_CATALOG, 'toString'), null);
+});
+
+test('normalizeProductCatalog adds, overrides and removes products by id', () => {
+  const { catalog, invalid } = normalizeProductCatalog({
+    'com.notae.plus.monthly': { tier: 'plus', billingPeriod: 'month' },
+    'com.notae.pro.lifetime': { tier: 'pro', billingPeriod: 'lifetime', familyShareable: true },
+    'com.notae.plus.annual': null,
+  });
+  assert.deepEqual(invalid, []);
+  assert.equal(tierForProductId(catalog, 'com.notae.plus.monthly'), 'plus');
+  assert.deepEqual(productForId(catalog, 'com.notae.pro.lifetime'), {
+    type: 'subscription',
+    tier: 'pro',
+    billingPeriod: 'lifetime',
+    familyShareable: true,
+    limits: null,
+  });
+  assert.equal(productForId(catalog, 'com.notae.plus.annual'), null);
+  assert.equal(tierForProductId(catalog, 'com.notae.pro.monthly'), 'pro');
+});
+
+test('normalizeProductCatalog skips invalid entries and keeps the rest', () => {
+  const { catalog, invalid } = normalizeProductCatalog({
+    'com.notae.gold.monthly': { tier: 'gold' },
+    'com.notae.plus.weekly': { tier: 'plus', billingPeriod: 'week' },
+    'com.notae.pro.monthly': { tier: 'pro', limits: { photoScansLimit: -1 } },
+    'com.notae.plus.monthly': { tier: 'plus' },
+  });
+  assert.deepEqual(invalid.map((entry) => entry.productId).sort(), [
+    'com.notae.gold.monthly',
+    'com.notae.plus.weekly',
+    'com.notae.pro.monthly',
+  ]);
+  assert.equal(productForId(catalog, 'com.notae.gold.monthly'), null);
+  assert.deepEqual(productForId(catalog, 'com.notae.pro.monthly'), DEFAULT_PRODUCT_CATALOG['com.notae.pro.monthly']);
+  assert.equal(tierForProductId(catalog, 'com.notae.plus.monthly'), 'plus');
+});
+
+test('usageLimitsForProduct applies product overrides only for the matching tier', () => {
+  const { catalog } = normalizeProductCatalog({
+    'com.notae.plus.monthly': { tier: 'plus', limits: { photoScansLimit: 40 } },
+  });
+  assert.deepEqual(
+    usageLimitsForProduct(catalog, 'plus', 'com.notae.plus.monthly', PLUS_LIMITS),
+    { voiceActionsLimit: 50, photoScansLimit: 40 }
+  );
+  assert.deepEqual(usageLimitsForProduct(catalog, 'free', 'com.notae.plus.monthly', PLUS_LIMITS), PLUS_LIMITS);
+  assert.deepEqual(usageLimitsForProduct(catalog, 'plus', 'com.notae.plus.annual', PLUS_LIMITS), PLUS_LIMITS);
+});
+
+test('consumable top-up packs carry grants and never grant a tier', () => {
+  const { catalog, invalid } = normalizeProductCatalog({
+    'com.notae.topup.scans50': { type: 'consumable', grants: { photoScans: 50 } },
+    'com.notae.topup.bad': { type: 'consumable', grants: { summaries: 5 } },
+    'com.notae.topup.empty': { type: 'consumable', grants: {} },
+  });
+  assert.deepEqual(invalid.map((entry) => entry.productId).sort(), ['com.notae.topup.bad', 'com.notae.topup.empty']);
+  assert.deepEqual(consumableProductForId(catalog, 'com.notae.topup.scans50'), {
+    type: 'consumable',
+    grants: { photoScans: 50 },
+  });
+  assert.deepEqual(consumableProductForId(DEFAULT_PRODUCT_CATALOG, 'com.notae.topup.scans20').grants, { photoScans: 20 });
+  assert.equal(subscriptionProductForId(catalog, 'com.notae.topup.scans50'), null);
+  assert.equal(consumableProductForId(catalog, 'com.notae.pro.monthly'), null);
+  assert.equal(tierForProductId(catalog, 'com.notae.topup.scans50'), 'free');
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { topUpMeterNames } = require('./meters');
+
+const PROMO_TIERS = ['plus', 'pro'];
+/** Bonus units land on the top-up balance, so only meters that can be topped up qualify. */
+const BONUS_METERS = topUpMeterNames();
+const CODE_PATTERN = /^[A-Z0-9-]{4,32}$/;
+/** Matches the longest admin grant (entitlementGrants MAX_GRANT_DAYS). */
+const MAX_PROMO_DAYS = 366;
+
+/** Firestore Timestamp, Date, ISO string or epoch millis → Date (null when absent or invalid). */
+function toDate(value) {
+  if (value == null) return null;
+  const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** What the user typed → promoCodes/{id} doc id (upper-case, no spaces), or null when it cannot be a code. */
+function normalizePromoCodeInput(raw) {
+  if (typeof raw !== 'string') return null;
+  const code = raw.replace(/\s+/g, '').toUpperCase();
+  return CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Validate a code's `effect`:
+ * `{ type: 'tier', tier: 'plus'|'pro', days }` (a time-boxed entitlement grant) or
+ * `{ type: 'bonus', voiceActions?, photoScans? }` (units added to the non-expiring top-up balance).
+ */
+function normalizePromoEffect(raw) {
+  if (raw == null || typeof raw !== 'object') {
+    throw new Error('effect must be an object');
+  }
+  if (raw.type === 'tier') {
+    if (!PROMO_TIERS.includes(raw.tier)) {
+      throw new Error(`effect.tier must be one of ${PROMO_TIERS.join(', ')}`);
+    }
+    const days = Number(raw.days);
+    if (!Number.isInteger(days) || days <= 0 || days > MAX_PROMO_DAYS) {
+      throw new Error(`effect.days must be an integer from 1 to ${MAX_PROMO_DAYS}`);
+    }
+    return { type: 'tier', tier: raw.tier, days };
+  }
+  if (raw.type === 'bonus') {
+    const effect = { type: 'bonus' };
+    for (const meter of BONUS_METERS) {
+      if (raw[meter] == null) continue;
+      const value = Number(raw[meter]);
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`effect.${meter} must be a positive integer`);
+      }
+      effect[meter] = value;
+    }
+    if (Object.keys(effect).length === 1) {
+      throw new Error('bonus effects need voiceActions or photoScans');
+    }
+    return effect;
+  }
+  throw new Error(`unknown effect type ${raw.type}`);
+}
+
+/**
+ * Why a promoCodes/* doc cannot be redeemed at `now`, or null when it can.
+ * Fields: `active` (default true), `startsAt?`, `expiresAt?`, `maxRedemptions?` (omitted = unlimited),
+ * `redemptionCount`, `effect`.
+ *
+ * @returns {'invalid'|'inactive'|'not_started'|'expired'|'exhausted'|null}
+ */
+function promoCodeUnavailableReason(data, now = new Date()) {
+  if (data == null) return 'invalid';
+  try {
+    normalizePromoEffect(data.effect);
+  } catch {
+    return 'invalid';
+  }
+  if (data.active === false) return 'inactive';
+  const startsAt = toDate(data.startsAt);
+  if (startsAt && now < startsAt) return 'not_started';
+  const expiresAt = toDate(data.expiresAt);
+  if (expiresAt && now >= expiresAt) return 'expired';
+  if (data.maxRedemptions != null && (data.redemptionCount || 0) >= Number(data.maxRedemptions)) {
+    return 'exhausted';
+  }
+  return null;
+}
+
+/**
+ * Redemption doc ids that block a second use of the same code: the account, the hashed physical device
+ * (same key as deviceFreeUsage, so it survives reinstall / uid rotation) and the hashed iCloud account.
+ */
+function promoRedemptionKeys({ userId, deviceHash, iCloudHash }) {
+  const keys = [`uid_${userId}`];
+  if (deviceHash) keys.push(`device_${deviceHash}`);
+  if (iCloudHash) keys.push(`icloud_${iCloudHash}`);
+  return keys;
+}
+
+module.exports = {
+  normalizePromoCodeInput,
+  normalizePromoEffect,
+  promoCodeUnavailableReason,
+  promoRedemptionKeys,
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizePromoCodeInput,
+  normalizePromoEffect,
+  promoCodeUnavailableReason,
+  promoRedemptionKeys,
+} = require('./promoCodes');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const PRO_MONTH = { type: 'tier', tier: 'pro', days: 30 };
+
+test('normalizePromoCodeInput ignores case and spaces and rejects junk', () => {
+  assert.equal(normalizePromoCodeInput(' launch-2026 '), 'LAUNCH-2026');
+  assert.equal(normalizePromoCodeInput('ab cd'), 'ABCD');
+  assert.equal(normalizePromoCodeInput('abc'), null);
+  assert.equal(normalizePromoCodeInput('../users'), null);
+  assert.equal(normalizePromoCodeInput(42), null);
+});
+
+test('normalizePromoEffect accepts tier days and bonus units only', () => {
+  assert.deepEqual(normalizePromoEffect(PRO_MONTH), PRO_MONTH);
+  assert.deepEqual(normalizePromoEffect({ type: 'bonus', photoScans: 10, summaries: 3 }), { type: 'bonus', photoScans: 10 });
+  assert.throws(() => normalizePromoEffect({ type: 'tier', tier: 'free', days: 30 }), /effect.tier/);
+  assert.throws(() => normalizePromoEffect({ type: 'tier', tier: 'plus', days: 0 }), /effect.days/);
+  assert.throws(() => normalizePromoEffect({ type: 'bonus' }), /need voiceActions or photoScans/);
+  assert.throws(() => normalizePromoEffect({ type: 'bonus', voiceActions: -5 }), /effect.voiceActions/);
+  assert.throws(() => normalizePromoEffect({ type: 'discount' }), /unknown effect type/);
+});
+
+test('promoCodeUnavailableReason checks state, window and redemption cap', () => {
+  const code = { effect: PRO_MONTH, maxRedemptions: 2, redemptionCount: 1, expiresAt: '2026-07-01T00:00:00Z' };
+  assert.equal(promoCodeUnavailableReason(code, NOW), null);
+  assert.equal(promoCodeUnavailableReason({ ...code, redemptionCount: 2 }, NOW), 'exhausted');
+  assert.equal(promoCodeUnavailableReason({ ...code, active: false }, NOW), 'inactive');
+  assert.equal(promoCodeUnavailableReason(code, new Date('2026-07-01T00:00:00Z')), 'expired');
+  assert.equal(promoCodeUnavailableReason({ ...code, startsAt: '2026-06-15T00:00:00Z' }, NOW), 'not_started');
+  assert.equal(promoCodeUnavailableReason({ ...code, effect: { type: 'tier' } }, NOW), 'invalid');
+  assert.equal(promoCodeUnavailableReason({ effect: PRO_MONTH, redemptionCount: 5000 }, NOW), null);
+});
+
+test('promoRedemptionKeys covers the account, device and iCloud account', () => {
+  assert.deepEqual(promoRedemptionKeys({ userId: 'u1', deviceHash: 'd1', iCloudHash: null }), ['uid_u1', 'device_d1']);
+  assert.deepEqual(promoRedemptionKeys({ userId: 'u1', deviceHash: 'd1', iCloudHash: 'i1' }), [
+    'uid_u1',
+    'device_d1',
+    'icloud_i1',
+  ]);
+});
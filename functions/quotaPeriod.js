@@ -0,0 +1,137 @@
+'use strict';
+
+/** Period keys written before billing anchoring existed (UTC `YYYY-MM`); local calendar keys share it. */
+const CALENDAR_KEY_PATTERN = /^\d{4}-\d{2}$/;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Wall-clock fields of `date` in `timeZone`. */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+function zoneOffsetMs(utcMs, timeZone) {
+  const p = zonedParts(new Date(utcMs), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - utcMs;
+}
+
+/** Instant of local midnight on the 1st of `month` (1-based, may overflow into the next year) in `timeZone`. */
+function zonedMonthStart(year, month, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, 1);
+  const offset = zoneOffsetMs(wallClock, timeZone);
+  // Re-check at the candidate instant in case a DST change falls between the two.
+  const corrected = zoneOffsetMs(wallClock - offset, timeZone);
+  return new Date(wallClock - corrected);
+}
+
+/** Calendar month containing `now` in `timeZone`; keyed `YYYY-MM` like the original UTC months. */
+function calendarMonthPeriod(now, timeZone = 'UTC') {
+  const { year, month } = zonedParts(now, timeZone);
+  return {
+    key: `${year}-${String(month).padStart(2, '0')}`,
+    start: zonedMonthStart(year, month, timeZone),
+    end: zonedMonthStart(year, month + 1, timeZone),
+    anchor: timeZone === 'UTC' ? 'utc' : 'local',
+    aliases: [],
+  };
+}
+
+/** `anchor` moved by whole months, day clamped to the month's length (Jan 31 → Feb 28 → Mar 31). */
+function addMonthsClamped(anchor, months) {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchor.getUTCDate(), lastDay),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds(),
+    anchor.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Monthly quota window counted from the subscription's purchase / renewal instant. Keyed by the
+ * window's start date; the current UTC calendar key is accepted as an alias so counters written
+ * under calendar months are carried over instead of being reset early.
+ */
+function billingAnchoredPeriod(now, anchorDate) {
+  let months = (now.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12
+    + (now.getUTCMonth() - anchorDate.getUTCMonth());
+  if (addMonthsClamped(anchorDate, months) > now) {
+    months -= 1;
+  }
+  const start = addMonthsClamped(anchorDate, months);
+  return {
+    key: start.toISOString().slice(0, 10),
+    start,
+    end: addMonthsClamped(anchorDate, months + 1),
+    anchor: 'billing',
+    aliases: [calendarMonthPeriod(now).key],
+  };
+}
+
+/**
+ * Quota window for a subject. `modes` comes from the quota policy: paid tiers use `billing`
+ * (needs `anchorDate`) or `utc`; free tier uses `utc` or `local` (needs a valid `timeZone`).
+ */
+function resolveQuotaPeriod({ tier, anchorDate = null, timeZone = null, modes = {}, now = new Date() }) {
+  if (tier !== 'free' && modes.paid === 'billing' && anchorDate && !Number.isNaN(anchorDate.getTime())) {
+    return billingAnchoredPeriod(now, anchorDate);
+  }
+  if (tier === 'free' && modes.free === 'local' && isValidTimeZone(timeZone)) {
+    return calendarMonthPeriod(now, timeZone);
+  }
+  return calendarMonthPeriod(now, 'UTC');
+}
+
+/**
+ * What to do with a counter stored under `storedKey`: `current` (leave it), `adopt` (same window
+ * under an older key — rewrite the key, keep the count) or `reset`.
+ * A calendar key ahead of the current one (time zone moved west) is kept rather than reset twice.
+ */
+function periodResetAction(storedKey, period) {
+  if (storedKey === period.key) return 'current';
+  if (typeof storedKey !== 'string') return 'reset';
+  if (period.aliases.includes(storedKey)) return 'adopt';
+  if (CALENDAR_KEY_PATTERN.test(storedKey) && CALENDAR_KEY_PATTERN.test(period.key) && storedKey > period.key) {
+    return 'current';
+  }
+  return 'reset';
+}
+
+module.exports = {
+  isValidTimeZone,
+  calendarMonthPeriod,
+  billingAnchoredPeriod,
+  resolveQuotaPeriod,
+  periodResetAction,
+};
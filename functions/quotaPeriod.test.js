@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isValidTimeZone,
+  calendarMonthPeriod,
+  billingAnchoredPeriod,
+  resolveQuotaPeriod,
+  periodResetAction,
+} = require('./quotaPeriod');
+
+const BILLING_MODES = { free: 'utc', paid: 'billing' };
+
+test('UTC calendar periods keep the original YYYY-MM keys', () => {
+  const period = calendarMonthPeriod(new Date('2026-02-14T12:00:00Z'));
+  assert.equal(period.key, '2026-02');
+  assert.equal(period.start.toISOString(), '2026-02-01T00:00:00.000Z');
+  assert.equal(period.end.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(period.anchor, 'utc');
+});
+
+test('local calendar periods roll over at local midnight', () => {
+  // 2026-10-31 20:00 in Los Angeles is already November in UTC.
+  const now = new Date('2026-11-01T03:00:00Z');
+  assert.equal(calendarMonthPeriod(now).key, '2026-11');
+  const local = calendarMonthPeriod(now, 'America/Los_Angeles');
+  assert.equal(local.key, '2026-10');
+  assert.equal(local.start.toISOString(), '2026-10-01T07:00:00.000Z');
+  // DST ends on Nov 1, so November starts at UTC-7 but December at UTC-8.
+  assert.equal(local.end.toISOString(), '2026-11-01T07:00:00.000Z');
+  assert.equal(calendarMonthPeriod(new Date('2026-11-15T00:00:00Z'), 'America/Los_Angeles').end.toISOString(),
+    '2026-12-01T08:00:00.000Z');
+});
+
+test('billing-anchored periods start on the purchase day each month', () => {
+  const anchor = new Date('2026-01-28T15:30:00Z');
+  const period = billingAnchoredPeriod(new Date('2026-03-02T00:00:00Z'), anchor);
+  assert.equal(period.key, '2026-02-28');
+  assert.equal(period.start.toISOString(), '2026-02-28T15:30:00.000Z');
+  assert.equal(period.end.toISOString(), '2026-03-28T15:30:00.000Z');
+  assert.equal(period.anchor, 'billing');
+
+  const beforeAnchorTime = billingAnchoredPeriod(new Date('2026-03-28T15:00:00Z'), anchor);
+  assert.equal(beforeAnchorTime.key, '2026-02-28');
+  const afterAnchorTime = billingAnchoredPeriod(new Date('2026-03-28T16:00:00Z'), anchor);
+  assert.equal(afterAnchorTime.key, '2026-03-28');
+});
+
+test('billing anchors on the 31st clamp to short months without drifting', () => {
+  const anchor = new Date('2026-01-31T10:00:00Z');
+  const february = billingAnchoredPeriod(new Date('2026-03-01T00:00:00Z'), anchor);
+  assert.equal(february.start.toISOString(), '2026-02-28T10:00:00.000Z');
+  assert.equal(february.end.toISOString(), '2026-03-31T10:00:00.000Z');
+});
+
+test('resolveQuotaPeriod picks the window by tier and policy', () => {
+  const now = new Date('2026-05-10T00:00:00Z');
+  const anchorDate = new Date('2026-04-28T00:00:00Z');
+  assert.equal(resolveQuotaPeriod({ tier: 'pro', anchorDate, modes: BILLING_MODES, now }).key, '2026-04-28');
+  assert.equal(resolveQuotaPeriod({ tier: 'pro', modes: BILLING_MODES, now }).key, '2026-05');
+  assert.equal(resolveQuotaPeriod({ tier: 'pro', anchorDate, modes: { paid: 'utc' }, now }).key, '2026-05');
+  assert.equal(resolveQuotaPeriod({ tier: 'free', anchorDate, modes: BILLING_MODES, now }).key, '2026-05');
+
+  const lateApril = new Date('2026-05-01T02:00:00Z');
+  const local = { free: 'local', paid: 'billing' };
+  assert.equal(resolveQuotaPeriod({ tier: 'free', timeZone: 'America/New_York', modes: local, now: lateApril }).key,
+    '2026-04');
+  assert.equal(resolveQuotaPeriod({ tier: 'free', timeZone: 'Not/AZone', modes: local, now: lateApril }).key,
+    '2026-05');
+});
+
+test('periodResetAction carries calendar-month counters into the first billing window', () => {
+  const period = billingAnchoredPeriod(new Date('2026-05-10T00:00:00Z'), new Date('2026-04-28T00:00:00Z'));
+  assert.equal(periodResetAction('2026-04-28', period), 'current');
+  assert.equal(periodResetAction('2026-05', period), 'adopt');
+  assert.equal(periodResetAction('2026-04', period), 'reset');
+  assert.equal(periodResetAction('2026-03-28', period), 'reset');
+  assert.equal(periodResetAction(null, period), 'reset');
+});
+
+test('periodResetAction does not reset twice when the time zone moves west', () => {
+  const period = calendarMonthPeriod(new Date('2026-11-01T03:00:00Z'), 'America/Los_Angeles');
+  assert.equal(periodResetAction('2026-11', period), 'current');
+  assert.equal(periodResetAction('2026-09', period), 'reset');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
@@ -0,0 +1,405 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const { METER_NAMES, meterFields, defaultTierLimits, defaultTrialLimits } = require('./meters');
+const { RATE_LIMIT_WINDOWS, DEFAULT_RATE_LIMITS } = require('./rateLimits');
+
+const TIERS = ['free', 'plus', 'pro'];
+const PAID_TIERS = ['plus', 'pro'];
+const LIMIT_FIELDS = METER_NAMES.map((name) => meterFields(name).limit);
+/** Quota window per tier group: see quotaPeriod.js `resolveQuotaPeriod`. */
+const PERIOD_MODES = { free: ['utc', 'local'], paid: ['billing', 'utc'] };
+/** Family Sharing: each member account gets the tier allowance, or the whole family shares one. */
+const FAMILY_QUOTA_MODES = ['per_member', 'pooled'];
+/**
+ * Counters after a downgrade: `carry_over` keeps usage in the current window, capped at the new (lower)
+ * limit; `reset` starts the lower tier with a fresh allowance.
+ */
+const DOWNGRADE_USAGE_MODES = ['carry_over', 'reset'];
+/**
+ * Free-tier callers without an attested device all draw from one global bucket, sized by default at
+ * this many free allowances per period.
+ */
+const UNATTESTED_POOL_ALLOWANCES = 200;
+/**
+ * Upper bound on `credits.usdPerCredit`: calls are rounded up to whole credits, so at a dollar or more
+ * per credit even the cheapest call would be billed as a large fraction of a dollar.
+ */
+const MAX_USD_PER_CREDIT = 1;
+
+/**
+ * Monthly limits per tier, defaulting to the meter registry (meters.js). appConfig/quotaPolicy
+ * overrides these; `promotions` and `experiments` there adjust them for a time window or a
+ * deterministic share of users.
+ * `trials` replaces a paid tier's limits while its subscription is in a free trial (Pro features,
+ * Plus quotas); a `null` entry in the document turns trial limits off for that tier.
+ * `credits.enabled` switches voice and photo calls from one unit each to cost-weighted credits drawn
+ * from the `credits` meter (`usdPerCredit` of upstream cost per credit, at least `minimumPerCall`).
+ * `rateLimits` caps bursts on the AI proxies (see rateLimits.js); a `null` window turns it off.
+ * `unattested` holds the limits of the global free bucket shared by all callers without an attested device;
+ * `unattested.perUid` caps what one uid may take from it (by default one free allowance), so a single
+ * caller cannot drain the bucket for everyone else.
+ */
+const DEFAULT_QUOTA_POLICY = {
+  tiers: defaultTierLimits(),
+  trials: defaultTrialLimits(),
+  promotions: [],
+  experiments: [],
+  periods: { free: 'utc', paid: 'billing' },
+  family: { quota: 'per_member' },
+  downgrade: { usage: 'carry_over' },
+  credits: { enabled: false, usdPerCredit: 0.001, minimumPerCall: 1 },
+  rateLimits: DEFAULT_RATE_LIMITS,
+  unattested: {
+    ...Object.fromEntries(Object.entries(defaultTierLimits().free)
+      .map(([field, limit]) => [field, limit * UNATTESTED_POOL_ALLOWANCES])),
+    perUid: defaultTierLimits().free,
+  },
+};
+
+class QuotaPolicyError extends Error {
+  constructor(path, message) {
+    super(`quotaPolicy.${path}: ${message}`);
+    this.name = 'QuotaPolicyError';
+    this.path = path;
+  }
+}
+
+/** Firestore Timestamp, Date, ISO string or epoch millis → Date (null when absent). */
+function toDate(value, path) {
+  if (value == null) return null;
+  const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QuotaPolicyError(path, 'is not a valid date');
+  }
+  return date;
+}
+
+/** `{ perMinute, perHour }` over `defaults`; an explicit `null` turns that window off. */
+function normalizeRateWindows(raw, defaults, path) {
+  if (raw == null) return { ...defaults };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new QuotaPolicyError(path, 'must be an object');
+  }
+  const windows = { ...defaults };
+  for (const window of Object.keys(RATE_LIMIT_WINDOWS)) {
+    if (raw[window] === undefined) continue;
+    if (raw[window] !== null && (!Number.isInteger(raw[window]) || raw[window] < 1)) {
+      throw new QuotaPolicyError(`${path}.${window}`, 'must be a positive integer or null');
+    }
+    windows[window] = raw[window];
+  }
+  return windows;
+}
+
+function normalizeLimits(raw, path) {
+  if (raw == null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new QuotaPolicyError(path, 'must be an object');
+  }
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    if (raw[field] == null) continue;
+    const value = Number(raw[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new QuotaPolicyError(`${path}.${field}`, 'must be a non-negative integer');
+    }
+    limits[field] = value;
+  }
+  return limits;
+}
+
+function normalizeTierList(raw, path) {
+  const tiers = raw == null ? TIERS : raw;
+  if (!Array.isArray(tiers) || tiers.some((tier) => !TIERS.includes(tier))) {
+    throw new QuotaPolicyError(path, `must list tiers from ${TIERS.join(', ')}`);
+  }
+  return [...tiers];
+}
+
+function requireId(raw, path) {
+  if (typeof raw?.id !== 'string' || raw.id.trim() === '') {
+    throw new QuotaPolicyError(`${path}.id`, 'is required');
+  }
+  return raw.id;
+}
+
+function normalizePromotion(raw, index) {
+  const path = `promotions[${index}]`;
+  const id = requireId(raw, path);
+  const startsAt = toDate(raw.startsAt, `${path}.startsAt`);
+  const endsAt = toDate(raw.endsAt, `${path}.endsAt`);
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw new QuotaPolicyError(`${path}.endsAt`, 'must be after startsAt');
+  }
+  return {
+    id,
+    tiers: normalizeTierList(raw.tiers, `${path}.tiers`),
+    startsAt,
+    endsAt,
+    limits: normalizeLimits(raw.limits, `${path}.limits`),
+  };
+}
+
+function normalizeExperiment(raw, index) {
+  const path = `experiments[${index}]`;
+  const id = requireId(raw, path);
+  if (!TIERS.includes(raw.tier)) {
+    throw new QuotaPolicyError(`${path}.tier`, `must be one of ${TIERS.join(', ')}`);
+  }
+  if (!Array.isArray(raw.variants) || raw.variants.length === 0) {
+    throw new QuotaPolicyError(`${path}.variants`, 'must be a non-empty array');
+  }
+  const variants = raw.variants.map((variant, variantIndex) => {
+    const variantPath = `${path}.variants[${variantIndex}]`;
+    if (typeof variant?.name !== 'string' || variant.name === '') {
+      throw new QuotaPolicyError(`${variantPath}.name`, 'is required');
+    }
+    const weight = Number(variant.weight ?? 1);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new QuotaPolicyError(`${variantPath}.weight`, 'must be a positive number');
+    }
+    return {
+      name: variant.name,
+      weight,
+      limits: variant.limits == null ? {} : normalizeLimits(variant.limits, `${variantPath}.limits`),
+    };
+  });
+  return { id, tier: raw.tier, variants };
+}
+
+/**
+ * Validate an appConfig/quotaPolicy document and merge it over DEFAULT_QUOTA_POLICY.
+ * Any invalid field rejects the whole document (a half-applied limits change is worse than none).
+ *
+ * @throws {QuotaPolicyError}
+ */
+function normalizeQuotaPolicy(raw) {
+  if (raw == null) {
+    return DEFAULT_QUOTA_POLICY;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new QuotaPolicyError('', 'must be an object');
+  }
+
+  const tiers = {};
+  for (const tier of TIERS) {
+    const override = raw.tiers?.[tier];
+    tiers[tier] = {
+      ...DEFAULT_QUOTA_POLICY.tiers[tier],
+      ...(override == null ? {} : normalizeLimits(override, `tiers.${tier}`)),
+    };
+  }
+
+  const trials = { ...DEFAULT_QUOTA_POLICY.trials };
+  if (raw.trials != null) {
+    if (typeof raw.trials !== 'object' || Array.isArray(raw.trials)) {
+      throw new QuotaPolicyError('trials', 'must be an object');
+    }
+    for (const [tier, limits] of Object.entries(raw.trials)) {
+      if (!PAID_TIERS.includes(tier)) {
+        throw new QuotaPolicyError(`trials.${tier}`, `must be one of ${PAID_TIERS.join(', ')}`);
+      }
+      if (limits === null) {
+        delete trials[tier];
+      } else {
+        trials[tier] = normalizeLimits(limits, `trials.${tier}`);
+      }
+    }
+  }
+
+  const promotions = raw.promotions ?? [];
+  const experiments = raw.experiments ?? [];
+  if (!Array.isArray(promotions)) {
+    throw new QuotaPolicyError('promotions', 'must be an array');
+  }
+  if (!Array.isArray(experiments)) {
+    throw new QuotaPolicyError('experiments', 'must be an array');
+  }
+
+  const periods = { ...DEFAULT_QUOTA_POLICY.periods };
+  for (const [group, modes] of Object.entries(PERIOD_MODES)) {
+    const mode = raw.periods?.[group];
+    if (mode == null) continue;
+    if (!modes.includes(mode)) {
+      throw new QuotaPolicyError(`periods.${group}`, `must be one of ${modes.join(', ')}`);
+    }
+    periods[group] = mode;
+  }
+
+  const family = { ...DEFAULT_QUOTA_POLICY.family };
+  if (raw.family?.quota != null) {
+    if (!FAMILY_QUOTA_MODES.includes(raw.family.quota)) {
+      throw new QuotaPolicyError('family.quota', `must be one of ${FAMILY_QUOTA_MODES.join(', ')}`);
+    }
+    family.quota = raw.family.quota;
+  }
+
+  const downgrade = { ...DEFAULT_QUOTA_POLICY.downgrade };
+  if (raw.downgrade?.usage != null) {
+    if (!DOWNGRADE_USAGE_MODES.includes(raw.downgrade.usage)) {
+      throw new QuotaPolicyError('downgrade.usage', `must be one of ${DOWNGRADE_USAGE_MODES.join(', ')}`);
+    }
+    downgrade.usage = raw.downgrade.usage;
+  }
+
+  const credits = { ...DEFAULT_QUOTA_POLICY.credits };
+  if (raw.credits != null) {
+    if (typeof raw.credits !== 'object' || Array.isArray(raw.credits)) {
+      throw new QuotaPolicyError('credits', 'must be an object');
+    }
+    if (raw.credits.enabled != null) {
+      if (typeof raw.credits.enabled !== 'boolean') {
+        throw new QuotaPolicyError('credits.enabled', 'must be a boolean');
+      }
+      credits.enabled = raw.credits.enabled;
+    }
+    if (raw.credits.usdPerCredit != null) {
+      const value = Number(raw.credits.usdPerCredit);
+      if (!Number.isFinite(value) || value <= 0 || value > MAX_USD_PER_CREDIT) {
+        throw new QuotaPolicyError('credits.usdPerCredit', `must be a number in (0, ${MAX_USD_PER_CREDIT}]`);
+      }
+      credits.usdPerCredit = value;
+    }
+    if (raw.credits.minimumPerCall != null) {
+      const value = Number(raw.credits.minimumPerCall);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new QuotaPolicyError('credits.minimumPerCall', 'must be a positive integer');
+      }
+      credits.minimumPerCall = value;
+    }
+  }
+
+  const rateLimits = {
+    tiers: Object.fromEntries(TIERS.map((tier) => [
+      tier,
+      normalizeRateWindows(raw.rateLimits?.tiers?.[tier], DEFAULT_RATE_LIMITS.tiers[tier], `rateLimits.tiers.${tier}`),
+    ])),
+    global: normalizeRateWindows(raw.rateLimits?.global, DEFAULT_RATE_LIMITS.global, 'rateLimits.global'),
+  };
+
+  const unattested = {
+    ...DEFAULT_QUOTA_POLICY.unattested,
+    ...(raw.unattested == null ? {} : normalizeLimits(raw.unattested, 'unattested')),
+    perUid: {
+      ...DEFAULT_QUOTA_POLICY.unattested.perUid,
+      ...(raw.unattested?.perUid == null ? {} : normalizeLimits(raw.unattested.perUid, 'unattested.perUid')),
+    },
+  };
+
+  return {
+    tiers,
+    trials,
+    promotions: promotions.map(normalizePromotion),
+    experiments: experiments.map(normalizeExperiment),
+    periods,
+    family,
+    downgrade,
+    credits,
+    rateLimits,
+    unattested,
+  };
+}
+
+/** Stable bucket in [0, 1) for `subjectKey` within one experiment. */
+function experimentBucket(experimentId, subjectKey) {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${subjectKey}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+function assignVariant(experiment, subjectKey) {
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = experimentBucket(experiment.id, subjectKey) * totalWeight;
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+function isPromotionActive(promotion, now) {
+  if (promotion.startsAt && now < promotion.startsAt) return false;
+  if (promotion.endsAt && now >= promotion.endsAt) return false;
+  return true;
+}
+
+/**
+ * Limits for one quota subject on `tier`: tier limits, then its experiment variant (only when a
+ * `subjectKey` is known), then the tier's trial limits when `inTrial`, then active promotions
+ * (the most generous value per field wins). `trial` reports whether trial limits were applied.
+ * Meters the policy leaves off (see activeMeterNames) get no limit.
+ *
+ * @returns {{ limits: { voiceActionsLimit: number, photoScansLimit: number },
+ *   promotionIds: string[], experimentVariants: Object<string, string>, trial: boolean }}
+ */
+function resolveQuotaLimits(policy, tier, { subjectKey = null, inTrial = false, now = new Date() } = {}) {
+  const resolvedTier = TIERS.includes(tier) ? tier : 'free';
+  const limits = { ...policy.tiers[resolvedTier] };
+  const experimentVariants = {};
+  const promotionIds = [];
+
+  if (subjectKey) {
+    for (const experiment of policy.experiments) {
+      if (experiment.tier !== resolvedTier) continue;
+      const variant = assignVariant(experiment, String(subjectKey));
+      experimentVariants[experiment.id] = variant.name;
+      Object.assign(limits, variant.limits);
+    }
+  }
+
+  const trialLimits = inTrial ? policy.trials[resolvedTier] : null;
+  if (trialLimits) {
+    Object.assign(limits, trialLimits);
+  }
+
+  for (const promotion of policy.promotions) {
+    if (!promotion.tiers.includes(resolvedTier) || !isPromotionActive(promotion, now)) continue;
+    promotionIds.push(promotion.id);
+    for (const [field, value] of Object.entries(promotion.limits)) {
+      limits[field] = Math.max(limits[field], value);
+    }
+  }
+
+  const activeLimitFields = new Set(activeMeterNames(policy).map((name) => meterFields(name).limit));
+  for (const field of Object.keys(limits)) {
+    if (!activeLimitFields.has(field)) delete limits[field];
+  }
+
+  return { limits, promotionIds, experimentVariants, trial: Boolean(trialLimits) };
+}
+
+/** Meters counted under `policy`: the `credits` meter only while credit mode is on. */
+function activeMeterNames(policy) {
+  return METER_NAMES.filter((name) => name !== 'credits' || policy.credits.enabled);
+}
+
+/**
+ * Whether `units` more fit in the shared unattested bucket for one caller: the caller's own share
+ * (`callerUsed` against `unattested.perUid`) is checked before the bucket's total. `used`/`limit` are
+ * those of the counter that decided.
+ */
+function unattestedUsageDecision(policy, limitField, { bucketUsed, callerUsed, units = 1 }) {
+  const callerLimit = policy.unattested.perUid[limitField];
+  if (callerUsed + units > callerLimit) {
+    return { canProceed: false, used: callerUsed, limit: callerLimit, scope: 'uid' };
+  }
+  const limit = policy.unattested[limitField];
+  return { canProceed: bucketUsed + units <= limit, used: bucketUsed, limit, scope: 'bucket' };
+}
+
+/** A counter of the current window after moving down to `newLimit` under `mode` (see DOWNGRADE_USAGE_MODES). */
+function usageAfterDowngrade(used, newLimit, mode) {
+  if (mode === 'reset') return 0;
+  return Math.min(Math.max(0, used || 0), newLimit);
+}
+
+module.exports = {
+  DEFAULT_QUOTA_POLICY,
+  QuotaPolicyError,
+  activeMeterNames,
+  normalizeQuotaPolicy,
+  resolveQuotaLimits,
+  unattestedUsageDecision,
+  usageAfterDowngrade,
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_QUOTA_POLICY,
+  QuotaPolicyError,
+  activeMeterNames,
+  normalizeQuotaPolicy,
+  resolveQuotaLimits,
+  unattestedUsageDecision,
+  usageAfterDowngrade,
+} = require('./quotaPolicy');
+
+test('a missing policy document resolves to the default tier limits', () => {
+  const policy = normalizeQuotaPolicy(null);
+  assert.deepEqual(resolveQuotaLimits(policy, 'free').limits, { voiceActionsLimit: 10, photoScansLimit: 5 });
+  assert.deepEqual(resolveQuotaLimits(policy, 'plus').limits, { voiceActionsLimit: 50, photoScansLimit: 25 });
+  assert.deepEqual(resolveQuotaLimits(policy, 'pro').limits, { voiceActionsLimit: 300, photoScansLimit: 150 });
+  assert.deepEqual(resolveQuotaLimits(policy, 'gold').limits, { voiceActionsLimit: 10, photoScansLimit: 5 });
+});
+
+test('period modes default to UTC months for free and billing anchors for paid', () => {
+  assert.deepEqual(normalizeQuotaPolicy({}).periods, { free: 'utc', paid: 'billing' });
+  assert.deepEqual(normalizeQuotaPolicy({ periods: { free: 'local' } }).periods, { free: 'local', paid: 'billing' });
+});
+
+test('family quota defaults to a separate allowance per member', () => {
+  assert.deepEqual(normalizeQuotaPolicy({}).family, { quota: 'per_member' });
+  assert.deepEqual(normalizeQuotaPolicy({ family: { quota: 'pooled' } }).family, { quota: 'pooled' });
+});
+
+test('downgraded counters carry over capped at the new limit unless the policy resets them', () => {
+  assert.deepEqual(normalizeQuotaPolicy({}).downgrade, { usage: 'carry_over' });
+  assert.equal(usageAfterDowngrade(120, 50, 'carry_over'), 50);
+  assert.equal(usageAfterDowngrade(12, 50, 'carry_over'), 12);
+  assert.equal(usageAfterDowngrade(undefined, 50, 'carry_over'), 0);
+  assert.equal(usageAfterDowngrade(120, 50, normalizeQuotaPolicy({ downgrade: { usage: 'reset' } }).downgrade.usage), 0);
+});
+
+test('credit mode is off by default and tier budgets are overridable like other limits', () => {
+  assert.deepEqual(normalizeQuotaPolicy({}).credits, { enabled: false, usdPerCredit: 0.001, minimumPerCall: 1 });
+  const policy = normalizeQuotaPolicy({ credits: { enabled: true }, tiers: { plus: { creditsLimit: 1000 } } });
+  assert.equal(policy.credits.enabled, true);
+  assert.equal(resolveQuotaLimits(policy, 'plus').limits.creditsLimit, 1000);
+  assert.deepEqual(activeMeterNames(policy), ['voiceActions', 'photoScans', 'credits']);
+  assert.deepEqual(activeMeterNames(normalizeQuotaPolicy({})), ['voiceActions', 'photoScans']);
+});
+
+test('rate limits merge per window and null turns a window off', () => {
+  const policy = normalizeQuotaPolicy({ rateLimits: { tiers: { pro: { perMinute: 40, perHour: null } } } });
+  assert.deepEqual(policy.rateLimits.tiers.pro, { perMinute: 40, perHour: null });
+  assert.deepEqual(policy.rateLimits.tiers.free, DEFAULT_QUOTA_POLICY.rateLimits.tiers.free);
+  assert.deepEqual(policy.rateLimits.global, DEFAULT_QUOTA_POLICY.rateLimits.global);
+});
+
+test('unattested callers share one pool of free allowances by default', () => {
+  const perUid = { voiceActionsLimit: 10, photoScansLimit: 5, creditsLimit: 150 };
+  assert.deepEqual(DEFAULT_QUOTA_POLICY.unattested,
+    { voiceActionsLimit: 2000, photoScansLimit: 1000, creditsLimit: 30000, perUid });
+  assert.deepEqual(normalizeQuotaPolicy({ unattested: { photoScansLimit: 0, perUid: { voiceActionsLimit: 3 } } }).unattested,
+    { voiceActionsLimit: 2000, photoScansLimit: 0, creditsLimit: 30000, perUid: { ...perUid, voiceActionsLimit: 3 } });
+});
+
+test('one uid at its cap does not use up the shared unattested bucket for other uids', () => {
+  const policy = normalizeQuotaPolicy({});
+  const bucketUsed = 40;
+  const first = unattestedUsageDecision(policy, 'voiceActionsLimit', { bucketUsed, callerUsed: 10 });
+  assert.deepEqual(first, { canProceed: false, used: 10, limit: 10, scope: 'uid' });
+  const second = unattestedUsageDecision(policy, 'voiceActionsLimit', { bucketUsed, callerUsed: 0 });
+  assert.deepEqual(second, { canProceed: true, used: 40, limit: 2000, scope: 'bucket' });
+  const full = unattestedUsageDecision(policy, 'voiceActionsLimit', { bucketUsed: 2000, callerUsed: 0 });
+  assert.equal(full.canProceed, false);
+  assert.equal(full.scope, 'bucket');
+});
+
+test('tier overrides merge field by field over the defaults', () => {
+  const policy = normalizeQuotaPolicy({ tiers: { plus: { photoScansLimit: 40 } } });
+  assert.deepEqual(resolveQuotaLimits(policy, 'plus').limits, { voiceActionsLimit: 50, photoScansLimit: 40 });
+  assert.deepEqual(resolveQuotaLimits(policy, 'pro').limits, { voiceActionsLimit: 300, photoScansLimit: 150 });
+});
+
+test('invalid documents are rejected as a whole with the offending path', () => {
+  const cases = [
+    [{ tiers: { free: { voiceActionsLimit: -1 } } }, 'tiers.free.voiceActionsLimit'],
+    [{ tiers: { free: { photoScansLimit: 2.5 } } }, 'tiers.free.photoScansLimit'],
+    [{ promotions: {} }, 'promotions'],
+    [{ promotions: [{ limits: {} }] }, 'promotions[0].id'],
+    [{ promotions: [{ id: 'p', tiers: ['gold'], limits: {} }] }, 'promotions[0].tiers'],
+    [{ promotions: [{ id: 'p', startsAt: '2026-02-01', endsAt: '2026-01-01', limits: {} }] }, 'promotions[0].endsAt'],
+    [{ experiments: [{ id: 'e', tier: 'free', variants: [] }] }, 'experiments[0].variants'],
+    [{ experiments: [{ id: 'e', tier: 'free', variants: [{ name: 'a', weight: 0 }] }] }, 'experiments[0].variants[0].weight'],
+    [{ periods: { free: 'billing' } }, 'periods.free'],
+    [{ trials: { free: {} } }, 'trials.free'],
+    [{ family: { quota: 'shared' } }, 'family.quota'],
+    [{ downgrade: { usage: 'keep' } }, 'downgrade.usage'],
+    [{ credits: { enabled: 'yes' } }, 'credits.enabled'],
+    [{ credits: { usdPerCredit: 0 } }, 'credits.usdPerCredit'],
+    [{ credits: { minimumPerCall: 0.5 } }, 'credits.minimumPerCall'],
+    [{ rateLimits: { tiers: { pro: { perMinute: 0 } } } }, 'rateLimits.tiers.pro.perMinute'],
+    [{ rateLimits: { global: [] } }, 'rateLimits.global'],
+    [{ unattested: { voiceActionsLimit: -2 } }, 'unattested.voiceActionsLimit'],
+    [{ unattested: { perUid: { photoScansLimit: 1.5 } } }, 'unattested.perUid.photoScansLimit'],
+    [{ trials: { pro: { photoScansLimit: -5 } } }, 'trials.pro.photoScansLimit'],
+  ];
+  for (const [raw, path] of cases) {
+    assert.throws(() => normalizeQuotaPolicy(raw), (err) => err instanceof QuotaPolicyError && err.path === path);
+  }
+});
+
+test('trial limits replace the paid tier limits only while in trial', () => {
+  const policy = normalizeQuotaPolicy({ trials: { plus: { photoScansLimit: 10 } } });
+  const proTrial = resolveQuotaLimits(policy, 'pro', { inTrial: true });
+  assert.deepEqual(proTrial.limits, { voiceActionsLimit: 50, photoScansLimit: 25 });
+  assert.equal(proTrial.trial, true);
+  assert.deepEqual(resolveQuotaLimits(policy, 'plus', { inTrial: true }).limits, { voiceActionsLimit: 50, photoScansLimit: 10 });
+  assert.equal(resolveQuotaLimits(policy, 'pro').trial, false);
+  assert.deepEqual(resolveQuotaLimits(policy, 'pro').limits, { voiceActionsLimit: 300, photoScansLimit: 150 });
+
+  const disabled = normalizeQuotaPolicy({ trials: { pro: null } });
+  assert.deepEqual(resolveQuotaLimits(disabled, 'pro', { inTrial: true }).limits, { voiceActionsLimit: 300, photoScansLimit: 150 });
+});
+
+test('promotions apply only to their tiers and time window, most generous value wins', () => {
+  const policy = normalizeQuotaPolicy({
+    promotions: [
+      { id: 'launch', tiers: ['free'], startsAt: '2026-03-01T00:00:00Z', endsAt: '2026-03-08T00:00:00Z',
+        limits: { photoScansLimit: 15 } },
+      { id: 'weekend', tiers: ['free', 'plus'], limits: { photoScansLimit: 10, voiceActionsLimit: 5 } },
+    ],
+  });
+  const during = resolveQuotaLimits(policy, 'free', { now: new Date('2026-03-02T00:00:00Z') });
+  assert.deepEqual(during.limits, { voiceActionsLimit: 10, photoScansLimit: 15 });
+  assert.deepEqual(during.promotionIds, ['launch', 'weekend']);
+
+  const after = resolveQuotaLimits(policy, 'free', { now: new Date('2026-03-08T00:00:00Z') });
+  assert.deepEqual(after.limits, { voiceActionsLimit: 10, photoScansLimit: 10 });
+  assert.deepEqual(after.promotionIds, ['weekend']);
+
+  assert.deepEqual(resolveQuotaLimits(policy, 'pro').promotionIds, []);
+});
+
+test('experiments assign a stable variant per subject and skip unknown subjects', () => {
+  const policy = normalizeQuotaPolicy({
+    experiments: [{
+      id: 'free-photo-2026q1',
+      tier: 'free',
+      variants: [
+        { name: 'control', weight: 1 },
+        { name: 'generous', weight: 1, limits: { photoScansLimit: 8 } },
+      ],
+    }],
+  });
+
+  const first = resolveQuotaLimits(policy, 'free', { subjectKey: 'device:abc' });
+  const again = resolveQuotaLimits(policy, 'free', { subjectKey: 'device:abc' });
+  assert.deepEqual(first, again);
+  assert.ok(['control', 'generous'].includes(first.experimentVariants['free-photo-2026q1']));
+
+  const seen = new Set();
+  for (let i = 0; i < 50; i += 1) {
+    const { limits, experimentVariants } = resolveQuotaLimits(policy, 'free', { subjectKey: `device:${i}` });
+    const variant = experimentVariants['free-photo-2026q1'];
+    seen.add(variant);
+    assert.equal(limits.photoScansLimit, variant === 'generous' ? 8 : 5);
+  }
+  assert.deepEqual([...seen].sort(), ['control', 'generous']);
+
+  assert.deepEqual(resolveQuotaLimits(policy, 'free').experimentVariants, {});
+  assert.deepEqual(resolveQuotaLimits(policy, 'plus', { subjectKey: 'device:abc' }).experimentVariants, {});
+});
+
+test('Firestore Timestamp-like dates are accepted', () => {
+  const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+  const policy = normalizeQuotaPolicy({
+    promotions: [{ id: 'p', startsAt: timestamp('2026-01-01T00:00:00Z'), limits: { voiceActionsLimit: 20 } }],
+  });
+  assert.equal(resolveQuotaLimits(policy, 'free', { now: new Date('2026-01-02') }).limits.voiceActionsLimit, 20);
+  assert.equal(resolveQuotaLimits(policy, 'free', { now: new Date('2025-12-31') }).limits.voiceActionsLimit, 10);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+/** Rate limit windows by config key, in milliseconds. */
+const RATE_LIMIT_WINDOWS = {
+  perMinute: 60 * 1000,
+  perHour: 60 * 60 * 1000,
+};
+
+/**
+ * Calls allowed per window: `tiers` applies to each uid and each hashed device (per service), `global`
+ * to all callers of a service together. A `null` window is not enforced.
+ */
+const DEFAULT_RATE_LIMITS = {
+  tiers: {
+    free: { perMinute: 5, perHour: 30 },
+    plus: { perMinute: 10, perHour: 120 },
+    pro: { perMinute: 20, perHour: 400 },
+  },
+  global: { perMinute: 600, perHour: null },
+};
+
+function windowStartFor(nowMs, windowMs) {
+  return Math.floor(nowMs / windowMs) * windowMs;
+}
+
+/**
+ * `{ windowStart, current, previous }` counters of one window moved to the window containing `nowMs`
+ * (the old current count becomes `previous` when exactly one window has passed).
+ */
+function rollWindow(bucket, windowMs, nowMs) {
+  const windowStart = windowStartFor(nowMs, windowMs);
+  if (bucket?.windowStart === windowStart) {
+    return { windowStart, current: bucket.current || 0, previous: bucket.previous || 0 };
+  }
+  const previous = bucket?.windowStart === windowStart - windowMs ? bucket.current || 0 : 0;
+  return { windowStart, current: 0, previous };
+}
+
+/**
+ * Sliding window estimate: the previous window's count weighted by how much of it still overlaps the
+ * trailing window, plus the current window's count.
+ */
+function slidingWindowCount(bucket, windowMs, nowMs) {
+  const overlap = 1 - (nowMs - bucket.windowStart) / windowMs;
+  return bucket.previous * overlap + bucket.current;
+}
+
+/** Milliseconds until one more call fits under `max` (at least one second). */
+function retryAfterMs(bucket, max, windowMs, nowMs) {
+  const elapsed = nowMs - bucket.windowStart;
+  let wait;
+  if (bucket.current + 1 > max) {
+    // Not before this window ends, and then only once the carried-over count has decayed enough.
+    wait = windowMs - elapsed + windowMs * Math.max(0, 1 - (max - 1) / bucket.current);
+  } else {
+    wait = windowMs * (1 - (max - 1 - bucket.current) / bucket.previous) - elapsed;
+  }
+  return Math.max(1000, Math.ceil(wait));
+}
+
+/**
+ * Decide one call against `limits` (`{ perMinute, perHour }`, null = off) given the stored window
+ * counters `state` (`{ perMinute: { windowStart, current, previous }, … }`).
+ *
+ * @returns {{ allowed: boolean, state: object, window?: string, limit?: number, retryAfterMs?: number }}
+ *   `state` is the rolled counters, with this call counted when allowed.
+ */
+function rateLimitDecision(state, limits, nowMs) {
+  const next = {};
+  for (const [window, windowMs] of Object.entries(RATE_LIMIT_WINDOWS)) {
+    const max = limits?.[window];
+    if (max == null) continue;
+    const bucket = rollWindow(state?.[window], windowMs, nowMs);
+    if (slidingWindowCount(bucket, windowMs, nowMs) + 1 > max) {
+      return { allowed: false, state: next, window, limit: max, retryAfterMs: retryAfterMs(bucket, max, windowMs, nowMs) };
+    }
+    next[window] = { ...bucket, current: bucket.current + 1 };
+  }
+  return { allowed: true, state: next };
+}
+
+module.exports = {
+  RATE_LIMIT_WINDOWS,
+  DEFAULT_RATE_LIMITS,
+  windowStartFor,
+  rateLimitDecision,
+};
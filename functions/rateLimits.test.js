@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rateLimitDecision, windowStartFor } = require('./rateLimits');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 2, 1, 12, 0, 0);
+
+function hammer(limits, times) {
+  let state = {};
+  const decisions = [];
+  for (const nowMs of times) {
+    const decision = rateLimitDecision(state, limits, nowMs);
+    if (decision.allowed) state = decision.state;
+    decisions.push(decision);
+  }
+  return decisions;
+}
+
+test('a burst is cut off at the per-minute limit with a retry hint', () => {
+  const decisions = hammer({ perMinute: 3, perHour: null }, [T0, T0 + 1000, T0 + 2000, T0 + 3000]);
+  assert.deepEqual(decisions.map((d) => d.allowed), [true, true, true, false]);
+  const blocked = decisions[3];
+  assert.equal(blocked.window, 'perMinute');
+  assert.equal(blocked.limit, 3);
+  assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= 2 * MINUTE);
+});
+
+test('the previous window still counts while it overlaps the trailing minute', () => {
+  let state = {};
+  for (let i = 0; i < 4; i += 1) {
+    state = rateLimitDecision(state, { perMinute: 4 }, T0 + i * 1000).state;
+  }
+  // 10 s into the next minute ~83% of the previous 4 calls still count.
+  const early = rateLimitDecision(state, { perMinute: 4 }, T0 + MINUTE + 10 * 1000);
+  assert.equal(early.allowed, false);
+  assert.ok(early.retryAfterMs >= 1000);
+
+  const later = rateLimitDecision(state, { perMinute: 4 }, T0 + MINUTE + early.retryAfterMs + 10 * 1000);
+  assert.equal(later.allowed, true);
+  assert.equal(rateLimitDecision(state, { perMinute: 4 }, T0 + 3 * MINUTE).state.perMinute.previous, 0);
+});
+
+test('every configured window must admit the call; null windows are skipped', () => {
+  const limits = { perMinute: 100, perHour: 2 };
+  const decisions = hammer(limits, [T0, T0 + 2 * MINUTE, T0 + 4 * MINUTE]);
+  assert.deepEqual(decisions.map((d) => d.allowed), [true, true, false]);
+  assert.equal(decisions[2].window, 'perHour');
+  assert.deepEqual(rateLimitDecision({}, { perMinute: null, perHour: null }, T0), { allowed: true, state: {} });
+  assert.equal(windowStartFor(T0 + 59 * 1000, MINUTE), T0);
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const TIERS = ['free', 'plus', 'pro'];
+/** Upstream services whose spend is budgeted (the `service` of usage_logs / usageReservations). */
+const SPEND_SERVICES = ['claude-vision', 'whisper'];
+const SPEND_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Upstream spend caps in USD (`null` = uncapped) per service and per tier, over the UTC day and month.
+ * Once a service passes `degradeAt` of a budget the free tier is degraded: routed to the service's
+ * `degradedModel`, or rejected when it has none. At 100% (or past its own tier budget) free is rejected
+ * and paid tiers are degraded to `degradedModel`; paid calls are never rejected.
+ */
+const DEFAULT_SPEND_POLICY = {
+  degradeAt: 0.8,
+  services: {
+    'claude-vision': { dailyUsd: 50, monthlyUsd: 1000, degradedModel: 'claude-3-5-haiku-20241022' },
+    whisper: { dailyUsd: 20, monthlyUsd: 400, degradedModel: null },
+  },
+  tiers: {
+    free: { dailyUsd: 10, monthlyUsd: 200 },
+    plus: { dailyUsd: null, monthlyUsd: null },
+    pro: { dailyUsd: null, monthlyUsd: null },
+  },
+};
+
+class SpendPolicyError extends Error {
+  constructor(path, message) {
+    super(`spendPolicy.${path}: ${message}`);
+    this.name = 'SpendPolicyError';
+    this.path = path;
+  }
+}
+
+function normalizeBudget(raw, defaults, path) {
+  if (raw == null) return { ...defaults };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new SpendPolicyError(path, 'must be an object');
+  }
+  const budget = { ...defaults };
+  for (const period of SPEND_PERIODS) {
+    const field = `${period}Usd`;
+    if (raw[field] === undefined) continue;
+    if (raw[field] !== null && (typeof raw[field] !== 'number' || !(raw[field] > 0))) {
+      throw new SpendPolicyError(`${path}.${field}`, 'must be a positive number or null');
+    }
+    budget[field] = raw[field];
+  }
+  return budget;
+}
+
+/**
+ * Validate an appConfig/spendPolicy document and merge it over DEFAULT_SPEND_POLICY.
+ * @throws {SpendPolicyError} on the first invalid field (the whole document is rejected).
+ */
+function normalizeSpendPolicy(raw) {
+  if (raw == null) raw = {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new SpendPolicyError('', 'must be an object');
+  }
+  let degradeAt = DEFAULT_SPEND_POLICY.degradeAt;
+  if (raw.degradeAt != null) {
+    if (typeof raw.degradeAt !== 'number' || !(raw.degradeAt > 0 && raw.degradeAt <= 1)) {
+      throw new SpendPolicyError('degradeAt', 'must be a number in (0, 1]');
+    }
+    degradeAt = raw.degradeAt;
+  }
+
+  const services = {};
+  for (const service of SPEND_SERVICES) {
+    const path = `services.${service}`;
+    const defaults = DEFAULT_SPEND_POLICY.services[service];
+    services[service] = normalizeBudget(raw.services?.[service], defaults, path);
+    const model = raw.services?.[service]?.degradedModel;
+    if (model !== undefined) {
+      if (model !== null && (typeof model !== 'string' || model === '')) {
+        throw new SpendPolicyError(`${path}.degradedModel`, 'must be a model id or null');
+      }
+      services[service].degradedModel = model;
+    }
+  }
+
+  const tiers = {};
+  for (const tier of TIERS) {
+    tiers[tier] = normalizeBudget(raw.tiers?.[tier], DEFAULT_SPEND_POLICY.tiers[tier], `tiers.${tier}`);
+  }
+  return { degradeAt, services, tiers };
+}
+
+/** Ledger doc ids for `now` (UTC): `{ daily: 'day_2026-03-01', monthly: 'month_2026-03' }`. */
+function spendLedgerKeys(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return { daily: `day_${day}`, monthly: `month_${day.slice(0, 7)}` };
+}
+
+/** Highest share of a budget used over the day and month ledgers (0 when uncapped). */
+function budgetRatio(budget, ledger, pick) {
+  let ratio = 0;
+  for (const period of SPEND_PERIODS) {
+    const cap = budget[`${period}Usd`];
+    if (cap == null) continue;
+    ratio = Math.max(ratio, (pick(ledger?.[period]) || 0) / cap);
+  }
+  return ratio;
+}
+
+/**
+ * Circuit breaker decision for one call of `service` by `tier`, given the day and month ledger docs
+ * (`{ daily, monthly }`, each `{ services: { [service]: usd }, tiers: { [tier]: usd } }`).
+ *
+ * @returns {{ action: 'allow'|'degrade'|'reject', reason: string|null, model: string|null }}
+ *   `model` is the model to route to when degraded.
+ */
+function spendBreakerDecision(policy, ledger, { service, tier }) {
+  const serviceBudget = policy.services[service];
+  const serviceRatio = budgetRatio(serviceBudget, ledger, (doc) => doc?.services?.[service]);
+  const tierRatio = budgetRatio(policy.tiers[tier] || {}, ledger, (doc) => doc?.tiers?.[tier]);
+  const model = serviceBudget.degradedModel;
+
+  let wanted = 'allow';
+  let reason = null;
+  if (serviceRatio >= 1 || tierRatio >= 1) {
+    wanted = tier === 'free' ? 'reject' : 'degrade';
+    reason = serviceRatio >= 1 ? 'service_budget' : 'tier_budget';
+  } else if (tier === 'free' && serviceRatio >= policy.degradeAt) {
+    wanted = 'degrade';
+    reason = 'service_budget_near';
+  }
+
+  if (wanted === 'degrade' && !model) {
+    // Nothing cheaper to route to: free callers are turned away, paying ones still served.
+    return tier === 'free'
+      ? { action: 'reject', reason, model: null }
+      : { action: 'allow', reason, model: null };
+  }
+  return { action: wanted, reason, model: wanted === 'degrade' ? model : null };
+}
+
+/** Breaker decisions for every service and tier (admin status view). */
+function spendBreakerStatus(policy, ledger) {
+  const status = {};
+  for (const service of SPEND_SERVICES) {
+    status[service] = {};
+    for (const tier of TIERS) {
+      status[service][tier] = spendBreakerDecision(policy, ledger, { service, tier });
+    }
+  }
+  return status;
+}
+
+module.exports = {
+  SPEND_SERVICES,
+  DEFAULT_SPEND_POLICY,
+  SpendPolicyError,
+  normalizeSpendPolicy,
+  spendLedgerKeys,
+  spendBreakerDecision,
+  spendBreakerStatus,
+};
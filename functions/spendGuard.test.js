@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_SPEND_POLICY,
+  SpendPolicyError,
+  normalizeSpendPolicy,
+  spendLedgerKeys,
+  spendBreakerDecision,
+  spendBreakerStatus,
+} = require('./spendGuard');
+
+const POLICY = normalizeSpendPolicy({});
+
+function ledger(services = {}, tiers = {}, period = 'daily') {
+  return { [period]: { services, tiers } };
+}
+
+test('an empty document yields the default budgets', () => {
+  assert.deepEqual(POLICY, DEFAULT_SPEND_POLICY);
+  const policy = normalizeSpendPolicy({ services: { whisper: { dailyUsd: null } }, tiers: { pro: { monthlyUsd: 500 } } });
+  assert.deepEqual(policy.services.whisper, { dailyUsd: null, monthlyUsd: 400, degradedModel: null });
+  assert.deepEqual(policy.tiers.pro, { dailyUsd: null, monthlyUsd: 500 });
+});
+
+test('invalid documents are rejected with the offending path', () => {
+  const cases = [
+    [{ degradeAt: 1.5 }, 'degradeAt'],
+    [{ services: { whisper: { dailyUsd: 0 } } }, 'services.whisper.dailyUsd'],
+    [{ services: { 'claude-vision': { degradedModel: '' } } }, 'services.claude-vision.degradedModel'],
+    [{ tiers: { free: [] } }, 'tiers.free'],
+  ];
+  for (const [raw, path] of cases) {
+    assert.throws(() => normalizeSpendPolicy(raw), (err) => err instanceof SpendPolicyError && err.path === path);
+  }
+});
+
+test('ledger keys are the UTC day and month', () => {
+  assert.deepEqual(spendLedgerKeys(new Date('2026-03-31T23:30:00-02:00')), {
+    daily: 'day_2026-04-01',
+    monthly: 'month_2026-04',
+  });
+});
+
+test('free tier is degraded first, then rejected; paid tiers are only degraded', () => {
+  const vision = (spent, tier) => spendBreakerDecision(POLICY, ledger({ 'claude-vision': spent }), { service: 'claude-vision', tier });
+  assert.equal(vision(10, 'free').action, 'allow');
+  assert.deepEqual(vision(40, 'free'), { action: 'degrade', reason: 'service_budget_near', model: 'claude-3-5-haiku-20241022' });
+  assert.equal(vision(40, 'pro').action, 'allow');
+  assert.deepEqual(vision(50, 'free'), { action: 'reject', reason: 'service_budget', model: null });
+  assert.deepEqual(vision(50, 'pro'), { action: 'degrade', reason: 'service_budget', model: 'claude-3-5-haiku-20241022' });
+});
+
+test('a tier over its own budget is cut even while the service has headroom', () => {
+  const spent = ledger({ whisper: 5 }, { free: 200 }, 'monthly');
+  assert.deepEqual(spendBreakerDecision(POLICY, spent, { service: 'whisper', tier: 'free' }),
+    { action: 'reject', reason: 'tier_budget', model: null });
+  assert.equal(spendBreakerDecision(POLICY, spent, { service: 'whisper', tier: 'plus' }).action, 'allow');
+});
+
+test('without a cheaper model, degrading rejects free and keeps serving paid', () => {
+  const spent = ledger({ whisper: 25 });
+  const status = spendBreakerStatus(POLICY, spent);
+  assert.equal(status.whisper.free.action, 'reject');
+  assert.deepEqual(status.whisper.pro, { action: 'allow', reason: 'service_budget', model: null });
+  assert.equal(status['claude-vision'].free.action, 'allow');
+});